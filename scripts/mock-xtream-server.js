@@ -0,0 +1,117 @@
+/**
+ * Minimal Xtream Codes mock server for trying the Xtream source type locally.
+ *
+ *   node scripts/mock-xtream-server.js [port]
+ *
+ * Then add an Xtream account in Settings with server http://localhost:8787,
+ * username "demo" and password "demo".
+ */
+import http from 'node:http';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const USERNAME = process.env.XTREAM_USER || 'demo';
+const PASSWORD = process.env.XTREAM_PASS || 'demo';
+
+const liveCategories = [
+  { category_id: '1', category_name: 'News', parent_id: 0 },
+  { category_id: '2', category_name: 'Sports', parent_id: 0 }
+];
+
+const liveStreams = [
+  { num: 1, name: 'Mock News', stream_type: 'live', stream_id: 101, stream_icon: '', epg_channel_id: 'mocknews.us', category_id: '1', tv_archive: 1, tv_archive_duration: 3 },
+  { num: 2, name: 'Mock Sports', stream_type: 'live', stream_id: 102, stream_icon: '', epg_channel_id: 'mocksports.us', category_id: '2', tv_archive: 0, tv_archive_duration: 0 },
+  { num: 3, name: 'Mock Weather', stream_type: 'live', stream_id: 103, stream_icon: '', epg_channel_id: '', category_id: '1', tv_archive: 0, tv_archive_duration: 0 }
+];
+
+const vodCategories = [{ category_id: '10', category_name: 'Documentaries', parent_id: 0 }];
+const vodStreams = [
+  { num: 1, name: 'Mock Documentary', stream_type: 'movie', stream_id: 201, stream_icon: '', category_id: '10', container_extension: 'mp4' }
+];
+
+const seriesCategories = [{ category_id: '20', category_name: 'Drama', parent_id: 0 }];
+const seriesList = [{ num: 1, name: 'Mock Show', series_id: 301, cover: '', category_id: '20' }];
+const seriesInfo = {
+  301: {
+    info: { name: 'Mock Show' },
+    episodes: {
+      1: [
+        { id: '3011', episode_num: 1, season: 1, title: 'Pilot', container_extension: 'mp4' },
+        { id: '3012', episode_num: 2, season: 1, title: 'Second', container_extension: 'mp4' }
+      ]
+    }
+  }
+};
+
+// A tiny live HLS playlist so the Player has something to request
+const samplePlaylist = '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:10\n#EXT-X-MEDIA-SEQUENCE:0\n';
+
+function sendJson(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function handlePlayerApi(url, res) {
+  const params = url.searchParams;
+  if (params.get('username') !== USERNAME || params.get('password') !== PASSWORD) {
+    return sendJson(res, { user_info: { auth: 0 } });
+  }
+
+  switch (params.get('action')) {
+    case null:
+      return sendJson(res, {
+        user_info: {
+          auth: 1,
+          status: 'Active',
+          username: USERNAME,
+          exp_date: String(Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60),
+          max_connections: '1',
+          allowed_output_formats: ['m3u8', 'ts']
+        },
+        server_info: { url: 'localhost', port: String(PORT), server_protocol: 'http' }
+      });
+    case 'get_live_categories':
+      return sendJson(res, liveCategories);
+    case 'get_live_streams':
+      return sendJson(res, liveStreams);
+    case 'get_vod_categories':
+      return sendJson(res, vodCategories);
+    case 'get_vod_streams':
+      return sendJson(res, vodStreams);
+    case 'get_series_categories':
+      return sendJson(res, seriesCategories);
+    case 'get_series':
+      return sendJson(res, seriesList);
+    case 'get_series_info':
+      return sendJson(res, seriesInfo[params.get('series_id')] || {});
+    default:
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end('');
+  }
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (url.pathname === '/player_api.php') {
+    return handlePlayerApi(url, res);
+  }
+  if (/^\/(live|movie|series|timeshift)\//.test(url.pathname)) {
+    res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+    return res.end(samplePlaylist);
+  }
+
+  res.writeHead(404);
+  res.end('Not found');
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Xtream server listening on http://localhost:${PORT} (user ${USERNAME} / ${PASSWORD})`);
+});
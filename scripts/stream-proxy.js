@@ -0,0 +1,332 @@
+/**
+ * Local companion proxy for streams that need headers a browser can't send.
+ *
+ *   node scripts/stream-proxy.js [port]
+ *
+ * Browsers refuse to set Referer, User-Agent, Origin or Cookie on script requests,
+ * so channels whose playlist entry asks for them often won't play. This server fetches
+ * playlists, HLS manifests and segments on the app's behalf with those headers added,
+ * and rewrites the URIs inside HLS manifests so every follow-up request comes back here.
+ *
+ *   GET /health                       -> { name, version }, used by the app to find the proxy
+ *   GET /proxy?url=<url>&headers=<json> -> the upstream response, with CORS headers
+ *
+ * It listens on 127.0.0.1 only; set HOST=0.0.0.0 to share it on the local network.
+ * Needs Node 18 or newer for the built-in fetch.
+ *
+ * So that other websites can't use it to reach into this machine or the local network:
+ * - only pages from ALLOWED_ORIGINS (comma-separated; the Vite dev and preview servers by
+ *   default) may use /proxy, and only they get the CORS and Private Network Access headers
+ * - loopback, private and link-local addresses are refused as targets, also when a redirect
+ *   leads there; set ALLOW_PRIVATE_TARGETS=1 for IPTV servers on your own network
+ */
+import http from 'node:http';
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { Readable } from 'node:stream';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8788);
+const HOST = process.env.HOST || '127.0.0.1';
+const UPSTREAM_TIMEOUT = 30000;
+const MAX_REDIRECTS = 5;
+const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173'];
+const ALLOWED_ORIGINS = new Set(
+  (process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : DEFAULT_ORIGINS)
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean)
+);
+const ALLOW_PRIVATE_TARGETS = process.env.ALLOW_PRIVATE_TARGETS === '1';
+const VERSION = 1;
+// How much of a response to look at when deciding whether it is an HLS manifest
+const SNIFF_LENGTH = 64 * 1024;
+
+// Response headers passed on from upstream; everything else is dropped
+const PASSED_HEADERS = ['content-type', 'content-range', 'accept-ranges', 'cache-control', 'last-modified', 'etag'];
+
+// Only HLS manifests are rewritten - IPTV channel lists keep their original stream URLs.
+// Every HLS manifest has one of these near the top.
+const HLS_MANIFEST = /#EXT-X-(TARGETDURATION|STREAM-INF|I-FRAME-STREAM-INF)/;
+
+function isAllowedOrigin(origin) {
+  return !!origin && ALLOWED_ORIGINS.has(origin);
+}
+
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  if (!isAllowedOrigin(origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
+  // Lets the app, when served from the internet, talk to this proxy on localhost (Private Network Access)
+  res.setHeader('Access-Control-Allow-Private-Network', 'true');
+}
+
+/**
+ * Check whether an IP address is on this machine or a private or link-local network
+ */
+function isPrivateAddress(address) {
+  if (isIP(address) === 6) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses (::ffff:10.0.0.1) are checked as IPv4
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return lower === '::' || lower === '::1' ||
+      /^f[cd]/.test(lower) || // Unique local fc00::/7
+      /^fe[89ab]/.test(lower); // Link-local fe80::/10
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+}
+
+/**
+ * Refuse targets this proxy must not be pointed at
+ * @returns {Promise<string|null>} Why the URL is refused, or null if it may be fetched
+ */
+async function checkTarget(targetUrl) {
+  let url;
+  try {
+    url = new URL(targetUrl);
+  } catch (error) {
+    return 'url must be an http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'url must be an http(s) URL';
+  if (ALLOW_PRIVATE_TARGETS) return null;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = isIP(hostname) ? [hostname] : (await lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `Cannot resolve ${hostname}`;
+  }
+  if (addresses.some(isPrivateAddress)) {
+    return `${hostname} is a local or private address (set ALLOW_PRIVATE_TARGETS=1 to allow it)`;
+  }
+  return null;
+}
+
+/**
+ * Fetch a URL, following redirects by hand so every hop is checked with checkTarget
+ */
+async function fetchChecked(targetUrl, options) {
+  let url = targetUrl;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const problem = await checkTarget(url);
+    if (problem) {
+      const error = new Error(problem);
+      error.refused = true;
+      throw error;
+    }
+
+    const response = await fetch(url, { ...options, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url };
+    }
+    response.body?.cancel();
+    url = new URL(location, url).href;
+  }
+  throw new Error('Too many redirects');
+}
+
+function sendError(res, status, message) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(message);
+}
+
+/**
+ * Parse the headers parameter - a JSON object of header name -> value
+ */
+function parseHeaderParam(value) {
+  if (!value) return {};
+  const parsed = JSON.parse(value);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('headers must be a JSON object');
+  }
+  return Object.fromEntries(
+    Object.entries(parsed).filter(([name, headerValue]) => name && typeof headerValue === 'string')
+  );
+}
+
+/**
+ * Build the URL that sends a request for targetUrl back through this proxy
+ */
+function proxyUrlFor(origin, targetUrl, headerParam) {
+  const query = new URLSearchParams({ url: targetUrl });
+  if (headerParam) query.set('headers', headerParam);
+  return `${origin}/proxy?${query.toString()}`;
+}
+
+/**
+ * Point every URI in an HLS manifest back at the proxy, resolved against the manifest's own URL
+ */
+function rewriteManifest(text, manifestUrl, origin, headerParam) {
+  const rewrite = (uri) => {
+    try {
+      return proxyUrlFor(origin, new URL(uri, manifestUrl).href, headerParam);
+    } catch (error) {
+      return uri;
+    }
+  };
+
+  return text.split(/\r\n|\n|\r/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    // #EXT-X-KEY, #EXT-X-MAP, #EXT-X-MEDIA etc. carry their URI in an attribute
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${rewrite(uri)}"`);
+    }
+    return rewrite(trimmed);
+  }).join('\n');
+}
+
+async function handleProxy(req, res, url, origin) {
+  if (!isAllowedOrigin(req.headers.origin)) {
+    return sendError(res, 403, 'Origin not allowed - add it to ALLOWED_ORIGINS');
+  }
+
+  const target = url.searchParams.get('url');
+  if (!target || !/^https?:\/\//i.test(target)) {
+    return sendError(res, 400, 'url must be an http(s) URL');
+  }
+
+  const headerParam = url.searchParams.get('headers') || '';
+  let headers;
+  try {
+    headers = parseHeaderParam(headerParam);
+  } catch (error) {
+    return sendError(res, 400, `Invalid headers: ${error.message}`);
+  }
+  if (req.headers.range) {
+    headers.Range = req.headers.range;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT);
+  // Stop downloading if the player goes away
+  res.on('close', () => controller.abort());
+
+  let upstream;
+  let upstreamUrl;
+  try {
+    ({ response: upstream, url: upstreamUrl } = await fetchChecked(target, { headers, signal: controller.signal }));
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.refused) {
+      console.warn(`${target}: ${error.message}`);
+      return sendError(res, 403, error.message);
+    }
+    const message = error.name === 'AbortError' ? 'Upstream request timed out' : `Upstream request failed: ${error.message}`;
+    console.warn(`${target}: ${message}`);
+    return sendError(res, 502, message);
+  }
+  clearTimeout(timeoutId);
+
+  const responseHeaders = {};
+  PASSED_HEADERS.forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value) responseHeaders[name] = value;
+  });
+
+  if (!upstream.body || req.method === 'HEAD') {
+    res.writeHead(upstream.status, responseHeaders);
+    return res.end();
+  }
+
+  // Read enough of the body to tell an HLS manifest from a segment or channel list
+  const reader = upstream.body.getReader();
+  const head = [];
+  let headLength = 0;
+  let finished = false;
+  while (headLength < SNIFF_LENGTH) {
+    const { done, value } = await reader.read();
+    if (done) {
+      finished = true;
+      break;
+    }
+    head.push(Buffer.from(value));
+    headLength += value.byteLength;
+  }
+  const headText = Buffer.concat(head).toString('utf8').replace(/^\uFEFF/, '');
+
+  if (upstream.ok && headText.trimStart().startsWith('#EXTM3U') && HLS_MANIFEST.test(headText)) {
+    const chunks = [...head];
+    while (!finished) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(Buffer.from(value));
+    }
+    const rewritten = rewriteManifest(Buffer.concat(chunks).toString('utf8'), upstreamUrl, origin, headerParam);
+    delete responseHeaders['content-range'];
+    delete responseHeaders['accept-ranges'];
+    res.writeHead(upstream.status, { ...responseHeaders, 'content-length': Buffer.byteLength(rewritten) });
+    return res.end(rewritten);
+  }
+
+  // fetch has already decompressed the body, so the upstream length is only right for identity encoding
+  const length = upstream.headers.get('content-length');
+  if (length && !upstream.headers.get('content-encoding')) {
+    responseHeaders['content-length'] = length;
+  }
+  res.writeHead(upstream.status, responseHeaders);
+
+  async function* body() {
+    yield* head;
+    while (!finished) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  }
+  Readable.from(body())
+    .on('error', error => {
+      if (error.name !== 'AbortError') console.warn(`${target}: ${error.message}`);
+      res.destroy();
+    })
+    .pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+  setCorsHeaders(req, res);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendError(res, 405, 'Only GET is supported');
+  }
+
+  const origin = `http://${req.headers.host || `${HOST}:${PORT}`}`;
+  const url = new URL(req.url, origin);
+
+  if (url.pathname === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ name: 'iptv-stream-proxy', version: VERSION }));
+  }
+  if (url.pathname === '/proxy') {
+    console.log(`${req.method} ${url.searchParams.get('url')}`);
+    return handleProxy(req, res, url, origin).catch(error => {
+      // The player went away while the body was still being read
+      if (error.name === 'AbortError') return res.destroy();
+      console.error('Proxy error:', error);
+      sendError(res, 500, 'Proxy error');
+    });
+  }
+
+  sendError(res, 404, 'Not found');
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Stream proxy listening on http://${HOST}:${PORT}`);
+  console.log(`Accepting requests from ${[...ALLOWED_ORIGINS].join(', ')}`);
+});
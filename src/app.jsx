@@ -1,13 +1,21 @@
 import { h } from 'preact';
 import { Router, route } from 'preact-router';
-import { useState, useEffect } from 'preact/hooks';
-import { Tv2, Settings as SettingsIcon, Home as HomeIcon, Heart, History, Globe, List, Info } from 'lucide-preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { Tv2, Settings as SettingsIcon, Home as HomeIcon, Heart, History, Globe, List, Info, RefreshCw, AlertCircle, Search as SearchIcon } from 'lucide-preact';
 import { get } from './utils/idbStorage';
-import { getPlaylists } from './utils/playlist';
+import { usePlaylists } from './hooks/useStore';
 import { PictureInPictureProvider } from './contexts/PictureInPictureContext';
 import { PictureInPictureOverlay } from './components/PictureInPictureOverlay';
 import { PipAwareAppLayout } from './components/PipAwareAppLayout';
+import { MigrationNotice } from './components/MigrationNotice';
+import { KeyboardShortcuts } from './components/KeyboardShortcuts';
+import { useShortcuts } from './hooks/useShortcuts';
 import { initHistoryListener } from './utils/historyManager';
+import { refreshEpg } from './utils/epg';
+import { getProxySettings } from './utils/proxySettings';
+import { startRefreshScheduler, subscribeRefreshStatus, getRefreshStatus, getPlaylistRefreshState } from './utils/refreshScheduler';
+import { startRevalidationScheduler } from './utils/streamRevalidation';
+import { debounce } from './utils/performance';
 
 import Home from './pages/Home';
 import Player from './pages/Player';
@@ -18,31 +26,99 @@ import CountryBrowser from './pages/CountryBrowser';
 import PlaylistView from './pages/PlaylistView';
 import CategoryView from './pages/CategoryView';
 import About from './pages/About';
+import Search from './pages/Search';
+
+// Small marker next to a sidebar playlist that is refreshing, out of date or failing to refresh
+function RefreshStatusIcon({ refreshState }) {
+  switch (refreshState?.state) {
+    case 'refreshing':
+      return (
+        <span title="Refreshing..." class="flex-shrink-0">
+          <RefreshCw size={14} class="text-blue-400 animate-spin" />
+        </span>
+      );
+    case 'failed':
+      return (
+        <span title={`Refresh failed: ${refreshState.error || 'unknown error'}`} class="flex-shrink-0">
+          <AlertCircle size={14} class="text-red-400" />
+        </span>
+      );
+    case 'stale':
+      return <span title="Due for a refresh" class="w-2 h-2 rounded-full bg-yellow-400 flex-shrink-0" />;
+    default:
+      return null;
+  }
+}
+
+// Search results follow the header search box as the user types
+const showSearchResults = debounce((query, replace) => {
+  route(`/search?q=${encodeURIComponent(query)}`, replace);
+}, 300);
 
 // Main app component with sidebar and routing
 export function App() {
-  const [playlists, setPlaylists] = useState([]);
+  const { playlists } = usePlaylists();
+  const [refreshStates, setRefreshStates] = useState({});
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [currentUrl, setCurrentUrl] = useState(typeof window !== 'undefined' ? window.location.pathname : '/');
+  const [searchQuery, setSearchQuery] = useState('');
+  const searchInputRef = useRef(null);
   
   // Initialize history listener for scroll restoration on navigation
   useEffect(() => {
     initHistoryListener();
   }, []);
   
-  // Load playlists for the sidebar
+  // Load the CORS proxy settings early - logo fallbacks read them synchronously
+  useEffect(() => {
+    getProxySettings();
+  }, []);
+  
+  // Refresh programme guides in the background if they are out of date
+  useEffect(() => {
+    refreshEpg().catch(err => console.error('Failed to refresh EPG:', err));
+  }, []);
+  
+  // Work out each sidebar playlist's refresh state, again whenever a refresh starts or finishes
   useEffect(() => {
-    async function loadPlaylists() {
+    async function loadRefreshStates() {
       try {
-        const savedPlaylists = await getPlaylists();
-        setPlaylists(savedPlaylists);
+        const refreshStatus = await getRefreshStatus();
+        setRefreshStates(Object.fromEntries(playlists.map(playlist => [
+          playlist.id,
+          getPlaylistRefreshState(playlist, refreshStatus[playlist.id])
+        ])));
       } catch (err) {
-        console.error('Failed to load playlists for sidebar:', err);
+        console.error('Failed to load playlist refresh status:', err);
       }
     }
     
-    loadPlaylists();
-  }, []);
+    loadRefreshStates();
+    return subscribeRefreshStatus(loadRefreshStates);
+  }, [playlists]);
+  
+  useEffect(() => startRefreshScheduler(), []);
+  useEffect(() => startRevalidationScheduler(), []);
+  
+  useShortcuts({
+    search: () => {
+      searchInputRef.current?.focus();
+      searchInputRef.current?.select();
+    }
+  });
+  
+  const handleSearchInput = (e) => {
+    const query = e.target.value;
+    setSearchQuery(query);
+    // Typing on the results page updates it in place rather than adding history entries
+    if (query.trim()) showSearchResults(query.trim(), currentUrl.startsWith('/search'));
+  };
+  
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    showSearchResults.cancel();
+    if (searchQuery.trim()) route(`/search?q=${encodeURIComponent(searchQuery.trim())}`);
+  };
   
   // Enhanced route change handler to preserve PiP state
   const handleRouteChange = (event) => {
@@ -132,7 +208,8 @@ export function App() {
                             onClick={handleRouteChange}
                           >
                             <List size={16} />
-                            <span class="truncate">{playlist.name}</span>
+                            <span class="truncate flex-1">{playlist.name}</span>
+                            <RefreshStatusIcon refreshState={refreshStates[playlist.id]} />
                           </a>
                         </li>
                       ))}
@@ -189,11 +266,25 @@ export function App() {
                 <List size={24} />
               </button>
               
-              {/* You can add a search bar or other top bar content here */}
+              <form class="flex-1 max-w-xl" onSubmit={handleSearchSubmit} role="search">
+                <div class="relative">
+                  <SearchIcon size={16} class="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none" />
+                  <input
+                    ref={searchInputRef}
+                    type="search"
+                    value={searchQuery}
+                    onInput={handleSearchInput}
+                    placeholder="Search channels, favorites, history..."
+                    class="w-full bg-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Search everything"
+                  />
+                </div>
+              </form>
             </header>
             
             {/* Content area */}
             <main class="flex-1 p-4 md:p-6 overflow-auto">
+              <MigrationNotice />
               <Router onChange={handleRouteChange}>
                 <Home path="/" />
                 <Player path="/watch/:id" />
@@ -204,12 +295,14 @@ export function App() {
                 <PlaylistView path="/playlist/:id" />
                 <CategoryView path="/category/:id" />
                 <About path="/about" />
+                <Search path="/search" />
               </Router>
             </main>
           </div>
         </div>
         
         <PictureInPictureOverlay />
+        <KeyboardShortcuts />
       </PipAwareAppLayout>
     </PictureInPictureProvider>
   );
@@ -0,0 +1,189 @@
+import { h } from 'preact';
+import { useState, useRef } from 'preact/hooks';
+import { Download, Upload, X } from 'lucide-preact';
+import { createBackup, serializeBackup, parseBackup, describeBackup, restoreBackup, BACKUP_SECTIONS } from '../utils/backup';
+import { saveFile } from '../utils/download';
+
+const RESTORE_MODES = [
+  { id: 'merge', label: 'Merge' },
+  { id: 'replace', label: 'Replace' },
+  { id: 'skip', label: 'Skip' }
+];
+
+/**
+ * Export all user data to a file, and restore it with a preview and a merge/replace choice per section
+ * @param {Object} props - { onRestored: called after a restore so the page can reload its data }
+ */
+export function BackupPanel({ onRestored }) {
+  const [compress, setCompress] = useState(true);
+  const [includeCredentials, setIncludeCredentials] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [pending, setPending] = useState(null);
+  const [modes, setModes] = useState({});
+  const [results, setResults] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const backup = await createBackup({ includeCredentials });
+      const date = backup.createdAt.slice(0, 10);
+      saveFile(
+        serializeBackup(backup, compress),
+        compress ? `iptv-backup-${date}.iptvbackup` : `iptv-backup-${date}.json`,
+        compress ? 'text/plain' : 'application/json'
+      );
+    } catch (err) {
+      console.error('Failed to export backup:', err);
+      setError(`Failed to export backup: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setResults(null);
+    try {
+      const backup = parseBackup(await file.text());
+      const summary = describeBackup(backup);
+      if (summary.length === 0) {
+        throw new Error('The backup contains no data.');
+      }
+      setPending({ fileName: file.name, backup, summary });
+      setModes(Object.fromEntries(summary.map(section => [section.id, 'merge'])));
+    } catch (err) {
+      setPending(null);
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    const replaced = pending.summary.filter(section => modes[section.id] === 'replace');
+    if (replaced.length > 0 && !confirm(
+      `This will delete your current ${replaced.map(section => section.label.toLowerCase()).join(', ')} before restoring. Continue?`
+    )) {
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      setResults(await restoreBackup(pending.backup, modes));
+      setPending(null);
+      onRestored?.();
+    } catch (err) {
+      console.error('Failed to restore backup:', err);
+      setError(`Failed to restore backup: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={busy}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          Export Backup
+        </button>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={compress} onChange={e => setCompress(e.target.checked)} />
+          Compress
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={includeCredentials} onChange={e => setIncludeCredentials(e.target.checked)} />
+          Include Xtream passwords
+        </label>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+          className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+        >
+          <Upload className="w-4 h-4" />
+          Restore from File
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.iptvbackup,application/json,text/plain"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {includeCredentials && (
+        <p className="text-yellow-300 text-xs mt-2">
+          The backup file will contain your Xtream passwords as plain text. Keep it somewhere only you can read.
+        </p>
+      )}
+
+      {error && <div className="text-red-400 text-sm mt-4">{error}</div>}
+
+      {pending && (
+        <div className="mt-4 p-4 bg-gray-700 rounded-lg">
+          <div className="flex items-start justify-between gap-3 mb-3">
+            <div className="min-w-0">
+              <h4 className="font-medium truncate">{pending.fileName}</h4>
+              <p className="text-xs text-gray-400">Made {new Date(pending.backup.createdAt).toLocaleString()}</p>
+            </div>
+            <button type="button" onClick={() => setPending(null)} className="p-1 text-gray-400 hover:text-white" title="Cancel">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <p className="text-xs text-gray-400 mb-3">
+            Merge adds what isn't here yet and keeps your current data. Replace deletes the current data in that section first.
+          </p>
+
+          <ul className="space-y-2">
+            {pending.summary.map(section => (
+              <li key={section.id} className="flex items-center justify-between gap-3 text-sm">
+                <div className="min-w-0">
+                  <p>{section.label} <span className="text-gray-400">({section.count})</span></p>
+                  {section.details && <p className="text-xs text-gray-500 truncate" title={section.details}>{section.details}</p>}
+                </div>
+                <select
+                  value={modes[section.id]}
+                  onChange={e => setModes({ ...modes, [section.id]: e.target.value })}
+                  className="px-2 py-1 bg-gray-800 border border-gray-600 rounded text-sm"
+                >
+                  {RESTORE_MODES.map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.label}</option>
+                  ))}
+                </select>
+              </li>
+            ))}
+          </ul>
+
+          <button
+            type="button"
+            onClick={handleRestore}
+            disabled={busy || pending.summary.every(section => modes[section.id] === 'skip')}
+            className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {busy ? 'Restoring...' : 'Restore'}
+          </button>
+        </div>
+      )}
+
+      {results && (
+        <div className="mt-4 text-sm text-green-400">
+          Restore complete. {Object.entries(results).map(([id, count]) => `${BACKUP_SECTIONS[id]}: ${count} added`).join('; ')}
+        </div>
+      )}
+    </div>
+  );
+}
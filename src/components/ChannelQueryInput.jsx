@@ -0,0 +1,103 @@
+import { h } from 'preact';
+import { useState, useMemo, useRef } from 'preact/hooks';
+import { Search, X } from 'lucide-preact';
+import { collectQueryValues, getQuerySuggestions, QUERY_FIELDS } from '../utils/channelQuery';
+
+const SYNTAX_HELP = [
+  'Filter with words, "quoted phrases" and fields, e.g.',
+  'group:news lang:eng country:us res:>=720 status:online -shopping',
+  '',
+  ...Object.entries(QUERY_FIELDS).map(([name, field]) => `${name}: ${field.description}`),
+  '',
+  'Put - in front of a term to leave its matches out.'
+].join('\n');
+
+/**
+ * Search box for the channel filter query language, suggesting field names and the
+ * values found in the list as the user types
+ * @param {Object} props - { value, onChange, channels: the list being filtered, context:
+ *   see createChannelFilter, placeholder, className }
+ */
+export function ChannelQueryInput({ value, onChange, channels = [], context, placeholder = 'Filter channels...', className = '' }) {
+  const [focused, setFocused] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef(null);
+
+  const values = useMemo(() => collectQueryValues(channels, context), [channels, context]);
+  const suggestions = focused ? getQuerySuggestions(value, values) : [];
+
+  const accept = (suggestion) => {
+    onChange(suggestion.text);
+    setHighlighted(0);
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setFocused(false);
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder={placeholder}
+        aria-label={placeholder}
+        title={SYNTAX_HELP}
+        className="w-full px-4 py-2 pl-10 pr-9 bg-gray-700 rounded-lg border border-gray-600 text-sm"
+        value={value}
+        onInput={(e) => {
+          onChange(e.target.value);
+          setFocused(true);
+          setHighlighted(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        autoComplete="off"
+        spellcheck={false}
+      />
+      <Search className="absolute left-3 top-2.5 w-4 h-4 text-gray-400 pointer-events-none" />
+      {value && (
+        <button
+          onClick={() => onChange('')}
+          className="absolute right-3 top-2.5 text-gray-400 hover:text-white"
+          title="Clear filter"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+
+      {suggestions.length > 0 && (
+        <ul className="absolute z-20 left-0 right-0 mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg overflow-hidden text-sm">
+          {suggestions.map((suggestion, index) => (
+            <li key={suggestion.label}>
+              <button
+                // Keep the focus in the input, so the list stays until the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => accept(suggestion)}
+                className={`w-full text-left px-3 py-1.5 flex justify-between gap-3 ${
+                  index === highlighted ? 'bg-blue-600' : 'hover:bg-gray-700'
+                }`}
+              >
+                <span className="font-mono truncate">{suggestion.label}</span>
+                {suggestion.detail && <span className="text-xs text-gray-400 flex-shrink-0">{suggestion.detail}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
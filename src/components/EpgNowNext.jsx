@@ -0,0 +1,102 @@
+import { h } from 'preact';
+import { useEffect, useState } from 'preact/hooks';
+import { Clock } from 'lucide-preact';
+import { getNowNext, resolveGuideId } from '../utils/epg';
+
+const formatTime = (time) =>
+  new Date(time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Shows the current and next programme for a channel from the stored EPG.
+ * Channels without a usable tvg-id are matched to the guide by name.
+ * Renders nothing when there is no guide data for the channel.
+ */
+export function EpgNowNext({ tvgId, name, shift = 0, compact = false, className = '' }) {
+  const [nowNext, setNowNext] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timerId = null;
+
+    const load = async () => {
+      try {
+        const guideId = await resolveGuideId(tvgId, name);
+        if (cancelled) return;
+        if (!guideId) {
+          setNowNext(null);
+          return;
+        }
+
+        const result = await getNowNext(guideId, Date.now(), shift);
+        if (cancelled) return;
+        setNowNext(result.now || result.next ? result : null);
+
+        // Re-render when the current programme ends
+        const changeAt = result.now?.stop || result.next?.start;
+        if (changeAt && changeAt > Date.now()) {
+          timerId = setTimeout(load, Math.min(changeAt - Date.now() + 1000, 60 * 60 * 1000));
+        }
+      } catch (error) {
+        console.error('Error loading now/next programme:', error);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (timerId) clearTimeout(timerId);
+    };
+  }, [tvgId, name, shift]);
+
+  if (!nowNext) return null;
+
+  const { now, next } = nowNext;
+
+  if (compact) {
+    return (
+      <div className={`text-xs text-gray-400 truncate ${className}`}>
+        {now ? (
+          <span title={now.description || now.title}>
+            <span className="text-green-400">Now:</span> {now.title}
+          </span>
+        ) : (
+          <span title={next.description || next.title}>
+            <span className="text-gray-500">{formatTime(next.start)}:</span> {next.title}
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  const progress = now
+    ? Math.min(100, Math.max(0, ((Date.now() - now.start) / (now.stop - now.start)) * 100))
+    : 0;
+
+  return (
+    <div className={`text-sm ${className}`}>
+      {now && (
+        <div className="mb-1">
+          <div className="flex items-center gap-2">
+            <span className="text-xs font-semibold uppercase text-green-400">Now</span>
+            <span className="text-gray-200 truncate" title={now.description || now.title}>{now.title}</span>
+            <span className="text-xs text-gray-400 flex-shrink-0">
+              {formatTime(now.start)} - {formatTime(now.stop)}
+            </span>
+          </div>
+          <div className="h-1 bg-gray-700 rounded-full mt-1 overflow-hidden max-w-xs">
+            <div className="h-full bg-green-500" style={{ width: `${progress}%` }} />
+          </div>
+        </div>
+      )}
+      {next && (
+        <div className="flex items-center gap-2 text-gray-400">
+          <Clock className="w-3 h-3 flex-shrink-0" />
+          <span className="text-xs font-semibold uppercase">Next</span>
+          <span className="truncate" title={next.description || next.title}>{next.title}</span>
+          <span className="text-xs flex-shrink-0">{formatTime(next.start)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
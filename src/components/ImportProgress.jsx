@@ -0,0 +1,46 @@
+import { h } from 'preact';
+import { X } from 'lucide-preact';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Progress bar for a playlist import running in the parser worker.
+ * progress is { receivedBytes, totalBytes, channelCount } from parsePlaylistInWorker;
+ * without a known size the bar pulses instead of filling.
+ */
+export function ImportProgress({ progress, onCancel, className = '' }) {
+  const { receivedBytes = 0, totalBytes = 0, channelCount = 0 } = progress || {};
+  const percent = totalBytes > 0 ? Math.min(100, Math.round((receivedBytes / totalBytes) * 100)) : null;
+
+  return (
+    <div className={`bg-gray-700 rounded-lg p-3 ${className}`}>
+      <div className="flex items-center justify-between text-sm text-gray-300 mb-2">
+        <span>
+          {channelCount.toLocaleString()} channels
+          {receivedBytes > 0 && (
+            <span className="text-gray-400">
+              {' '}· {formatMegabytes(receivedBytes)}{totalBytes > 0 ? ` of ${formatMegabytes(totalBytes)}` : ''}
+            </span>
+          )}
+        </span>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex items-center gap-1 text-gray-300 hover:text-white"
+          >
+            <X className="w-4 h-4" />
+            Cancel
+          </button>
+        )}
+      </div>
+      <div className="h-2 bg-gray-600 rounded-full overflow-hidden">
+        {percent !== null ? (
+          <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+        ) : (
+          <div className="h-full w-1/3 bg-blue-500 animate-pulse" />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import { h } from 'preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { RefreshCw, Trash2, X } from 'lucide-preact';
+import { useInvalidStreams } from '../hooks/useStore';
+import { clearInvalidStreams, findChannelByUrl } from '../utils/playlist';
+import { getRecheckAt, getDueStreams, retestStreams } from '../utils/streamRevalidation';
+
+// Rows shown before "Show all"
+const PAGE_SIZE = 50;
+
+function formatRecheck(recheckAt) {
+  const minutes = Math.round((recheckAt - Date.now()) / 60000);
+  if (minutes <= 0) return 'due now';
+  if (minutes < 60) return `in ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `in ${hours} h` : `in ${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Lists the streams marked invalid with why they failed and when they'll be rechecked,
+ * and lets the user retest or clear them
+ */
+export function InvalidStreamsPanel() {
+  const { invalidStreams, loading } = useInvalidStreams();
+  const [names, setNames] = useState({});
+  const [showAll, setShowAll] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState('');
+  const controllerRef = useRef(null);
+
+  const entries = Object.entries(invalidStreams)
+    .sort(([, a], [, b]) => (b.timestamp || 0) - (a.timestamp || 0));
+  const shown = showAll ? entries : entries.slice(0, PAGE_SIZE);
+  const due = getDueStreams(invalidStreams);
+
+  // Look up channel names for the rows on screen
+  useEffect(() => {
+    const missing = shown.map(([url]) => url).filter(url => !(url in names));
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(missing.map(url => findChannelByUrl(url))).then(channels => {
+      if (cancelled) return;
+      setNames(prev => ({
+        ...prev,
+        ...Object.fromEntries(missing.map((url, i) => [url, channels[i]?.name || null]))
+      }));
+    });
+    return () => { cancelled = true; };
+  }, [invalidStreams, showAll]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const retest = async (urls) => {
+    if (progress || urls.length === 0) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setMessage('');
+    setProgress({ done: 0, total: urls.length });
+    try {
+      const result = await retestStreams(urls, { signal: controller.signal, onProgress: setProgress });
+      if (!controller.signal.aborted) {
+        setMessage(`${result.online} back online, ${result.offline} still failing.`);
+      }
+    } catch (error) {
+      console.error('Error retesting streams:', error);
+      setMessage(`Retest failed: ${error.message}`);
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const clearAll = async () => {
+    if (!confirm(`Forget all ${entries.length} invalid streams? They will be tried again as if they had never failed.`)) return;
+    await clearInvalidStreams();
+    setMessage('');
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-400">Loading...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-400">No streams are marked invalid.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button
+          onClick={() => retest(due)}
+          disabled={!!progress || due.length === 0}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded text-sm flex items-center gap-1"
+        >
+          <RefreshCw size={14} /> Retest due ({due.length})
+        </button>
+        <button
+          onClick={() => retest(entries.map(([url]) => url))}
+          disabled={!!progress}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed rounded text-sm flex items-center gap-1"
+        >
+          <RefreshCw size={14} /> Retest all
+        </button>
+        <button
+          onClick={clearAll}
+          disabled={!!progress}
+          className="px-3 py-1.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed rounded text-sm flex items-center gap-1"
+        >
+          <Trash2 size={14} /> Clear all
+        </button>
+        {progress && (
+          <span className="text-sm text-gray-400 flex items-center gap-2">
+            Retesting {progress.done}/{progress.total}...
+            <button
+              onClick={() => controllerRef.current?.abort()}
+              className="text-gray-400 hover:text-white"
+              title="Stop retesting"
+            >
+              <X size={14} />
+            </button>
+          </span>
+        )}
+        {!progress && message && <span className="text-sm text-gray-400">{message}</span>}
+      </div>
+
+      <ul className="divide-y divide-gray-700 text-sm">
+        {shown.map(([url, record]) => (
+          <li key={url} className="py-2 flex items-start gap-3">
+            <div className="flex-1 min-w-0">
+              <div className="font-medium truncate">{names[url] || url}</div>
+              {names[url] && <div className="text-xs text-gray-500 truncate">{url}</div>}
+              <div className="text-xs text-red-300 truncate" title={record.reason}>{record.reason || 'Unknown error'}</div>
+              <div className="text-xs text-gray-500">
+                Failed {record.attempts || 1} {record.attempts > 1 ? 'times' : 'time'}, last {new Date(record.timestamp).toLocaleString()}
+                {' · '}recheck {formatRecheck(getRecheckAt(record))}
+              </div>
+            </div>
+            <button
+              onClick={() => retest([url])}
+              disabled={!!progress}
+              className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50"
+              title="Retest this stream"
+            >
+              <RefreshCw size={14} />
+            </button>
+            <button
+              onClick={() => clearInvalidStreams([url])}
+              disabled={!!progress}
+              className="p-1.5 text-gray-400 hover:text-red-400 disabled:opacity-50"
+              title="Clear - try this stream again as normal"
+            >
+              <X size={14} />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {entries.length > PAGE_SIZE && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-3 text-sm text-blue-400 hover:text-blue-300"
+        >
+          {showAll ? 'Show fewer' : `Show all ${entries.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { Keyboard, X } from 'lucide-preact';
+import { useShortcutBindings } from '../hooks/useStore';
+import { useShortcuts } from '../hooks/useShortcuts';
+import {
+  SHORTCUT_ACTIONS, SHORTCUT_SCOPES, handleShortcutEvent, getActiveShortcutActions, formatCombo
+} from '../utils/shortcuts';
+
+/**
+ * The keys bound to an action, as key caps
+ * @param {Object} props - { keys: combos, className }
+ */
+export function ShortcutKeys({ keys, className = '' }) {
+  if (keys.length === 0) {
+    return <span className={`text-xs text-gray-500 ${className}`}>No key</span>;
+  }
+
+  return (
+    <span className={`flex flex-wrap gap-1 ${className}`}>
+      {keys.map(combo => (
+        <kbd key={combo} className="px-1.5 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs font-mono">
+          {formatCombo(combo)}
+        </kbd>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Listens for shortcut keys across the app and shows the "?" overlay listing the
+ * shortcuts that work on the current page. Mounted once, in the app layout.
+ */
+export function KeyboardShortcuts() {
+  const { bindings } = useShortcutBindings();
+  const [activeActions, setActiveActions] = useState(null);
+
+  useEffect(() => {
+    const onKeyDown = (e) => handleShortcutEvent(e, bindings);
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [bindings]);
+
+  useShortcuts({
+    showShortcuts: () => setActiveActions(current => (current ? null : getActiveShortcutActions()))
+  });
+
+  // Escape closes the overlay - it isn't a bindable shortcut, so it's handled here
+  useEffect(() => {
+    if (!activeActions) return;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setActiveActions(null);
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [activeActions]);
+
+  if (!activeActions) return null;
+
+  const scopes = Object.entries(SHORTCUT_SCOPES)
+    .map(([scope, label]) => ({
+      label,
+      actions: activeActions.filter(id => SHORTCUT_ACTIONS[id].scope === scope)
+    }))
+    .filter(({ actions }) => actions.length > 0);
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center z-50 bg-black/70 p-4" onClick={() => setActiveActions(null)}>
+      <div
+        className="bg-gray-800 p-6 rounded-lg max-w-lg w-full max-h-[80vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold flex items-center gap-2">
+            <Keyboard className="w-5 h-5" />
+            Keyboard Shortcuts
+          </h3>
+          <button
+            onClick={() => setActiveActions(null)}
+            className="p-1 rounded hover:bg-gray-700"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {scopes.map(({ label, actions }) => (
+          <div key={label} className="mb-4">
+            <h4 className="text-sm font-semibold text-gray-400 mb-2">{label}</h4>
+            <ul className="space-y-1.5">
+              {actions.map(id => (
+                <li key={id} className="flex items-center justify-between gap-4 text-sm">
+                  <span>{SHORTCUT_ACTIONS[id].label}</span>
+                  <ShortcutKeys keys={bindings[id]} className="justify-end" />
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        <p className="text-xs text-gray-400">
+          Change the keys in <a href="/settings" className="text-blue-400 hover:underline" onClick={() => setActiveActions(null)}>Settings</a>.
+        </p>
+      </div>
+    </div>
+  );
+}
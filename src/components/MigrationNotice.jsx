@@ -0,0 +1,61 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { AlertTriangle, Download, X } from 'lucide-preact';
+import { getMigrationStatus, getMigrationBackup } from '../utils/idbStorage';
+import { saveFile } from '../utils/download';
+
+/**
+ * Banner shown when stored data could not be upgraded to the current schema version,
+ * with a way to download the backup taken before the upgrade.
+ */
+export function MigrationNotice() {
+  const [status, setStatus] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => {
+    getMigrationStatus().then(setStatus);
+  }, []);
+
+  if (!status?.failed || dismissed) return null;
+
+  const downloadBackup = async () => {
+    const backup = await getMigrationBackup();
+    if (!backup) {
+      alert('No backup was found.');
+      return;
+    }
+
+    saveFile(JSON.stringify(backup), `iptv-backup-${backup.takenAt.slice(0, 10)}.json`, 'application/json');
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-red-900/40 border border-red-700 rounded-lg text-sm flex items-start gap-3">
+      <AlertTriangle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <p className="font-medium text-red-200">Some saved data could not be upgraded</p>
+        <p className="text-red-300 mt-1">
+          {status.failed.description} (step {status.failed.version}): {status.failed.error}.
+          {' '}It will be tried again the next time the app starts.
+        </p>
+        {status.backupTakenAt && (
+          <button
+            type="button"
+            onClick={downloadBackup}
+            className="mt-2 flex items-center gap-1 text-red-200 hover:text-white"
+          >
+            <Download className="w-4 h-4" />
+            Download the backup from {new Date(status.backupTakenAt).toLocaleString()}
+          </button>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={() => setDismissed(true)}
+        className="p-1 text-red-300 hover:text-white"
+        title="Dismiss"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { X, ChevronDown, ChevronRight } from 'lucide-preact';
+import { hasChanges } from '../utils/playlistDiff';
+
+const SECTIONS = [
+  { key: 'added', label: 'Added', color: 'text-green-400' },
+  { key: 'removed', label: 'Removed', color: 'text-red-400' },
+  { key: 'renamed', label: 'Renamed', color: 'text-yellow-400' },
+  { key: 'urlChanged', label: 'URL changed', color: 'text-blue-400' }
+];
+
+function describeEntry(key, entry) {
+  switch (key) {
+    case 'renamed':
+      return `${entry.from} → ${entry.to}`;
+    case 'urlChanged':
+      return `${entry.name}: ${entry.to}`;
+    default:
+      return entry.group ? `${entry.name} (${entry.group})` : entry.name;
+  }
+}
+
+function DiffSection({ sectionKey, label, color, entries, count }) {
+  const [open, setOpen] = useState(false);
+  if (!count) return null;
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-1 ${color} hover:underline`}
+      >
+        {open ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+        {label}: {count}
+      </button>
+      {open && (
+        <ul className="ml-4 mt-1 max-h-40 overflow-y-auto text-gray-300 space-y-0.5">
+          {entries.map((entry, index) => (
+            <li key={index} className="truncate" title={entry.url || entry.to || ''}>
+              {describeEntry(sectionKey, entry)}
+            </li>
+          ))}
+          {count > entries.length && (
+            <li className="text-gray-500">…and {count - entries.length} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows what the last refreshes of a playlist changed.
+ * diffs are the stored reports from getPlaylistDiffs, newest first.
+ */
+export function PlaylistDiffReport({ diffs, onClose, className = '' }) {
+  const [selected, setSelected] = useState(0);
+  if (!diffs || diffs.length === 0) return null;
+
+  const diff = diffs[Math.min(selected, diffs.length - 1)];
+
+  return (
+    <div className={`bg-gray-800 border border-gray-700 rounded-lg p-3 text-xs ${className}`}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-gray-300">
+          <span className="font-medium">Refresh changes</span>
+          {diffs.length > 1 ? (
+            <select
+              value={selected}
+              onChange={e => setSelected(Number(e.target.value))}
+              className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5"
+            >
+              {diffs.map((item, index) => (
+                <option key={item.at} value={index}>{new Date(item.at).toLocaleString()}</option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-gray-500">{new Date(diff.at).toLocaleString()}</span>
+          )}
+        </div>
+        {onClose && (
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {hasChanges(diff) ? (
+        <div className="space-y-1">
+          {SECTIONS.map(section => (
+            <DiffSection
+              key={section.key}
+              sectionKey={section.key}
+              label={section.label}
+              color={section.color}
+              entries={diff[section.key] || []}
+              count={diff.counts[section.key]}
+            />
+          ))}
+          <p className="text-gray-500">{diff.counts.unchanged} unchanged · {diff.total} channels in total</p>
+        </div>
+      ) : (
+        <p className="text-gray-400">No changes - all {diff.total} channels are the same as before.</p>
+      )}
+    </div>
+  );
+}
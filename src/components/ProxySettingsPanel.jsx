@@ -0,0 +1,286 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { Plus, Trash2, ArrowUp, ArrowDown, RefreshCw, CheckCircle, XCircle } from 'lucide-preact';
+import { getProxyAttempts, clearProxyAttempts, validateProxyTemplate, ATTEMPT_KINDS } from '../utils/proxySettings';
+import { detectCompanionProxy } from '../utils/companionProxy';
+
+// Attempts shown in the log; older ones are kept in storage but not listed
+const ATTEMPTS_SHOWN = 30;
+
+function ProxyAttemptLog() {
+  const [attempts, setAttempts] = useState([]);
+
+  const loadAttempts = async () => {
+    setAttempts(await getProxyAttempts());
+  };
+
+  useEffect(() => {
+    loadAttempts();
+  }, []);
+
+  const handleClear = async () => {
+    await clearProxyAttempts();
+    setAttempts([]);
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium">Recent attempts</h4>
+        <div className="flex items-center gap-3 text-xs">
+          <button type="button" onClick={loadAttempts} className="flex items-center gap-1 text-blue-400 hover:text-blue-300">
+            <RefreshCw className="w-3 h-3" />
+            Reload
+          </button>
+          {attempts.length > 0 && (
+            <button type="button" onClick={handleClear} className="text-gray-400 hover:text-gray-300">
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {attempts.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing recorded yet.</p>
+      ) : (
+        <ul className="text-xs space-y-1 max-h-64 overflow-y-auto">
+          {attempts.slice(0, ATTEMPTS_SHOWN).map((attempt, index) => (
+            <li key={`${attempt.at}_${index}`} className="flex items-start gap-2 bg-gray-700 rounded px-2 py-1">
+              {attempt.ok
+                ? <CheckCircle className="w-3 h-3 mt-0.5 text-green-400 flex-shrink-0" />
+                : <XCircle className="w-3 h-3 mt-0.5 text-red-400 flex-shrink-0" />}
+              <div className="min-w-0 flex-1">
+                <div className="flex flex-wrap gap-x-2 text-gray-300">
+                  <span>{ATTEMPT_KINDS[attempt.kind] || attempt.kind}</span>
+                  <span className="text-gray-400">via {attempt.proxyName}</span>
+                  <span className="text-gray-500">{new Date(attempt.at).toLocaleString()}</span>
+                </div>
+                <p className="text-gray-500 truncate" title={attempt.url}>{attempt.url}</p>
+                {attempt.error && <p className="text-red-400 truncate" title={attempt.error}>{attempt.error}</p>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function CompanionProxySettings({ enabled, url, onChange }) {
+  const [status, setStatus] = useState('checking');
+
+  const check = async (force = false) => {
+    setStatus('checking');
+    setStatus((await detectCompanionProxy(url, force)) ? 'running' : 'missing');
+  };
+
+  useEffect(() => {
+    check();
+  }, []);
+
+  return (
+    <div className="mt-4 p-3 bg-gray-700 rounded-lg text-sm">
+      <label className="flex items-center gap-2 text-gray-300">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={e => onChange({ useCompanion: e.target.checked })}
+        />
+        Use the local stream proxy when it is running
+      </label>
+      <div className="flex items-center gap-2 mt-2">
+        <input
+          type="url"
+          value={url}
+          onInput={e => onChange({ companionUrl: e.target.value })}
+          className="flex-1 min-w-0 px-2 py-1 bg-gray-800 rounded border border-gray-600 font-mono"
+        />
+        <button type="button" onClick={() => check(true)} className="text-blue-400 hover:text-blue-300">
+          Check
+        </button>
+      </div>
+      <p className={`text-xs mt-1 ${status === 'running' ? 'text-green-400' : 'text-gray-400'}`}>
+        {status === 'checking' && 'Looking for the local stream proxy...'}
+        {status === 'running' && 'Running - channels that need a Referer or User-Agent are played through it.'}
+        {status === 'missing' && 'Not running. Start it with "npm run proxy" to play channels that need extra headers.'}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Editor for the CORS proxy chain and a log of which proxies worked.
+ * settings comes from getProxySettings; onSave receives the edited settings and may throw.
+ */
+export function ProxySettingsPanel({ settings, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  if (!draft) return null;
+
+  const update = (changes) => {
+    setDraft({ ...draft, ...changes });
+    setSaved(false);
+  };
+
+  const updateProxy = (index, changes) => {
+    update({ proxies: draft.proxies.map((proxy, i) => i === index ? { ...proxy, ...changes } : proxy) });
+  };
+
+  const moveProxy = (index, offset) => {
+    const proxies = [...draft.proxies];
+    const [proxy] = proxies.splice(index, 1);
+    proxies.splice(index + offset, 0, proxy);
+    update({ proxies });
+  };
+
+  const addProxy = () => {
+    update({ proxies: [...draft.proxies, { id: null, name: '', template: '', enabled: true }] });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(draft);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message || 'Failed to save proxy settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave}>
+      <div className="space-y-2">
+        {draft.proxies.length === 0 && (
+          <p className="text-sm text-gray-500">No proxies - requests are only made directly.</p>
+        )}
+        {draft.proxies.map((proxy, index) => {
+          const problem = proxy.template ? validateProxyTemplate(proxy.template) : null;
+          return (
+            <div key={proxy.id || `new_${index}`} className="p-3 bg-gray-700 rounded-lg">
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={proxy.enabled}
+                  onChange={e => updateProxy(index, { enabled: e.target.checked })}
+                  title="Use this proxy"
+                />
+                <input
+                  type="text"
+                  value={proxy.name}
+                  onInput={e => updateProxy(index, { name: e.target.value })}
+                  placeholder="Name"
+                  className="w-32 px-2 py-1 text-sm bg-gray-800 rounded border border-gray-600"
+                />
+                <input
+                  type="text"
+                  value={proxy.template}
+                  onInput={e => updateProxy(index, { template: e.target.value })}
+                  placeholder="https://proxy.example.com/?url={url}"
+                  className="flex-1 min-w-0 px-2 py-1 text-sm bg-gray-800 rounded border border-gray-600 font-mono"
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => moveProxy(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                  title="Try earlier"
+                >
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveProxy(index, 1)}
+                  disabled={index === draft.proxies.length - 1}
+                  className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                  title="Try later"
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => update({ proxies: draft.proxies.filter((_, i) => i !== index) })}
+                  className="p-1 text-red-400 hover:text-red-300"
+                  title="Remove proxy"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              {problem && <p className="text-xs text-red-400 mt-1">{problem}</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      <button type="button" onClick={addProxy} className="mt-2 flex items-center gap-1 text-sm text-blue-400 hover:text-blue-300">
+        <Plus className="w-4 h-4" />
+        Add proxy
+      </button>
+
+      <div className="flex flex-wrap gap-4 mt-4 text-sm text-gray-300">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.useForStreams}
+            onChange={e => update({ useForStreams: e.target.checked })}
+          />
+          Use for streams
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.useForLogos}
+            onChange={e => update({ useForLogos: e.target.checked })}
+          />
+          Use for channel logos
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.useForCredentials}
+            onChange={e => update({ useForCredentials: e.target.checked })}
+          />
+          Use for Xtream accounts
+        </label>
+      </div>
+      {draft.useForCredentials && (
+        <p className="text-xs text-yellow-300 mt-2">
+          Xtream requests carry your username and password, so the proxy operators can see them.
+          The local stream proxy is used for Xtream accounts either way.
+        </p>
+      )}
+
+      <CompanionProxySettings
+        enabled={draft.useCompanion}
+        url={draft.companionUrl}
+        onChange={update}
+      />
+
+      {error && <p className="text-sm text-red-400 mt-3">{error}</p>}
+
+      <div className="flex items-center gap-3 mt-4">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Proxies'}
+        </button>
+        {saved && <span className="text-sm text-green-400">Saved</span>}
+      </div>
+
+      <ProxyAttemptLog />
+    </form>
+  );
+}
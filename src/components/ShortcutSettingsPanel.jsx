@@ -0,0 +1,126 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { Plus, RotateCcw, X } from 'lucide-preact';
+import { useShortcutBindings } from '../hooks/useStore';
+import {
+  SHORTCUT_ACTIONS, SHORTCUT_SCOPES, eventToCombo, formatCombo, bindShortcut, unbindShortcut, resetShortcuts
+} from '../utils/shortcuts';
+
+const isDefault = (id, keys) => {
+  const defaults = SHORTCUT_ACTIONS[id].keys;
+  return keys.length === defaults.length && keys.every((key, index) => key === defaults[index]);
+};
+
+/**
+ * Lists every shortcut with its keys, and lets the user add keys by pressing them,
+ * remove keys and go back to the defaults
+ */
+export function ShortcutSettingsPanel() {
+  const { bindings } = useShortcutBindings();
+  // Action waiting for a key press
+  const [capturing, setCapturing] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!capturing) return;
+
+    // Capture phase, so the key isn't also taken as a shortcut
+    const onKeyDown = async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setCapturing(null);
+        return;
+      }
+
+      const combo = eventToCombo(e);
+      if (!combo) return; // A modifier on its own - wait for the rest of the combo
+      setCapturing(null);
+
+      try {
+        const { movedFrom } = await bindShortcut(capturing, combo);
+        setMessage(movedFrom.length > 0
+          ? `${formatCombo(combo)} was moved from ${movedFrom.map(id => SHORTCUT_ACTIONS[id].label).join(', ')}.`
+          : '');
+      } catch (error) {
+        console.error('Error saving shortcut:', error);
+        setMessage(`Could not save the shortcut: ${error.message}`);
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [capturing]);
+
+  const run = async (change) => {
+    setMessage('');
+    try {
+      await change();
+    } catch (error) {
+      console.error('Error saving shortcuts:', error);
+      setMessage(`Could not save the shortcuts: ${error.message}`);
+    }
+  };
+
+  const allDefault = Object.entries(bindings).every(([id, keys]) => isDefault(id, keys));
+
+  return (
+    <div>
+      {Object.entries(SHORTCUT_SCOPES).map(([scope, scopeLabel]) => (
+        <div key={scope} className="mb-4">
+          <h4 className="text-sm font-semibold text-gray-400 mb-2">{scopeLabel}</h4>
+          <ul className="divide-y divide-gray-700">
+            {Object.entries(SHORTCUT_ACTIONS).filter(([, action]) => action.scope === scope).map(([id, action]) => (
+              <li key={id} className="flex flex-wrap items-center gap-2 py-2 text-sm">
+                <span className="flex-1 min-w-[10rem]">{action.label}</span>
+
+                {bindings[id].map(combo => (
+                  <span key={combo} className="flex items-center gap-1 pl-1.5 pr-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-xs font-mono">
+                    {formatCombo(combo)}
+                    <button
+                      onClick={() => run(() => unbindShortcut(id, combo))}
+                      className="text-gray-400 hover:text-white"
+                      title={`Remove ${formatCombo(combo)}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+
+                <button
+                  onClick={() => setCapturing(capturing === id ? null : id)}
+                  className={`flex items-center gap-1 px-2 py-0.5 rounded text-xs ${
+                    capturing === id ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {capturing === id ? 'Press a key... (Esc to cancel)' : <span className="flex items-center gap-1"><Plus className="w-3 h-3" /> Add key</span>}
+                </button>
+
+                {!isDefault(id, bindings[id]) && (
+                  <button
+                    onClick={() => run(() => resetShortcuts(id))}
+                    className="text-gray-400 hover:text-white"
+                    title="Back to the default keys"
+                  >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      {message && <p className="text-sm text-yellow-300 mb-3">{message}</p>}
+
+      <button
+        onClick={() => run(() => resetShortcuts())}
+        disabled={allDefault}
+        className="flex items-center gap-2 px-3 py-1.5 bg-gray-700 rounded-lg text-sm hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <RotateCcw className="w-4 h-4" />
+        Reset all to defaults
+      </button>
+    </div>
+  );
+}
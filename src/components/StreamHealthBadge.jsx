@@ -0,0 +1,42 @@
+import { h } from 'preact';
+import { HEALTH_STATUS, HEALTH_ERRORS } from '../utils/streamHealth';
+
+const STYLES = {
+  [HEALTH_STATUS.online]: { label: 'Online', dot: 'bg-green-500', text: 'text-green-300' },
+  [HEALTH_STATUS.offline]: { label: 'Offline', dot: 'bg-red-500', text: 'text-red-300' },
+  [HEALTH_STATUS.unknown]: { label: 'Unknown', dot: 'bg-gray-500', text: 'text-gray-400' }
+};
+
+function describe(result) {
+  if (!result) return 'Not checked yet - scan the playlist to check';
+
+  const when = new Date(result.checkedAt).toLocaleString();
+  if (result.markedInvalid) {
+    return `${result.error} · Marked invalid ${when}`;
+  }
+
+  const checked = `Checked ${when}`;
+  if (result.status === HEALTH_STATUS.online) {
+    return [`Answered in ${result.latency} ms`, result.resolution, checked].filter(Boolean).join(' · ');
+  }
+  return [HEALTH_ERRORS[result.errorClass], result.error, checked].filter(Boolean).join(' · ');
+}
+
+/**
+ * Shows whether a stream answered the last health scan.
+ * The tooltip has the latency and resolution, or why the stream failed.
+ */
+export function StreamHealthBadge({ result, className = '' }) {
+  const style = STYLES[result?.status] || STYLES[HEALTH_STATUS.unknown];
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs ${style.text} ${className}`}
+      title={describe(result)}
+    >
+      <span className={`w-2 h-2 rounded-full flex-shrink-0 ${style.dot}`} />
+      {style.label}
+      {result?.resolution && <span className="text-gray-500">{result.resolution.split('x')[1]}p</span>}
+    </span>
+  );
+}
@@ -3,6 +3,11 @@ import { useState, useContext, useEffect, useRef, useCallback } from 'preact/hoo
 import { route } from 'preact-router';
 import Hls from 'hls.js';
 import { savePipState, loadPipState, clearPipState } from '../utils/pipStateManager';
+import { getRefusedHeadersWarning } from '../utils/streamHeaders';
+import { getProxyChain, recordProxyAttempt } from '../utils/proxySettings';
+import { getStreamProxy, createStreamConfig, isProxyRetryError, nextStreamProxy } from '../utils/hlsProxyLoader';
+import { COMPANION_PROXY_ID } from '../utils/companionProxy';
+import { resolveXtreamUrl, hasXtreamPassword } from '../utils/xtream';
 
 // Debug flag - set to true to enable verbose logging
 const DEBUG_PIP = true;
@@ -307,11 +312,35 @@ export function PictureInPictureProvider({ children }) {
       // Save state for persistence (but not as pending anymore)
       savePipState(channel, streamUrl, {...options, pendingPiP: false});
       
+      // Xtream URLs are stored without the password - it only goes in for the request
+      const requestUrl = await resolveXtreamUrl(streamUrl);
+      
       // Set up streaming
       let initSuccess = false;
       if (Hls.isSupported()) {
         setPipStatus('loading');
-        const hls = new Hls({
+        
+        // Same proxy chain as the player: the playlist's override, and the companion
+        // proxy first for channels that need headers
+        let proxyAttempt = {
+          chain: await getProxyChain({
+            purpose: 'stream',
+            override: channel.proxyOverride || null,
+            httpOptions: channel.httpOptions,
+            credentials: hasXtreamPassword(channel.url)
+          }),
+          index: 0
+        };
+        
+        // The companion proxy sends the headers the browser refuses, so only warn without it
+        const headerWarning = proxyAttempt.chain[0].id === COMPANION_PROXY_ID
+          ? null
+          : getRefusedHeadersWarning(channel.httpOptions, channel.name);
+        if (headerWarning) {
+          console.warn('[PiP]', headerWarning);
+        }
+        
+        const pipHlsConfig = {
           enableWorker: true,
           lowLatencyMode: true,
           startLevel: -1,
@@ -328,133 +357,170 @@ export function PictureInPictureProvider({ children }) {
           manifestLoadingMaxRetryTimeout: 64000,
           levelLoadingTimeOut: 10000,
           fragLoadingTimeOut: 20000
-        });
+        };
         
-        // Set up event listeners
-        hls.on(Hls.Events.MEDIA_ATTACHED, () => {
-          debugLog("PiP: Media attached");
-        });
+        // Load the stream through the current proxy of the chain; called again with the next one
+        // when the stream refuses the page
+        const loadThroughProxy = () => {
+          const proxy = getStreamProxy(proxyAttempt);
+          let proxyRetryScheduled = false;
+          if (proxy.template) {
+            debugLog(`Loading stream through ${proxy.name}`);
+          }
+          // Apply the channel's #EXTVLCOPT / #KODIPROP headers where the browser allows
+          const hls = new Hls(createStreamConfig(pipHlsConfig, proxy, channel.httpOptions));
         
-        // Enhanced MANIFEST_PARSED handler with better error recovery
-        hls.on(Hls.Events.MANIFEST_PARSED, () => {
-          debugLog("PiP: Manifest parsed, ready to play");
-          initSuccess = true;
-          setPipStatus('ready');
+          // Set up event listeners
+          hls.on(Hls.Events.MEDIA_ATTACHED, () => {
+            debugLog("PiP: Media attached");
+          });
+        
+          // Enhanced MANIFEST_PARSED handler with better error recovery
+          hls.on(Hls.Events.MANIFEST_PARSED, () => {
+            debugLog("PiP: Manifest parsed, ready to play");
+            recordProxyAttempt({ kind: 'stream', url: streamUrl, proxy, ok: true });
+            initSuccess = true;
+            setPipStatus('ready');
           
-          // Start playback
-          newPipVideo.play().then(async () => {
-            setPipStatus('playing');
-            try {
-              // Request PiP mode (requires user gesture)
-              // If this fails, we'll provide a button in the overlay
-              await newPipVideo.requestPictureInPicture();
-              setPipVideo(newPipVideo);
-              setPipError(null);
-              setPipStatus('active');
+            // Start playback
+            newPipVideo.play().then(async () => {
+              setPipStatus('playing');
+              try {
+                // Request PiP mode (requires user gesture)
+                // If this fails, we'll provide a button in the overlay
+                await newPipVideo.requestPictureInPicture();
+                setPipVideo(newPipVideo);
+                setPipError(null);
+                setPipStatus('active');
               
-              // Apply volume setting
-              if (typeof options.volume === 'number') {
-                newPipVideo.volume = options.volume;
-              }
+                // Apply volume setting
+                if (typeof options.volume === 'number') {
+                  newPipVideo.volume = options.volume;
+                }
               
-              // Apply muted state if specified
-              if (options.wasMuted === false) {
-                setTimeout(() => {
-                  newPipVideo.muted = false;
-                }, 1000);
-              }
-            } catch (err) {
-              // If it's a user gesture error, we'll just keep the video playing
-              // and show a message to click on the indicator
-              if (err.name === 'NotAllowedError') {
-                debugLog('PiP requires user gesture:', err);
-                setPipVideo(newPipVideo); // Still set the video reference
-                setPipError('Click to activate PiP mode');
-                setPipStatus('needsActivation');
+                // Apply muted state if specified
+                if (options.wasMuted === false) {
+                  setTimeout(() => {
+                    newPipVideo.muted = false;
+                  }, 1000);
+                }
+              } catch (err) {
+                // If it's a user gesture error, we'll just keep the video playing
+                // and show a message to click on the indicator
+                if (err.name === 'NotAllowedError') {
+                  debugLog('PiP requires user gesture:', err);
+                  setPipVideo(newPipVideo); // Still set the video reference
+                  setPipError('Click to activate PiP mode');
+                  setPipStatus('needsActivation');
                 
-                // Set special flag in state to know we need activation
-                savePipState(channel, streamUrl, {...options, needsActivation: true});
-              } else {
-                console.error("Failed to enter PiP mode:", err);
-                setPipStatus('error');
-                cleanupPipResources();
-                setPipError("Failed to enter PiP mode: " + err.message);
+                  // Set special flag in state to know we need activation
+                  savePipState(channel, streamUrl, {...options, needsActivation: true});
+                } else {
+                  console.error("Failed to enter PiP mode:", err);
+                  setPipStatus('error');
+                  cleanupPipResources();
+                  setPipError("Failed to enter PiP mode: " + err.message);
+                }
               }
-            }
-          }).catch(e => {
-            console.error("PiP playback failed to start:", e);
-            setPipStatus('error');
-            cleanupPipResources();
-            setPipError("Playback failed to start: " + e.message);
+            }).catch(e => {
+              console.error("PiP playback failed to start:", e);
+              setPipStatus('error');
+              cleanupPipResources();
+              setPipError("Playback failed to start: " + e.message);
+            });
           });
-        });
         
-        // Enhanced ERROR handler to better recover from buffer stalls
-        hls.on(Hls.Events.ERROR, (event, data) => {
-          console.warn("PiP HLS error:", data.type, data.details);
+          // Enhanced ERROR handler to better recover from buffer stalls
+          hls.on(Hls.Events.ERROR, (event, data) => {
+            console.warn("PiP HLS error:", data.type, data.details);
           
-          // Special handling for buffer stalled errors
-          if (data.details === Hls.ErrorDetails.BUFFER_STALLED_ERROR) {
-            debugLog('Buffer stalled, attempting recovery...');
+            // Special handling for buffer stalled errors
+            if (data.details === Hls.ErrorDetails.BUFFER_STALLED_ERROR) {
+              debugLog('Buffer stalled, attempting recovery...');
             
-            try {
-              // Try to recover by jumping forward slightly
-              if (newPipVideo.readyState > 0 && !newPipVideo.paused) {
-                const currentTime = newPipVideo.currentTime;
-                newPipVideo.currentTime = currentTime + 0.5;
-                hls.startLoad();
+              try {
+                // Try to recover by jumping forward slightly
+                if (newPipVideo.readyState > 0 && !newPipVideo.paused) {
+                  const currentTime = newPipVideo.currentTime;
+                  newPipVideo.currentTime = currentTime + 0.5;
+                  hls.startLoad();
+                }
+                return; // Don't treat this as fatal
+              } catch (e) {
+                console.warn('Recovery from buffer stall failed:', e);
               }
-              return; // Don't treat this as fatal
-            } catch (e) {
-              console.warn('Recovery from buffer stall failed:', e);
             }
-          }
           
-          if (data.fatal) {
-            setPipStatus('error');
-            switch (data.type) {
-              case Hls.ErrorTypes.NETWORK_ERROR:
-                // For network errors, try to recover
-                debugLog('PiP fatal network error, trying to recover');
-                setPipError(`Network error: ${data.details}`);
-                hls.startLoad();
-                break;
-              case Hls.ErrorTypes.MEDIA_ERROR:
-                // For media errors, try to recover
-                debugLog('PiP fatal media error, trying to recover');
-                setPipError(`Media error: ${data.details}`);
-                hls.recoverMediaError();
-                break;
-              default:
-                // For other fatal errors, give up
-                console.error('Unrecoverable PiP HLS error:', data);
-                cleanupPipResources();
-                setPipError(`Fatal stream error: ${data.details}`);
-                break;
+            // The stream refuses the page - move on to the next proxy in the chain, if there is one
+            if (data.fatal && !initSuccess && isProxyRetryError(data)) {
+              if (proxyRetryScheduled) return;
+              const next = nextStreamProxy(proxyAttempt, streamUrl, data.details);
+              if (next && pipHlsRef.current === hls) {
+                proxyRetryScheduled = true;
+                proxyAttempt = next;
+                debugLog(`Retrying stream through ${getStreamProxy(next).name}`);
+                // Let hls.js finish handling this error before the instance is replaced
+                setTimeout(() => {
+                  if (pipHlsRef.current !== hls) return;
+                  hls.destroy();
+                  // Each proxy gets the full time to start
+                  clearTimeout(initTimeout);
+                  initTimeout = setTimeout(onInitTimeout, 10000);
+                  loadThroughProxy();
+                }, 0);
+                return;
+              }
             }
-          }
-        });
+          
+            if (data.fatal) {
+              setPipStatus('error');
+              switch (data.type) {
+                case Hls.ErrorTypes.NETWORK_ERROR:
+                  // For network errors, try to recover
+                  debugLog('PiP fatal network error, trying to recover');
+                  setPipError(`Network error: ${data.details}`);
+                  hls.startLoad();
+                  break;
+                case Hls.ErrorTypes.MEDIA_ERROR:
+                  // For media errors, try to recover
+                  debugLog('PiP fatal media error, trying to recover');
+                  setPipError(`Media error: ${data.details}`);
+                  hls.recoverMediaError();
+                  break;
+                default:
+                  // For other fatal errors, give up
+                  console.error('Unrecoverable PiP HLS error:', data);
+                  cleanupPipResources();
+                  setPipError(`Fatal stream error: ${data.details}`);
+                  break;
+              }
+            }
+          });
         
-        // Initialize playback
-        pipHlsRef.current = hls;
-        hls.loadSource(streamUrl);
-        hls.attachMedia(newPipVideo);
+          // Initialize playback
+          pipHlsRef.current = hls;
+          hls.loadSource(requestUrl);
+          hls.attachMedia(newPipVideo);
+        };
         
         // Set a timeout to check if initialization succeeded
-        setTimeout(() => {
+        const onInitTimeout = () => {
           if (!initSuccess && pipVideoRef.current === newPipVideo) {
             debugLog("PiP initialization timed out");
             setPipStatus('error');
             cleanupPipResources();
             setPipError("Stream initialization timed out");
           }
-        }, 10000);
+        };
+        let initTimeout = setTimeout(onInitTimeout, 10000);
+        
+        loadThroughProxy();
         
       } else if (newPipVideo.canPlayType('application/vnd.apple.mpegurl')) {
         // For Safari
         debugLog('Using native HLS for Safari');
         setPipStatus('loading');
-        newPipVideo.src = streamUrl;
+        newPipVideo.src = requestUrl;
         
         newPipVideo.addEventListener('loadedmetadata', async () => {
           debugLog('Safari: loadedmetadata event');
@@ -0,0 +1,16 @@
+import { useEffect, useRef } from 'preact/hooks';
+import { registerShortcutHandlers } from '../utils/shortcuts';
+
+/**
+ * Handle keyboard shortcuts while the component is mounted
+ * Handlers can change on every render; the latest ones are used. Leave an action out, or
+ * set it to null, when it can't be done right now - the "?" overlay only lists actions
+ * with a handler.
+ * @param {Object} handlers - Action ID (see SHORTCUT_ACTIONS) to function(event)
+ */
+export function useShortcuts(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => registerShortcutHandlers(() => handlersRef.current), []);
+}
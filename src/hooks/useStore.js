@@ -0,0 +1,76 @@
+import { useState, useEffect, useMemo } from 'preact/hooks';
+import { subscribe, peek } from '../utils/dataStore';
+import { INVALID_STREAMS_KEY } from '../utils/playlist';
+import { SHORTCUTS_KEY, getShortcutBindings } from '../utils/shortcuts';
+
+/**
+ * Hooks that keep a component in step with stored data
+ * Writes anywhere in the app - or in another tab - re-render every component using them.
+ */
+
+// Shared so components get the same empty list on every render until data loads
+const EMPTY_LIST = [];
+const EMPTY_MAP = {};
+
+/**
+ * Follow a piece of stored data
+ * @param {string} key - 'favorites', 'history', 'playlists', or a key/value store key
+ * @returns {Object} { value, loading } - value is undefined until it has loaded
+ */
+export function useStoreValue(key) {
+  const [value, setValue] = useState(() => peek(key));
+  const [loading, setLoading] = useState(() => peek(key) === undefined);
+
+  useEffect(() => subscribe(key, next => {
+    setValue(next);
+    setLoading(false);
+  }), [key]);
+
+  return { value, loading };
+}
+
+/**
+ * Follow the favorites
+ * @returns {Object} { favorites, loading } - favorites in the order they were added
+ */
+export function useFavorites() {
+  const { value, loading } = useStoreValue('favorites');
+  return { favorites: value || EMPTY_LIST, loading };
+}
+
+/**
+ * Follow the watch history
+ * @returns {Object} { history, loading } - entries { channelId, timestamp, channel }, newest first
+ */
+export function useHistory() {
+  const { value, loading } = useStoreValue('history');
+  return { history: value || EMPTY_LIST, loading };
+}
+
+/**
+ * Follow the saved playlists
+ * @returns {Object} { playlists, loading } - playlists, oldest first
+ */
+export function usePlaylists() {
+  const { value, loading } = useStoreValue('playlists');
+  return { playlists: value || EMPTY_LIST, loading };
+}
+
+/**
+ * Follow the streams marked invalid
+ * @returns {Object} { invalidStreams, loading } - map of stream URL to { timestamp, reason, attempts }
+ */
+export function useInvalidStreams() {
+  const { value, loading } = useStoreValue(INVALID_STREAMS_KEY);
+  return { invalidStreams: value || EMPTY_MAP, loading };
+}
+
+/**
+ * Follow the keyboard shortcut bindings
+ * @returns {Object} { bindings, loading } - action ID to combos, defaults until loaded
+ */
+export function useShortcutBindings() {
+  const { value, loading } = useStoreValue(SHORTCUTS_KEY);
+  const bindings = useMemo(() => getShortcutBindings(value), [value]);
+  return { bindings, loading };
+}
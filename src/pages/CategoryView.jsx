@@ -1,19 +1,23 @@
 import { h } from "preact";
-import { useState, useEffect, useRef, useCallback } from "preact/hooks";
+import { useState, useEffect, useRef, useCallback, useMemo } from "preact/hooks";
 import { route } from "preact-router"; // Remove wouter import
 import {
   Loader,
-  Search,
   Filter,
   Grid,
   List as ListIcon,
   AlertCircle,
   Tag,
+  Download,
 } from "lucide-preact";
 import { getCategories, getAllChannels } from "../utils/playlist";
-import { getChannelColor, getChannelInitials } from "../utils/logoService";
+import { getChannelColor, getChannelInitials, retryLogoThroughProxy } from "../utils/logoService";
 import { get, set, has } from '../utils/idbStorage';
 import * as apiClient from "../utils/apiClient";
+import { downloadM3U } from "../utils/m3uExport";
+import { filterChannels } from "../utils/channelQuery";
+import { useInvalidStreams } from "../hooks/useStore";
+import { ChannelQueryInput } from "../components/ChannelQueryInput";
 
 // Convert from wouter's useRoute to preact-router's props pattern
 export default function CategoryView(props) {
@@ -37,6 +41,11 @@ export default function CategoryView(props) {
   const [channelsPerPage] = useState(40);
   const [retryCount, setRetryCount] = useState(0);
   const MAX_RETRIES = 3;
+  const { invalidStreams } = useInvalidStreams();
+  // Streams known to be dead are offline to status: filters
+  const queryContext = useMemo(() => ({
+    getStatus: (channel) => (invalidStreams[channel.url] ? "offline" : "unknown"),
+  }), [invalidStreams]);
 
   useEffect(() => {
     return () => {
@@ -179,15 +188,10 @@ export default function CategoryView(props) {
       }
 
       if (!apiChannelsLoaded) {
-        const allChannels = await getAllChannels();
-
-        if (!allChannels) {
-          throw new Error("Failed to load channels");
-        }
-
         const categoryIdLower = categoryId.toLowerCase();
 
-        categoryChannels = allChannels.filter((channel) => {
+        // Walk the stored channels with a cursor and keep only this category's
+        const matchesCategory = (channel) => {
           if (
             channel.category &&
             typeof channel.category === "string" &&
@@ -224,7 +228,9 @@ export default function CategoryView(props) {
           }
 
           return false;
-        });
+        };
+
+        categoryChannels = await getAllChannels({ filter: matchesCategory });
 
         // Extract unique groups
         uniqueGroups = [
@@ -274,13 +280,9 @@ export default function CategoryView(props) {
   }
 
   // Filter channels based on search query and group filter
-  const filteredChannels = channels.filter((channel) => {
-    const matchesSearch = (channel.name || "")
-      .toLowerCase()
-      .includes(searchQuery.toLowerCase());
-    const matchesGroup = filterGroup ? channel.group === filterGroup : true;
-    return matchesSearch && matchesGroup;
-  });
+  const filteredChannels = filterChannels(channels, searchQuery, queryContext).filter((channel) =>
+    filterGroup ? channel.group === filterGroup : true
+  );
 
   // Sort channels based on selected sort option
   const sortedChannels = [...filteredChannels].sort((a, b) => {
@@ -380,16 +382,14 @@ export default function CategoryView(props) {
       {/* Search and filters */}
       <div class="mb-6 bg-gray-800 p-4 rounded-lg">
         <div class="flex flex-col md:flex-row gap-4">
-          <div class="relative flex-1">
-            <input
-              type="text"
-              placeholder={`Search ${category?.name || "all"} channels...`}
-              class="w-full px-4 py-2 pl-10 bg-gray-700 rounded-lg border border-gray-600"
-              value={searchQuery}
-              onInput={(e) => setSearchQuery(e.target.value)}
-            />
-            <Search class="absolute left-3 top-2.5 w-5 h-5 text-gray-400" />
-          </div>
+          <ChannelQueryInput
+            value={searchQuery}
+            onChange={setSearchQuery}
+            channels={channels}
+            context={queryContext}
+            placeholder={`Search ${category?.name || "all"} channels...`}
+            className="flex-1"
+          />
 
           <div class="flex flex-wrap gap-2">
             {groups.length > 0 && (
@@ -446,6 +446,19 @@ export default function CategoryView(props) {
               </span>
             </button>
 
+            <button
+              onClick={() =>
+                downloadM3U(sortedChannels, category?.name || categoryId || "Category")
+              }
+              disabled={sortedChannels.length === 0}
+              class="px-3 py-2 bg-gray-700 rounded-lg border border-gray-600 flex items-center gap-2 disabled:opacity-50"
+              title="Export the channels shown as an M3U playlist"
+              aria-label="Export channels"
+            >
+              <Download class="w-5 h-5" />
+              <span class="hidden sm:inline">Export</span>
+            </button>
+
             {(filterGroup || searchQuery) && (
               <button
                 onClick={() => {
@@ -595,6 +608,7 @@ export default function CategoryView(props) {
                           class="w-12 h-12 rounded-md mr-3 object-cover bg-gray-900"
                           loading="lazy"
                           onError={(e) => {
+                            if (retryLogoThroughProxy(e.target)) return;
                             e.target.onerror = null;
                             e.target.style.display = "none";
                             e.target.parentNode.innerHTML = `
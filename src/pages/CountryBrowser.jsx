@@ -4,12 +4,18 @@ import { memo } from 'preact/compat';
 import { route } from 'preact-router';
 import { Globe, Search, Loader, AlertCircle, PlayCircle, Download, Check, Tv2, BookOpen, RefreshCw, Plus, Filter, Grid, List, Wifi, WifiOff, ArrowDown, ArrowUp, SortDesc } from 'lucide-preact';
 import { getPlaylists, savePlaylist, fetchPlaylist, formatLogoUrl } from '../utils/playlist';
-import { getChannelColor, getChannelInitials } from '../utils/logoService';
+import { isAbortError } from '../utils/playlistWorker';
+import { getChannelColor, getChannelInitials, retryLogoThroughProxy } from '../utils/logoService';
 import { getCountries, getCategories, getLanguages, getChannelsByCountry, getStreams, getChannels } from '../utils/apiClient';
 import * as apiClient from '../utils/apiClient';
 import { debounce, throttle, memoize } from '../utils/performance';
 import { EnhancedVirtualList } from '../components/EnhancedVirtualList';
+import { ImportProgress } from '../components/ImportProgress';
 import { getFavorites, toggleFavorite } from '../utils/favorites'; // Import favorites utilities
+import { useInvalidStreams } from '../hooks/useStore';
+import { useShortcuts } from '../hooks/useShortcuts';
+import { filterChannels } from '../utils/channelQuery';
+import { ChannelQueryInput } from '../components/ChannelQueryInput';
 import 'flag-icons/css/flag-icons.min.css';
 
 // Memoized simple components for better performance
@@ -68,7 +74,7 @@ const CountryListItem = memo(({ item, selectedItem, streamInfo, loadingStreamCou
 });
 
 // Memoized channel grid item
-const ChannelGridItem = memo(({ channel, index, isFavorite, onFavoriteToggle }) => {
+const ChannelGridItem = memo(({ channel, index, isFavorite, deadReason, onFavoriteToggle }) => {
   const logoSrc = channel.logo || apiClient.getLogoUrl(channel.id || channel.name);
   const hasStream = !!channel.url;
   
@@ -90,6 +96,7 @@ const ChannelGridItem = memo(({ channel, index, isFavorite, onFavoriteToggle })
             class="w-12 h-12 rounded-md object-contain bg-gray-900"
             loading="lazy"
             onError={(e) => {
+              if (retryLogoThroughProxy(e.target)) return;
               e.target.onerror = null;
               e.target.style.display = 'none';
               e.target.parentNode.innerHTML = `<div class="w-12 h-12 bg-gray-800 rounded-md flex items-center justify-center" style="background-color: ${getChannelColor(channel.name)}"><div class="text-white text-sm font-bold">${getChannelInitials(channel.name)}</div></div>`;
@@ -99,7 +106,11 @@ const ChannelGridItem = memo(({ channel, index, isFavorite, onFavoriteToggle })
         <div class="flex-1 min-w-0">
           <h5 class="font-medium text-sm truncate flex items-center gap-1">
             {channel.name || 'Unnamed Channel'}
-            {hasStream ? (
+            {hasStream && deadReason ? (
+              <span title={`Known dead: ${deadReason}`}>
+                <WifiOff class="w-3 h-3 text-amber-500 flex-shrink-0" />
+              </span>
+            ) : hasStream ? (
               <Wifi class="w-3 h-3 text-green-500 flex-shrink-0" />
             ) : (
               <WifiOff class="w-3 h-3 text-red-500 flex-shrink-0" />
@@ -156,7 +167,7 @@ const ChannelGridItem = memo(({ channel, index, isFavorite, onFavoriteToggle })
 });
 
 // Memoized channel list item
-const ChannelListItem = memo(({ channel, index, isFavorite, onFavoriteToggle }) => {
+const ChannelListItem = memo(({ channel, index, isFavorite, deadReason, onFavoriteToggle }) => {
   const logoSrc = channel.logo || apiClient.getLogoUrl(channel.id || channel.name);
   const hasStream = !!channel.url;
   
@@ -179,6 +190,7 @@ const ChannelListItem = memo(({ channel, index, isFavorite, onFavoriteToggle })
           class="w-10 h-10 rounded-md object-contain bg-gray-900"
           loading="lazy"
           onError={(e) => {
+            if (retryLogoThroughProxy(e.target)) return;
             e.target.onerror = null;
             e.target.style.display = 'none';
             e.target.parentNode.innerHTML = `<div class="w-10 h-10 bg-gray-800 rounded-md flex items-center justify-center" style="background-color: ${getChannelColor(channel.name)}"><div class="text-white text-xs font-bold">${getChannelInitials(channel.name)}</div></div>`;
@@ -226,6 +238,11 @@ const ChannelListItem = memo(({ channel, index, isFavorite, onFavoriteToggle })
           </svg>
         </button>
         
+        {hasStream && deadReason && (
+          <span title={`Known dead: ${deadReason}`}>
+            <WifiOff class="w-4 h-4 flex-shrink-0 text-amber-500" />
+          </span>
+        )}
         {hasStream ? (
           <PlayCircle class="w-5 h-5 flex-shrink-0 text-blue-400" />
         ) : (
@@ -246,6 +263,8 @@ export default function CountryBrowser() {
   const [selectedItem, setSelectedItem] = useState(null);
   const [importing, setImporting] = useState(false);
   const [importSuccess, setImportSuccess] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
+  const importControllerRef = useRef(null);
   const [previewChannels, setPreviewChannels] = useState([]);
   const [loadingPreview, setLoadingPreview] = useState(false);
   
@@ -275,6 +294,11 @@ export default function CountryBrowser() {
   // Additional state for channel sorting
   const [channelSortBy, setChannelSortBy] = useState('streams');
   const [channelSortOrder, setChannelSortOrder] = useState('desc');
+  const { invalidStreams } = useInvalidStreams();
+  // Channels with a stream count as online unless the stream is known to be dead
+  const queryContext = useMemo(() => ({
+    getStatus: channel => !channel.url || invalidStreams[channel.url] ? 'offline' : 'online'
+  }), [invalidStreams]);
   const [listHeight, setListHeight] = useState(500);
   const listContainerRef = useRef(null);
   
@@ -681,6 +705,10 @@ export default function CountryBrowser() {
     }
   }, [activeTab]);
   
+  const cancelImport = useCallback(() => {
+    importControllerRef.current?.abort();
+  }, []);
+  
   // Optimized import handler
   const handleImport = useCallback(async () => {
     if (!selectedItem || importing) return;
@@ -715,7 +743,12 @@ export default function CountryBrowser() {
       }
       
       if (importUrl) {
-        await savePlaylist(importUrl, getPlaylistTitle(selectedItem));
+        importControllerRef.current = new AbortController();
+        setImportProgress({ receivedBytes: 0, totalBytes: 0, channelCount: 0 });
+        await savePlaylist(importUrl, getPlaylistTitle(selectedItem), false, {
+          onProgress: setImportProgress,
+          signal: importControllerRef.current.signal
+        });
         setPreviewChannels([]);
         setImportSuccess(true);
       } else {
@@ -724,9 +757,14 @@ export default function CountryBrowser() {
       
       setTimeout(() => setImporting(false), 1500);
     } catch (err) {
-      console.error(`Failed to import ${selectedItem.name} playlist:`, err);
-      setError(`Failed to import ${selectedItem.name} playlist. Please try again later.`);
+      if (!isAbortError(err)) {
+        console.error(`Failed to import ${selectedItem.name} playlist:`, err);
+        setError(`Failed to import ${selectedItem.name} playlist. Please try again later.`);
+      }
       setImporting(false);
+    } finally {
+      importControllerRef.current = null;
+      setImportProgress(null);
     }
   }, [selectedItem, importing, activeTab]);
   
@@ -859,19 +897,13 @@ export default function CountryBrowser() {
     if (!channels.length) return [];
     if (!debouncedChannelFilter) return channels;
     
-    const query = debouncedChannelFilter.toLowerCase();
-    return channels.filter(c => {
-      // More comprehensive search
-      return (c.name && c.name.toLowerCase().includes(query)) || 
-             (c.id && String(c.id).toLowerCase().includes(query)) ||
-             (c.categories && c.categories.some(cat => cat.toLowerCase().includes(query))) ||
-             (c.languages && c.languages.some(lang => lang.toLowerCase().includes(query)));
-    });
-  }, [channels, debouncedChannelFilter]);
+    return filterChannels(channels, debouncedChannelFilter, queryContext);
+  }, [channels, debouncedChannelFilter, queryContext]);
   
   // Memoized sorted and filtered channels with improved sort by stream
   const sortedAndFilteredChannels = useMemo(() => {
     let result = [...filteredChannels];
+    const getStreamRank = channel => !channel.url ? 0 : invalidStreams[channel.url] ? 1 : 2;
     
     // Apply sorting
     result = result.sort((a, b) => {
@@ -882,18 +914,16 @@ export default function CountryBrowser() {
             : (b.name || '').localeCompare(a.name || '');
             
         case 'streams':
-          // For stream sorting, prioritize channels with URLs
-          const aHasStream = !!a.url;
-          const bHasStream = !!b.url;
+          // For stream sorting, prioritize channels with URLs - known-dead streams rank below working ones
+          const aRank = getStreamRank(a);
+          const bRank = getStreamRank(b);
           
-          if (aHasStream && !bHasStream) {
-            return channelSortOrder === 'asc' ? 1 : -1;
-          } else if (!aHasStream && bHasStream) {
-            return channelSortOrder === 'asc' ? -1 : 1;
+          if (aRank !== bRank) {
+            return channelSortOrder === 'asc' ? aRank - bRank : bRank - aRank;
           }
           
-          // If both have streams or both don't, sort by resolution quality
-          if (aHasStream && bHasStream) {
+          // If both rank the same, sort streams by resolution quality
+          if (aRank > 0) {
             const aResolution = a.resolution ? parseInt(a.resolution.replace(/p$/, '')) : 0;
             const bResolution = b.resolution ? parseInt(b.resolution.replace(/p$/, '')) : 0;
             
@@ -913,7 +943,7 @@ export default function CountryBrowser() {
     });
     
     return result;
-  }, [filteredChannels, channelSortBy, channelSortOrder]);
+  }, [filteredChannels, channelSortBy, channelSortOrder, invalidStreams]);
   
   // Memoized paginated channels
   const paginatedChannels = useMemo(() => {
@@ -1058,20 +1088,20 @@ export default function CountryBrowser() {
     return getSortedList(filteredList, activeTab, sortBy, sortOrder, countriesWithStreamCounts);
   }, [filteredList, activeTab, sortBy, sortOrder, countriesWithStreamCounts, getSortedList]);
 
-  // Keyboard arrow key navigation handler needs access to sortedList
-  const handleKeyboardNavigation = useCallback((e) => {
-    // Basic keyboard navigation
-    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
-      e.preventDefault();
-      const delta = e.key === 'ArrowDown' ? 1 : -1;
-      const newIndex = Math.max(0, Math.min(sortedList.length - 1, keyboardFocusIndex + delta));
-      setKeyboardFocusIndex(newIndex);
-      
-      if (sortedList[newIndex]) {
-        handleItemClick(sortedList[newIndex]);
-      }
+  // Keyboard navigation through the list, with keys from the shortcut settings
+  const moveKeyboardFocus = (delta) => {
+    const newIndex = Math.max(0, Math.min(sortedList.length - 1, keyboardFocusIndex + delta));
+    setKeyboardFocusIndex(newIndex);
+    
+    if (sortedList[newIndex]) {
+      handleItemClick(sortedList[newIndex]);
     }
-  }, [sortedList, keyboardFocusIndex, handleItemClick]);
+  };
+  
+  useShortcuts({
+    nextItem: keyboardNavigation && sortedList.length > 0 ? () => moveKeyboardFocus(1) : null,
+    previousItem: keyboardNavigation && sortedList.length > 0 ? () => moveKeyboardFocus(-1) : null
+  });
 
   // Add state for favorites
   const [favorites, setFavorites] = useState([]);
@@ -1269,7 +1299,6 @@ export default function CountryBrowser() {
                       setKeyboardFocusIndex(visibleStartIndex);
                     }
                   }}
-                  onKeyDown={handleKeyboardNavigation}
                 />
               )}
             </div>
@@ -1358,19 +1387,13 @@ export default function CountryBrowser() {
               {/* Channel controls with added channel sorting */}
               <div class="flex flex-wrap items-center justify-between gap-3 mb-4 pb-4 border-b border-gray-700">
                 <div class="flex-1 min-w-[200px]">
-                  <div class="relative">
-                    <input
-                      type="text"
-                      id="channel-filter-input"
-                      aria-label="Filter channels"
-                      placeholder="Filter channels..."
-                      class="w-full px-4 py-2 bg-gray-700 rounded-lg pl-10 text-sm"
-                      value={channelFilter}
-                      onInput={e => setChannelFilter(e.target.value)}
-                    />
-                    <label htmlFor="channel-filter-input" class="sr-only">Filter channels</label>
-                    <Search class="absolute left-3 top-2.5 w-4 h-4 text-gray-400" aria-hidden="true" />
-                  </div>
+                  <ChannelQueryInput
+                    value={channelFilter}
+                    onChange={setChannelFilter}
+                    channels={channels}
+                    context={queryContext}
+                    placeholder="Filter channels..."
+                  />
                 </div>
                 <div class="flex items-center gap-2">
                   {/* Channel sort buttons */}
@@ -1454,6 +1477,10 @@ export default function CountryBrowser() {
                 )}
               </div>
 
+              {importProgress && (
+                <ImportProgress progress={importProgress} onCancel={cancelImport} className="mb-4" />
+              )}
+
               {/* Channel content area - now using sortedAndFilteredChannels */}
               {loadingChannels ? (
                 <div class="bg-gray-800 rounded-lg p-10 flex justify-center">
@@ -1482,6 +1509,7 @@ export default function CountryBrowser() {
                         channel={channel}
                         index={index}
                         isFavorite={isChannelFavorite(channel.id)}
+                        deadReason={channel.url && invalidStreams[channel.url] ? invalidStreams[channel.url].reason || 'Failed to play' : null}
                         onFavoriteToggle={handleToggleFavorite}
                       />
                     ) : (
@@ -1490,6 +1518,7 @@ export default function CountryBrowser() {
                         channel={channel}
                         index={index}
                         isFavorite={isChannelFavorite(channel.id)}
+                        deadReason={channel.url && invalidStreams[channel.url] ? invalidStreams[channel.url].reason || 'Failed to play' : null}
                         onFavoriteToggle={handleToggleFavorite}
                       />
                     )
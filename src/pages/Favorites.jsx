@@ -1,55 +1,31 @@
 import { h } from 'preact';
-import { useState, useEffect } from 'preact/hooks';
-import { get, set } from '../utils/idbStorage'; // Use consistent storage utilities
-import { getFavorites, removeFavorite } from '../utils/favorites'; // Import favorites utilities
-import { Heart, Search, Trash2, PlayCircle, Grid, List as ListIcon, AlertCircle } from 'lucide-preact';
-import { getChannelColor, getChannelInitials, getChannelLogo } from '../utils/logoService';
+import { useState, useMemo } from 'preact/hooks';
+import { removeFavorite, clearFavorites } from '../utils/favorites'; // Import favorites utilities
+import { useFavorites, useInvalidStreams } from '../hooks/useStore';
+import { filterChannels } from '../utils/channelQuery';
+import { ChannelQueryInput } from '../components/ChannelQueryInput';
+import { Heart, Trash2, PlayCircle, Grid, List as ListIcon, AlertCircle, Download } from 'lucide-preact';
+import { getChannelColor, getChannelInitials, getChannelLogo, retryLogoThroughProxy } from '../utils/logoService';
 import * as apiClient from '../utils/apiClient';
+import { EpgNowNext } from '../components/EpgNowNext';
+import { downloadM3U } from '../utils/m3uExport';
 
 export default function Favorites() {
-  const [favorites, setFavorites] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { favorites, loading } = useFavorites();
   const [searchQuery, setSearchQuery] = useState('');
   const [filterGroup, setFilterGroup] = useState('');
-  const [groups, setGroups] = useState([]);
   const [sortBy, setSortBy] = useState('name'); // 'name', 'group', 'date'
   const [isGridView, setIsGridView] = useState(true);
   const [showConfirmClear, setShowConfirmClear] = useState(false);
+  const { invalidStreams } = useInvalidStreams();
+  // Streams known to be dead are offline to status: filters
+  const queryContext = useMemo(() => ({
+    getStatus: channel => invalidStreams[channel.url] ? 'offline' : 'unknown'
+  }), [invalidStreams]);
 
-  useEffect(() => {
-    loadFavorites();
-  }, []);
-
-  async function loadFavorites() {
-    setLoading(true);
-    try {
-      // Use the favorites utility for consistency
-      const favs = await getFavorites();
-      setFavorites(favs);
-      updateGroups(favs);
-    } catch (err) {
-      console.error('Failed to load favorites:', err);
-      setFavorites([]);
-      setGroups([]);
-    } finally {
-      setLoading(false);
-    }
-  }
-
-  function updateGroups(favorites) {
-    try {
-      // Make sure favorites is an array before processing
-      const favsArray = Array.isArray(favorites) ? favorites : [];
-      const uniqueGroups = [...new Set(favsArray.map(item => item?.group || ''))]
-        .filter(Boolean)
-        .sort();
-      console.log('Updated groups:', uniqueGroups);
-      setGroups(uniqueGroups);
-    } catch (error) {
-      console.error('Error updating groups:', error);
-      setGroups([]);
-    }
-  }
+  const groups = [...new Set(favorites.map(item => item?.group || ''))]
+    .filter(Boolean)
+    .sort();
 
   async function handleRemoveFavorite(id, event) {
     if (event) {
@@ -69,10 +45,6 @@ export default function Favorites() {
       const success = await removeFavorite(id);
       
       if (success) {
-        // Update local state only if storage was updated successfully
-        const updatedFavorites = favorites.filter(fav => fav.id !== id);
-        setFavorites(updatedFavorites);
-        updateGroups(updatedFavorites);
         console.log('Favorite removed successfully');
       } else {
         console.warn('Failed to remove favorite, ID not found or storage error');
@@ -87,9 +59,7 @@ export default function Favorites() {
     try {
       console.log('Clearing all favorites');
       // Use consistent storage pattern
-      await set('favorites', []);
-      setFavorites([]);
-      setGroups([]);
+      await clearFavorites();
       setShowConfirmClear(false);
       console.log('All favorites cleared successfully');
     } catch (err) {
@@ -105,11 +75,9 @@ export default function Favorites() {
   };
 
   // Filter favorites based on search query and group filter
-  const filteredFavorites = favorites.filter(item => {
-    const matchesSearch = item.name.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesGroup = filterGroup ? item.group === filterGroup : true;
-    return matchesSearch && matchesGroup;
-  });
+  const filteredFavorites = filterChannels(favorites, searchQuery, queryContext).filter(item =>
+    filterGroup ? item.group === filterGroup : true
+  );
 
   // Sort favorites based on selected sort option
   const sortedFavorites = [...filteredFavorites].sort((a, b) => {
@@ -139,16 +107,14 @@ export default function Favorites() {
       {/* Filters and Search */}
       <div class="mb-6 bg-gray-800 p-4 rounded-lg">
         <div class="flex flex-col md:flex-row gap-4">
-          <div class="relative flex-1">
-            <input
-              type="text"
-              placeholder="Search favorites..."
-              class="w-full px-4 py-2 pl-10 bg-gray-700 rounded-lg border border-gray-600"
-              value={searchQuery}
-              onInput={(e) => setSearchQuery(e.target.value)}
-            />
-            <Search class="absolute left-3 top-2.5 w-5 h-5 text-gray-400" />
-          </div>
+          <ChannelQueryInput
+            value={searchQuery}
+            onChange={setSearchQuery}
+            channels={favorites}
+            context={queryContext}
+            placeholder="Search favorites..."
+            className="flex-1"
+          />
           
           <div class="flex flex-wrap gap-2">
             <select
@@ -183,7 +149,16 @@ export default function Favorites() {
         </div>
         
         {favorites.length > 0 && (
-          <div class="mt-4 flex justify-end">
+          <div class="mt-4 flex justify-end gap-2">
+            <button
+              onClick={() => downloadM3U(sortedFavorites, 'Favorites')}
+              disabled={sortedFavorites.length === 0}
+              class="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors flex items-center gap-2 disabled:opacity-50"
+              title="Export the favorites shown as an M3U playlist"
+            >
+              <Download class="w-5 h-5" />
+              Export
+            </button>
             <button
               onClick={() => setShowConfirmClear(true)}
               class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2"
@@ -270,6 +245,7 @@ export default function Favorites() {
                               alt={channel.name} 
                               class="w-12 h-12 rounded flex-shrink-0 object-cover bg-gray-900"
                               onError={(e) => {
+                                if (retryLogoThroughProxy(e.target)) return;
                                 e.target.onerror = null;
                                 e.target.style.display = 'none';
                                 e.target.parentNode.innerHTML = `
@@ -297,6 +273,7 @@ export default function Favorites() {
                           <div class="flex-1 min-w-0">
                             <h3 class="font-medium truncate">{channel.name}</h3>
                             <p class="text-xs text-gray-400 truncate">{channel.group || 'Uncategorized'}</p>
+                            <EpgNowNext tvgId={channel.tvgId || channel.channelId} name={channel.name} shift={channel.tvgShift} compact />
                           </div>
                         </div>
                         
@@ -363,6 +340,7 @@ export default function Favorites() {
                             class="w-12 h-12 rounded-md flex-shrink-0 object-cover bg-gray-900 mr-3"
                             data-channel={channel.id}
                             onError={(e) => {
+                              if (retryLogoThroughProxy(e.target)) return;
                               e.target.onerror = null;
                               e.target.style.display = 'none';
                               e.target.parentNode.innerHTML = `
@@ -403,6 +381,8 @@ export default function Favorites() {
                             )}
                           </div>
                           
+                          <EpgNowNext tvgId={channel.tvgId || channel.channelId} name={channel.name} shift={channel.tvgShift} compact className="mt-1" />
+                          
                           {channel.categories && Array.isArray(channel.categories) && channel.categories.length > 0 && (
                             <div class="flex flex-wrap gap-1 mt-1.5">
                               {channel.categories.slice(0, 2).map(category => (
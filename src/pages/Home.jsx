@@ -1,72 +1,38 @@
 import { h } from 'preact';
-import { useState, useEffect } from 'preact/hooks';
-import { get } from '../utils/idbStorage';
 import { Tv2, Clock, Heart, List, Globe, Film, Music, Trophy } from 'lucide-preact';
-import { getPlaylists } from '../utils/playlist';
-import { getChannelColor, getChannelInitials } from '../utils/logoService';
+import { useFavorites, useHistory, usePlaylists } from '../hooks/useStore';
+import { getChannelColor, getChannelInitials, retryLogoThroughProxy } from '../utils/logoService';
 import * as apiClient from '../utils/apiClient';
 import { Link } from 'preact-router';
 import { History, Settings as SettingsIcon } from 'lucide-preact';
 
 export default function Home() {
-  const [playlists, setPlaylists] = useState([]);
-  const [recentlyWatched, setRecentlyWatched] = useState([]);
-  const [favorites, setFavorites] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalChannels: 0,
-    totalPlaylists: 0,
-    countriesCount: 0,
-    categoriesCount: 0
-  });
+  const { playlists } = usePlaylists();
+  const { history, loading: historyLoading } = useHistory();
+  const { favorites: allFavorites, loading: favoritesLoading } = useFavorites();
+  const loading = historyLoading || favoritesLoading;
 
-  useEffect(() => {
-    async function loadData() {
-      setLoading(true);
-      try {
-        // Load playlists
-        const savedPlaylists = await getPlaylists();
-        setPlaylists(savedPlaylists);
-        
-        // Load recently watched channels
-        const history = await get('watchHistory') || [];
-        
-        // Filter out any entries that don't have a valid channel object
-        const validHistory = history.filter(item => item && item.channel && item.channel.id);
-        setRecentlyWatched(validHistory.slice(0, 10)); // Show top 10 recently watched
-        
-        // Load favorites
-        const favs = await get('favorites') || [];
-        
-        // Filter out any invalid favorites
-        const validFavs = favs.filter(item => item && item.id);
-        setFavorites(validFavs.slice(0, 10)); // Show top 10 favorites
-        
-        // Calculate stats
-        const uniqueChannels = new Set([
-          ...validHistory.filter(item => item.channel).map(item => item.channel.id),
-          ...validFavs.map(item => item.id)
-        ]);
-        
-        // Get country and category counts from localStorage if available
-        const countriesCount = localStorage.getItem('countriesCount') || 0;
-        const categoriesCount = localStorage.getItem('categoriesCount') || 0;
-        
-        setStats({
-          totalChannels: uniqueChannels.size,
-          totalPlaylists: savedPlaylists.length,
-          countriesCount: parseInt(countriesCount, 10),
-          categoriesCount: parseInt(categoriesCount, 10)
-        });
-      } catch (error) {
-        console.error('Failed to load home page data:', error);
-      } finally {
-        setLoading(false);
-      }
-    }
-    
-    loadData();
-  }, []);
+  // Filter out any entries that don't have a valid channel object
+  const validHistory = history.filter(item => item && item.channel && item.channel.id);
+  const recentlyWatched = validHistory.slice(0, 10); // Show top 10 recently watched
+  
+  // Filter out any invalid favorites
+  const validFavs = allFavorites.filter(item => item && item.id);
+  const favorites = validFavs.slice(0, 10); // Show top 10 favorites
+  
+  // Calculate stats
+  const uniqueChannels = new Set([
+    ...validHistory.map(item => item.channel.id),
+    ...validFavs.map(item => item.id)
+  ]);
+  
+  // Get country and category counts from localStorage if available
+  const stats = {
+    totalChannels: uniqueChannels.size,
+    totalPlaylists: playlists.length,
+    countriesCount: parseInt(localStorage.getItem('countriesCount') || 0, 10),
+    categoriesCount: parseInt(localStorage.getItem('categoriesCount') || 0, 10)
+  };
 
   // Featured categories - static list for quick access
   const featuredCategories = [
@@ -99,6 +65,7 @@ export default function Home() {
             className="w-12 h-12 rounded-md flex-shrink-0 object-cover bg-gray-900"
             loading="lazy"
             onError={(e) => {
+              if (retryLogoThroughProxy(e.target)) return;
               e.target.onerror = null;
               e.target.style.display = 'none';
               e.target.parentNode.innerHTML = 
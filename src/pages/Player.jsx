@@ -4,11 +4,24 @@ import { route } from 'preact-router';
 import Hls from 'hls.js';
 import { ArrowLeft, Loader, Heart, AlertTriangle, RefreshCw, Globe, Info,
          PlayCircle, PauseCircle, Volume2, VolumeX, Maximize, Minimize,
-         Settings, BarChart2, PictureInPicture, Radio, Tv2, Settings as SettingsIcon, Gauge } from 'lucide-preact';
-import { get, set } from '../utils/idbStorage'; // Replace idb-keyval import
-import { markStreamAsInvalid, getChannelMetadata, getPlaylists, fetchPlaylist } from '../utils/playlist';
+         Settings, BarChart2, PictureInPicture, Radio, Tv2, Settings as SettingsIcon, Gauge, History,
+         Pin, PinOff, Layers } from 'lucide-preact';
+import { get } from '../utils/idbStorage'; // Replace idb-keyval import
+import { markStreamAsInvalid, clearInvalidStreams, getChannelMetadata, getPlaylists, getPlaylist, fetchPlaylist, findChannelByUrl, findAdjacentChannel } from '../utils/playlist';
+import { getFavorites, updateFavorite, toggleFavorite as toggleFavoriteUtil } from '../utils/favorites';
+import { useFavorites } from '../hooks/useStore';
+import { useShortcuts } from '../hooks/useShortcuts';
+import { getWatchHistory, addToWatchHistory, updateWatchHistoryChannel } from '../utils/watchHistory';
+import { extractHttpOptions, createXhrSetup, getRefusedHeadersWarning } from '../utils/streamHeaders';
+import { buildCatchupUrl, getRewindOptions } from '../utils/catchup';
 import { getChannelColor, getChannelInitials } from '../utils/logoService';
+import { getProxyChain, recordProxyAttempt, DIRECT } from '../utils/proxySettings';
+import { getStreamProxy, createStreamConfig, isProxyRetryError, nextStreamProxy } from '../utils/hlsProxyLoader';
+import { COMPANION_PROXY_ID } from '../utils/companionProxy';
+import { resolveXtreamUrl, hasXtreamPassword } from '../utils/xtream';
 import { usePictureInPicture } from '../contexts/PictureInPictureContext';
+import { EpgNowNext } from '../components/EpgNowNext';
+import { findAlternateSources, getPinnedSource, setPinnedSource } from '../utils/alternateSources';
 import * as apiClient from '../utils/apiClient';
 
 // Enhance the cleanChannelTitle function to properly handle TVG info
@@ -93,19 +106,36 @@ export default function Player({ id }) {
   const videoRef = useRef(null);
   const containerRef = useRef(null);
   const hlsRef = useRef(null);
+  // Ways to reach the current stream (direct, then CORS proxies) and which one is in use
+  const streamProxyRef = useRef({ chain: [DIRECT], index: 0 });
+  // Sources for the channel - the opened one, then alternates from other playlists and
+  // iptv-org, loaded when first needed - which one is playing and which ones were tried
+  const sourcesRef = useRef({ channel: null, list: [], index: 0, tried: new Set(), alternatesLoaded: false, switching: false });
+  const sourceTimeoutRef = useRef(null);
+  // Set once the source functions exist, so the early error handler can fail over
+  const failoverRef = useRef(async () => false);
   const controlsTimeoutRef = useRef(null);
   // Add missing metadataFetchedRef definition
   const metadataFetchedRef = useRef(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [channel, setChannel] = useState(null);
-  const [isFavorite, setIsFavorite] = useState(false);
+  // Follows the favorites, so the heart stays right when they change elsewhere
+  const { favorites: favoriteChannels } = useFavorites();
+  const isFavorite = !!channel && favoriteChannels.some(fav => fav.id === channel.id);
   const [retryCount, setRetryCount] = useState(0);
   const [metadata, setMetadata] = useState(null);
   const [loadingMetadata, setLoadingMetadata] = useState(false);
   const [errorDetails, setErrorDetails] = useState('');
   const [similarStreams, setSimilarStreams] = useState([]);
+  const [sources, setSources] = useState({ list: [], index: 0, alternatesLoaded: false });
+  const [pinnedUrl, setPinnedUrl] = useState(null);
   const [loadingSimilar, setLoadingSimilar] = useState(false);
+  // Warning about playlist-specified headers the browser won't send
+  const [headerWarning, setHeaderWarning] = useState(null);
+  // Hours behind live when playing from the catch-up archive (0 = live)
+  const [catchupHours, setCatchupHours] = useState(0);
+  const [catchupStart, setCatchupStart] = useState(null);
   
   // Move playerState declaration to the top, before any callbacks reference it
   const [playerState, setPlayerState] = useState({
@@ -256,10 +286,8 @@ export default function Player({ id }) {
     setShowQualityMenu(false);
   }, []);
 
-  // Fix 1: Define the missing handleInvalidStream function early in the component
-  const handleInvalidStream = useCallback((reason) => {
-    console.warn(`Stream failed to load: ${reason}`);
-    
+  // Fix 1: Explain a stream that failed to load - geo-blocking, a dead server or something else
+  const showStreamError = useCallback((reason) => {
     // Try to determine if this is likely a geo-restriction
     let isGeoRestricted = false;
     let isDNSError = false;
@@ -308,6 +336,15 @@ export default function Player({ id }) {
     setLoading(false);
   }, [id]);
 
+  const handleInvalidStream = useCallback((reason) => {
+    console.warn(`Stream failed to load: ${reason}`);
+    
+    // Move on to another source of the channel, and only report the error once there are none left
+    failoverRef.current(reason).then(switched => {
+      if (!switched) showStreamError(reason);
+    });
+  }, [showStreamError]);
+
   // Fix 2: Optimize retry logic
   const retryStream = useCallback(() => {
     if (retryCount < MAX_RETRIES) {
@@ -320,7 +357,7 @@ export default function Player({ id }) {
     }
   }, [retryCount, MAX_RETRIES]);
 
-  // Fix 3: Improve findSimilarStreams to use proper error handling
+  // Other sources of the channel, offered in the error panel once failover has run out
   const findSimilarStreams = useCallback(async (channel) => {
     if (!channel || !channel.name || loadingSimilar) return;
     
@@ -328,38 +365,11 @@ export default function Player({ id }) {
     setSimilarStreams([]);
     
     try {
-      // First check if we have other streams for this channel in our playlists
-      const playlists = await getPlaylists();
-      const allStreams = [];
-      
-      // Limit the number of playlists we check to avoid performance issues
-      const playlistsToCheck = playlists.slice(0, 5);
-      
-      for (const playlist of playlistsToCheck) {
-        try {
-          const playlistData = await get(`channels_${playlist.id}`);
-          if (playlistData && Array.isArray(playlistData)) {
-            const similarInPlaylist = playlistData.filter(item => {
-              // Match by name with some fuzzy matching
-              return item.name && channel.name && 
-                     (item.name.toLowerCase().includes(channel.name.toLowerCase()) ||
-                      channel.name.toLowerCase().includes(item.name.toLowerCase()));
-            });
-            
-            allStreams.push(...similarInPlaylist);
-          }
-        } catch (err) {
-          console.warn(`Failed to check playlist ${playlist.name} for similar streams:`, err);
-        }
-      }
-      
-      // Deduplicate streams and limit to reasonable number
-      const uniqueStreams = allStreams
-        .filter((stream, index, self) => 
-          index === self.findIndex(s => s.id === stream.id))
-        .slice(0, 5);
-        
-      setSimilarStreams(uniqueStreams);
+      const alternates = await findAlternateSources(channel);
+      setSimilarStreams(alternates.slice(0, 6).map(source => ({
+        id: source.url,
+        name: `${source.name} · ${source.originName}`
+      })));
     } catch (err) {
       console.error('Failed to find similar streams:', err);
     } finally {
@@ -386,6 +396,7 @@ export default function Player({ id }) {
       if (controlsTimeoutRef.current) {
         clearTimeout(controlsTimeoutRef.current);
       }
+      clearTimeout(sourceTimeoutRef.current);
     };
   }, []);
 
@@ -501,13 +512,24 @@ export default function Player({ id }) {
       }
       
       // Try to find channel info from previously viewed channels
-      const history = await get('watchHistory') || [];
+      const history = await getWatchHistory();
       const historyItem = history.find(item => item.channel.id === streamUrl);
       
       // Check if it's in favorites - might have better data
-      const favorites = await get('favorites') || [];
+      const favorites = await getFavorites();
       const favoriteItem = favorites.find(fav => fav.id === streamUrl);
       
+      // Playlist channels carry the #EXTVLCOPT / #KODIPROP options for the stream
+      const playlistChannel = await findChannelByUrl(streamUrl);
+      
+      const httpOptions = playlistChannel?.httpOptions ||
+        favoriteItem?.httpOptions ||
+        historyItem?.channel?.httpOptions ||
+        (apiChannelData ? extractHttpOptions({
+          'http-referrer': apiChannelData.httpReferrer || apiChannelData.streams?.[0]?.http_referrer,
+          'http-user-agent': apiChannelData.userAgent || apiChannelData.streams?.[0]?.user_agent
+        }) : null);
+      
       // Get the most reliable name source: prioritize API > favorites > history > URL parsing
       let channelName = null;
       let channelGroup = "Uncategorized";
@@ -522,6 +544,14 @@ export default function Player({ id }) {
         channelId = apiChannelData.id;
       }
       
+      // Then try the playlist entry
+      if (playlistChannel) {
+        channelName = channelName || playlistChannel.name;
+        channelGroup = channelGroup === "Uncategorized" ? playlistChannel.group || channelGroup : channelGroup;
+        channelLogo = channelLogo || playlistChannel.logo || playlistChannel.tvgLogo;
+        channelId = channelId || playlistChannel.tvgId;
+      }
+      
       // Then try favorite data
       if (favoriteItem) {
         channelName = channelName || favoriteItem.name;
@@ -576,30 +606,76 @@ export default function Player({ id }) {
         id: streamUrl,
         name: channelName,
         channelId: channelId,
+        tvgId: playlistChannel?.tvgId || favoriteItem?.tvgId || channelId,
+        tvgShift: playlistChannel?.tvgShift || 0,
+        catchup: playlistChannel?.catchup || favoriteItem?.catchup || null,
+        catchupSource: playlistChannel?.catchupSource || favoriteItem?.catchupSource || null,
+        catchupDays: playlistChannel?.catchupDays || favoriteItem?.catchupDays || null,
         group: channelGroup,
-        logo: channelLogo
+        logo: channelLogo,
+        playlistId: playlistChannel?.playlistId || null,
+        httpOptions
       };
       
       // Set channel state
       setChannel(channelData);
-      setIsFavorite(favorites.some(fav => fav.id === streamUrl));
+      setCatchupHours(0);
+      setCatchupStart(null);
       
-      // Update watch history entry with the best channel name information
-      const newHistoryItem = {
-        timestamp: Date.now(),
-        channel: channelData
+      // The opened link is the first source; a pinned source of the channel plays instead
+      const playlist = playlistChannel ? await getPlaylist(playlistChannel.playlistId) : null;
+      const openedSource = {
+        url: streamUrl,
+        name: channelName,
+        tvgId: channelData.tvgId,
+        httpOptions,
+        origin: playlist ? 'playlist' : 'link',
+        originName: playlist?.name || 'Opened link',
+        playlistId: playlist?.id || null,
+        proxyOverride: playlist?.proxyOverride || null
       };
+      sourcesRef.current = { channel: channelData, list: [openedSource], index: 0, tried: new Set(), alternatesLoaded: false, switching: false };
       
-      // Update watch history (limit to 100 items)
-      const updatedHistory = [
-        newHistoryItem,
-        ...history.filter(item => item.channel.id !== streamUrl)
-      ].slice(0, 100);
+      const pinned = await getPinnedSource(channelData);
+      setPinnedUrl(pinned);
+      if (pinned && pinned !== streamUrl) {
+        await loadAlternateSources();
+        const pinnedIndex = sourcesRef.current.list.findIndex(source => source.url === pinned);
+        if (pinnedIndex > 0) {
+          sourcesRef.current.index = pinnedIndex;
+          console.log(`Playing pinned source from ${sourcesRef.current.list[pinnedIndex].originName}`);
+        }
+      }
+      sourcesRef.current.tried.add(sourcesRef.current.index);
+      setSources({ ...sourcesRef.current });
+      const source = sourcesRef.current.list[sourcesRef.current.index];
       
-      await set('watchHistory', updatedHistory);
+      // Streams follow their playlist's proxy override, if it has one. The companion
+      // proxy, when running, leads the chain for channels that need headers.
+      streamProxyRef.current = {
+        chain: await getProxyChain({
+          purpose: 'stream',
+          override: source.proxyOverride,
+          httpOptions: source.httpOptions,
+          credentials: hasXtreamPassword(source.url)
+        }),
+        index: 0
+      };
+      
+      // The companion proxy sends the headers the browser refuses, so only warn without it
+      const refusedWarning = streamProxyRef.current.chain[0].id === COMPANION_PROXY_ID
+        ? null
+        : getRefusedHeadersWarning(source.httpOptions, channelName);
+      if (refusedWarning) {
+        console.warn(refusedWarning);
+      }
+      setHeaderWarning(refusedWarning);
+      
+      // Update watch history entry with the best channel name information
+      await addToWatchHistory(channelData);
       
       // Pass the proper autoplayRef object
-      setupHlsPlayer(streamUrl, timeoutId, autoplayRef || { value: false });
+      setupHlsPlayer(source.url, timeoutId, autoplayRef || { value: false }, source.httpOptions);
       
     } catch (err) {
       console.error('Error setting up channel data:', err);
@@ -624,17 +700,15 @@ export default function Player({ id }) {
     maxMaxBufferLength: 60,
     manifestLoadingTimeOut: 10000,
     fragLoadingTimeOut: 20000,
-    // Modified xhrSetup to remove unsafe headers
-    xhrSetup: function(xhr) {
-      xhr.timeout = 30000; // longer XHR timeout
-    },
+    // Default xhrSetup; per-channel headers are applied in setupHlsPlayer
+    xhrSetup: createXhrSetup(null, 30000),
     // Add a retry mechanism for network errors
     fragLoadingMaxRetry: 5,
     manifestLoadingMaxRetry: 3,
     levelLoadingMaxRetry: 3
   }), []); // Empty dependency array since these options don't depend on props or state
 
-  const setupHlsPlayer = useCallback((streamUrl, timeoutId = null, autoplayRef = null) => {
+  const setupHlsPlayer = useCallback((streamUrl, timeoutId = null, autoplayRef = null, httpOptions = null) => {
     if (!streamUrl || !videoRef.current) {
       setError('Invalid stream URL or video element not ready');
       setLoading(false);
@@ -647,6 +721,8 @@ export default function Player({ id }) {
       : { value: false };
     
     let autoplayAttempted = false;
+    let proxyRetryScheduled = false;
+    const proxy = getStreamProxy(streamProxyRef.current);
     
     // Clean up any existing HLS instance
     if (hlsRef.current) {
@@ -656,7 +732,12 @@ export default function Player({ id }) {
     
     // Initialize player based on browser support
     if (Hls.isSupported()) {
-      const hls = new Hls(hlsConfig); // Use memoized config
+      // Use memoized config, adding any headers the channel's playlist entry asks for
+      // and the CORS proxy the stream is being tried through
+      if (proxy.template) {
+        console.log(`Loading stream through ${proxy.name}`);
+      }
+      const hls = new Hls(createStreamConfig(hlsConfig, proxy, httpOptions));
       
       hlsRef.current = hls;
 
@@ -667,6 +748,9 @@ export default function Player({ id }) {
       
       hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
         console.log("Manifest parsed, ready to play", data);
+        recordProxyAttempt({ kind: 'stream', url: streamUrl, proxy, ok: true });
+        // The stream plays, so it isn't dead any more
+        clearInvalidStreams([streamUrl]);
         
         // Important: Clear the timeout here when manifest is successfully parsed
         if (timeoutId) {
@@ -728,30 +812,31 @@ export default function Player({ id }) {
         }
         
         // Check specifically for CORS issues
-        const isCorsError = 
-          data.response?.code === 0 || 
-          (data.response && data.response.text && data.response.text.includes('CORS')) ||
-          (data.error && (data.error.message || '').includes('CORS')) ||
-          data.type === 'networkError' && data.details === 'manifestLoadError';
-          
-        if (isCorsError) {
-          console.error("CORS error detected. The stream provider doesn't allow direct playback from this domain.");
-          
-          // Try to use a CORS proxy if configured
-          const corsProxyEnabled = false; // We could add this as a setting
-          const corsProxy = ''; // Configure a CORS proxy URL if needed
+        if (isProxyRetryError(data)) {
+          if (proxyRetryScheduled) return;
+          console.error(`CORS error detected loading the stream (${proxy.name}).`);
           
-          if (corsProxyEnabled && corsProxy && !streamUrl.includes(corsProxy)) {
-            console.log('Attempting to use CORS proxy for stream');
-            // We could implement proxy URL transformation here
-            // But that would be a future feature
+          // Move on to the next CORS proxy in the chain, if there is one
+          const { chain } = streamProxyRef.current;
+          const next = nextStreamProxy(streamProxyRef.current, streamUrl, data.details);
+          if (next) {
+            proxyRetryScheduled = true;
+            streamProxyRef.current = next;
+            console.log(`Retrying stream through ${getStreamProxy(next).name}`);
+            // Let hls.js finish handling this error before the instance is replaced
+            setTimeout(() => setupHlsPlayer(streamUrl, timeoutId, autoplayRefObj, httpOptions), 0);
           } else {
-            setErrorDetails(
-              "This stream doesn't allow playback from this website due to CORS restrictions. " +
-              "Try using a native player or browser extension to access this content."
-            );
-            setError("Stream access restricted (CORS policy)");
-            setLoading(false);
+            proxyRetryScheduled = true;
+            failoverRef.current('Stream access restricted (CORS policy)').then(switched => {
+              if (switched) return;
+              setErrorDetails(
+                "This stream doesn't allow playback from this website due to CORS restrictions" +
+                (chain.length > 1 ? ', even through the configured proxies. ' : '. ') +
+                "Try using a native player or browser extension to access this content."
+              );
+              setError("Stream access restricted (CORS policy)");
+              setLoading(false);
+            });
           }
           return;
         }
@@ -773,7 +858,7 @@ export default function Player({ id }) {
               if (hlsRef.current) {
                 try {
                   hlsRef.current.stopLoad();
-                  hlsRef.current.loadSource(streamUrl);
+                  hlsRef.current.loadSource(hlsRef.current.url);
                   hlsRef.current.startLoad();
                 } catch (e) {
                   console.error('Recovery failed:', e);
@@ -852,17 +937,20 @@ export default function Player({ id }) {
       });
 
       // Initialize playback with better error handling
-      try {
-        console.log("Loading HLS source:", streamUrl);
-        hls.loadSource(streamUrl);
+      console.log("Loading HLS source:", streamUrl);
+      // Xtream URLs are stored without the password - it only goes in for the request
+      resolveXtreamUrl(streamUrl).then(requestUrl => {
+        // Another stream was started in the meantime
+        if (hlsRef.current !== hls || !videoRef.current) return;
+        hls.loadSource(requestUrl);
         hls.attachMedia(videoRef.current);
         
         // Set initial volume
         videoRef.current.volume = playerState.volume;
-      } catch (err) {
+      }).catch(err => {
         console.error("Error initializing HLS:", err);
         handleInvalidStream(`Failed to initialize player: ${err.message}`);
-      }
+      });
     } else if (videoRef.current && videoRef.current.canPlayType('application/vnd.apple.mpegurl')) {
       // For Safari/iOS with better error handling
       try {
@@ -881,7 +969,9 @@ export default function Player({ id }) {
         };
 
         videoRef.current.addEventListener('error', handleError);
-        videoRef.current.src = streamUrl;
+        resolveXtreamUrl(streamUrl).then(requestUrl => {
+          if (videoRef.current) videoRef.current.src = requestUrl;
+        });
         
         const onLoadedMetadata = () => {
           // Clear timeout here too
@@ -932,6 +1022,127 @@ export default function Player({ id }) {
       setLoading(false);
     }
   }, [hlsConfig, playerState.volume, handleInvalidStream]);
+
+  // Add the alternate sources of the channel to the source list, once
+  const loadAlternateSources = useCallback(async () => {
+    const current = sourcesRef.current;
+    if (current.alternatesLoaded || !current.channel) return;
+    
+    const alternates = await findAlternateSources({ ...current.channel, url: current.list[0]?.url });
+    // The channel changed while we were looking
+    if (sourcesRef.current !== current) return;
+    current.list = [...current.list, ...alternates.filter(source => !current.list.some(known => known.url === source.url))];
+    current.alternatesLoaded = true;
+    setSources({ ...current });
+  }, []);
+
+  // Switch playback to another source of the channel
+  const playSource = useCallback(async (index) => {
+    const current = sourcesRef.current;
+    const source = current.list[index];
+    if (!source) return;
+    
+    current.index = index;
+    current.tried.add(index);
+    setSources({ ...current });
+    console.log(`Playing source ${index + 1} of ${current.list.length} from ${source.originName}: ${source.url}`);
+    
+    streamProxyRef.current = {
+      chain: await getProxyChain({
+        purpose: 'stream',
+        override: source.proxyOverride,
+        httpOptions: source.httpOptions,
+        credentials: hasXtreamPassword(source.url)
+      }),
+      index: 0
+    };
+    setHeaderWarning(streamProxyRef.current.chain[0].id === COMPANION_PROXY_ID
+      ? null
+      : getRefusedHeadersWarning(source.httpOptions, source.name));
+    setError('');
+    setErrorDetails('');
+    setLoading(true);
+    setStreamLoaded(false);
+    setCatchupHours(0);
+    setCatchupStart(null);
+    
+    // Give up on this source if it hasn't started by now; a parsed manifest clears the timer
+    clearTimeout(sourceTimeoutRef.current);
+    sourceTimeoutRef.current = setTimeout(() => handleInvalidStream('Stream timed out after 25 seconds'), 25000);
+    setupHlsPlayer(source.url, sourceTimeoutRef.current, { value: false }, source.httpOptions);
+  }, [setupHlsPlayer, handleInvalidStream]);
+
+  // Called when the playing source dies: mark it invalid and move on to the next one
+  failoverRef.current = async (reason) => {
+    const current = sourcesRef.current;
+    // Already moving on, or the stream is playing after all (a late timer)
+    if (current.switching) return true;
+    if (videoRef.current && videoRef.current.readyState >= 2 && !videoRef.current.error) return true;
+    // Catch-up streams come from the channel's own archive - there's nothing to switch to
+    if (current.list.length === 0 || catchupHours > 0) return false;
+    
+    current.switching = true;
+    try {
+      const failed = current.list[current.index];
+      if (failed) {
+        markStreamAsInvalid(failed.url, reason);
+      }
+      
+      await loadAlternateSources();
+      if (sourcesRef.current !== current) return false;
+      
+      // Go to the first source not tried yet - a pinned source plays first, so the
+      // opened one and the alternates before it still get their turn
+      const next = current.list.findIndex((source, index) => !current.tried.has(index));
+      if (next === -1) return false;
+      
+      await playSource(next);
+      return true;
+    } catch (err) {
+      console.error('Failover failed:', err);
+      return false;
+    } finally {
+      current.switching = false;
+    }
+  };
+
+  // Pin the playing source so the channel opens with it next time, or unpin it
+  const togglePinnedSource = useCallback(async () => {
+    const { channel: sourceChannel, list, index } = sourcesRef.current;
+    const source = list[index];
+    if (!sourceChannel || !source) return;
+    
+    const url = pinnedUrl === source.url ? null : source.url;
+    if (await setPinnedSource(sourceChannel, url)) {
+      setPinnedUrl(url);
+    }
+  }, [pinnedUrl]);
+
+  // Restart playback from the catch-up archive, or back at the live edge when hours is 0
+  const playFromHoursAgo = useCallback((hours) => {
+    if (!channel) return;
+
+    const now = Date.now();
+    const start = now - hours * 60 * 60 * 1000;
+    let url = channel.id;
+    if (hours > 0) {
+      url = buildCatchupUrl(channel, start, hours * 60 * 60, now);
+      if (!url) {
+        setError('Catch-up is not available for this channel');
+        return;
+      }
+    }
+
+    console.log(hours > 0 ? `Playing catch-up from ${hours}h ago: ${url}` : 'Returning to live');
+    setCatchupHours(hours);
+    setCatchupStart(hours > 0 ? start : null);
+    setError('');
+    setLoading(true);
+    setStreamLoaded(false);
+    setupHlsPlayer(url, null, { value: false }, channel.httpOptions);
+  }, [channel, setupHlsPlayer]);
+
+  const rewindOptions = useMemo(() => getRewindOptions(channel), [channel]);
   
   // Fix 6: Improve/fix the metadata effect to prevent unnecessary fetches
   useEffect(() => {
@@ -1073,41 +1284,15 @@ export default function Player({ id }) {
           
           // Update in watch history with improved error handling
           try {
-            const history = await get('watchHistory') || [];
-            const updatedHistory = history.map(item => {
-              if (item.channel?.id === streamUrl) {
-                return {
-                  ...item,
-                  channel: updatedChannel
-                };
-              }
-              return item;
-            });
-            
-            await set('watchHistory', updatedHistory);
+            await updateWatchHistoryChannel({ ...updatedChannel, id: streamUrl });
           } catch (historyError) {
             console.warn('Failed to update watch history with metadata:', historyError);
           }
           
-          // If it's in favorites, update there too
+          // If it's in favorites, update there too - updateFavorite skips channels that aren't
           try {
-            if (isFavorite) {
-              const favorites = await get('favorites') || [];
-              const updatedFavorites = favorites.map(fav => {
-                if (fav.id === streamUrl) {
-                  return {
-                    ...fav,
-                    ...updatedChannel,
-                    // Ensure these critical properties aren't lost
-                    id: fav.id,
-                    name: fav.name || updatedChannel.name
-                  };
-                }
-                return fav;
-              });
-              
-              await set('favorites', updatedFavorites);
-            }
+            // Keeps the favorite's ID and name
+            await updateFavorite({ ...updatedChannel, id: streamUrl });
           } catch (favError) {
             console.warn('Failed to update favorites with metadata:', favError);
           }
@@ -1208,7 +1393,9 @@ export default function Player({ id }) {
         ...channel,
         // Ensure we have at least these properties
         id: channel.id || streamUrl,
-        name: channel.name || 'Unknown Channel'
+        name: channel.name || 'Unknown Channel',
+        // PiP plays through the same proxy chain as the source playing here
+        proxyOverride: sourcesRef.current.list[sourcesRef.current.index]?.proxyOverride || null
       };
 
       // Handle PiP entry with the proper context
@@ -1311,21 +1498,48 @@ export default function Player({ id }) {
     if (!channel) return;
     
     try {
-      const favorites = await get('favorites') || [];
-      
-      if (isFavorite) {
-        // Remove from favorites
-        await set('favorites', favorites.filter(fav => fav.id !== channel.id));
-        setIsFavorite(false);
-      } else {
-        // Add to favorites
-        await set('favorites', [...favorites, channel]);
-        setIsFavorite(true);
-      }
+      await toggleFavoriteUtil(channel);
     } catch (error) {
       console.error('Error toggling favorite status:', error);
     }
-  }, [channel, isFavorite]);
+  }, [channel]);
+
+  // Channel up/down - through the playlist the channel is from, or else the favorites
+  const switchChannel = useCallback(async (step) => {
+    try {
+      const next = await findAdjacentChannel(decodeURIComponent(id), step) ||
+        (streamUrl && await findAdjacentChannel(streamUrl, step));
+      if (next) {
+        route(`/watch/${encodeURIComponent(next.url)}`);
+        return;
+      }
+
+      const index = channel ? favoriteChannels.findIndex(fav => fav.id === channel.id) : -1;
+      if (index >= 0 && favoriteChannels.length > 1) {
+        const favorite = favoriteChannels[(index + step + favoriteChannels.length) % favoriteChannels.length];
+        route(`/watch/${encodeURIComponent(favorite.id)}`);
+      }
+    } catch (error) {
+      console.error('Error switching channel:', error);
+    }
+  }, [id, streamUrl, channel, favoriteChannels]);
+
+  useShortcuts({
+    playPause: togglePlay,
+    mute: toggleMute,
+    volumeUp: () => handleVolumeChange(playerState.volume + 0.1),
+    volumeDown: () => handleVolumeChange(playerState.volume - 0.1),
+    fullscreen: toggleFullscreen,
+    pictureInPicture: channel ? handlePictureInPicture : null,
+    // Steps through Auto and each level in turn
+    quality: qualities.length > 0 ? () => {
+      const options = ['auto', ...qualities.map(quality => quality.id)];
+      handleQualityChange(options[(options.indexOf(currentQuality) + 1) % options.length]);
+    } : null,
+    nextChannel: () => switchChannel(1),
+    previousChannel: () => switchChannel(-1),
+    favorite: channel ? toggleFavorite : null
+  });
 
   // Add a function to handle seeking
   const handleSeek = useCallback((event) => {
@@ -1612,7 +1826,7 @@ export default function Player({ id }) {
             
             {similarStreams.length > 0 && (
               <div className="p-4 border-t border-gray-800">
-                <h4 className="font-medium mb-3 text-gray-300">Similar channels you might try:</h4>
+                <h4 className="font-medium mb-3 text-gray-300">Other sources you might try:</h4>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
                   {similarStreams.map(stream => (
                     <a 
@@ -1710,8 +1924,54 @@ export default function Player({ id }) {
               <p className="text-gray-300 text-sm">
                 {channel.group || metadata?.group || 'Uncategorized'}
               </p>
+              <EpgNowNext tvgId={channel.tvgId || channel.channelId} name={channel.name} shift={channel.tvgShift} className="mt-1" />
+              
+              {sources.list[sources.index] && (
+                <div className="mt-1 flex items-center gap-2 text-xs text-gray-300">
+                  <Layers className="w-3.5 h-3.5 flex-shrink-0" />
+                  {sources.alternatesLoaded && sources.list.length > 1 ? (
+                    <select
+                      value={sources.index}
+                      onChange={(e) => playSource(Number(e.target.value))}
+                      className="bg-black/40 border border-gray-600 rounded px-1 py-0.5 max-w-[16rem] truncate"
+                      aria-label="Source"
+                    >
+                      {sources.list.map((source, index) => (
+                        <option key={source.url} value={index}>
+                          {source.originName}{source.url === pinnedUrl ? ' (pinned)' : ''} - {source.name}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <>
+                      <span className="truncate max-w-[12rem]">{sources.list[sources.index].originName}</span>
+                      {!sources.alternatesLoaded && (
+                        <button onClick={loadAlternateSources} className="text-blue-400 hover:text-blue-300">
+                          Other sources
+                        </button>
+                      )}
+                    </>
+                  )}
+                  <button
+                    onClick={togglePinnedSource}
+                    className="p-1 rounded hover:bg-black/40"
+                    title={pinnedUrl === sources.list[sources.index].url ? 'Unpin this source' : 'Always play this channel from this source'}
+                  >
+                    {pinnedUrl === sources.list[sources.index].url
+                      ? <PinOff className="w-3.5 h-3.5 text-blue-400" />
+                      : <Pin className="w-3.5 h-3.5" />}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
+          
+          {headerWarning && (
+            <div className="mt-3 max-w-xl flex items-start gap-2 text-xs text-yellow-300 bg-yellow-900/40 px-3 py-2 rounded">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              <span>{headerWarning}</span>
+            </div>
+          )}
         </div>
       )}
       
@@ -1771,8 +2031,38 @@ export default function Player({ id }) {
               </div>
             )}
             
+            {/* Catch-up: go back N hours on channels whose playlist provides an archive */}
+            {rewindOptions.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1.5 text-xs">
+                <History className="w-4 h-4 text-gray-300" />
+                <span className="text-gray-300 mr-1">
+                  {catchupStart
+                    ? `Catch-up from ${new Date(catchupStart).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`
+                    : 'Go back'}
+                </span>
+                {rewindOptions.map(hours => (
+                  <button
+                    key={hours}
+                    onClick={() => playFromHoursAgo(hours)}
+                    className={`px-2 py-0.5 rounded transition-colors ${catchupHours === hours ? 'bg-blue-600 text-white' : 'bg-white/10 hover:bg-white/20 text-gray-200'}`}
+                    title={`Play from ${hours} ${hours === 1 ? 'hour' : 'hours'} ago`}
+                  >
+                    {hours < 24 ? `-${hours}h` : `-${hours / 24}d`}
+                  </button>
+                ))}
+                {catchupHours > 0 && (
+                  <button
+                    onClick={() => playFromHoursAgo(0)}
+                    className="px-2 py-0.5 rounded bg-red-600 hover:bg-red-700 text-white transition-colors"
+                  >
+                    Live
+                  </button>
+                )}
+              </div>
+            )}
+            
             {/* Live indicator for live streams */}
-            {isLive && (
+            {isLive && catchupHours === 0 && (
               <div className="flex items-center gap-2 mb-1">
                 <div className="flex items-center">
                   <div className="w-2 h-2 rounded-full bg-red-500 mr-1.5 animate-pulse"></div>
@@ -1895,8 +2185,6 @@ export default function Player({ id }) {
         </div>
       )}
 
-      {/* Remove keyboard shortcuts tooltip */}
-      
       {/* Debug overlay - Enhanced with more information */}
       {showDebug && (
         <div className="absolute top-14 right-4 bg-black/80 p-3 rounded text-xs text-gray-300 max-w-xs overflow-auto max-h-[50vh]">
@@ -1,16 +1,40 @@
 import { h } from 'preact';
-import { useState, useEffect, useRef } from 'preact/hooks';
-import { get, set, keys } from 'idb-keyval'; // Add keys import
+import { useState, useEffect, useRef, useMemo } from 'preact/hooks';
+import { getWatchHistory } from '../utils/watchHistory';
 import { 
-  ArrowLeft, Loader, Search, RefreshCw, List, Grid as GridIcon, 
+  ArrowLeft, Loader, RefreshCw, List, Grid as GridIcon, 
   AlertCircle, PlusCircle, Settings as SettingsIcon,
   Globe, PlayCircle, Heart, BarChart2, Download, // Add new icons for features
-  Star, Share2, ArrowDownUp, Filter, X, Clock, Info // Additional icons
+  Star, Share2, ArrowDownUp, Filter, X, Clock, Info, // Additional icons
+  Activity, Trash2, RotateCcw
 } from 'lucide-preact';
 import { route } from 'preact-router';
-import { getChannelColor, getChannelInitials, formatLogoUrl } from '../utils/logoService';
-import { fetchPlaylist, refreshPlaylist, getLogoFromStream, savePlaylist } from '../utils/playlist';
+import { getChannelColor, getChannelInitials, formatLogoUrl, retryLogoThroughProxy } from '../utils/logoService';
+import {
+  fetchPlaylist, refreshPlaylist, getLogoFromStream, savePlaylist, getPlaylists,
+  getStreamHealthKey, filterRemovedChannels, getRemovedChannelIds, removePlaylistChannels, restoreRemovedChannels
+} from '../utils/playlist';
+import { getPlaylistChannels } from '../utils/channelDb';
 import * as apiClient from '../utils/apiClient';
+import { EpgNowNext } from '../components/EpgNowNext';
+import { downloadM3U } from '../utils/m3uExport';
+import { getPlaylistDiffs } from '../utils/playlistDiff';
+import { PlaylistDiffReport } from '../components/PlaylistDiffReport';
+import { recordManualRefresh } from '../utils/refreshScheduler';
+import { scanPlaylist, getChannelHealthStatus, mergeInvalidStreams, HEALTH_STATUS } from '../utils/streamHealth';
+import { StreamHealthBadge } from '../components/StreamHealthBadge';
+import { useStoreValue, useInvalidStreams } from '../hooks/useStore';
+import { filterChannels } from '../utils/channelQuery';
+import { ChannelQueryInput } from '../components/ChannelQueryInput';
+
+// Health filter options - 'alive' is everything but the channels that failed the scan
+const HEALTH_FILTERS = [
+  { value: 'all', label: 'All channels' },
+  { value: 'alive', label: 'Hide dead channels' },
+  { value: HEALTH_STATUS.online, label: 'Online only' },
+  { value: HEALTH_STATUS.offline, label: 'Offline only' },
+  { value: HEALTH_STATUS.unknown, label: 'Not checked' }
+];
 
 export default function PlaylistView(props) {
   // Get id from props instead of wouter's useRoute
@@ -33,7 +57,7 @@ export default function PlaylistView(props) {
   
   // New state variables for additional features
   const [favorites, setFavorites] = useState([]);
-  const [activeCategory, setActiveCategory] = useState('all');
+  const [activeCategory, setActiveCategory] = useState(props.group || 'all');
   const [categories, setCategories] = useState([]);
   const [sortOption, setSortOption] = useState('name');
   const [sortDirection, setSortDirection] = useState('asc');
@@ -43,6 +67,23 @@ export default function PlaylistView(props) {
   const [isFilterOpen, setIsFilterOpen] = useState(false);
   const [recentlyPlayed, setRecentlyPlayed] = useState([]);
   const [showPlaylistInfo, setShowPlaylistInfo] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [refreshDiffs, setRefreshDiffs] = useState(null);
+  const [healthFilter, setHealthFilter] = useState('all');
+  const [scanProgress, setScanProgress] = useState(null);
+  const [scanSummary, setScanSummary] = useState(null);
+  const scanControllerRef = useRef(null);
+  
+  // Scan results update as the scan saves them, in this tab or another
+  const { value: streamHealth } = useStoreValue(getStreamHealthKey(playlist?.id || playlistId));
+  const { invalidStreams } = useInvalidStreams();
+  // Streams that failed to play since the last scan count as offline too
+  const channelHealth = useMemo(() => mergeInvalidStreams(streamHealth, invalidStreams), [streamHealth, invalidStreams]);
+  // What the filter box knows from the health scan
+  const queryContext = useMemo(() => ({
+    getStatus: channel => getChannelHealthStatus(channelHealth, channel),
+    getResolution: channel => parseInt(channelHealth[channel.url]?.resolution?.split('x')[1], 10) || null
+  }), [channelHealth]);
   
   // Enhanced logging function that both logs to console AND stores in component state
   const logMessage = (message, type = 'info', data = null) => {
@@ -81,6 +122,11 @@ export default function PlaylistView(props) {
     // ...existing code...
   };
 
+  // Search results link to a group with ?group=
+  useEffect(() => {
+    if (props.group) setActiveCategory(props.group);
+  }, [props.group]);
+
   useEffect(() => {
     logMessage(`PlaylistView initialized with ID: ${playlistId || 'none'}`);
     diagnoseStorage();
@@ -98,10 +144,13 @@ export default function PlaylistView(props) {
       }
     };
     
-    // Load recently played channels
+    // Load recently played channels - the player records every play in the watch history
     const loadRecentlyPlayed = async () => {
       try {
-        const recent = await get('recentlyPlayed') || [];
+        const recent = (await getWatchHistory(20)).map(item => ({
+          ...item.channel,
+          playedAt: new Date(item.timestamp).toISOString()
+        }));
         setRecentlyPlayed(recent);
         logMessage(`Loaded ${recent.length} recently played channels`);
       } catch (err) {
@@ -114,6 +163,7 @@ export default function PlaylistView(props) {
     
     return () => {
       logMessage('PlaylistView unmounting');
+      scanControllerRef.current?.abort();
     };
   }, []);
 
@@ -190,7 +240,7 @@ export default function PlaylistView(props) {
       const debugData = await logPlaylistData(playlistId);
       
       // SECTION: Playlist Retrieval
-      const playlists = await get('playlists') || [];
+      const playlists = await getPlaylists();
       
       if (playlists.length === 0) {
         logMessage('No playlists available in storage', 'warning');
@@ -261,16 +311,14 @@ export default function PlaylistView(props) {
       logMessage(`Successfully found playlist: ${currentPlaylist.name} (${currentPlaylist.id})`, 'success');
       setPlaylist(currentPlaylist);
       
-      // Get channels for this playlist using currentPlaylist.id
-      const allChannels = await get('channels') || {};
-      let playlistChannels = allChannels[currentPlaylist.id] || [];
+      // Get channels for this playlist through the playlistId index
+      const playlistChannels = await getPlaylistChannels(currentPlaylist.id);
       
       logMessage(`Channel data for playlist ${currentPlaylist.id}: ${playlistChannels.length} channels`);
       setDebugInfo({
         playlistId: currentPlaylist.id,
         playlistName: currentPlaylist.name,
-        channelCount: playlistChannels.length,
-        allChannelsKeys: Object.keys(allChannels)
+        channelCount: playlistChannels.length
       });
       
       if (playlistChannels.length > 0) {
@@ -349,16 +397,13 @@ export default function PlaylistView(props) {
             await new Promise(resolve => setTimeout(resolve, 1000));
             
             // Double check storage one more time - the refresh might have saved to storage but not returned the channels
-            const doubleCheckChannels = await get('channels') || {};
+            const lastResortChannels = await getPlaylistChannels(currentPlaylist.id);
             
             logMessage(`Storage check result:`, 'info', {
-              availableIds: Object.keys(doubleCheckChannels),
               currentPlaylistId: currentPlaylist.id,
-              channelsFoundForCurrentId: (doubleCheckChannels[currentPlaylist.id] || []).length
+              channelsFoundForCurrentId: lastResortChannels.length
             });
             
-            const lastResortChannels = doubleCheckChannels[currentPlaylist.id] || [];
-            
             if (lastResortChannels.length > 0) {
               logMessage(`Found ${lastResortChannels.length} channels in storage after refresh`, 'success');
               
@@ -404,7 +449,30 @@ export default function PlaylistView(props) {
 
   // Update the handleRefreshPlaylist function to properly maintain the view state
   const handleRefreshPlaylist = async () => {
-    // ...existing code...
+    if (!playlist?.id || refreshing) return;
+    
+    setRefreshing(true);
+    try {
+      logMessage(`Refreshing playlist ${playlist.id}`);
+      const result = await refreshPlaylist(playlist.id);
+      recordManualRefresh(playlist.id);
+      const refreshedChannels = result.channels || [];
+      
+      setChannels(refreshedChannels);
+      setCategories(extractCategories(refreshedChannels));
+      calculatePlaylistStats(refreshedChannels);
+      setPlaylist(prev => ({ ...prev, lastRefreshed: result.lastRefreshed, channelCount: result.channelCount }));
+      
+      // Show what changed, along with the previous few refreshes
+      setRefreshDiffs(await getPlaylistDiffs(playlist.id));
+      logMessage(`Refresh complete: ${result.channelCount} channels`, 'success', result.diff?.counts);
+    } catch (err) {
+      logMessage(`Refresh failed: ${err.message}`, 'error');
+      recordManualRefresh(playlist.id, err);
+      setError(`Failed to refresh playlist: ${err.message}`);
+    } finally {
+      setRefreshing(false);
+    }
   };
 
   // Toggle favorite status of a channel
@@ -447,79 +515,84 @@ export default function PlaylistView(props) {
     return favorites.some(fav => fav.id === channelId);
   };
 
-  // Track recently played channels
-  const trackChannelPlay = async (channel) => {
-    try {
-      const recent = await get('recentlyPlayed') || [];
-      
-      // Remove this channel if it already exists in the list
-      const withoutCurrent = recent.filter(item => item.id !== channel.id);
-      
-      // Add channel to the beginning with timestamp
-      const updatedRecent = [
-        {
-          ...channel,
-          playedAt: new Date().toISOString()
-        },
-        ...withoutCurrent
-      ].slice(0, 20); // Keep only 20 most recent
-      
-      // Update storage and state
-      await set('recentlyPlayed', updatedRecent);
-      setRecentlyPlayed(updatedRecent);
-      
-      logMessage(`Updated recently played: ${channel.name}`);
-    } catch (err) {
-      logMessage(`Error updating recently played: ${err.message}`, 'error');
-    }
-  };
-
   // Redirect to settings page with focus on adding playlist
   const goToAddPlaylist = () => {
     route('/settings');
   };
 
-  // Export playlist to M3U file
-  const exportPlaylist = async () => {
+  // Export playlist to M3U file - the whole playlist or just the current filtered/sorted view
+  const exportPlaylist = async (scope = 'all') => {
+    setShowExportMenu(false);
     try {
-      if (!playlist || !channels || channels.length === 0) {
+      const exportChannels = scope === 'view' ? filteredChannels : visibleChannels;
+      if (!playlist || !exportChannels || exportChannels.length === 0) {
         logMessage('No playlist or channels to export', 'warning');
         return;
       }
       
       logMessage('Creating M3U export...', 'info');
       
-      // Create M3U header
-      let m3uContent = '#EXTM3U\n';
+      const fileName = scope === 'view' && activeCategory && activeCategory !== 'all'
+        ? `${playlist.name || 'playlist'} - ${activeCategory}`
+        : playlist.name || 'playlist';
+      const count = await downloadM3U(exportChannels, fileName, playlist.header || {});
       
-      // Add each channel to the playlist
-      channels.forEach(channel => {
-        // Add extended info
-        m3uContent += `#EXTINF:-1 tvg-id="${channel.tvgId || ''}" tvg-name="${channel.tvgName || channel.name}" tvg-logo="${channel.logo || ''}" group-title="${channel.group || 'Uncategorized'}",${channel.name}\n`;
-        
-        // Add channel URL
-        m3uContent += `${channel.url}\n`;
-      });
-      
-      // Create blob and download link
-      const blob = new Blob([m3uContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${playlist.name || 'playlist'}.m3u`;
-      
-      // Trigger download and cleanup
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      
-      logMessage('Playlist exported successfully', 'success');
+      logMessage(`Playlist exported successfully (${count} channels)`, 'success');
     } catch (err) {
       logMessage(`Error exporting playlist: ${err.message}`, 'error');
     }
   };
 
+  // Probe every stream of the playlist; badges fill in as results are saved
+  const handleScanStreams = async () => {
+    if (!playlist?.id || scanControllerRef.current) return;
+    
+    const controller = new AbortController();
+    scanControllerRef.current = controller;
+    setScanSummary(null);
+    setScanProgress({ done: 0, total: 0 });
+    try {
+      logMessage(`Scanning streams of playlist ${playlist.id}`);
+      const summary = await scanPlaylist(playlist.id, { onProgress: setScanProgress, signal: controller.signal });
+      setScanSummary(summary);
+      logMessage(`Scan ${summary.cancelled ? 'cancelled' : 'complete'}: ${summary.online} online, ${summary.offline} offline`, 'success');
+    } catch (err) {
+      logMessage(`Scan failed: ${err.message}`, 'error');
+      setError(`Failed to scan streams: ${err.message}`);
+    } finally {
+      scanControllerRef.current = null;
+      setScanProgress(null);
+    }
+  };
+
+  const cancelScan = () => {
+    scanControllerRef.current?.abort();
+  };
+
+  // Hide the channels known to be dead - kept on the playlist record, the source is left alone
+  const removeDeadChannels = async () => {
+    const dead = visibleChannels.filter(channel => getChannelHealthStatus(channelHealth, channel) === HEALTH_STATUS.offline);
+    if (dead.length === 0) return;
+    if (!confirm(`Remove ${dead.length} dead ${dead.length === 1 ? 'channel' : 'channels'} from this playlist? They stay in the source and can be restored later.`)) return;
+    
+    try {
+      const updatedPlaylist = await removePlaylistChannels(playlist.id, dead.map(channel => channel.id));
+      setPlaylist(updatedPlaylist);
+      logMessage(`Removed ${dead.length} dead channels`, 'success');
+    } catch (err) {
+      logMessage(`Error removing channels: ${err.message}`, 'error');
+    }
+  };
+
+  const restoreChannels = async () => {
+    try {
+      setPlaylist(await restoreRemovedChannels(playlist.id));
+      logMessage('Restored removed channels', 'success');
+    } catch (err) {
+      logMessage(`Error restoring channels: ${err.message}`, 'error');
+    }
+  };
+
   // Handle sorting change
   const handleSortChange = (option) => {
     if (sortOption === option) {
@@ -562,12 +635,7 @@ export default function PlaylistView(props) {
   // Filter channels based on search query, category, and sort
   const getFilteredAndSortedChannels = () => {
     // First filter by search query
-    let filtered = channels.filter(channel => 
-      channel.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      (channel.group && channel.group.toLowerCase().includes(searchQuery.toLowerCase())) ||
-      (channel.country && channel.country.toLowerCase().includes(searchQuery.toLowerCase())) ||
-      (channel.tvgId && channel.tvgId.toLowerCase().includes(searchQuery.toLowerCase()))
-    );
+    let filtered = filterChannels(visibleChannels, searchQuery, queryContext);
     
     // Then filter by active category if not 'all'
     if (activeCategory && activeCategory !== 'all') {
@@ -584,6 +652,14 @@ export default function PlaylistView(props) {
       });
     }
     
+    // Then by the last health scan
+    if (healthFilter !== 'all') {
+      filtered = filtered.filter(channel => {
+        const status = getChannelHealthStatus(channelHealth, channel);
+        return healthFilter === 'alive' ? status !== HEALTH_STATUS.offline : status === healthFilter;
+      });
+    }
+    
     // Apply sorting
     const sorted = [...filtered].sort((a, b) => {
       let comparison = 0;
@@ -597,8 +673,9 @@ export default function PlaylistView(props) {
           break;
         case 'recent':
           // Find timestamps from recently played
-          const aTimestamp = recentlyPlayed.find(r => r.id === a.id)?.playedAt || '0';
-          const bTimestamp = recentlyPlayed.find(r => r.id === b.id)?.playedAt || '0';
+          // History entries are keyed by stream URL
+          const aTimestamp = recentlyPlayed.find(r => r.id === a.url)?.playedAt || '0';
+          const bTimestamp = recentlyPlayed.find(r => r.id === b.url)?.playedAt || '0';
           comparison = bTimestamp.localeCompare(aTimestamp); // Default to newest first
           break;
         default:
@@ -608,7 +685,9 @@ export default function PlaylistView(props) {
       return sortDirection === 'asc' ? comparison : -comparison;
     });
     
-    return sorted;
+    // Known-dead channels go last, keeping the sort order within each part
+    const isDead = channel => getChannelHealthStatus(channelHealth, channel) === HEALTH_STATUS.offline;
+    return [...sorted.filter(channel => !isDead(channel)), ...sorted.filter(isDead)];
   };
 
   // Group channels by their group property
@@ -625,9 +704,6 @@ export default function PlaylistView(props) {
 
   const navigateToChannel = (channel) => {
     try {
-      // Track channel play
-      trackChannelPlay(channel);
-      
       // Use consistent approach for navigation - prefer URL, fall back to ID
       const navTarget = channel.url || channel.id;
       logMessage(`Navigating to channel: ${channel.name}, URL: ${navTarget.substring(0, 50)}...`);
@@ -646,10 +722,14 @@ export default function PlaylistView(props) {
 
   // Extract the logo error handler into a reusable function
   const handleLogoError = (e, channelName) => {
+    if (retryLogoThroughProxy(e.target)) return;
     // ...existing code...
   };
 
-  // Apply our filters and sorting
+  // Apply our filters and sorting - channels removed from the playlist are never shown
+  const visibleChannels = useMemo(() => filterRemovedChannels(playlist, channels), [playlist, channels]);
+  const removedCount = getRemovedChannelIds(playlist).length;
+  const deadCount = visibleChannels.filter(channel => getChannelHealthStatus(channelHealth, channel) === HEALTH_STATUS.offline).length;
   const filteredChannels = getFilteredAndSortedChannels();
   const groupedChannels = groupChannels(filteredChannels);
 
@@ -720,14 +800,33 @@ export default function PlaylistView(props) {
               <Info className="w-4 h-4 sm:w-5 sm:h-5" />
             </button>
             
-            <button
-              onClick={exportPlaylist}
-              className="p-1.5 sm:p-2 text-gray-300 hover:text-white bg-gray-700 rounded-lg"
-              title="Export Playlist"
-              aria-label="Export Playlist"
-            >
-              <Download className="w-4 h-4 sm:w-5 sm:h-5" />
-            </button>
+            <div className="relative">
+              <button
+                onClick={() => setShowExportMenu(!showExportMenu)}
+                className="p-1.5 sm:p-2 text-gray-300 hover:text-white bg-gray-700 rounded-lg"
+                title="Export Playlist"
+                aria-label="Export Playlist"
+              >
+                <Download className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+              
+              {showExportMenu && (
+                <div className="absolute right-0 mt-2 w-52 bg-gray-800 border border-gray-700 rounded-lg shadow-lg z-20 py-1 text-sm">
+                  <button
+                    onClick={() => exportPlaylist('all')}
+                    className="w-full text-left px-3 py-2 hover:bg-gray-700"
+                  >
+                    Export all channels ({visibleChannels.length})
+                  </button>
+                  <button
+                    onClick={() => exportPlaylist('view')}
+                    className="w-full text-left px-3 py-2 hover:bg-gray-700"
+                  >
+                    Export current view ({filteredChannels.length})
+                  </button>
+                </div>
+              )}
+            </div>
             
             <button
               onClick={handleRefreshPlaylist}
@@ -744,6 +843,14 @@ export default function PlaylistView(props) {
           {playlist?.url ? playlist.url : 'Loading playlist URL...'}
         </p>
         
+        {refreshDiffs && (
+          <PlaylistDiffReport
+            diffs={refreshDiffs}
+            onClose={() => setRefreshDiffs(null)}
+            className="mt-3"
+          />
+        )}
+        
         {/* Playlist Information Panel - Improved with overflow handling */}
         {showPlaylistInfo && playlistStats && (
           <div className="mt-3 sm:mt-4 p-3 sm:p-4 bg-gray-800 rounded-lg overflow-hidden">
@@ -821,24 +928,14 @@ export default function PlaylistView(props) {
 
       {/* Search and view toggles - Unchanged */}
       <div className="mb-4 sm:mb-6 bg-gray-800 p-3 sm:p-4 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-2 sm:gap-4">
-        <div className="relative flex-1 max-w-full sm:max-w-md md:max-w-lg">
-          <input
-            type="text"
-            placeholder="Search channels..."
-            className="w-full px-3 sm:px-4 py-2 pl-9 sm:pl-10 bg-gray-700 rounded-lg border border-gray-600 text-sm"
-            value={searchQuery}
-            onInput={(e) => setSearchQuery(e.target.value)}
-          />
-          <Search className="absolute left-3 top-2.5 w-4 h-4 sm:w-5 sm:h-5 text-gray-400" />
-          {searchQuery && (
-            <button
-              onClick={() => setSearchQuery('')}
-              className="absolute right-3 top-2.5 text-gray-400 hover:text-white"
-            >
-              <X className="w-4 h-4 sm:w-5 sm:h-5" />
-            </button>
-          )}
-        </div>
+        <ChannelQueryInput
+          value={searchQuery}
+          onChange={setSearchQuery}
+          channels={visibleChannels}
+          context={queryContext}
+          placeholder="Search channels..."
+          className="flex-1 max-w-full sm:max-w-md md:max-w-lg"
+        />
         
         <div className="flex items-center gap-1 sm:gap-2 flex-shrink-0">
           <button
@@ -884,6 +981,88 @@ export default function PlaylistView(props) {
         </div>
       </div>
       
+      {/* Stream health - scan, filter by the results and remove dead channels */}
+      {!loading && !error && playlist && (
+        <div className="mb-4 sm:mb-6 bg-gray-800 p-3 sm:p-4 rounded-lg text-xs sm:text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={healthFilter}
+              onChange={(e) => setHealthFilter(e.target.value)}
+              className="px-2 py-1.5 bg-gray-700 rounded-lg border border-gray-600"
+              aria-label="Filter by stream health"
+            >
+              {HEALTH_FILTERS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            
+            {scanProgress ? (
+              <button
+                onClick={cancelScan}
+                className="px-2 sm:px-3 py-1.5 bg-gray-700 text-gray-300 hover:bg-gray-600 rounded-lg flex items-center gap-1.5"
+              >
+                <X className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                <span>Cancel scan</span>
+              </button>
+            ) : (
+              <button
+                onClick={handleScanStreams}
+                className="px-2 sm:px-3 py-1.5 bg-gray-700 text-gray-300 hover:bg-gray-600 rounded-lg flex items-center gap-1.5"
+                title="Check every stream of this playlist"
+              >
+                <Activity className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                <span>Scan streams</span>
+              </button>
+            )}
+            
+            {deadCount > 0 && !scanProgress && (
+              <button
+                onClick={removeDeadChannels}
+                className="px-2 sm:px-3 py-1.5 bg-red-900/50 text-red-200 hover:bg-red-900/70 rounded-lg flex items-center gap-1.5"
+              >
+                <Trash2 className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                <span>Remove {deadCount} dead {deadCount === 1 ? 'channel' : 'channels'}</span>
+              </button>
+            )}
+            
+            {removedCount > 0 && (
+              <span className="flex items-center gap-1.5 text-gray-400">
+                {removedCount} removed
+                <button
+                  onClick={restoreChannels}
+                  className="inline-flex items-center gap-1 text-blue-400 hover:text-blue-300"
+                >
+                  <RotateCcw className="w-3.5 h-3.5" />
+                  Restore
+                </button>
+              </span>
+            )}
+          </div>
+          
+          {scanProgress && (
+            <div className="mt-2">
+              <div className="flex justify-between text-gray-400 mb-1">
+                <span>Checked {scanProgress.done} of {scanProgress.total || '…'} streams</span>
+                <span>{scanProgress.online || 0} online · {scanProgress.offline || 0} offline</span>
+              </div>
+              <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500 transition-all"
+                  style={{ width: `${scanProgress.total ? (scanProgress.done / scanProgress.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+          
+          {scanSummary && !scanProgress && (
+            <p className="mt-2 text-gray-400">
+              {scanSummary.cancelled ? 'Scan cancelled' : 'Scan complete'}: {scanSummary.online} online, {scanSummary.offline} offline
+              {scanSummary.unknown > 0 && `, ${scanSummary.unknown} could not be checked`}.
+            </p>
+          )}
+        </div>
+      )}
+      
       {/* Recently played section - Better overflow handling */}
       {recentlyPlayed.length > 0 && !loading && !error && (
         <div className="mb-4 sm:mb-6 overflow-hidden">
@@ -1017,6 +1196,9 @@ export default function PlaylistView(props) {
                               <span className="uppercase">{channel.country}</span>
                             </div>
                           )}
+
+                          <EpgNowNext tvgId={channel.tvgId} name={channel.name} shift={channel.tvgShift} compact className="mt-0.5" />
+                          <StreamHealthBadge result={channelHealth[channel.url]} className="mt-0.5" />
                         </div>
                       </div>
                       
@@ -1108,6 +1290,9 @@ export default function PlaylistView(props) {
                           </div>
                         )}
                         
+                        <EpgNowNext tvgId={channel.tvgId} name={channel.name} shift={channel.tvgShift} compact className="mt-0.5" />
+                        <StreamHealthBadge result={channelHealth[channel.url]} className="mt-0.5" />
+                        
                         {/* Display categories in list view - Improved truncation */}
                         {channel.categories && channel.categories.length > 0 && (
                           <div className="flex flex-wrap gap-1 mt-0.5 sm:mt-1 overflow-hidden">
@@ -0,0 +1,186 @@
+import { h } from 'preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { Search as SearchIcon, Loader, List, Heart, History, Globe, Folder, PlayCircle } from 'lucide-preact';
+import { searchAll } from '../utils/search';
+import { getChannelColor, getChannelInitials, getChannelLogo, retryLogoThroughProxy } from '../utils/logoService';
+
+function ChannelLogo({ channel }) {
+  const logoUrl = getChannelLogo(channel);
+
+  if (!logoUrl) {
+    return (
+      <div
+        class="w-10 h-10 rounded flex-shrink-0 flex items-center justify-center"
+        style={{ backgroundColor: getChannelColor(channel.name) }}
+      >
+        <div class="text-white text-xs font-bold">{getChannelInitials(channel.name)}</div>
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={logoUrl}
+      alt={channel.name}
+      class="w-10 h-10 rounded flex-shrink-0 object-contain bg-gray-900"
+      loading="lazy"
+      onError={(e) => {
+        if (retryLogoThroughProxy(e.target)) return;
+        e.target.onerror = null;
+        e.target.style.display = 'none';
+        e.target.parentNode.innerHTML = `<div class="w-10 h-10 rounded flex-shrink-0 flex items-center justify-center" style="background-color: ${getChannelColor(channel.name)}"><div class="text-white text-xs font-bold">${getChannelInitials(channel.name)}</div></div>`;
+      }}
+    />
+  );
+}
+
+// One channel in the results - the link plays it; channels without a stream are shown dimmed
+function ChannelResult({ channel, detail, target = channel.url || channel.id }) {
+  return (
+    <a
+      href={target ? `/watch/${encodeURIComponent(target)}` : '#'}
+      class={`flex items-center gap-3 bg-gray-800 p-3 rounded-lg ${target ? 'hover:bg-gray-700 transition-colors' : 'opacity-60 cursor-default'}`}
+      onClick={e => !target && e.preventDefault()}
+    >
+      <div class="flex-shrink-0">
+        <ChannelLogo channel={channel} />
+      </div>
+      <div class="flex-1 min-w-0">
+        <h4 class="font-medium text-sm truncate">{channel.name || 'Unnamed Channel'}</h4>
+        <p class="text-xs text-gray-400 truncate">{detail}</p>
+      </div>
+      {target && <PlayCircle size={18} class="text-blue-400 flex-shrink-0" />}
+    </a>
+  );
+}
+
+function ResultSection({ title, icon: Icon, total, shown, children }) {
+  if (shown === 0) return null;
+
+  return (
+    <section class="mb-8">
+      <h3 class="text-lg font-semibold mb-3 flex items-center gap-2">
+        <Icon size={18} class="text-blue-400" />
+        {title}
+        <span class="text-sm font-normal text-gray-400">
+          {total > shown ? `${shown} of ${total}` : total}
+        </span>
+      </h3>
+      <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-2">
+        {children}
+      </div>
+    </section>
+  );
+}
+
+export default function Search(props) {
+  const query = (props.q || '').trim();
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const searchIdRef = useRef(0);
+
+  useEffect(() => {
+    const searchId = ++searchIdRef.current;
+    if (!query) {
+      setResults(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    searchAll(query)
+      .then(found => {
+        // A newer search started while this one ran
+        if (searchId === searchIdRef.current) setResults(found);
+      })
+      .catch(error => {
+        console.error('Search failed:', error);
+        if (searchId === searchIdRef.current) setResults(null);
+      })
+      .finally(() => {
+        if (searchId === searchIdRef.current) setLoading(false);
+      });
+  }, [query]);
+
+  const totalFound = results ? Object.values(results.totals).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <div>
+      <h2 class="text-2xl font-bold mb-6 flex items-center gap-2">
+        <SearchIcon size={24} />
+        {query ? <span>Results for "{query}"</span> : <span>Search</span>}
+        {loading && <Loader size={18} class="animate-spin text-blue-400" />}
+      </h2>
+
+      {!query && (
+        <p class="text-gray-400">
+          Type in the search box above to search your playlists, favorites, watch history and the iptv-org channel list.
+        </p>
+      )}
+
+      {query && results && totalFound === 0 && !loading && (
+        <p class="text-gray-400">Nothing matches "{query}".</p>
+      )}
+
+      {query && results && (
+        <div>
+          <ResultSection title="Your Channels" icon={List} total={results.totals.channels} shown={results.channels.length}>
+            {results.channels.map(channel => (
+              <ChannelResult
+                key={`${channel.playlistId}:${channel.id}`}
+                channel={channel}
+                detail={[channel.playlistName, channel.group].filter(Boolean).join(' · ')}
+              />
+            ))}
+          </ResultSection>
+
+          <ResultSection title="Favorites" icon={Heart} total={results.totals.favorites} shown={results.favorites.length}>
+            {results.favorites.map(channel => (
+              <ChannelResult key={channel.id} channel={channel} target={channel.id} detail={channel.group || 'Uncategorized'} />
+            ))}
+          </ResultSection>
+
+          <ResultSection title="Watch History" icon={History} total={results.totals.history} shown={results.history.length}>
+            {results.history.map(entry => (
+              <ChannelResult
+                key={entry.channelId}
+                channel={entry.channel}
+                target={entry.channel.id}
+                detail={`Watched ${new Date(entry.timestamp).toLocaleString()}`}
+              />
+            ))}
+          </ResultSection>
+
+          <ResultSection title="Playlist Groups" icon={Folder} total={results.totals.groups} shown={results.groups.length}>
+            {results.groups.map(group => (
+              <a
+                key={`${group.playlistId}:${group.group}`}
+                href={`/playlist/${group.playlistId}?group=${encodeURIComponent(group.group)}`}
+                class="flex items-center gap-3 bg-gray-800 p-3 rounded-lg hover:bg-gray-700 transition-colors"
+              >
+                <Folder size={20} class="text-gray-400 flex-shrink-0" />
+                <div class="flex-1 min-w-0">
+                  <h4 class="font-medium text-sm truncate">{group.group}</h4>
+                  <p class="text-xs text-gray-400 truncate">
+                    {group.playlistName} · {group.count} {group.count === 1 ? 'channel' : 'channels'}
+                  </p>
+                </div>
+              </a>
+            ))}
+          </ResultSection>
+
+          <ResultSection title="iptv-org Channels" icon={Globe} total={results.totals.iptvOrg} shown={results.iptvOrg.length}>
+            {results.iptvOrg.map(channel => (
+              <ChannelResult
+                key={channel.id}
+                channel={channel}
+                target={channel.url ? channel.id : null}
+                detail={[channel.id, channel.group, !channel.url && 'no stream'].filter(Boolean).join(' · ')}
+              />
+            ))}
+          </ResultSection>
+        </div>
+      )}
+    </div>
+  );
+}
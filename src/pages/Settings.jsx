@@ -1,9 +1,21 @@
 import { h } from 'preact';
 import { useState, useEffect, useRef } from 'preact/hooks';
 import { Trash2, Plus, RefreshCw, Globe, AlertCircle, Upload } from 'lucide-preact';
-import { getPlaylists, removePlaylist } from '../utils/playlist';
-import { fetchPlaylist } from '../utils/simpleParser';
-import { get, set } from '../utils/idbStorage';
+import { getPlaylists, removePlaylist, savePlaylist, importPlaylistFile, saveXtreamPlaylist, getPlaylistEpgUrls, setPlaylistEpgOverride, setPlaylistRefreshInterval, setPlaylistProxyOverride } from '../utils/playlist';
+import { isAbortError } from '../utils/playlistWorker';
+import { countPlaylistChannels } from '../utils/channelDb';
+import { clearFavorites } from '../utils/favorites';
+import { getEpgSources, addEpgSource, removeEpgSource, refreshEpgSource } from '../utils/epg';
+import { ImportProgress } from '../components/ImportProgress';
+import { PlaylistDiffReport } from '../components/PlaylistDiffReport';
+import { getPlaylistDiffs } from '../utils/playlistDiff';
+import { getRefreshInterval, recordManualRefresh } from '../utils/refreshScheduler';
+import { ProxySettingsPanel } from '../components/ProxySettingsPanel';
+import { BackupPanel } from '../components/BackupPanel';
+import { InvalidStreamsPanel } from '../components/InvalidStreamsPanel';
+import { ShortcutSettingsPanel } from '../components/ShortcutSettingsPanel';
+import { getProxySettings, saveProxySettings, DIRECT_PROXY_ID, COMPANION_NAME } from '../utils/proxySettings';
+import { COMPANION_PROXY_ID } from '../utils/companionProxy';
 
 export default function SettingsPage() {
   const [playlists, setPlaylists] = useState([]);
@@ -17,10 +29,29 @@ export default function SettingsPage() {
   const [storageInfo, setStorageInfo] = useState(null);
   const [uploadedFile, setUploadedFile] = useState(null);
   const [uploadedFileName, setUploadedFileName] = useState('');
+  const [epgSources, setEpgSources] = useState([]);
+  const [newEpgUrl, setNewEpgUrl] = useState('');
+  const [epgRefreshingUrl, setEpgRefreshingUrl] = useState(null);
+  const [epgError, setEpgError] = useState('');
+  const [editingEpgPlaylistId, setEditingEpgPlaylistId] = useState(null);
+  const [epgOverrideText, setEpgOverrideText] = useState('');
+  const [xtreamMode, setXtreamMode] = useState(false);
+  const [xtreamServer, setXtreamServer] = useState('');
+  const [xtreamUsername, setXtreamUsername] = useState('');
+  const [xtreamPassword, setXtreamPassword] = useState('');
+  const [xtreamIncludeVod, setXtreamIncludeVod] = useState(true);
+  const [xtreamIncludeSeries, setXtreamIncludeSeries] = useState(false);
+  const [xtreamProgress, setXtreamProgress] = useState('');
+  const [importProgress, setImportProgress] = useState(null);
+  const [diffReport, setDiffReport] = useState(null);
+  const [proxySettings, setProxySettings] = useState(null);
   const fileInputRef = useRef(null);
+  const importControllerRef = useRef(null);
 
   useEffect(() => {
     loadPlaylists();
+    loadEpgSources();
+    getProxySettings().then(setProxySettings);
     checkStorageUsage();
     
     // Check for URL param and pre-fill form
@@ -53,6 +84,67 @@ export default function SettingsPage() {
     }
   }
 
+  async function loadEpgSources() {
+    try {
+      setEpgSources(await getEpgSources());
+    } catch (err) {
+      console.error('Failed to load EPG sources:', err);
+    }
+  }
+
+  async function handleRefreshEpgSource(url) {
+    setEpgRefreshingUrl(url);
+    setEpgError('');
+    try {
+      await refreshEpgSource(url);
+    } catch (err) {
+      setEpgError(`Failed to load guide: ${err.message}`);
+    } finally {
+      setEpgRefreshingUrl(null);
+      loadEpgSources();
+    }
+  }
+
+  async function handleAddEpgSource(e) {
+    e.preventDefault();
+    setEpgError('');
+    try {
+      const source = await addEpgSource(newEpgUrl.trim());
+      setNewEpgUrl('');
+      await loadEpgSources();
+      await handleRefreshEpgSource(source.url);
+    } catch (err) {
+      setEpgError(err.message);
+    }
+  }
+
+  async function handleRemoveEpgSource(url) {
+    if (!confirm('Remove this guide source and its programme data?')) return;
+    await removeEpgSource(url);
+    loadEpgSources();
+  }
+
+  function startEditingPlaylistEpg(playlist) {
+    setEditingEpgPlaylistId(playlist.id);
+    setEpgOverrideText(getPlaylistEpgUrls(playlist).join('\n'));
+    setEpgError('');
+  }
+
+  async function handleSavePlaylistEpg(playlistId, useHeader = false) {
+    try {
+      const urls = useHeader
+        ? null
+        : epgOverrideText.split(/[\n,]/).map(url => url.trim()).filter(Boolean);
+      await setPlaylistEpgOverride(playlistId, urls);
+      setEditingEpgPlaylistId(null);
+      await loadPlaylists();
+      loadEpgSources();
+    } catch (err) {
+      console.error('Failed to update playlist guide:', err);
+      setEpgError(err.message);
+    }
+  }
+
   async function checkStorageUsage() {
     try {
       // Check if we're in a browser that supports the estimate() API
@@ -69,6 +161,23 @@ export default function SettingsPage() {
     }
   }
 
+  // Set up progress reporting and cancellation for a worker import
+  function startImport() {
+    importControllerRef.current = new AbortController();
+    setImportProgress({ receivedBytes: 0, totalBytes: 0, channelCount: 0 });
+    return { onProgress: setImportProgress, signal: importControllerRef.current.signal };
+  }
+
+  function finishImport() {
+    importControllerRef.current = null;
+    setImportProgress(null);
+    setLoading(false);
+  }
+
+  function handleCancelImport() {
+    importControllerRef.current?.abort();
+  }
+
   async function handleAddPlaylist(e) {
     e.preventDefault();
     setLoading(true);
@@ -91,72 +200,16 @@ export default function SettingsPage() {
         setError(`Corrected URL format to: ${correctedUrl}`);
       }
 
-      // Check if URL exists before trying to parse it as a playlist
-      try {
-        const testResponse = await fetch(correctedUrl, { 
-          method: 'HEAD',
-          headers: { 'User-Agent': 'Mozilla/5.0' },
-          mode: 'no-cors' // Try to at least check if resource exists
-        });
-        console.log('Resource check response:', testResponse);
-      } catch (e) {
-        console.warn('Resource existence check failed:', e);
-        // Continue anyway as this is just a preliminary check
-      }
-      
       console.log('Adding playlist:', { url: correctedUrl, name: newPlaylistName });
       
-      // Try to fetch with CORS proxy first if it's a GitHub raw URL (common source of CORS issues)
-      let playlistData;
-      let useProxy = false;
-      
-      // Try all available methods sequentially
-      const fetchMethods = [
-        { name: 'Direct fetch', url: correctedUrl, useProxy: false },
-        { name: 'CORS proxy', url: `https://corsproxy.io/?${encodeURIComponent(correctedUrl)}`, useProxy: true },
-        { name: 'Alternative proxy', url: `https://cors-anywhere.herokuapp.com/${correctedUrl}`, useProxy: true },
-        { name: 'IPTV-org API', url: `https://api.iptv-org.workers.dev/?url=${encodeURIComponent(correctedUrl)}`, useProxy: true }
-      ];
-      
-      let successfulMethod = null;
-      let lastError = null;
-      
-      for (const method of fetchMethods) {
-        try {
-          console.log(`Trying ${method.name}: ${method.url}`);
-          playlistData = await fetchPlaylist(method.url);
-          
-          if (playlistData?.segments && playlistData.segments.length > 0) {
-            console.log(`${method.name} successful with ${playlistData.segments.length} channels`);
-            successfulMethod = method;
-            useProxy = method.useProxy;
-            break;
-          } else {
-            console.warn(`${method.name} returned empty playlist`);
-          }
-        } catch (err) {
-          console.warn(`${method.name} failed:`, err);
-          lastError = err;
-        }
-      }
-      
-      if (!successfulMethod) {
-        throw new Error(`Could not load playlist from any source. Last error: ${lastError?.message}`);
-      }
-      
-      // Import necessary function to save playlist
-      const { savePlaylist } = await import('../utils/playlist');
-      
-      // Pass the proxy flag to savePlaylist if we needed to use it
-      const savedPlaylist = await savePlaylist(correctedUrl, newPlaylistName || 'My Playlist', useProxy);
+      // Downloads and parses in the playlist worker, retrying through the CORS proxy if needed
+      const savedPlaylist = await savePlaylist(correctedUrl, newPlaylistName || 'My Playlist', false, startImport());
       console.log('Playlist saved successfully:', savedPlaylist);
       
-      // Verify channels were saved
-      const allChannels = await get('channels') || {};
-      const channelCount = allChannels[savedPlaylist.id]?.length || 0;
-      console.log(`Channels saved for playlist ${savedPlaylist.id}: ${channelCount}`);
+      const channelCount = savedPlaylist.channelCount;
       
       await loadPlaylists();
+      loadEpgSources();
       
       // Clear form after successful addition and show a more helpful success message
       setNewPlaylistUrl('');
@@ -168,6 +221,10 @@ export default function SettingsPage() {
         setError('');
       }, 3000);
     } catch (err) {
+      if (isAbortError(err)) {
+        setError('Import cancelled.');
+        return;
+      }
       console.error('Failed to add playlist:', err);
       
       // Provide helpful suggestions based on the error
@@ -188,6 +245,40 @@ export default function SettingsPage() {
       
       setError(errorMessage);
     } finally {
+      finishImport();
+    }
+  }
+
+  async function handleAddXtreamPlaylist(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const savedPlaylist = await saveXtreamPlaylist(
+        { server: xtreamServer, username: xtreamUsername, password: xtreamPassword },
+        newPlaylistName,
+        {
+          includeVod: xtreamIncludeVod,
+          includeSeries: xtreamIncludeSeries,
+          onProgress: setXtreamProgress
+        }
+      );
+
+      await loadPlaylists();
+      loadEpgSources();
+
+      setXtreamServer('');
+      setXtreamUsername('');
+      setXtreamPassword('');
+      setNewPlaylistName('');
+      setError(`Added Xtream account with ${savedPlaylist.channelCount} channels. Click on it to view.`);
+      setTimeout(() => setError(''), 3000);
+    } catch (err) {
+      console.error('Failed to add Xtream account:', err);
+      setError(`Failed to add Xtream account: ${err.message}`);
+    } finally {
+      setXtreamProgress('');
       setLoading(false);
     }
   }
@@ -196,12 +287,47 @@ export default function SettingsPage() {
     try {
       await removePlaylist(id);
       await loadPlaylists();
+      loadEpgSources();
     } catch (err) {
       console.error('Failed to remove playlist:', err);
       setError(`Failed to remove playlist: ${err.message}`);
     }
   }
 
+  async function handleRefreshIntervalChange(playlistId, interval) {
+    try {
+      await setPlaylistRefreshInterval(playlistId, interval);
+      await loadPlaylists();
+    } catch (err) {
+      console.error('Failed to update refresh interval:', err);
+      setError(err.message);
+    }
+  }
+
+  async function handleProxyOverrideChange(playlistId, override) {
+    try {
+      await setPlaylistProxyOverride(playlistId, override || null);
+      await loadPlaylists();
+    } catch (err) {
+      console.error('Failed to update playlist proxy:', err);
+      setError(err.message);
+    }
+  }
+
+  async function handleSaveProxySettings(settings) {
+    setProxySettings(await saveProxySettings(settings));
+  }
+
+  function describeProxy(proxyId) {
+    if (proxyId === DIRECT_PROXY_ID) return 'directly';
+    if (proxyId === COMPANION_PROXY_ID) return `via the ${COMPANION_NAME.toLowerCase()}`;
+    return `via ${proxySettings?.proxies.find(proxy => proxy.id === proxyId)?.name || 'a removed proxy'}`;
+  }
+
+  async function showPlaylistDiffs(playlistId) {
+    setDiffReport({ playlistId, diffs: await getPlaylistDiffs(playlistId) });
+  }
+
   async function handleRefreshPlaylist(playlistId) {
     setRefreshingId(playlistId);
     setRefreshError(null);
@@ -215,32 +341,38 @@ export default function SettingsPage() {
       // Import refreshPlaylist function
       const { refreshPlaylist } = await import('../utils/playlist');
       await refreshPlaylist(playlistId);
+      await recordManualRefresh(playlistId);
       
-      // Update the playlist's last refreshed timestamp
-      const updatedPlaylists = playlists.map(p => 
-        p.id === playlistId ? { ...p, lastRefreshed: new Date().toISOString() } : p
-      );
-      
-      setPlaylists(updatedPlaylists);
+      // Reload so the refresh time and any new guide URLs from the header show up
+      await loadPlaylists();
+      loadEpgSources();
+      await showPlaylistDiffs(playlistId);
       setRefreshSuccess(playlistId);
       setTimeout(() => setRefreshSuccess(null), 3000);
     } catch (err) {
       console.error('Failed to refresh playlist:', err);
       setRefreshError(`Failed to refresh: ${err.message}`);
+      recordManualRefresh(playlistId, err);
     } finally {
       setRefreshingId(null);
     }
   }
 
+  function handleBackupRestored() {
+    loadPlaylists();
+    loadEpgSources();
+    getProxySettings().then(setProxySettings);
+  }
+
   async function clearAllData() {
     if (confirm('This will delete all playlists and cached data. This action cannot be undone. Continue?')) {
       try {
-        // Get all keys and clear them
-        const keys = await get('playlists') || [];
-        await set('playlists', []);
-        await set('channels', {});
-        await set('rawPlaylists', {});
-        await set('favorites', []);
+        // Removing each playlist also drops its channels, guide sources and change reports
+        const savedPlaylists = await getPlaylists();
+        for (const playlist of savedPlaylists) {
+          await removePlaylist(playlist.id);
+        }
+        await clearFavorites();
         
         // You might want to keep watchHistory for user convenience
         
@@ -255,10 +387,13 @@ export default function SettingsPage() {
 
   async function verifyStorage() {
     try {
+      const savedPlaylists = await getPlaylists();
       const allData = {
-        playlists: await get('playlists') || [],
-        channels: await get('channels') || {},
-        rawPlaylists: await get('rawPlaylists') || {}
+        playlists: savedPlaylists,
+        channelCounts: await Promise.all(savedPlaylists.map(async playlist => ({
+          playlistId: playlist.id,
+          channelCount: await countPlaylistChannels(playlist.id)
+        })))
       };
       
       console.log('IndexedDB storage contents:', allData);
@@ -272,10 +407,7 @@ export default function SettingsPage() {
           addedAt: p.addedAt,
           lastRefreshed: p.lastRefreshed
         })),
-        channelCounts: Object.entries(allData.channels).map(([playlistId, channels]) => ({
-          playlistId,
-          channelCount: channels?.length || 0
-        }))
+        channelCounts: allData.channelCounts
       };
       
       alert(`Storage check complete. See console (F12) for details.\n\nFound ${dataReport.playlists.length} playlists and ${dataReport.channelCounts.length} channel groups.`);
@@ -322,124 +454,28 @@ export default function SettingsPage() {
     setError('');
 
     try {
-      if (!uploadedFile) {
-        throw new Error('No file selected');
-      }
-
-      console.log('Processing file:', uploadedFile.name);
-      
-      // Create a file reader
-      const fileReader = new FileReader();
-      
-      // Use a promise to handle file reading
-      const fileContents = await new Promise((resolve, reject) => {
-        fileReader.onload = (event) => resolve(event.target.result);
-        fileReader.onerror = (error) => reject(new Error('Failed to read file: ' + error.message));
-        fileReader.readAsText(uploadedFile);
-      });
-      
-      if (!fileContents || fileContents.length === 0) {
-        throw new Error('File is empty');
-      }
-
-      console.log(`Successfully read file: ${fileContents.length} bytes`);
-      
-      // Basic validation of file content
-      if (!fileContents.includes('#EXTINF') && !fileContents.includes('http')) {
-        throw new Error('File does not appear to be a valid playlist - missing #EXTINF tags or URLs');
-      }
-
-      // Parse the content
-      const { parseM3U8 } = await import('../utils/simpleParser');
-      console.log('Parsing playlist content...');
-      const manifest = parseM3U8(fileContents);
-      console.log('Parse result:', { 
-        hasSegments: !!manifest.segments, 
-        segmentCount: manifest.segments?.length || 0 
-      });
-      
-      if (!manifest.segments || manifest.segments.length === 0) {
-        throw new Error('No channels found in the file. Check format and try again.');
-      }
-      
-      // Generate unique identifiers for this playlist
-      const timestamp = Date.now();
-      const pseudoUrl = `file://${uploadedFile.name}_${timestamp}`;
-      const { generateStablePlaylistId } = await import('../utils/playlist');
-      const playlistId = generateStablePlaylistId(pseudoUrl);
-      
-      console.log(`Generated playlist ID: ${playlistId}`);
-      
-      // Create a playlist object
-      const newPlaylist = {
-        id: playlistId,
-        url: pseudoUrl,
-        name: newPlaylistName || 'Local Playlist',
-        addedAt: new Date().toISOString(),
-        isLocal: true,
-        fileSize: uploadedFile.size,
-        fileName: uploadedFile.name
-      };
-      
-      // Create channel objects manually
-      const channels = manifest.segments.map((segment, index) => {
-        // Create a unique ID for each channel
-        const uniqueId = `${playlistId}_${index}`;
-        
-        return {
-          id: uniqueId,
-          name: segment.title || `Channel ${index + 1}`,
-          url: segment.uri || '',
-          group: segment.attributes?.['group-title'] || 'Uncategorized',
-          playlistId: playlistId,
-          attributes: segment.attributes || {},
-          tvgId: segment.attributes?.['tvg-id'],
-          tvgName: segment.attributes?.['tvg-name'],
-          tvgLogo: segment.attributes?.['tvg-logo']
-        };
-      });
-      
-      console.log(`Created ${channels.length} channels`);
-      
-      // Save everything to IndexedDB in sequence
-      try {
-        // 1. Save playlist metadata
-        const existingPlaylists = await get('playlists') || [];
-        console.log('Saving playlist metadata...');
-        await set('playlists', [...existingPlaylists, newPlaylist]);
-        
-        // 2. Save channels data
-        console.log('Saving channel data...');
-        const allChannels = await get('channels') || {};
-        allChannels[playlistId] = channels;
-        await set('channels', allChannels);
-        
-        // 3. Save raw playlist data
-        console.log('Saving raw playlist data...');
-        const rawPlaylists = await get('rawPlaylists') || {};
-        rawPlaylists[playlistId] = manifest;
-        await set('rawPlaylists', rawPlaylists);
-        
-        console.log('All data saved successfully!');
-      } catch (storageError) {
-        console.error('Failed to save data to IndexedDB:', storageError);
-        throw new Error(`Storage error: ${storageError.message}. Try clearing browser data.`);
-      }
+      console.log('Processing file:', uploadedFile?.name);
+      const savedPlaylist = await importPlaylistFile(uploadedFile, newPlaylistName || 'Local Playlist', startImport());
       
       await loadPlaylists();
+      loadEpgSources();
       
       // Clear form and show success message
       setUploadedFile(null);
       setUploadedFileName('');
       setNewPlaylistName('');
-      setError(`Playlist "${newPlaylistName}" added with ${channels.length} channels. Click on it to view.`);
+      setError(`Playlist "${savedPlaylist.name}" added with ${savedPlaylist.channelCount} channels. Click on it to view.`);
       
       setTimeout(() => setError(''), 3000);
     } catch (err) {
+      if (isAbortError(err)) {
+        setError('Import cancelled.');
+        return;
+      }
       console.error('Error processing local file:', err);
       setError(`Error adding local playlist: ${err.message}`);
     } finally {
-      setLoading(false);
+      finishImport();
     }
   }
 
@@ -463,15 +499,19 @@ export default function SettingsPage() {
           <div class="flex justify-start space-x-4">
             <button
               type="button" // Add type="button" to prevent form submission
-              class={`px-3 py-1 rounded-lg ${!uploadedFile ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
-              onClick={() => setUploadedFile(null)}
+              class={`px-3 py-1 rounded-lg ${!uploadedFile && !xtreamMode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+              onClick={() => {
+                setUploadedFile(null);
+                setXtreamMode(false);
+              }}
             >
               From URL
             </button>
             <button
               type="button" // Add type="button" to prevent form submission
-              class={`px-3 py-1 rounded-lg ${uploadedFile ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+              class={`px-3 py-1 rounded-lg ${uploadedFile && !xtreamMode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
               onClick={() => {
+                setXtreamMode(false);
                 // More robust file input activation with fallbacks
                 try {
                   if (fileInputRef.current) {
@@ -512,10 +552,106 @@ export default function SettingsPage() {
             >
               From File
             </button>
+            <button
+              type="button"
+              class={`px-3 py-1 rounded-lg ${xtreamMode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+              onClick={() => {
+                setUploadedFile(null);
+                setXtreamMode(true);
+              }}
+            >
+              Xtream Codes
+            </button>
           </div>
         </div>
         
-        {!uploadedFile ? (
+        {xtreamMode ? (
+          <form onSubmit={handleAddXtreamPlaylist} class="space-y-4">
+            <div>
+              <label class="block text-sm font-medium mb-2">Playlist Name</label>
+              <input
+                type="text"
+                value={newPlaylistName}
+                onInput={e => setNewPlaylistName(e.target.value)}
+                placeholder="My Provider"
+                class="w-full px-4 py-2 bg-gray-700 rounded-lg border border-gray-600"
+              />
+            </div>
+
+            <div>
+              <label class="block text-sm font-medium mb-2">Server URL</label>
+              <input
+                type="text"
+                value={xtreamServer}
+                onInput={e => setXtreamServer(e.target.value)}
+                placeholder="http://provider.example.com:8080"
+                class="w-full px-4 py-2 bg-gray-700 rounded-lg border border-gray-600"
+                required
+              />
+            </div>
+
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label class="block text-sm font-medium mb-2">Username</label>
+                <input
+                  type="text"
+                  value={xtreamUsername}
+                  onInput={e => setXtreamUsername(e.target.value)}
+                  autocomplete="username"
+                  class="w-full px-4 py-2 bg-gray-700 rounded-lg border border-gray-600"
+                  required
+                />
+              </div>
+              <div>
+                <label class="block text-sm font-medium mb-2">Password</label>
+                <input
+                  type="password"
+                  value={xtreamPassword}
+                  onInput={e => setXtreamPassword(e.target.value)}
+                  autocomplete="current-password"
+                  class="w-full px-4 py-2 bg-gray-700 rounded-lg border border-gray-600"
+                  required
+                />
+              </div>
+            </div>
+
+            <div class="flex flex-wrap gap-6 text-sm">
+              <label class="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={xtreamIncludeVod}
+                  onChange={e => setXtreamIncludeVod(e.target.checked)}
+                />
+                Include movies
+              </label>
+              <label class="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={xtreamIncludeSeries}
+                  onChange={e => setXtreamIncludeSeries(e.target.checked)}
+                />
+                Include series (slower, one request per show)
+              </label>
+            </div>
+            
+            {xtreamProgress && (
+              <div class="text-gray-400 text-sm">{xtreamProgress}</div>
+            )}
+            
+            {error && (
+              <div class="text-red-400 text-sm whitespace-pre-line">{error}</div>
+            )}
+            
+            <button
+              type="submit"
+              disabled={loading}
+              class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              {loading ? <RefreshCw class="w-4 h-4 animate-spin" /> : <Plus class="w-4 h-4" />}
+              Add Xtream Account
+            </button>
+          </form>
+        ) : !uploadedFile ? (
           <form onSubmit={handleAddPlaylist} class="space-y-4">
             <div>
               <label class="block text-sm font-medium mb-2">Playlist Name</label>
@@ -541,6 +677,10 @@ export default function SettingsPage() {
               />
             </div>
             
+            {importProgress && (
+              <ImportProgress progress={importProgress} onCancel={handleCancelImport} />
+            )}
+            
             {error && (
               <div class="text-red-400 text-sm whitespace-pre-line">{error}</div>
             )}
@@ -630,6 +770,10 @@ export default function SettingsPage() {
               </div>
             </div>
             
+            {importProgress && (
+              <ImportProgress progress={importProgress} onCancel={handleCancelImport} />
+            )}
+            
             {error && (
               <div class="text-red-400 text-sm whitespace-pre-line">{error}</div>
             )}
@@ -684,10 +828,98 @@ export default function SettingsPage() {
                   <p class="text-xs text-gray-500">
                     Added: {new Date(playlist.addedAt).toLocaleDateString()}
                     {playlist.lastRefreshed && ` • Refreshed: ${new Date(playlist.lastRefreshed).toLocaleDateString()}`}
+                    {playlist.type === 'xtream' && playlist.accountInfo?.expDate && ` • Expires: ${new Date(playlist.accountInfo.expDate).toLocaleDateString()}`}
                   </p>
+                  {!playlist.isLocal && (
+                    <label class="flex items-center gap-2 text-xs text-gray-500 mt-1">
+                      Auto-refresh:
+                      <select
+                        value={getRefreshInterval(playlist)}
+                        onChange={e => handleRefreshIntervalChange(playlist.id, e.target.value)}
+                        class="bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-300"
+                      >
+                        <option value="hourly">Hourly</option>
+                        <option value="daily">Daily</option>
+                        <option value="weekly">Weekly</option>
+                        <option value="manual">Manual only</option>
+                      </select>
+                    </label>
+                  )}
+                  {!playlist.isLocal && proxySettings && (
+                    <label class="flex items-center gap-2 text-xs text-gray-500 mt-1">
+                      CORS proxy:
+                      <select
+                        value={playlist.proxyOverride || ''}
+                        onChange={e => handleProxyOverrideChange(playlist.id, e.target.value)}
+                        class="bg-gray-800 border border-gray-600 rounded px-1 py-0.5 text-gray-300"
+                      >
+                        <option value="">Automatic</option>
+                        <option value={DIRECT_PROXY_ID}>Direct only</option>
+                        <option value={COMPANION_PROXY_ID}>Only {COMPANION_NAME.toLowerCase()}</option>
+                        {proxySettings.proxies.map(proxy => (
+                          <option key={proxy.id} value={proxy.id}>Only {proxy.name}</option>
+                        ))}
+                      </select>
+                      {playlist.proxyId && <span>Last loaded {describeProxy(playlist.proxyId)}</span>}
+                    </label>
+                  )}
+                  {editingEpgPlaylistId === playlist.id ? (
+                    <div class="mt-2">
+                      <textarea
+                        value={epgOverrideText}
+                        onInput={e => setEpgOverrideText(e.target.value)}
+                        placeholder="One guide URL per line (leave empty to disable)"
+                        rows={2}
+                        class="w-full px-3 py-2 text-sm bg-gray-800 rounded-lg border border-gray-600"
+                      />
+                      {epgError && (
+                        <p class="text-xs text-red-400 mt-1">{epgError}</p>
+                      )}
+                      <div class="flex items-center gap-3 mt-1 text-xs">
+                        <button type="button" onClick={() => handleSavePlaylistEpg(playlist.id)} class="text-blue-400 hover:text-blue-300">
+                          Save
+                        </button>
+                        {(playlist.epgUrls || []).length > 0 && (
+                          <button type="button" onClick={() => handleSavePlaylistEpg(playlist.id, true)} class="text-gray-300 hover:text-white">
+                            Use playlist guide
+                          </button>
+                        )}
+                        <button type="button" onClick={() => setEditingEpgPlaylistId(null)} class="text-gray-400 hover:text-gray-300">
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <p class="text-xs text-gray-500">
+                      Guide: {getPlaylistEpgUrls(playlist).length > 0 ? getPlaylistEpgUrls(playlist).join(', ') : 'none'}
+                      {Array.isArray(playlist.epgOverride) ? ' (custom)' : (playlist.epgUrls || []).length > 0 ? ' (from playlist)' : ''}
+                      <button
+                        type="button"
+                        onClick={() => startEditingPlaylistEpg(playlist)}
+                        class="ml-2 text-blue-400 hover:text-blue-300"
+                      >
+                        Edit
+                      </button>
+                    </p>
+                  )}
                   {refreshSuccess === playlist.id && (
                     <p class="text-xs text-green-400 mt-1">Refreshed successfully!</p>
                   )}
+                  {diffReport?.playlistId === playlist.id ? (
+                    <PlaylistDiffReport
+                      diffs={diffReport.diffs}
+                      onClose={() => setDiffReport(null)}
+                      className="mt-2"
+                    />
+                  ) : playlist.lastRefreshed && (
+                    <button
+                      type="button"
+                      onClick={() => showPlaylistDiffs(playlist.id)}
+                      class="text-xs text-blue-400 hover:text-blue-300 mt-1"
+                    >
+                      Show refresh changes
+                    </button>
+                  )}
                   {refreshError && refreshingId === playlist.id && (
                     <p class="text-xs text-red-400 mt-1">{refreshError}</p>
                   )}
@@ -715,6 +947,118 @@ export default function SettingsPage() {
         )}
       </div>
       
+      <div class="bg-gray-800 rounded-lg p-6 mb-8">
+        <h3 class="text-lg font-semibold mb-2">Programme Guide (EPG)</h3>
+        <p class="text-sm text-gray-400 mb-4">
+          Add XMLTV guide URLs (plain or .gz) to show what's on now and next. Channels are matched by their tvg-id.
+          Guides declared in a playlist header (url-tvg) are added automatically; use Edit on the playlist above to change them.
+        </p>
+        
+        <form onSubmit={handleAddEpgSource} class="flex gap-2 mb-4">
+          <input
+            type="url"
+            value={newEpgUrl}
+            onInput={e => setNewEpgUrl(e.target.value)}
+            placeholder="https://example.com/guide.xml.gz"
+            class="flex-1 px-4 py-2 bg-gray-700 rounded-lg border border-gray-600"
+            required
+          />
+          <button
+            type="submit"
+            disabled={!!epgRefreshingUrl}
+            class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+          >
+            <Plus class="w-4 h-4" />
+            Add Guide
+          </button>
+        </form>
+        
+        {epgError && (
+          <div class="text-red-400 text-sm mb-4">{epgError}</div>
+        )}
+        
+        {epgSources.length > 0 && (
+          <div class="space-y-3">
+            {epgSources.map(source => (
+              <div key={source.url} class="flex items-center justify-between p-3 bg-gray-700 rounded-lg">
+                <div class="min-w-0">
+                  <h4 class="font-medium">{source.name}</h4>
+                  <p class="text-sm text-gray-400 truncate">{source.url}</p>
+                  <p class="text-xs text-gray-500">
+                    {source.lastFetched
+                      ? `Updated: ${new Date(source.lastFetched).toLocaleString()} • ${source.programmeCount} programmes for ${source.channelCount || 0} channels`
+                      : 'Not downloaded yet'}
+                  </p>
+                  {source.playlistIds?.length > 0 && (
+                    <p class="text-xs text-gray-500">
+                      {source.auto ? 'From playlist' : 'Also used by'}: {source.playlistIds
+                        .map(id => playlists.find(p => p.id === id)?.name || id)
+                        .join(', ')}
+                    </p>
+                  )}
+                  {source.lastError && (
+                    <p class="text-xs text-red-400 mt-1">Last error: {source.lastError}</p>
+                  )}
+                </div>
+                <div class="flex items-center gap-2">
+                  <button
+                    onClick={() => handleRefreshEpgSource(source.url)}
+                    disabled={!!epgRefreshingUrl}
+                    class={`p-2 ${epgRefreshingUrl === source.url ? 'text-gray-500' : 'text-blue-400 hover:text-blue-300'} transition-colors`}
+                    title="Refresh guide"
+                  >
+                    <RefreshCw class={`w-5 h-5 ${epgRefreshingUrl === source.url ? 'animate-spin' : ''}`} />
+                  </button>
+                  <button
+                    onClick={() => handleRemoveEpgSource(source.url)}
+                    class="p-2 text-red-400 hover:text-red-300 transition-colors"
+                    title="Remove guide"
+                  >
+                    <Trash2 class="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      
+      <div class="bg-gray-800 rounded-lg p-6 mb-8">
+        <h3 class="text-lg font-semibold mb-2">CORS Proxies</h3>
+        <p class="text-sm text-gray-400 mb-4">
+          When a playlist, guide, stream or logo can't be loaded directly, these proxies are tried in order.
+          Use {'{url}'} where the encoded address goes, or {'{rawUrl}'} for proxies that take it unencoded
+          (e.g. a self-hosted cors-anywhere at http://localhost:8080/{'{rawUrl}'}).
+        </p>
+        <ProxySettingsPanel settings={proxySettings} onSave={handleSaveProxySettings} />
+      </div>
+      
+      <div class="bg-gray-800 rounded-lg p-6 mb-8">
+        <h3 class="text-lg font-semibold mb-2">Backup & Restore</h3>
+        <p class="text-sm text-gray-400 mb-4">
+          Save your playlists, favorites, watch history, guide sources and settings to a file, or bring them back from one.
+          Guides are downloaded again after a restore.
+        </p>
+        <BackupPanel onRestored={handleBackupRestored} />
+      </div>
+      
+      <div class="bg-gray-800 rounded-lg p-6 mb-8">
+        <h3 class="text-lg font-semibold mb-2">Invalid Streams</h3>
+        <p class="text-sm text-gray-400 mb-4">
+          Streams that failed to play or failed a health scan. They're rechecked in the background, 6 hours after failing
+          and then less often each time they fail again, and cleared once they answer.
+        </p>
+        <InvalidStreamsPanel />
+      </div>
+      
+      <div class="bg-gray-800 rounded-lg p-6 mb-8">
+        <h3 class="text-lg font-semibold mb-2">Keyboard Shortcuts</h3>
+        <p class="text-sm text-gray-400 mb-4">
+          Shortcuts don't fire while typing in a text box. Press ? on any page to see the ones that work there.
+        </p>
+        <ShortcutSettingsPanel />
+      </div>
+      
       <div class="bg-gray-800 rounded-lg p-6">
         <h3 class="text-lg font-semibold mb-4">Storage Management</h3>
         
@@ -1,74 +1,44 @@
 import { h } from 'preact';
 import { useState, useEffect } from 'preact/hooks';
 import { route } from 'preact-router'; 
-import { get, set } from '../utils/idbStorage'; 
 import { toggleFavorite as toggleFavoriteUtil } from '../utils/favorites'; // Add favorites utility import
-import { History, Search, Trash2, PlayCircle, Calendar, Clock, Heart, AlertCircle, Filter, Grid, List as ListIcon } from 'lucide-preact';
-import { getChannelColor, getChannelInitials } from '../utils/logoService';
+import { removeFromWatchHistory, clearWatchHistory } from '../utils/watchHistory';
+import { useFavorites, useHistory } from '../hooks/useStore';
+import { History, Search, Trash2, PlayCircle, Calendar, Clock, Heart, AlertCircle, Filter, Grid, List as ListIcon, Download } from 'lucide-preact';
+import { getChannelColor, getChannelInitials, retryLogoThroughProxy } from '../utils/logoService';
 import * as apiClient from '../utils/apiClient';
+import { downloadM3U } from '../utils/m3uExport';
 
 export default function WatchHistory() {
-  const [history, setHistory] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { history: storedHistory, loading } = useHistory();
+  const { favorites: favoriteChannels } = useFavorites();
   const [searchQuery, setSearchQuery] = useState('');
-  const [favorites, setFavorites] = useState([]);
   const [showConfirmClear, setShowConfirmClear] = useState(false);
   const [isGridView, setIsGridView] = useState(true); 
 
-  useEffect(() => {
-    loadHistory();
-    loadFavorites();
-  }, []);
-
-  async function loadHistory() {
-    setLoading(true);
-    try {
-      const watchHistory = await get('watchHistory') || [];
-
-      const validHistory = watchHistory.filter(item => {
-        if (!item || !item.channel || !item.channel.id || !item.timestamp) {
-          console.warn('Invalid history item detected and removed:', item);
-          return false;
-        }
-        return true;
-      });
-
-      if (validHistory.length !== watchHistory.length) {
-        await set('watchHistory', validHistory);
-      }
+  const isValidItem = item => item && item.channel && item.channel.id && item.timestamp;
+  const history = storedHistory.filter(isValidItem);
+  const favorites = favoriteChannels.map(item => item.id);
 
-      setHistory(validHistory);
-    } catch (err) {
-      console.error('Failed to load watch history:', err);
-    } finally {
-      setLoading(false);
-    }
-  }
-
-  async function loadFavorites() {
-    try {
-      const favs = await get('favorites') || [];
-      setFavorites(favs.map(item => item.id));
-    } catch (err) {
-      console.error('Failed to load favorites:', err);
-      setFavorites([]);
-    }
-  }
+  // Drop entries that can't be shown or played
+  useEffect(() => {
+    storedHistory.filter(item => !isValidItem(item)).forEach(item => {
+      console.warn('Invalid history item detected and removed:', item);
+      if (item?.channelId) removeFromWatchHistory(item.channelId);
+    });
+  }, [storedHistory]);
 
   async function clearHistory() {
-    await set('watchHistory', []);
-    setHistory([]);
+    await clearWatchHistory();
     setShowConfirmClear(false);
   }
 
-  async function removeSingleHistoryItem(timestamp, event) {
+  async function removeSingleHistoryItem(channelId, event) {
     event.stopPropagation();
     event.preventDefault();
     
     try {
-      const updatedHistory = history.filter(item => item.timestamp !== timestamp);
-      await set('watchHistory', updatedHistory);
-      setHistory(updatedHistory);
+      await removeFromWatchHistory(channelId);
     } catch (err) {
       console.error('Failed to remove history item:', err);
     }
@@ -79,17 +49,7 @@ export default function WatchHistory() {
     event.preventDefault();
     
     try {
-      const newStatus = await toggleFavoriteUtil(channel);
-      
-      if (newStatus !== null) {
-        setFavorites(prevFavs => {
-          if (newStatus) {
-            return [...prevFavs, channel.id];
-          } else {
-            return prevFavs.filter(id => id !== channel.id);
-          }
-        });
-      }
+      await toggleFavoriteUtil(channel);
     } catch (err) {
       console.error('Failed to toggle favorite:', err);
       alert('An error occurred while updating your favorites. Please try again.');
@@ -112,6 +72,19 @@ export default function WatchHistory() {
     }
   });
 
+  // Export the distinct channels in the current view, most recent first
+  function exportHistory() {
+    const seen = new Set();
+    const channels = filteredHistory
+      .map(item => item.channel)
+      .filter(channel => {
+        if (seen.has(channel.id)) return false;
+        seen.add(channel.id);
+        return true;
+      });
+    downloadM3U(channels, 'Watch History');
+  }
+
   const groupedHistory = filteredHistory.reduce((groups, item) => {
     const date = new Date(item.timestamp);
     const today = new Date();
@@ -165,6 +138,16 @@ export default function WatchHistory() {
         </div>
         
         <div class="flex items-center gap-2">
+          <button
+            onClick={exportHistory}
+            class="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors flex items-center gap-2"
+            disabled={filteredHistory.length === 0}
+            title="Export the channels shown as an M3U playlist"
+          >
+            <Download class="w-5 h-5" />
+            Export
+          </button>
+          
           <button
             onClick={() => setShowConfirmClear(true)}
             class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center gap-2"
@@ -270,6 +253,7 @@ export default function WatchHistory() {
                               alt={item.channel.name} 
                               class="w-10 h-10 rounded flex-shrink-0 object-cover bg-gray-900"
                               onError={(e) => {
+                                if (retryLogoThroughProxy(e.target)) return;
                                 e.target.onerror = null;
                                 e.target.style.display = 'none';
                                 e.target.parentNode.innerHTML = `
@@ -314,7 +298,7 @@ export default function WatchHistory() {
                           </button>
                           
                           <button
-                            onClick={(e) => removeSingleHistoryItem(item.timestamp, e)}
+                            onClick={(e) => removeSingleHistoryItem(item.channel.id, e)}
                             class="p-1.5 rounded-full text-gray-400 hover:text-red-500"
                             title="Remove from history"
                           >
@@ -349,6 +333,7 @@ export default function WatchHistory() {
                             alt={item.channel.name} 
                             class="w-12 h-12 rounded-md flex-shrink-0 object-cover bg-gray-900 mr-3"
                             onError={(e) => {
+                              if (retryLogoThroughProxy(e.target)) return;
                               e.target.onerror = null;
                               e.target.style.display = 'none';
                               e.target.parentNode.innerHTML = `
@@ -399,7 +384,7 @@ export default function WatchHistory() {
                           </button>
                           
                           <button
-                            onClick={(e) => removeSingleHistoryItem(item.timestamp, e)}
+                            onClick={(e) => removeSingleHistoryItem(item.channel.id, e)}
                             class="p-2 rounded-full text-gray-400 opacity-0 group-hover:opacity-100 hover:text-red-500 transition-colors"
                             title="Remove from history"
                           >
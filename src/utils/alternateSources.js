@@ -0,0 +1,213 @@
+import { get, update, STORES } from './idbStorage';
+import { subscribeStorageChanges } from './storageSync';
+import { iterateChannels } from './channelDb';
+import { normalizeChannelName } from './channelIdentity';
+import { getNameKey } from './nameMatching';
+import { getPlaylists, getInvalidStreams } from './playlist';
+import { getStreams } from './apiClient';
+import { extractHttpOptions } from './streamHeaders';
+
+/**
+ * Alternate sources for a channel
+ * The same channel often turns up in several playlists and in the iptv-org stream list.
+ * Sources are matched by tvg-id, then by normalised name, so the player can move on to
+ * another source when one dies. The user can pin the source they want a channel to use.
+ */
+
+const PINNED_KEY = 'pinnedSources';
+// Sources offered for one channel at most
+const MAX_SOURCES = 20;
+
+// Index of stored playlist channels - rebuilt after the channels change
+let playlistIndex = null;
+let playlistIndexLoading = null;
+
+subscribeStorageChanges(change => {
+  if (change.store === STORES.channels || change.store === STORES.playlists) {
+    playlistIndex = null;
+    playlistIndexLoading = null;
+  }
+});
+
+/**
+ * Normalise a tvg-id for matching - iptv-org feed suffixes ("@HD") and case don't count
+ * @param {string} tvgId - tvg-id
+ * @returns {string} Normalised tvg-id, empty if there is none
+ */
+function normalizeTvgId(tvgId) {
+  return String(tvgId || '').split('@')[0].trim().toLowerCase();
+}
+
+function addTo(map, key, value) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+async function buildPlaylistIndex() {
+  const playlists = new Map((await getPlaylists()).map(playlist => [playlist.id, playlist]));
+  const byTvgId = new Map();
+  const byName = new Map();
+
+  await iterateChannels(channel => {
+    const playlist = playlists.get(channel.playlistId);
+    if (!channel.url || !playlist) return;
+    // Channels the user removed from a playlist aren't offered either
+    if (Array.isArray(playlist.removedChannelIds) && playlist.removedChannelIds.includes(channel.id)) return;
+
+    const source = {
+      url: channel.url,
+      name: channel.name,
+      tvgId: channel.tvgId || null,
+      httpOptions: channel.httpOptions || null,
+      origin: 'playlist',
+      originName: playlist.name,
+      playlistId: playlist.id,
+      proxyOverride: playlist.proxyOverride || null
+    };
+    addTo(byTvgId, normalizeTvgId(channel.tvgId), source);
+    addTo(byName, getNameKey(channel.name, { withRegion: true }), source);
+  });
+
+  return { byTvgId, byName };
+}
+
+function getPlaylistIndex() {
+  if (playlistIndex) return Promise.resolve(playlistIndex);
+  if (!playlistIndexLoading) {
+    const loading = buildPlaylistIndex().then(index => {
+      // Channels changed while the index was being built - it's already out of date
+      if (playlistIndexLoading === loading) playlistIndex = index;
+      return index;
+    });
+    playlistIndexLoading = loading;
+  }
+  return playlistIndexLoading;
+}
+
+async function getIptvOrgSources(tvgId, nameKey) {
+  if (!tvgId && !nameKey) return [];
+
+  try {
+    const streams = await getStreams();
+    if (!Array.isArray(streams)) return [];
+
+    // Without a tvg-id, go by the stream titles - they're named like playlist channels
+    const matches = tvgId
+      ? stream => normalizeTvgId(stream.channel) === tvgId
+      : stream => getNameKey(stream.title, { withRegion: true }) === nameKey;
+
+    return streams
+      .filter(stream => stream.url && matches(stream))
+      .map(stream => ({
+        url: stream.url,
+        name: stream.title || stream.channel,
+        tvgId: stream.channel,
+        httpOptions: extractHttpOptions({
+          'http-referrer': stream.http_referrer,
+          'http-user-agent': stream.user_agent
+        }),
+        origin: 'iptv-org',
+        originName: 'iptv-org',
+        playlistId: null,
+        proxyOverride: null
+      }));
+  } catch (error) {
+    console.error('Error loading iptv-org streams:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the key a channel's pinned source is stored under
+ * @param {Object} channel - Channel with tvgId and name
+ * @returns {string|null} Key, or null if the channel has neither
+ */
+export function getSourceKey(channel) {
+  const tvgId = normalizeTvgId(channel?.tvgId);
+  if (tvgId) return `tvg:${tvgId}`;
+  const name = normalizeChannelName(channel?.name);
+  return name ? `name:${name}` : null;
+}
+
+/**
+ * Get the source pinned for a channel
+ * @param {Object} channel - Channel with tvgId and name
+ * @returns {Promise<string|null>} Pinned stream URL
+ */
+export async function getPinnedSource(channel) {
+  const key = getSourceKey(channel);
+  if (!key) return null;
+  const pinned = await get(PINNED_KEY);
+  return pinned?.[key] || null;
+}
+
+/**
+ * Pin the source a channel should play from, or unpin it
+ * @param {Object} channel - Channel with tvgId and name
+ * @param {string|null} url - Stream URL to pin, or null to unpin
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setPinnedSource(channel, url) {
+  const key = getSourceKey(channel);
+  if (!key) return false;
+
+  // In one transaction, so pins made in another tab meanwhile are kept
+  return update(PINNED_KEY, stored => {
+    const pinned = { ...stored };
+    if (url) {
+      pinned[key] = url;
+    } else {
+      delete pinned[key];
+    }
+    return pinned;
+  });
+}
+
+/**
+ * Find other sources for a channel across all playlists and the iptv-org stream list
+ * Sources matching on tvg-id come before those matching on name only (ignoring quality
+ * and region tags, accents and script, see nameMatching.js), playlist sources
+ * before iptv-org ones, and streams already known to be broken go last. The pinned source,
+ * if any, comes first.
+ * @param {Object} channel - Channel with url, tvgId and name
+ * @returns {Promise<Array>} Sources { url, name, tvgId, httpOptions, origin, originName,
+ *   playlistId, proxyOverride } - not including the channel's own URL
+ */
+export async function findAlternateSources(channel) {
+  if (!channel) return [];
+
+  try {
+    const tvgId = normalizeTvgId(channel.tvgId);
+    // The region stays in - "Fox Sports AR" is no stand-in for "Fox Sports MX"
+    const nameKey = getNameKey(channel.name, { withRegion: true });
+    const index = await getPlaylistIndex();
+
+    const candidates = [
+      ...(tvgId ? index.byTvgId.get(tvgId) || [] : []),
+      ...(nameKey ? index.byName.get(nameKey) || [] : []),
+      ...(await getIptvOrgSources(tvgId, nameKey))
+    ];
+
+    const seen = new Set([channel.url]);
+    const sources = candidates.filter(source => {
+      if (seen.has(source.url)) return false;
+      seen.add(source.url);
+      return true;
+    });
+
+    const [invalidStreams, pinnedUrl] = await Promise.all([getInvalidStreams(), getPinnedSource(channel)]);
+    const rank = source => {
+      if (source.url === pinnedUrl) return 0;
+      return invalidStreams[source.url] ? 2 : 1;
+    };
+
+    // Sort is stable, so match order is kept within each rank
+    return sources
+      .sort((a, b) => rank(a) - rank(b))
+      .slice(0, MAX_SOURCES);
+  } catch (error) {
+    console.error('Error finding alternate sources:', error);
+    return [];
+  }
+}
@@ -1,5 +1,7 @@
 import { get, set } from './idbStorage';
 import { formatLogoUrl } from './logoService';
+import { getNowNext, resolveGuideId } from './epg';
+import { getNameKey, rankByName } from './nameMatching';
 
 // Updated API endpoints based on latest IPTV-org API documentation
 const API_ENDPOINTS = {
@@ -245,6 +247,9 @@ export async function getChannels(filters = {}, options = {}) {
 
 /**
  * Find channel by name or ID
+ * Tries the ID first, then names that mean the same once tags, accents and script are
+ * set aside ("US: Telemundo HD", "Россия 1"), then names a typo or two away. Only then
+ * does it settle for a name that merely contains the search term.
  * @param {string} nameOrId - Channel name or ID to search for
  * @param {Object} options - Fetch options
  * @returns {Promise<Object|null>} Channel details if found
@@ -266,12 +271,13 @@ export async function findChannel(nameOrId, options = {}) {
     const channels = await fetchWithCache(API_ENDPOINTS.CHANNELS, 'api_channels', options);
     if (!Array.isArray(channels)) return null;
 
-    // Find matching channel
-    const channel = channels.find(ch =>
-      ch.id?.toLowerCase() === searchTerm ||
-      ch.name?.toLowerCase() === searchTerm ||
-      ch.name?.toLowerCase().includes(searchTerm)
-    );
+    // Find matching channel, best kind of match first
+    const nameKey = getNameKey(nameOrId);
+    const namesOf = ch => [ch.name, ...(ch.alt_names || [])].filter(Boolean);
+    const channel = channels.find(ch => ch.id?.toLowerCase() === searchTerm) ||
+      (nameKey && channels.find(ch => namesOf(ch).some(name => getNameKey(name) === nameKey))) ||
+      rankByName(nameOrId, channels, namesOf, { threshold: 0.85, limit: 1 })[0]?.item ||
+      channels.find(ch => ch.name?.toLowerCase().includes(searchTerm));
 
     if (channel) {
       // Get stream URL for this channel
@@ -281,6 +287,9 @@ export async function findChannel(nameOrId, options = {}) {
         
         if (channelStreams.length > 0) {
           channel.url = channelStreams[0].url;
+          // Headers the stream needs; the Player sends them through the companion proxy
+          channel.httpReferrer = channelStreams[0].http_referrer || null;
+          channel.userAgent = channelStreams[0].user_agent || null;
         }
       } catch (e) {
         console.warn('Could not load stream URL for channel:', e);
@@ -339,6 +348,13 @@ export async function getChannelDetails(channelId, options = {}) {
       if (channelGuide) {
         channel.guide = channelGuide;
       }
+      
+      // Attach the current and next programme from any downloaded XMLTV guides
+      const guideId = await resolveGuideId(channelGuide?.xmltv_id || channelId, channel.name);
+      const nowNext = guideId ? await getNowNext(guideId) : {};
+      if (nowNext.now || nowNext.next) {
+        channel.nowNext = nowNext;
+      }
     } catch (e) {
       console.warn('Failed to fetch EPG data:', e);
     }
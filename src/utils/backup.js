@@ -0,0 +1,344 @@
+import LZString from 'lz-string';
+import { SCHEMA_VERSION } from './idbStorage';
+import { getPlaylists, removePlaylist, restorePlaylist, getInvalidStreams, restoreInvalidStreams } from './playlist';
+import { getPlaylistChannels } from './channelDb';
+import { getFavorites, restoreFavorites } from './favorites';
+import { getWatchHistory, restoreWatchHistory } from './watchHistory';
+import { getEpgSources, restoreEpgSources, refreshEpg } from './epg';
+import { getProxySettings, saveProxySettings, validateProxyTemplate } from './proxySettings';
+import { getShortcutOverrides, restoreShortcuts } from './shortcuts';
+
+/**
+ * Backup and restore of everything the user has set up
+ * A backup is one JSON document { format, version, createdAt, schemaVersion, sections };
+ * compressed backups are the same document packed with lz-string behind COMPRESSED_PREFIX.
+ * Guide programmes, caches and raw manifests aren't included - they're downloaded again.
+ * Xtream passwords are left out unless the user asks for them, since backups are plain files.
+ */
+
+export const BACKUP_FORMAT = 'iptv-streamer-backup';
+export const BACKUP_VERSION = 1;
+
+const COMPRESSED_PREFIX = 'IPTVBACKUP-LZ:';
+
+// Preferences kept in localStorage rather than IndexedDB
+const PREFERENCE_KEYS = [
+  'player-volume',
+  'preferred-quality',
+  'country-browser-view-mode',
+  'country-browser-sort-by',
+  'country-browser-sort-order'
+];
+
+export const BACKUP_SECTIONS = {
+  playlists: 'Playlists, with their channels, removed channels and guide, proxy and refresh overrides',
+  favorites: 'Favorites',
+  history: 'Watch history',
+  settings: 'Proxy settings, player preferences and keyboard shortcuts',
+  epgSources: 'Guide sources',
+  invalidStreams: 'Streams marked as invalid'
+};
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Keep the proxies that can be used and the switches, and nothing else. The local stream
+// proxy's address belongs to this install, so a backup never sets it, and sending Xtream
+// logins through public proxies is only ever turned on here by hand.
+function validateProxySettings(settings) {
+  if (!isObject(settings)) return null;
+  const proxies = (Array.isArray(settings.proxies) ? settings.proxies : [])
+    .filter(proxy => isObject(proxy) && typeof proxy.id === 'string' && proxy.id &&
+      typeof proxy.template === 'string' && !validateProxyTemplate(proxy.template))
+    .map(proxy => ({
+      id: proxy.id,
+      name: typeof proxy.name === 'string' ? proxy.name : '',
+      template: proxy.template.trim(),
+      enabled: proxy.enabled !== false
+    }));
+  return {
+    proxies,
+    ...(typeof settings.useForStreams === 'boolean' ? { useForStreams: settings.useForStreams } : {}),
+    ...(typeof settings.useForLogos === 'boolean' ? { useForLogos: settings.useForLogos } : {})
+  };
+}
+
+// Check each section's shape and drop malformed entries; a section of the wrong type is an error
+const SECTION_VALIDATORS = {
+  playlists: list => list
+    .filter(playlist => isObject(playlist) && playlist.id && playlist.name)
+    .map(playlist => ({
+      ...playlist,
+      channels: (Array.isArray(playlist.channels) ? playlist.channels : []).filter(channel => isObject(channel) && channel.id && channel.url)
+    })),
+  favorites: list => list.filter(favorite => isObject(favorite) && favorite.id),
+  history: list => list.filter(entry => isObject(entry) && entry.channelId && isObject(entry.channel) && Number.isFinite(entry.timestamp)),
+  settings: settings => ({
+    proxySettings: validateProxySettings(settings.proxySettings),
+    // Backups from before shortcuts could be changed have none
+    shortcuts: isObject(settings.shortcuts) ? settings.shortcuts : {},
+    preferences: Object.fromEntries(Object.entries(isObject(settings.preferences) ? settings.preferences : {})
+      .filter(([key, value]) => PREFERENCE_KEYS.includes(key) && typeof value === 'string'))
+  }),
+  epgSources: list => list.filter(source => isObject(source) && /^https?:\/\//i.test(source.url || '')),
+  invalidStreams: records => Object.fromEntries(Object.entries(records)
+    .filter(([, record]) => isObject(record) && Number.isFinite(record.timestamp)))
+};
+
+// An Xtream account backed up without its password
+const lacksPassword = playlist => !!playlist.xtream && !playlist.xtream.password;
+
+/**
+ * Collect all user data into a backup
+ * @param {Object} options - { includeCredentials: keep Xtream passwords in the backup }
+ * @returns {Promise<Object>} Backup document
+ */
+export async function createBackup(options = {}) {
+  const { includeCredentials = false } = options;
+  const playlists = await getPlaylists();
+  const playlistsWithChannels = [];
+  for (const playlist of playlists) {
+    const channels = await getPlaylistChannels(playlist.id);
+    // Position and playlist ID are implied by where the channel sits in the backup
+    playlistsWithChannels.push({
+      ...playlist,
+      ...(playlist.xtream && !includeCredentials ? { xtream: { ...playlist.xtream, password: null } } : {}),
+      channels: channels.map(({ playlistId, position, ...channel }) => channel)
+    });
+  }
+
+  const preferences = {};
+  PREFERENCE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) preferences[key] = value;
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    sections: {
+      playlists: playlistsWithChannels,
+      favorites: await getFavorites(),
+      history: await getWatchHistory(),
+      settings: { proxySettings: await getProxySettings(), preferences, shortcuts: await getShortcutOverrides() },
+      epgSources: await getEpgSources(),
+      invalidStreams: await getInvalidStreams()
+    }
+  };
+}
+
+/**
+ * Turn a backup into file contents
+ * @param {Object} backup - Backup document
+ * @param {boolean} compress - Pack it with lz-string
+ * @returns {string} File contents
+ */
+export function serializeBackup(backup, compress = false) {
+  const json = JSON.stringify(backup);
+  return compress ? COMPRESSED_PREFIX + LZString.compressToBase64(json) : json;
+}
+
+/**
+ * Read and validate backup file contents
+ * @param {string} text - File contents, plain or compressed
+ * @returns {Object} Backup document with only the valid sections and entries
+ * @throws {Error} If the file isn't a backup this version of the app can read
+ */
+export function parseBackup(text) {
+  let json = String(text || '').trim();
+  if (json.startsWith(COMPRESSED_PREFIX)) {
+    json = LZString.decompressFromBase64(json.slice(COMPRESSED_PREFIX.length));
+    if (!json) {
+      throw new Error('The backup file is compressed but could not be unpacked. It may be damaged.');
+    }
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch (error) {
+    throw new Error('This file is not a backup made by this app.');
+  }
+
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a backup made by this app.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('The backup has no valid version number.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+  }
+  if (!isObject(backup.sections)) {
+    throw new Error('The backup contains no data.');
+  }
+
+  const sections = {};
+  Object.entries(SECTION_VALIDATORS).forEach(([name, validate]) => {
+    const value = backup.sections[name];
+    if (value === undefined || value === null) return;
+
+    const expectsList = name !== 'settings' && name !== 'invalidStreams';
+    if (expectsList ? !Array.isArray(value) : !isObject(value)) {
+      throw new Error(`The "${BACKUP_SECTIONS[name]}" section of the backup is damaged.`);
+    }
+    sections[name] = validate(value);
+  });
+
+  return { ...backup, sections };
+}
+
+/**
+ * Summarise what a backup contains, for a preview before restoring
+ * @param {Object} backup - Backup from parseBackup
+ * @returns {Array<Object>} { id, label, count, details } for each section in the backup
+ */
+export function describeBackup(backup) {
+  const { sections } = backup;
+  const summary = [];
+
+  if (sections.playlists) {
+    const channelCount = sections.playlists.reduce((total, playlist) => total + playlist.channels.length, 0);
+    const missing = sections.playlists.filter(lacksPassword).length;
+    summary.push({
+      id: 'playlists',
+      count: sections.playlists.length,
+      details: `${channelCount} channels: ${sections.playlists.map(playlist => playlist.name).join(', ')}` +
+        (missing ? ` - ${missing} Xtream ${missing === 1 ? 'account has' : 'accounts have'} no password and only play if the account is already set up here` : '')
+    });
+  }
+  if (sections.favorites) {
+    summary.push({ id: 'favorites', count: sections.favorites.length, details: '' });
+  }
+  if (sections.history) {
+    const newest = sections.history.reduce((latest, entry) => Math.max(latest, entry.timestamp), 0);
+    summary.push({
+      id: 'history',
+      count: sections.history.length,
+      details: newest ? `Last watched ${new Date(newest).toLocaleString()}` : ''
+    });
+  }
+  if (sections.settings) {
+    const proxies = sections.settings.proxySettings?.proxies || [];
+    const preferenceCount = Object.keys(sections.settings.preferences).length;
+    const shortcutCount = Object.keys(sections.settings.shortcuts).length;
+    summary.push({
+      id: 'settings',
+      count: proxies.length + preferenceCount + shortcutCount,
+      details: `${proxies.length} proxies, ${preferenceCount} preferences, ${shortcutCount} changed shortcuts`
+    });
+  }
+  if (sections.epgSources) {
+    summary.push({
+      id: 'epgSources',
+      count: sections.epgSources.length,
+      details: sections.epgSources.map(source => source.name || source.url).join(', ')
+    });
+  }
+  if (sections.invalidStreams) {
+    summary.push({ id: 'invalidStreams', count: Object.keys(sections.invalidStreams).length, details: '' });
+  }
+
+  return summary.map(entry => ({ ...entry, label: BACKUP_SECTIONS[entry.id] }));
+}
+
+/**
+ * Restore proxy settings, preferences and shortcuts
+ * Merging keeps the current settings and adds proxies that aren't set up yet.
+ * @param {Object} settings - { proxySettings, preferences, shortcuts }
+ * @param {boolean} replace - Overwrite the current settings
+ * @returns {Promise<number>} Number of proxies, preferences and shortcuts restored
+ */
+async function restoreSettings(settings, replace) {
+  let restored = 0;
+
+  if (settings.proxySettings) {
+    const current = await getProxySettings();
+    const backupProxies = settings.proxySettings.proxies;
+    const newProxies = replace
+      ? backupProxies
+      : backupProxies.filter(proxy => !current.proxies.some(p => p.id === proxy.id || p.template === proxy.template));
+
+    // Only the validated keys are spread, so replacing keeps the local stream proxy settings
+    await saveProxySettings(replace
+      ? { ...current, ...settings.proxySettings, proxies: newProxies }
+      : { ...current, proxies: [...current.proxies, ...newProxies] });
+    restored += newProxies.length;
+  }
+
+  Object.entries(settings.preferences).forEach(([key, value]) => {
+    if (!replace && localStorage.getItem(key) !== null) return;
+    localStorage.setItem(key, value);
+    restored++;
+  });
+
+  restored += await restoreShortcuts(settings.shortcuts, { replace });
+
+  return restored;
+}
+
+/**
+ * Restore a backup
+ * Sections are restored one at a time, so a failure leaves the earlier ones restored.
+ * @param {Object} backup - Backup from parseBackup
+ * @param {Object} modes - Section ID to 'merge', 'replace' or 'skip'; missing sections are skipped
+ * @returns {Promise<Object>} Section ID to the number of items restored
+ */
+export async function restoreBackup(backup, modes = {}) {
+  const { sections } = backup;
+  const results = {};
+  const wants = name => sections[name] && (modes[name] === 'merge' || modes[name] === 'replace');
+  const replacing = name => modes[name] === 'replace';
+
+  // Playlists go before guide sources, which point at them
+  if (wants('playlists')) {
+    const current = await getPlaylists();
+    // Accounts backed up without their password keep the one set up here
+    const passwords = new Map(current.filter(playlist => playlist.xtream?.password).map(playlist => [playlist.id, playlist.xtream.password]));
+    if (replacing('playlists')) {
+      for (const playlist of current) {
+        await removePlaylist(playlist.id);
+      }
+    }
+
+    // Merging keeps playlists that are already here as they are
+    const existing = new Set(replacing('playlists') ? [] : current.map(playlist => playlist.id));
+    let restored = 0;
+    for (const { channels, ...playlist } of sections.playlists) {
+      if (existing.has(playlist.id)) continue;
+      if (lacksPassword(playlist) && passwords.has(playlist.id)) {
+        playlist.xtream = { ...playlist.xtream, password: passwords.get(playlist.id) };
+      }
+      await restorePlaylist(playlist, channels);
+      restored++;
+    }
+    results.playlists = restored;
+  }
+
+  if (wants('favorites')) {
+    results.favorites = await restoreFavorites(sections.favorites, { replace: replacing('favorites') });
+  }
+
+  if (wants('history')) {
+    results.history = await restoreWatchHistory(sections.history, { replace: replacing('history') });
+  }
+
+  if (wants('settings')) {
+    results.settings = await restoreSettings(sections.settings, replacing('settings'));
+  }
+
+  if (wants('epgSources')) {
+    results.epgSources = await restoreEpgSources(sections.epgSources, { replace: replacing('epgSources') });
+  }
+
+  if (wants('invalidStreams')) {
+    results.invalidStreams = await restoreInvalidStreams(sections.invalidStreams, { replace: replacing('invalidStreams') });
+  }
+
+  if (results.playlists || results.epgSources) {
+    refreshEpg().catch(err => console.error('Failed to load restored guides:', err));
+  }
+
+  return results;
+}
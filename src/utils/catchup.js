@@ -0,0 +1,187 @@
+/**
+ * Catch-up (timeshift) support driven by the catchup, catchup-source and
+ * catchup-days playlist attributes
+ */
+
+// Days of archive to assume when the playlist doesn't say
+export const DEFAULT_CATCHUP_DAYS = 5;
+
+// Attribute value -> internal catch-up type
+const CATCHUP_TYPES = {
+  default: 'default',
+  append: 'append',
+  shift: 'shift',
+  timeshift: 'shift',
+  flussonic: 'flussonic',
+  'flussonic-hls': 'flussonic',
+  'flussonic-ts': 'flussonic',
+  fs: 'flussonic'
+};
+
+// Offsets offered by the Player's "go back" control, in hours
+const REWIND_PRESETS = [1, 2, 3, 6, 12, 24, 48, 72, 120, 168];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the normalised catch-up type for a channel
+ * @param {Object} channel - Channel with catchup / catchupSource fields
+ * @returns {string|null} 'default', 'append', 'shift', 'flussonic' or null if unsupported
+ */
+export function getCatchupType(channel) {
+  const type = CATCHUP_TYPES[String(channel?.catchup || '').trim().toLowerCase()];
+  if (!type) return null;
+
+  // default and append need a template to work with
+  if ((type === 'default' || type === 'append') && !channel.catchupSource) return null;
+
+  return type;
+}
+
+/**
+ * Check whether a channel can be played back from an earlier time
+ * @param {Object} channel - Channel object
+ * @returns {boolean} True if catch-up is available
+ */
+export function supportsCatchup(channel) {
+  return !!(channel?.id || channel?.url) && getCatchupType(channel) !== null;
+}
+
+/**
+ * Number of days of archive available for a channel
+ * @param {Object} channel - Channel object
+ * @returns {number} Days of catch-up
+ */
+export function getCatchupDays(channel) {
+  const days = parseInt(channel?.catchupDays, 10);
+  return days > 0 ? days : DEFAULT_CATCHUP_DAYS;
+}
+
+/**
+ * Get the "go back N hours" choices for a channel
+ * @param {Object} channel - Channel object
+ * @returns {Array<number>} Hour offsets within the channel's archive window
+ */
+export function getRewindOptions(channel) {
+  if (!supportsCatchup(channel)) return [];
+  const maxHours = getCatchupDays(channel) * 24;
+  return REWIND_PRESETS.filter(hours => hours <= maxHours);
+}
+
+/**
+ * Format a time using a Kodi-style pattern (Y, m, d, H, M, S)
+ * @param {Date} date - Date to format (UTC)
+ * @param {string} pattern - Pattern such as "Y-m-d:H-M"
+ * @returns {string} Formatted value
+ */
+function formatTimePattern(date, pattern) {
+  const parts = {
+    Y: date.getUTCFullYear(),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds())
+  };
+  return pattern.replace(/[YmdHMS]/g, key => parts[key]);
+}
+
+/**
+ * Expand catch-up placeholders in a URL template.
+ * Supports {utc}/{start}, {utcend}/{end}, {lutc}/{now}/{timestamp}, {duration}, {offset},
+ * the date parts {Y} {m} {d} {H} {M} {S}, and the ${...} spellings of the same.
+ * {duration:N} and {offset:N} divide by N (e.g. {duration:60} is minutes);
+ * {utc:Y-m-d H:M:S} and friends format the time.
+ * @param {string} template - URL template
+ * @param {Object} window - { start, duration, now } where start/now are ms and duration is seconds
+ * @returns {string} Expanded URL
+ */
+export function expandCatchupTemplate(template, { start, duration, now = Date.now() }) {
+  const startSeconds = Math.floor(start / 1000);
+  const nowSeconds = Math.floor(now / 1000);
+  const endSeconds = startSeconds + Math.round(duration);
+
+  const timestamps = {
+    utc: startSeconds,
+    start: startSeconds,
+    utcend: endSeconds,
+    end: endSeconds,
+    lutc: nowSeconds,
+    now: nowSeconds,
+    timestamp: nowSeconds
+  };
+
+  return template.replace(/\$?\{([A-Za-z]+)(?::([^}]*))?\}/g, (placeholder, name, arg) => {
+    if (name in timestamps) {
+      return arg ? formatTimePattern(new Date(timestamps[name] * 1000), arg) : String(timestamps[name]);
+    }
+
+    if (name === 'duration' || name === 'offset') {
+      const value = name === 'duration' ? Math.round(duration) : nowSeconds - startSeconds;
+      const divisor = parseInt(arg, 10) || 1;
+      return String(Math.floor(value / divisor));
+    }
+
+    if (/^[YmdHMS]$/.test(name)) {
+      return formatTimePattern(new Date(start), name);
+    }
+
+    // Leave anything we don't understand untouched
+    return placeholder;
+  });
+}
+
+/**
+ * Build the Flussonic archive URL for a live stream URL
+ * @param {string} streamUrl - Live stream URL
+ * @returns {string|null} Template with {utc}/{duration} placeholders or null if the URL doesn't match
+ */
+function getFlussonicTemplate(streamUrl) {
+  const match = streamUrl.match(/^(https?:\/\/[^/]+)\/(.*)\/([^/?]*?)(mpegts|\.m3u8)(\?.*)?$/i);
+  if (!match) return null;
+
+  const [, host, channelPath, listType, format, query = ''] = match;
+  if (format.toLowerCase() === 'mpegts') {
+    return `${host}/${channelPath}/timeshift_abs-{utc}.ts${query}`;
+  }
+  return `${host}/${channelPath}/${listType || 'index'}-{utc}-{duration}.m3u8${query}`;
+}
+
+/**
+ * Build the URL to play a channel from an earlier point in time
+ * @param {Object} channel - Channel with url/id and catch-up fields
+ * @param {number} start - Start of the window in ms since epoch
+ * @param {number} duration - Length of the window in seconds
+ * @param {number} now - Current time in ms (for {lutc}/{offset})
+ * @returns {string|null} Catch-up URL or null if the channel doesn't support it
+ */
+export function buildCatchupUrl(channel, start, duration, now = Date.now()) {
+  const type = getCatchupType(channel);
+  const streamUrl = channel?.url || channel?.id;
+  if (!type || !streamUrl) return null;
+
+  let template;
+  switch (type) {
+    case 'default':
+      template = channel.catchupSource;
+      break;
+    case 'append':
+      template = `${streamUrl}${channel.catchupSource}`;
+      break;
+    case 'shift':
+      template = `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}utc={utc}&lutc={lutc}`;
+      break;
+    case 'flussonic':
+      template = getFlussonicTemplate(streamUrl);
+      break;
+    default:
+      template = null;
+  }
+
+  if (!template) {
+    console.warn(`Could not build ${type} catch-up URL for ${streamUrl}`);
+    return null;
+  }
+
+  return expandCatchupTemplate(template, { start, duration, now });
+}
@@ -0,0 +1,126 @@
+import { getDatabase, promisifyRequest, transactionDone, getAllRecords, clearRecords, STORES } from './idbStorage';
+
+/**
+ * Queries against the channels object store
+ * Each stored channel carries its playlistId and its position in the playlist; see the
+ * indexes created in idbStorage.js.
+ */
+
+function playlistRange(playlistId) {
+  return IDBKeyRange.bound([playlistId, -Infinity], [playlistId, Infinity]);
+}
+
+async function channelStore(mode = 'readonly') {
+  const db = await getDatabase();
+  const transaction = db.transaction(STORES.channels, mode);
+  return { transaction, store: transaction.objectStore(STORES.channels) };
+}
+
+/**
+ * Replace all stored channels of a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {Array} channels - Channels in playlist order
+ * @returns {Promise<void>}
+ */
+export async function replacePlaylistChannels(playlistId, channels) {
+  const { transaction, store } = await channelStore('readwrite');
+  const done = transactionDone(transaction);
+
+  const cursorRequest = store.index('playlistId').openKeyCursor(playlistRange(playlistId));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor) {
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+      return;
+    }
+    // Old channels are gone - write the new ones in the same transaction
+    channels.forEach((channel, position) => {
+      store.put({ ...channel, playlistId, position });
+    });
+  };
+
+  await done;
+}
+
+/**
+ * Get a playlist's channels in playlist order
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array>} Channels
+ */
+export async function getPlaylistChannels(playlistId) {
+  return getAllRecords(STORES.channels, { index: 'playlistId', query: playlistRange(playlistId) });
+}
+
+/**
+ * Count a playlist's stored channels
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<number>} Number of channels
+ */
+export async function countPlaylistChannels(playlistId) {
+  const { store } = await channelStore();
+  return promisifyRequest(store.index('playlistId').count(playlistRange(playlistId)));
+}
+
+/**
+ * Delete all stored channels of a playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<void>}
+ */
+export async function deletePlaylistChannels(playlistId) {
+  return replacePlaylistChannels(playlistId, []);
+}
+
+/**
+ * Delete every stored channel
+ * @returns {Promise<void>}
+ */
+export async function clearChannels() {
+  return clearRecords(STORES.channels);
+}
+
+/**
+ * Get the channels in a group, across all playlists
+ * @param {string} group - Exact group title
+ * @returns {Promise<Array>} Channels
+ */
+export async function getChannelsByGroup(group) {
+  return getAllRecords(STORES.channels, { index: 'group', query: group });
+}
+
+/**
+ * Find the first stored channel with a stream URL
+ * @param {string} url - Stream URL
+ * @returns {Promise<Object|null>} Channel or null
+ */
+export async function getChannelByUrl(url) {
+  const { store } = await channelStore();
+  return (await promisifyRequest(store.index('url').get(url))) || null;
+}
+
+/**
+ * Walk over stored channels with a cursor, one at a time
+ * The visitor runs inside the transaction, so it must not await anything.
+ * @param {Function} visit - Called with each channel; return false to stop
+ * @param {Object} options - { index, query, direction } - index name and key range to walk,
+ *   the whole store in ID order if omitted
+ * @returns {Promise<void>} Resolves when the walk is finished or stopped
+ */
+export async function iterateChannels(visit, options = {}) {
+  const { index = null, query = null, direction = 'next' } = options;
+  const { store } = await channelStore();
+  const source = index ? store.index(index) : store;
+
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor(query, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visit(cursor.value) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
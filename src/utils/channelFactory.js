@@ -0,0 +1,106 @@
+import { extractHttpOptions } from './streamHeaders';
+
+/**
+ * Turn parsed playlist segments into stored channel objects
+ * Pure functions shared by the main thread and the playlist parser worker.
+ */
+
+/**
+ * Read the playlist-wide settings from the #EXTM3U header attributes
+ * @param {Object} header - Header attributes from parseM3U8
+ * @returns {Object} { epgUrls, tvgShift, catchup, catchupSource, catchupDays }
+ */
+export function parsePlaylistHeader(header = {}) {
+  header = header || {};
+
+  // url-tvg and x-tvg-url may each hold a comma-separated list of guides
+  const epgUrls = [header['url-tvg'], header['x-tvg-url']]
+    .filter(Boolean)
+    .flatMap(value => value.split(','))
+    .map(url => url.trim())
+    .filter(url => /^https?:\/\//i.test(url));
+
+  const tvgShift = parseFloat(header['tvg-shift']);
+  const catchupDays = parseInt(header['catchup-days'], 10);
+
+  return {
+    epgUrls: [...new Set(epgUrls)],
+    tvgShift: isNaN(tvgShift) ? 0 : tvgShift,
+    catchup: header.catchup || null,
+    catchupSource: header['catchup-source'] || null,
+    catchupDays: isNaN(catchupDays) ? null : catchupDays
+  };
+}
+
+/**
+ * Resolve a channel's guide and catch-up settings, falling back to the playlist header
+ * @param {Object} attributes - #EXTINF attributes
+ * @param {Object} headerInfo - Result of parsePlaylistHeader
+ * @returns {Object} { tvgShift, catchup, catchupSource, catchupDays }
+ */
+export function getChannelHeaderOptions(attributes = {}, headerInfo = {}) {
+  const tvgShift = parseFloat(attributes['tvg-shift']);
+  const catchupDays = parseInt(attributes['catchup-days'], 10);
+
+  return {
+    tvgShift: isNaN(tvgShift) ? (headerInfo.tvgShift || 0) : tvgShift,
+    catchup: attributes.catchup || headerInfo.catchup || null,
+    catchupSource: attributes['catchup-source'] || headerInfo.catchupSource || null,
+    catchupDays: isNaN(catchupDays) ? (headerInfo.catchupDays ?? null) : catchupDays
+  };
+}
+
+/**
+ * Build the stored channel object for a playlist segment
+ * @param {Object} segment - Segment with uri, title, attributes and player options
+ * @param {Function} channelIds - The playlist's ID generator from createChannelIdFactory
+ * @param {string} playlistId - Parent playlist ID
+ * @param {Object} headerInfo - Result of parsePlaylistHeader
+ * @returns {Object} Channel object
+ */
+export function segmentToChannel(segment, channelIds, playlistId, headerInfo = {}) {
+  const attributes = segment.attributes || {};
+  const name = segment.title || 'Unnamed Channel';
+  const tvgId = attributes['tvg-id'];
+
+  return {
+    id: channelIds({ tvgId, name, url: segment.uri }),
+    name,
+    url: segment.uri,
+    group: attributes['group-title'] || 'Uncategorized',
+    playlistId: playlistId,
+    attributes,
+    tvgId,
+    tvgName: attributes['tvg-name'],
+    tvgLogo: attributes['tvg-logo'],
+    categories: attributes['tvg-category']
+      ? attributes['tvg-category'].split(',').map(cat => cat.trim())
+      : [],
+    // Per-channel player options from #EXTVLCOPT / #KODIPROP lines
+    vlcOptions: segment.vlcOptions || {},
+    kodiProps: segment.kodiProps || {},
+    httpOptions: extractHttpOptions(segment.vlcOptions, segment.kodiProps),
+    // Guide offset and catch-up settings, defaulting to the #EXTM3U header
+    ...getChannelHeaderOptions(attributes, headerInfo)
+  };
+}
+
+/**
+ * Rebuild a manifest from stored channels, for when the playlist was parsed straight into channels
+ * @param {Object} header - #EXTM3U header attributes
+ * @param {Array} channels - Channel objects
+ * @returns {Object} { header, segments } in the shape parseM3U8 produces
+ */
+export function manifestFromChannels(header, channels) {
+  return {
+    header: header || {},
+    segments: channels.map(channel => ({
+      uri: channel.url,
+      title: channel.name,
+      duration: -1,
+      attributes: channel.attributes,
+      vlcOptions: channel.vlcOptions,
+      kodiProps: channel.kodiProps
+    }))
+  };
+}
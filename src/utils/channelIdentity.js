@@ -0,0 +1,167 @@
+import { getNameKey } from './nameMatching';
+
+/**
+ * Channel identity
+ * A channel's ID is derived from what identifies it in the playlist - tvg-id and name -
+ * rather than its position, so inserting or removing channels upstream leaves the other
+ * IDs alone. The URL is only mixed in to tell apart channels that share tvg-id and name.
+ * Pure functions, shared by the main thread and the playlist parser worker.
+ */
+
+/**
+ * Normalise a channel name for comparing - case, accents, punctuation and spacing don't count
+ * @param {string} name - Channel name
+ * @returns {string} Normalised name, empty if the name has no letters or digits
+ */
+export function normalizeChannelName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Hash a string to a short, stable base-36 code (cyrb53 - not cryptographic)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+export function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Get the key that identifies a channel within its playlist
+ * @param {Object} channel - Channel with tvgId, name and url
+ * @returns {string} Identity key
+ */
+export function getChannelIdentityKey(channel) {
+  const tvgId = String(channel.tvgId || '').trim().toLowerCase();
+  const name = normalizeChannelName(channel.name);
+  return tvgId || name ? `${tvgId}|${name}` : `|url|${channel.url || ''}`;
+}
+
+/**
+ * Create an ID generator for the channels of one playlist
+ * Feed it the channels in playlist order. Channels sharing tvg-id and name get the URL
+ * mixed into their ID; exact duplicates are numbered.
+ * @param {string} playlistId - Playlist ID
+ * @returns {Function} (channel) => unique channel ID
+ */
+export function createChannelIdFactory(playlistId) {
+  const used = new Set();
+
+  return channel => {
+    const key = getChannelIdentityKey(channel);
+    let candidate = key;
+    if (used.has(candidate)) candidate = `${key}|${channel.url || ''}`;
+    for (let copy = 2; used.has(candidate); copy++) {
+      candidate = `${key}|${channel.url || ''}|${copy}`;
+    }
+    used.add(candidate);
+
+    return `${playlistId}_${hashString(candidate)}`;
+  };
+}
+
+/**
+ * Ways to pair up two versions of a channel, strongest first; each returns a key or null
+ */
+export const CHANNEL_MATCH_KEYS = {
+  id: channel => channel.id || null,
+  url: channel => channel.url || null,
+  tvgIdAndName: channel => channel.tvgId ? `${channel.tvgId}|${normalizeChannelName(channel.name)}` : null,
+  tvgId: channel => channel.tvgId || null,
+  name: channel => normalizeChannelName(channel.name) || null,
+  // Ignores quality and region tags and script - "TELEMUNDO HD" is "Telemundo"
+  nameKey: channel => getNameKey(channel.name) || null
+};
+
+/**
+ * Pair up channels from two lists on one key, first come first served
+ * @param {Array} previous - Unmatched channels from before
+ * @param {Array} next - Unmatched channels from after
+ * @param {Function} keyOf - Returns the match key for a channel, or a falsy value to skip it
+ * @param {Array} pairs - Matched [before, after] pairs are appended here
+ * @returns {Object} { previous, next } - what is still unmatched
+ */
+function matchBy(previous, next, keyOf, pairs) {
+  const waiting = new Map();
+  next.forEach(channel => {
+    const key = keyOf(channel);
+    if (!key) return;
+    if (!waiting.has(key)) waiting.set(key, []);
+    waiting.get(key).push(channel);
+  });
+
+  const matchedNext = new Set();
+  const remainingPrevious = previous.filter(channel => {
+    const candidates = waiting.get(keyOf(channel));
+    if (!candidates || candidates.length === 0) return true;
+
+    const match = candidates.shift();
+    matchedNext.add(match);
+    pairs.push([channel, match]);
+    return false;
+  });
+
+  return { previous: remainingPrevious, next: next.filter(channel => !matchedNext.has(channel)) };
+}
+
+/**
+ * Pair up the channels of two versions of a list, trying each way of matching in turn
+ * @param {Array} previous - Channels before
+ * @param {Array} next - Channels after
+ * @param {Array<Function>} keys - Match keys to try, in order (see CHANNEL_MATCH_KEYS)
+ * @returns {Object} { pairs: [[before, after]], previous, next } - previous and next hold what is unmatched
+ */
+export function matchChannels(previous = [], next = [], keys) {
+  const pairs = [];
+  let remaining = { previous: [...previous], next: [...next] };
+  keys.forEach(keyOf => {
+    remaining = matchBy(remaining.previous, remaining.next, keyOf, pairs);
+  });
+  return { pairs, ...remaining };
+}
+
+// Copies saved from the player are keyed by stream URL rather than channel ID
+const URL_KEY = /^[a-z][a-z\d+.-]*:\/\//i;
+
+/**
+ * Find the current version of saved channel copies (favorites, history) in a re-parsed playlist
+ * @param {Array} saved - Saved channel copies, keyed by channel ID or by stream URL
+ * @param {Array} channels - The playlist's channels now
+ * @returns {Array<Object>} { saved, channel, key } for each copy that was found - key is
+ *   what the copy should be stored under now (the new ID, or the new URL for URL-keyed copies)
+ */
+export function relinkChannels(saved, channels) {
+  const originals = new Map();
+  const candidates = saved.map(copy => {
+    const candidate = URL_KEY.test(copy.id || '') ? { ...copy, url: copy.url || copy.id } : copy;
+    originals.set(candidate, copy);
+    return candidate;
+  });
+
+  const { pairs } = matchChannels(candidates, channels, [
+    CHANNEL_MATCH_KEYS.id,
+    CHANNEL_MATCH_KEYS.url,
+    CHANNEL_MATCH_KEYS.tvgIdAndName,
+    CHANNEL_MATCH_KEYS.tvgId,
+    CHANNEL_MATCH_KEYS.name,
+    CHANNEL_MATCH_KEYS.nameKey
+  ]);
+
+  return pairs.map(([candidate, channel]) => {
+    const copy = originals.get(candidate);
+    return { saved: copy, channel, key: URL_KEY.test(copy.id || '') ? channel.url : channel.id };
+  });
+}
@@ -0,0 +1,337 @@
+import { foldText } from './nameMatching';
+
+/**
+ * Channel filter queries
+ * A small query language shared by the channel lists, e.g.
+ *   group:news lang:eng country:us res:>=720 status:online -shopping "bbc one"
+ * - Words and "quoted phrases" match the name, group, tvg-id, categories or languages
+ * - field:value matches one field; field:"two words" for values with spaces
+ * - Numeric fields take comparisons: res:>=720, res:<1080, res:=576
+ * - A leading - negates a term: -shopping, -group:adult
+ * Every term has to match. Text matches ignore case, accents and script ("Россия" finds
+ * "Rossiya") and match anywhere in the value; field:=value asks for the whole value.
+ * Pure functions - the status of a stream comes from the caller, see createChannelFilter.
+ */
+
+const COMPARISONS = ['>=', '<=', '>', '<', '='];
+
+function normalizeText(text) {
+  return foldText(text).trim();
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  return typeof value === 'string' ? value.split(/[,;]/) : [];
+}
+
+/**
+ * Work out a channel's vertical resolution from what it says about itself
+ * @param {Object} channel - Channel
+ * @returns {number|null} Lines, e.g. 720
+ */
+function getResolution(channel) {
+  const resolution = String(channel.resolution || '');
+  const size = resolution.match(/\d+\s*x\s*(\d+)/i);
+  if (size) return Number(size[1]);
+  const lines = resolution.match(/(\d{3,4})/);
+  if (lines) return Number(lines[1]);
+
+  // Playlists often only say it in the name
+  const name = String(channel.name || '');
+  const named = name.match(/\b(\d{3,4})[pi]\b/i);
+  if (named) return Number(named[1]);
+  if (/\b(4k|uhd)\b/i.test(name)) return 2160;
+  if (/\bfhd\b/i.test(name)) return 1080;
+  if (/\bhd\b/i.test(name)) return 720;
+  if (/\bsd\b/i.test(name)) return 576;
+  return null;
+}
+
+// Catalog channels (not from a playlist) are identified by their iptv-org ID
+function getTvgId(channel) {
+  return channel.tvgId || (!channel.playlistId ? channel.id : null);
+}
+
+/**
+ * Fields a query can filter on
+ * values(channel, context) gives the channel's values for the field; numeric fields
+ * compare numbers.
+ */
+export const QUERY_FIELDS = {
+  name: {
+    description: 'Channel name',
+    values: channel => [channel.name, channel.tvgName]
+  },
+  group: {
+    description: 'Playlist group',
+    values: channel => [channel.group]
+  },
+  category: {
+    aliases: ['cat'],
+    description: 'Category',
+    values: channel => splitList(channel.categories).concat(splitList(channel.attributes?.['tvg-category']))
+  },
+  lang: {
+    aliases: ['language'],
+    description: 'Language',
+    values: channel => [
+      ...splitList(channel.languages),
+      ...splitList(channel.language),
+      ...splitList(channel.attributes?.['tvg-language'])
+    ]
+  },
+  country: {
+    description: 'Country',
+    values: channel => [
+      ...splitList(channel.country),
+      ...splitList(channel.attributes?.['tvg-country']),
+      ...splitList(channel.broadcast_area)
+        .filter(area => typeof area === 'string' && /^c[/.]/.test(area))
+        .map(area => area.slice(2))
+    ]
+  },
+  res: {
+    aliases: ['resolution'],
+    description: 'Vertical resolution, e.g. res:>=720',
+    numeric: true,
+    values: (channel, context) => [context.getResolution?.(channel) ?? getResolution(channel)]
+  },
+  status: {
+    description: 'Stream status - online, offline or unknown',
+    values: (channel, context) => [context.getStatus?.(channel) ?? 'unknown']
+  },
+  tvg: {
+    aliases: ['id'],
+    description: 'tvg-id',
+    values: channel => [getTvgId(channel)]
+  }
+};
+
+// Fields plain words and phrases are matched against
+const TEXT_FIELDS = ['name', 'group', 'tvg', 'category', 'lang'];
+
+const FIELD_NAMES = new Map(Object.entries(QUERY_FIELDS).flatMap(([name, field]) => [
+  [name, name],
+  ...(field.aliases || []).map(alias => [alias, name])
+]));
+
+/**
+ * Split query text into raw terms, keeping quoted phrases together
+ * @param {string} text - Query text
+ * @returns {Array<string>} Terms with their quotes
+ */
+function splitTerms(text) {
+  const terms = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of String(text || '')) {
+    if (char === '"') quoted = !quoted;
+    if (/\s/.test(char) && !quoted) {
+      if (current) terms.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) terms.push(current);
+  return terms;
+}
+
+function unquote(text) {
+  return text.replace(/^"/, '').replace(/"$/, '');
+}
+
+/**
+ * Parse query text
+ * Unknown fields are taken as plain text, so "http://..." still works as a search.
+ * @param {string} text - Query text
+ * @returns {Array<Object>} Terms { field, op, value, negate } - field is null for plain
+ *   text, op is one of >=, <=, >, <, = or null for a contains match
+ */
+export function parseChannelQuery(text) {
+  const terms = [];
+
+  for (let raw of splitTerms(text)) {
+    let negate = false;
+    if (raw.startsWith('-') && raw.length > 1) {
+      negate = true;
+      raw = raw.slice(1);
+    }
+
+    let field = null;
+    let op = null;
+    let value = raw;
+    const colon = raw.indexOf(':');
+    if (colon > 0 && !raw.slice(0, colon).includes('"')) {
+      const name = FIELD_NAMES.get(raw.slice(0, colon).toLowerCase());
+      if (name) {
+        field = name;
+        value = raw.slice(colon + 1);
+        op = COMPARISONS.find(comparison => value.startsWith(comparison)) || null;
+        if (op) value = value.slice(op.length);
+      }
+    }
+
+    value = unquote(value);
+    // A field still being typed ("group:") doesn't filter anything yet
+    if (!value.trim()) continue;
+    terms.push({ field, op, value, negate });
+  }
+
+  return terms;
+}
+
+function parseNumber(value) {
+  const number = parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+function matchValue(field, values, term) {
+  if (field.numeric) {
+    const expected = parseNumber(term.value);
+    if (expected === null) return false;
+    return values.some(value => typeof value === 'number' && compare(value, term.op, expected));
+  }
+
+  const expected = normalizeText(term.value);
+  return values.some(value => {
+    if (value === null || value === undefined || value === '') return false;
+    const actual = normalizeText(value);
+    return term.op === '=' ? actual === expected : actual.includes(expected);
+  });
+}
+
+function matchTerm(channel, term, context) {
+  const fieldNames = term.field ? [term.field] : TEXT_FIELDS;
+  return fieldNames.some(name => {
+    const field = QUERY_FIELDS[name];
+    return matchValue(field, field.values(channel, context), term);
+  });
+}
+
+/**
+ * Build a predicate for a query
+ * @param {string|Array} query - Query text, or terms from parseChannelQuery
+ * @param {Object} context - { getStatus(channel), getResolution(channel) } - where the list
+ *   knows better than the channel itself; status is 'online', 'offline' or 'unknown'
+ * @returns {Function} Predicate taking a channel
+ */
+export function createChannelFilter(query, context = {}) {
+  const terms = Array.isArray(query) ? query : parseChannelQuery(query);
+  if (terms.length === 0) return () => true;
+
+  return channel => !!channel && terms.every(term => matchTerm(channel, term, context) !== term.negate);
+}
+
+/**
+ * Filter channels by a query
+ * @param {Array} channels - Channels
+ * @param {string} query - Query text
+ * @param {Object} context - See createChannelFilter
+ * @returns {Array} Matching channels, in the same order
+ */
+export function filterChannels(channels, query, context = {}) {
+  const terms = parseChannelQuery(query);
+  return terms.length === 0 ? channels : channels.filter(createChannelFilter(terms, context));
+}
+
+// Fields whose values are offered while typing
+const SUGGESTED_FIELDS = ['group', 'category', 'lang', 'country', 'status'];
+const STATUS_VALUES = ['online', 'offline', 'unknown'];
+const RESOLUTION_VALUES = ['>=2160', '>=1080', '>=720', '<720'];
+
+/**
+ * Collect the values found in a channel list, for suggestions
+ * @param {Array} channels - Channels
+ * @param {Object} context - See createChannelFilter
+ * @returns {Object} Field name to [value, count] pairs, most common first
+ */
+export function collectQueryValues(channels, context = {}) {
+  const counts = Object.fromEntries(SUGGESTED_FIELDS.map(name => [name, new Map()]));
+
+  channels.forEach(channel => {
+    SUGGESTED_FIELDS.forEach(name => {
+      const seen = new Set();
+      QUERY_FIELDS[name].values(channel, context).forEach(value => {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (!text || seen.has(text.toLowerCase())) return;
+        seen.add(text.toLowerCase());
+        counts[name].set(text, (counts[name].get(text) || 0) + 1);
+      });
+    });
+  });
+
+  return Object.fromEntries(Object.entries(counts).map(([name, values]) => [
+    name,
+    [...values].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  ]));
+}
+
+function quoteValue(value) {
+  return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Suggest completions for the term being typed at the end of a query
+ * @param {string} text - Query text
+ * @param {Object} values - Result of collectQueryValues
+ * @param {number} limit - Suggestions at most
+ * @returns {Array<Object>} { label, detail, text } - text is the whole query with the
+ *   suggestion filled in
+ */
+export function getQuerySuggestions(text, values = {}, limit = 8) {
+  const query = String(text || '');
+  // Nothing to complete after a space, unless it's inside an open quote
+  const terms = splitTerms(query);
+  if (terms.length === 0 || /\s$/.test(query) && (query.match(/"/g) || []).length % 2 === 0) return [];
+
+  const last = terms[terms.length - 1];
+  const before = query.slice(0, query.lastIndexOf(last));
+  const negation = last.startsWith('-') ? '-' : '';
+  const term = last.slice(negation.length);
+  const colon = term.indexOf(':');
+
+  // Completing a field name
+  if (colon < 0) {
+    const partial = term.toLowerCase();
+    if (!partial || partial.includes('"')) return [];
+    return Object.entries(QUERY_FIELDS)
+      .filter(([name]) => name.startsWith(partial) && name !== partial)
+      .slice(0, limit)
+      .map(([name, field]) => ({ label: `${name}:`, detail: field.description, text: `${before}${negation}${name}:` }));
+  }
+
+  // Completing a field value
+  const name = FIELD_NAMES.get(term.slice(0, colon).toLowerCase());
+  if (!name) return [];
+  const partial = normalizeText(unquote(term.slice(colon + 1)));
+
+  let candidates;
+  if (name === 'status') {
+    candidates = STATUS_VALUES.map(value => [value, null]);
+  } else if (name === 'res') {
+    candidates = RESOLUTION_VALUES.map(value => [value, null]);
+  } else {
+    candidates = values[name] || [];
+  }
+
+  return candidates
+    .filter(([value]) => normalizeText(value).startsWith(partial) && normalizeText(value) !== partial)
+    .slice(0, limit)
+    .map(([value, count]) => ({
+      label: `${name}:${quoteValue(value)}`,
+      detail: count ? `${count} ${count === 1 ? 'channel' : 'channels'}` : null,
+      text: `${before}${negation}${name}:${quoteValue(value)} `
+    }));
+}
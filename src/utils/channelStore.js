@@ -1,8 +1,8 @@
-import { get, set, setLarge } from '../utils/idbStorage';
-import crypto from 'crypto';
+import { replacePlaylistChannels } from './channelDb';
+import { createChannelIdFactory } from './channelIdentity';
 
 /**
- * Save channels for a specific playlist to IndexedDB
+ * Save channels for a specific playlist, replacing the ones stored before
  * @param {string} playlistId - The playlist ID
  * @param {Array} channels - Array of channel objects to save
  */
@@ -13,15 +13,13 @@ export async function savePlaylistChannels(playlistId, channels) {
   }
 
   try {
+    const channelIds = createChannelIdFactory(playlistId);
     const enhancedChannels = channels.map(channel => ({
       ...channel,
-      id: channel.id || generateChannelId(channel),
+      id: channel.id || channelIds(channel),
     }));
 
-    const allChannels = (await get('channels')) || {};
-    allChannels[playlistId] = enhancedChannels;
-
-    await setLarge('channels', allChannels);
+    await replacePlaylistChannels(playlistId, enhancedChannels);
     return true;
   } catch (error) {
     console.error('Error saving playlist channels:', error);
@@ -29,17 +27,6 @@ export async function savePlaylistChannels(playlistId, channels) {
   }
 }
 
-/**
- * Generate a consistent, unique ID for a channel
- * @param {Object} channel - Channel object with url and name
- * @returns {string} A unique ID for the channel
- */
-export function generateChannelId(channel) {
-  const hash = crypto.createHash('md5');
-  hash.update(`${channel.url || ''}${channel.name || ''}`);
-  return hash.digest('hex').substring(0, 16);
-}
-
 /**
  * Parse M3U8 content and extract channel information
  * @param {string} content - M3U8 file content as text
@@ -48,6 +35,7 @@ export function generateChannelId(channel) {
 export function parseM3U8Content(content, playlistId) {
   const lines = content.split('\n');
   const channels = [];
+  const channelIds = createChannelIdFactory(playlistId);
   let currentChannel = null;
 
   for (const line of lines.map(l => l.trim())) {
@@ -73,7 +61,7 @@ export function parseM3U8Content(content, playlistId) {
       };
     } else if (currentChannel && !line.startsWith('#')) {
       currentChannel.url = line;
-      currentChannel.id = generateChannelId(currentChannel);
+      currentChannel.id = channelIds(currentChannel);
       channels.push(currentChannel);
       currentChannel = null;
     }
@@ -0,0 +1,94 @@
+import { partitionHeaders } from './streamHeaders';
+
+/**
+ * Detection of the local companion proxy (scripts/stream-proxy.js)
+ * When it is running, requests can go through it with the Referer, User-Agent and
+ * other headers a channel asks for - headers the browser won't let us send ourselves.
+ */
+
+export const DEFAULT_COMPANION_URL = 'http://127.0.0.1:8788';
+export const COMPANION_PROXY_ID = 'companion';
+
+const HEALTH_TIMEOUT = 1500;
+// How long a detection result is trusted before /health is asked again
+const RECHECK_INTERVAL = 5 * 60 * 1000;
+
+let detection = { baseUrl: null, available: false, checkedAt: 0 };
+let pendingCheck = null;
+
+function normalizeBaseUrl(baseUrl) {
+  return String(baseUrl || DEFAULT_COMPANION_URL).trim().replace(/\/+$/, '');
+}
+
+async function checkHealth(baseUrl) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), HEALTH_TIMEOUT);
+  try {
+    const response = await fetch(`${baseUrl}/health`, { signal: controller.signal, cache: 'no-store' });
+    if (!response.ok) return false;
+    const info = await response.json();
+    return info?.name === 'iptv-stream-proxy';
+  } catch (error) {
+    // Not running - that's the normal case
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Check whether the companion proxy is running
+ * @param {string} baseUrl - Where to look for it
+ * @param {boolean} force - Ask again even if there is a recent answer
+ * @returns {Promise<string|null>} The proxy's base URL, or null if it isn't running
+ */
+export async function detectCompanionProxy(baseUrl = DEFAULT_COMPANION_URL, force = false) {
+  const url = normalizeBaseUrl(baseUrl);
+  const fresh = detection.baseUrl === url && Date.now() - detection.checkedAt < RECHECK_INTERVAL;
+  if (fresh && !force) {
+    return detection.available ? url : null;
+  }
+
+  if (!pendingCheck || pendingCheck.baseUrl !== url) {
+    const promise = checkHealth(url).then(available => {
+      detection = { baseUrl: url, available, checkedAt: Date.now() };
+      if (pendingCheck?.promise === promise) pendingCheck = null;
+      if (available) console.log(`Companion stream proxy found at ${url}`);
+      return available;
+    });
+    pendingCheck = { baseUrl: url, promise };
+  }
+
+  return (await pendingCheck.promise) ? url : null;
+}
+
+/**
+ * Get the companion proxy found by the last detection, without checking again
+ * @returns {string|null} Base URL, or null if it wasn't found
+ */
+export function getDetectedCompanionProxy() {
+  return detection.available ? detection.baseUrl : null;
+}
+
+/**
+ * Check whether a channel asks for headers only the companion proxy can send
+ * @param {Object} httpOptions - Channel HTTP options
+ * @returns {boolean} True if the browser would refuse some of them
+ */
+export function needsCompanionProxy(httpOptions) {
+  return partitionHeaders(httpOptions).refused.length > 0;
+}
+
+/**
+ * Build a proxy template (see applyProxyTemplate) for the companion proxy
+ * @param {string} baseUrl - Companion proxy base URL
+ * @param {Object} httpOptions - Channel HTTP options whose headers should be sent upstream
+ * @returns {string} Proxy URL template
+ */
+export function buildCompanionTemplate(baseUrl, httpOptions = null) {
+  const headers = httpOptions?.headers || {};
+  const headerParam = Object.keys(headers).length > 0
+    ? `&headers=${encodeURIComponent(JSON.stringify(headers))}`
+    : '';
+  return `${normalizeBaseUrl(baseUrl)}/proxy?url={url}${headerParam}`;
+}
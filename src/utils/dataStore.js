@@ -0,0 +1,105 @@
+import { get, STORES } from './idbStorage';
+import { subscribeStorageChanges } from './storageSync';
+import { getFavorites } from './favorites';
+import { getWatchHistory } from './watchHistory';
+import { getPlaylists } from './playlist';
+
+/**
+ * Observable stored data
+ * subscribe(key, listener) keeps the listener up to date with a piece of stored data:
+ * it is called with the current value, and again after every write to it - from this
+ * tab or another - wherever the write was made. Subscribers to the same key share one
+ * loaded copy, so a page full of components costs one read.
+ *
+ * Keys are the data sets below, or any key of the key/value store (e.g. 'proxySettings').
+ */
+
+// Data sets kept in object stores, with the stores that feed them
+const COLLECTIONS = {
+  favorites: { stores: [STORES.favorites], load: getFavorites },
+  history: { stores: [STORES.history], load: () => getWatchHistory() },
+  playlists: { stores: [STORES.playlists], load: getPlaylists }
+};
+
+// How long to wait for more writes before reloading, so a batch of writes is one reload
+const RELOAD_DELAY = 50;
+
+const entries = new Map();
+
+function affects(key, change) {
+  const collection = COLLECTIONS[key];
+  if (collection) return collection.stores.includes(change.store);
+  return change.store === STORES.keyval && (change.key === key || change.key === null);
+}
+
+async function load(key, entry) {
+  const collection = COLLECTIONS[key];
+  const version = ++entry.version;
+  try {
+    const value = collection ? await collection.load() : await get(key);
+    // A newer load started while this one was running - let that one report
+    if (version !== entry.version || entry.listeners.size === 0) return;
+
+    entry.value = value;
+    entry.loaded = true;
+    entry.listeners.forEach(listener => {
+      try {
+        listener(value);
+      } catch (error) {
+        console.error(`Listener for "${key}" failed:`, error);
+      }
+    });
+  } catch (error) {
+    console.error(`Error loading "${key}":`, error);
+  }
+}
+
+/**
+ * Keep a listener up to date with a piece of stored data
+ * @param {string} key - 'favorites', 'history', 'playlists', or a key/value store key
+ * @param {Function} listener - Called with the value now (once loaded) and after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(key, listener) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { value: undefined, loaded: false, version: 0, listeners: new Set(), stop: null, timer: null };
+    entries.set(key, entry);
+  }
+
+  entry.listeners.add(listener);
+  if (entry.loaded) {
+    listener(entry.value);
+  }
+
+  // The first subscriber starts watching storage; copies aren't watched with nobody listening
+  if (!entry.stop) {
+    entry.stop = subscribeStorageChanges(change => {
+      if (!affects(key, change)) return;
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => load(key, entry), RELOAD_DELAY);
+    });
+    load(key, entry);
+  }
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size > 0) return;
+
+    clearTimeout(entry.timer);
+    entry.stop();
+    entry.stop = null;
+    // Nothing is watching any more, so the copy may go stale - load afresh next time
+    entry.loaded = false;
+  };
+}
+
+/**
+ * Get the loaded copy of a piece of stored data without waiting, for a first render
+ * @param {string} key - See subscribe
+ * @returns {any} The value, or undefined if nobody is subscribed to it or it hasn't loaded yet
+ */
+export function peek(key) {
+  const entry = entries.get(key);
+  return entry?.loaded ? entry.value : undefined;
+}
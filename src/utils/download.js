@@ -0,0 +1,25 @@
+/**
+ * Save generated content as a file through the browser's download
+ */
+
+// Some browsers start the download after click() returns, so the object URL has to outlive it
+const REVOKE_DELAY = 60 * 1000;
+
+/**
+ * Download text as a file
+ * @param {string} contents - File contents
+ * @param {string} fileName - Name to save it under
+ * @param {string} type - MIME type
+ */
+export function saveFile(contents, fileName, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
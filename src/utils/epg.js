@@ -0,0 +1,767 @@
+import { get, set, remove, getAllKeys } from './idbStorage';
+import { getProxyChain, getProxiedUrl, recordProxyAttempt } from './proxySettings';
+import { getNameKey, getNameRegion, normalizeRegion, rankByName } from './nameMatching';
+import { resolveXtreamUrl, hasXtreamPassword } from './xtream';
+
+/**
+ * Electronic programme guide (EPG) support
+ * Downloads XMLTV files (plain or gzipped), parses them incrementally and
+ * stores programmes in IndexedDB keyed by channel tvg-id
+ */
+
+const EPG_SOURCES_KEY = 'epg_sources';
+const EPG_INDEX_KEY = 'epg_index';
+const EPG_CHANNELS_KEY = 'epg_channels';
+const PROGRAMMES_KEY_PREFIX = 'epg_programmes_';
+
+const EPG_RETENTION = 6 * 60 * 60 * 1000; // Keep programmes that ended up to 6 hours ago
+const EPG_LOOKAHEAD = 7 * 24 * 60 * 60 * 1000; // Ignore programmes more than a week ahead
+const EPG_REFRESH_INTERVAL = 12 * 60 * 60 * 1000; // Re-download sources twice a day
+const EPG_FETCH_TIMEOUT = 120000; // Guides can be tens of megabytes
+
+// In-memory copy of the index so channel cards don't each hit IndexedDB
+let indexPromise = null;
+// Guide display names of the channels in the index, for matching by name - built on demand
+let guideNamesPromise = null;
+
+/**
+ * Build the storage key for a channel's programmes
+ * @param {string} tvgId - Channel tvg-id
+ * @returns {string} Storage key
+ */
+function programmesKey(tvgId) {
+  return `${PROGRAMMES_KEY_PREFIX}${String(tvgId).trim().toLowerCase()}`;
+}
+
+/**
+ * Parse an XMLTV timestamp such as "20240101183000 +0100"
+ * @param {string} value - XMLTV date string
+ * @returns {number|null} Milliseconds since epoch or null if invalid
+ */
+export function parseXmltvDate(value) {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*([+-]\d{2}:?\d{2}|Z)?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', zone] = match;
+  let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+  if (zone && zone !== 'Z') {
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.replace(/[+:-]/g, '');
+    const offsetMinutes = parseInt(digits.substring(0, 2), 10) * 60 + parseInt(digits.substring(2, 4), 10);
+    time -= sign * offsetMinutes * 60000;
+  }
+
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Decode XML entities and CDATA sections
+ * @param {string} text - Raw XML text content
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  if (!text) return '';
+
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Read attributes from an XML start tag
+ * @param {string} tag - Start tag text
+ * @returns {Object} Attribute map
+ */
+function parseXmlAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([a-zA-Z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Get the text of the first child element with the given name
+ * @param {string} xml - Element XML
+ * @param {string} name - Child element name
+ * @returns {string} Decoded text or empty string
+ */
+function childText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]) : '';
+}
+
+/**
+ * Parse a single <programme> element
+ * @param {string} xml - Programme element XML
+ * @returns {Object|null} Programme object or null if incomplete
+ */
+export function parseProgrammeElement(xml) {
+  const startTag = xml.substring(0, xml.indexOf('>') + 1);
+  const attributes = parseXmlAttributes(startTag);
+
+  const start = parseXmltvDate(attributes.start);
+  const stop = parseXmltvDate(attributes.stop);
+  if (!attributes.channel || start === null) return null;
+
+  const programme = {
+    channel: attributes.channel,
+    start,
+    stop: stop ?? start,
+    title: childText(xml, 'title') || 'Untitled'
+  };
+
+  const subtitle = childText(xml, 'sub-title');
+  const description = childText(xml, 'desc');
+  const category = childText(xml, 'category');
+  if (subtitle) programme.subtitle = subtitle;
+  if (description) programme.description = description;
+  if (category) programme.category = category;
+
+  return programme;
+}
+
+/**
+ * Parse a single <channel> element
+ * @param {string} xml - Channel element XML
+ * @returns {Object|null} { id, names, icon } or null if it has no id
+ */
+export function parseChannelElement(xml) {
+  const startTag = xml.substring(0, xml.indexOf('>') + 1);
+  const { id } = parseXmlAttributes(startTag);
+  if (!id) return null;
+
+  const names = [...xml.matchAll(/<display-name\b[^>]*>([\s\S]*?)<\/display-name>/g)]
+    .map(match => decodeXml(match[1]))
+    .filter(Boolean);
+  const iconMatch = xml.match(/<icon\b[^>]*\bsrc\s*=\s*"([^"]*)"/);
+
+  return { id, names, icon: iconMatch ? decodeXml(iconMatch[1]) : null };
+}
+
+/**
+ * Incremental XMLTV parser - feed it text chunks as they arrive
+ * @param {Function} onProgramme - Called with each parsed programme
+ * @param {Function} onChannel - Called with each parsed channel
+ * @returns {Object} { push(chunk), end() }
+ */
+export function createXmltvParser(onProgramme, onChannel = () => {}) {
+  let buffer = '';
+  const elementRegex = /<(programme|channel)\b[^>]*>[\s\S]*?<\/\1>/g;
+
+  const drain = () => {
+    elementRegex.lastIndex = 0;
+    let consumed = 0;
+    let match;
+
+    while ((match = elementRegex.exec(buffer))) {
+      if (match[1] === 'programme') {
+        const programme = parseProgrammeElement(match[0]);
+        if (programme) onProgramme(programme);
+      } else {
+        const channel = parseChannelElement(match[0]);
+        if (channel) onChannel(channel);
+      }
+      consumed = elementRegex.lastIndex;
+    }
+
+    // Only keep the unfinished tail so memory stays flat on huge guides
+    let rest = buffer.substring(consumed);
+    const openElement = Math.max(rest.lastIndexOf('<programme'), rest.lastIndexOf('<channel'));
+    if (openElement >= 0) {
+      rest = rest.substring(openElement);
+    } else {
+      const lastTag = rest.lastIndexOf('<');
+      rest = lastTag >= 0 ? rest.substring(lastTag) : '';
+    }
+    buffer = rest;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      drain();
+    },
+    end() {
+      drain();
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Turn a fetch response into a text stream, transparently un-gzipping it
+ * @param {Response} response - Fetch response
+ * @returns {Promise<ReadableStream|null>} Text stream, or null if streaming is unavailable
+ */
+async function toTextStream(response) {
+  if (!response.body || typeof TextDecoderStream === 'undefined') return null;
+
+  const reader = response.body.getReader();
+  const first = await reader.read();
+  const firstChunk = first.value || new Uint8Array(0);
+
+  // Re-assemble a byte stream that starts with the chunk we peeked at
+  let byteStream = new ReadableStream({
+    start(controller) {
+      if (firstChunk.length) controller.enqueue(firstChunk);
+      if (first.done) controller.close();
+    },
+    async pull(controller) {
+      const { value, done } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      reader.cancel(reason);
+    }
+  });
+
+  // Gzip magic bytes; servers that set Content-Encoding are already decoded by the browser
+  const isGzip = firstChunk[0] === 0x1f && firstChunk[1] === 0x8b;
+  if (isGzip) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress gzipped guides');
+    }
+    byteStream = byteStream.pipeThrough(new DecompressionStream('gzip'));
+  }
+
+  return byteStream.pipeThrough(new TextDecoderStream());
+}
+
+/**
+ * Fetch a guide URL, going down the CORS proxy chain until one way works
+ * @param {string} url - XMLTV URL
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchGuide(url) {
+  const chain = await getProxyChain({ purpose: 'epg', credentials: hasXtreamPassword(url) });
+  // Xtream guide URLs are stored without the password
+  const requestUrl = await resolveXtreamUrl(url);
+  let lastError = null;
+
+  for (const proxy of chain) {
+    const attemptUrl = getProxiedUrl(requestUrl, proxy);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), EPG_FETCH_TIMEOUT);
+    try {
+      const response = await fetch(attemptUrl, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status} ${response.statusText}`);
+      }
+      recordProxyAttempt({ kind: 'epg', url, proxy, ok: true });
+      return response;
+    } catch (error) {
+      console.warn(`EPG fetch failed for ${url} (${proxy.name}):`, error);
+      lastError = error.name === 'AbortError' ? new Error('Guide download timed out') : error;
+      recordProxyAttempt({ kind: 'epg', url, proxy, ok: false, error: lastError });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  throw lastError || new Error('Failed to download guide');
+}
+
+/**
+ * Download and parse an XMLTV file
+ * @param {string} url - XMLTV URL (plain or .gz)
+ * @returns {Promise<Object>} { programmes: Map<tvgId, Array>, channels: Array }
+ */
+export async function downloadXmltv(url) {
+  const response = await fetchGuide(url);
+
+  const now = Date.now();
+  const programmes = new Map();
+  const channels = [];
+
+  const parser = createXmltvParser(
+    programme => {
+      // Drop anything outside the window we keep
+      if (programme.stop < now - EPG_RETENTION || programme.start > now + EPG_LOOKAHEAD) return;
+
+      const key = programme.channel.toLowerCase();
+      if (!programmes.has(key)) programmes.set(key, []);
+      const { channel, ...rest } = programme;
+      programmes.get(key).push(rest);
+    },
+    channel => channels.push(channel)
+  );
+
+  const textStream = await toTextStream(response);
+  if (textStream) {
+    const reader = textStream.getReader();
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      parser.push(value);
+    }
+  } else {
+    // No streams API: gzipped guides need DecompressionStream, so only plain XML works here
+    parser.push(await response.text());
+  }
+  parser.end();
+
+  return { programmes, channels };
+}
+
+/**
+ * Load the index of channels that have guide data
+ * @returns {Promise<Object>} Map of lowercase tvg-id -> { sources, updatedAt }
+ */
+async function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = get(EPG_INDEX_KEY).then(index => index || {});
+  }
+  return indexPromise;
+}
+
+async function saveIndex(index) {
+  indexPromise = Promise.resolve(index);
+  guideNamesPromise = null;
+  await set(EPG_INDEX_KEY, index);
+}
+
+// The region of a guide channel - from a display name, or from ids like "FoxSports.mx"
+function getGuideRegion(id, names) {
+  const tagged = names.map(getNameRegion).find(Boolean);
+  if (tagged) return tagged;
+  const suffix = id.match(/\.([a-z]{2})(?:@|$)/);
+  return suffix ? normalizeRegion(suffix[1]) : null;
+}
+
+/**
+ * Load the display names of the channels that have guide data
+ * @returns {Promise<Object>} { byKey: name key -> [entry], entries: [{ id, names, region }] }
+ */
+async function loadGuideNames() {
+  if (!guideNamesPromise) {
+    guideNamesPromise = Promise.all([loadIndex(), get(EPG_CHANNELS_KEY)]).then(([index, knownChannels]) => {
+      const byKey = new Map();
+      const entries = [];
+      Object.entries(knownChannels || {}).forEach(([id, channel]) => {
+        if (!index[id] || !Array.isArray(channel.names)) return;
+        const entry = { id, names: channel.names, region: getGuideRegion(id, channel.names) };
+        entries.push(entry);
+        new Set(channel.names.map(name => getNameKey(name))).forEach(key => {
+          if (!key) return;
+          if (!byKey.has(key)) byKey.set(key, []);
+          byKey.get(key).push(entry);
+        });
+      });
+      return { byKey, entries };
+    });
+  }
+  return guideNamesPromise;
+}
+
+/**
+ * Get configured EPG sources
+ * @returns {Promise<Array>} List of source records
+ */
+export async function getEpgSources() {
+  const sources = await get(EPG_SOURCES_KEY);
+  return Array.isArray(sources) ? sources : [];
+}
+
+/**
+ * Add an XMLTV source
+ * @param {string} url - XMLTV URL
+ * @param {string} name - Optional display name
+ * @returns {Promise<Object>} The stored source record
+ */
+export async function addEpgSource(url, name = '') {
+  if (!url || !/^https?:\/\//i.test(url)) {
+    throw new Error('Please enter a valid guide URL starting with http:// or https://');
+  }
+
+  const sources = await getEpgSources();
+  if (sources.some(source => source.url === url)) {
+    throw new Error('This guide source has already been added');
+  }
+
+  const source = createSourceRecord(url, name);
+
+  await set(EPG_SOURCES_KEY, [...sources, source]);
+  return source;
+}
+
+/**
+ * Create a new source record
+ * @param {string} url - XMLTV URL
+ * @param {string} name - Optional display name
+ * @param {Object} extra - Additional fields
+ * @returns {Object} Source record
+ */
+function createSourceRecord(url, name = '', extra = {}) {
+  let displayName = name;
+  if (!displayName) {
+    try {
+      displayName = new URL(url).hostname;
+    } catch (e) {
+      displayName = url;
+    }
+  }
+
+  return {
+    url,
+    name: displayName,
+    addedAt: new Date().toISOString(),
+    lastFetched: null,
+    lastError: null,
+    programmeCount: 0,
+    auto: false,
+    playlistIds: [],
+    ...extra
+  };
+}
+
+/**
+ * Register the guide URLs a playlist declares (url-tvg / x-tvg-url) as EPG sources.
+ * Sources that were only added for this playlist and are no longer listed are removed;
+ * sources the user added manually are kept.
+ * @param {string} playlistId - Playlist ID
+ * @param {Array<string>} urls - Guide URLs for the playlist
+ * @param {string} playlistName - Playlist name, used to label new sources
+ * @returns {Promise<Array>} Sources that were added
+ */
+export async function syncPlaylistEpgSources(playlistId, urls = [], playlistName = '') {
+  try {
+    const wanted = new Set(urls.filter(url => /^https?:\/\//i.test(url)));
+    const sources = await getEpgSources();
+    const added = [];
+    const orphaned = [];
+
+    const updated = sources.map(source => {
+      const playlistIds = source.playlistIds || [];
+      if (wanted.has(source.url)) {
+        wanted.delete(source.url);
+        return playlistIds.includes(playlistId)
+          ? source
+          : { ...source, playlistIds: [...playlistIds, playlistId] };
+      }
+
+      if (!playlistIds.includes(playlistId)) return source;
+
+      const remaining = playlistIds.filter(id => id !== playlistId);
+      if (source.auto && remaining.length === 0) orphaned.push(source.url);
+      return { ...source, playlistIds: remaining };
+    });
+
+    wanted.forEach(url => {
+      const source = createSourceRecord(url, playlistName ? `${playlistName} guide` : '', {
+        auto: true,
+        playlistIds: [playlistId]
+      });
+      updated.push(source);
+      added.push(source);
+    });
+
+    await set(EPG_SOURCES_KEY, updated);
+
+    for (const url of orphaned) {
+      await removeEpgSource(url);
+    }
+
+    if (added.length > 0) {
+      console.log(`Registered ${added.length} EPG source(s) from playlist ${playlistId}`);
+    }
+    return added;
+  } catch (error) {
+    console.error('Error registering playlist EPG sources:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove an XMLTV source and the programmes it provided
+ * @param {string} url - XMLTV URL
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removeEpgSource(url) {
+  try {
+    const sources = await getEpgSources();
+    await set(EPG_SOURCES_KEY, sources.filter(source => source.url !== url));
+
+    const index = await loadIndex();
+    for (const [tvgId, entry] of Object.entries(index)) {
+      if (!entry.sources?.includes(url)) continue;
+
+      const remaining = ((await get(programmesKey(tvgId))) || []).filter(p => p.source !== url);
+      if (remaining.length > 0) {
+        await set(programmesKey(tvgId), remaining);
+        index[tvgId] = { ...entry, sources: entry.sources.filter(s => s !== url) };
+      } else {
+        await remove(programmesKey(tvgId));
+        delete index[tvgId];
+      }
+    }
+    await saveIndex(index);
+
+    return true;
+  } catch (error) {
+    console.error('Error removing EPG source:', error);
+    return false;
+  }
+}
+
+/**
+ * Add guide sources from a backup
+ * Programmes aren't part of backups, so new sources are downloaded on the next refresh;
+ * sources that are already here keep what they downloaded.
+ * @param {Array} sources - Source records
+ * @param {Object} options - { replace: remove the sources that aren't in the backup }
+ * @returns {Promise<number>} Number of sources added
+ */
+export async function restoreEpgSources(sources, options = {}) {
+  const restoredUrls = new Set(sources.map(source => source.url));
+  if (options.replace) {
+    for (const source of await getEpgSources()) {
+      if (!restoredUrls.has(source.url)) await removeEpgSource(source.url);
+    }
+  }
+
+  const current = await getEpgSources();
+  const added = [];
+  const updated = current.map(existing => {
+    const source = sources.find(s => s.url === existing.url);
+    if (!source) return existing;
+    const playlistIds = [...new Set([...(existing.playlistIds || []), ...(source.playlistIds || [])])];
+    return { ...existing, name: source.name || existing.name, playlistIds };
+  });
+
+  sources
+    .filter(source => !current.some(existing => existing.url === source.url))
+    .forEach(source => {
+      added.push(createSourceRecord(source.url, source.name, {
+        auto: !!source.auto,
+        playlistIds: Array.isArray(source.playlistIds) ? source.playlistIds : []
+      }));
+    });
+
+  await set(EPG_SOURCES_KEY, [...updated, ...added]);
+  return added.length;
+}
+
+/**
+ * Download one source and merge its programmes into storage
+ * @param {string} url - XMLTV URL
+ * @returns {Promise<Object>} { channelCount, programmeCount }
+ */
+export async function refreshEpgSource(url) {
+  const sources = await getEpgSources();
+  const updateSource = async (changes) => {
+    const current = await getEpgSources();
+    await set(EPG_SOURCES_KEY, current.map(source =>
+      source.url === url ? { ...source, ...changes } : source
+    ));
+  };
+
+  if (!sources.some(source => source.url === url)) {
+    throw new Error('Guide source not found');
+  }
+
+  try {
+    console.log(`Downloading EPG from ${url}`);
+    const { programmes, channels } = await downloadXmltv(url);
+
+    const now = Date.now();
+    const index = await loadIndex();
+    let programmeCount = 0;
+
+    for (const [tvgId, list] of programmes) {
+      const existing = ((await get(programmesKey(tvgId))) || [])
+        .filter(p => p.source !== url && p.stop >= now - EPG_RETENTION);
+      const merged = [...existing, ...list.map(p => ({ ...p, source: url }))]
+        .sort((a, b) => a.start - b.start);
+
+      await set(programmesKey(tvgId), merged);
+      programmeCount += list.length;
+
+      const entrySources = new Set(index[tvgId]?.sources || []);
+      entrySources.add(url);
+      index[tvgId] = { sources: [...entrySources], updatedAt: now };
+    }
+    await saveIndex(index);
+
+    // Keep display names so channels without a tvg-id can still be matched later
+    if (channels.length > 0) {
+      const knownChannels = (await get(EPG_CHANNELS_KEY)) || {};
+      channels.forEach(channel => {
+        knownChannels[channel.id.toLowerCase()] = { names: channel.names, icon: channel.icon };
+      });
+      await set(EPG_CHANNELS_KEY, knownChannels);
+      guideNamesPromise = null;
+    }
+
+    await updateSource({
+      lastFetched: new Date().toISOString(),
+      lastError: null,
+      programmeCount,
+      channelCount: programmes.size
+    });
+
+    console.log(`EPG from ${url}: ${programmeCount} programmes for ${programmes.size} channels`);
+    return { channelCount: programmes.size, programmeCount };
+  } catch (error) {
+    console.error(`Failed to refresh EPG source ${url}:`, error);
+    await updateSource({ lastError: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Refresh all sources, or only the ones that are due
+ * @param {Object} options - { force: re-download even if fresh }
+ * @returns {Promise<Object>} { refreshed, failed }
+ */
+export async function refreshEpg(options = {}) {
+  const sources = await getEpgSources();
+  let refreshed = 0;
+  let failed = 0;
+
+  for (const source of sources) {
+    const lastFetched = source.lastFetched ? new Date(source.lastFetched).getTime() : 0;
+    if (!options.force && Date.now() - lastFetched < EPG_REFRESH_INTERVAL) continue;
+
+    try {
+      await refreshEpgSource(source.url);
+      refreshed++;
+    } catch (error) {
+      failed++;
+    }
+  }
+
+  await pruneExpiredProgrammes();
+  return { refreshed, failed };
+}
+
+/**
+ * Remove programmes that ended before the retention window
+ * @returns {Promise<number>} Number of programmes removed
+ */
+export async function pruneExpiredProgrammes() {
+  try {
+    const cutoff = Date.now() - EPG_RETENTION;
+    const index = await loadIndex();
+    const storedKeys = (await getAllKeys()).filter(key =>
+      typeof key === 'string' && key.startsWith(PROGRAMMES_KEY_PREFIX)
+    );
+    let removed = 0;
+
+    for (const key of storedKeys) {
+      const tvgId = key.substring(PROGRAMMES_KEY_PREFIX.length);
+      const programmes = (await get(key, true)) || [];
+      const current = programmes.filter(p => p.stop >= cutoff);
+      removed += programmes.length - current.length;
+
+      if (current.length === 0) {
+        await remove(key);
+        delete index[tvgId];
+      } else if (current.length !== programmes.length) {
+        await set(key, current);
+      }
+    }
+
+    await saveIndex(index);
+    return removed;
+  } catch (error) {
+    console.error('Error pruning EPG data:', error);
+    return 0;
+  }
+}
+
+/**
+ * Check whether guide data exists for a channel
+ * @param {string} tvgId - Channel tvg-id
+ * @returns {Promise<boolean>} True if programmes are stored
+ */
+export async function hasGuide(tvgId) {
+  if (!tvgId) return false;
+  const index = await loadIndex();
+  return !!index[String(tvgId).trim().toLowerCase()];
+}
+
+/**
+ * Work out which guide channel a playlist channel is
+ * The tvg-id is used when the guide has it. Otherwise the channel name is matched against
+ * the guide's display names, allowing for quality tags, script and typos - playlists often
+ * leave tvg-id out or spell it differently from the guide. A region tag on the name has to
+ * agree with the guide channel's, and typos never stretch to the numbers in the name.
+ * @param {string} tvgId - Channel tvg-id, if any
+ * @param {string} name - Channel name
+ * @returns {Promise<string|null>} Guide tvg-id, or null if there's no guide for the channel
+ */
+export async function resolveGuideId(tvgId, name) {
+  if (await hasGuide(tvgId)) return String(tvgId).trim().toLowerCase();
+  if (!name) return null;
+
+  try {
+    const { byKey, entries } = await loadGuideNames();
+    const key = getNameKey(name);
+    if (!key) return null;
+
+    // "Fox Sports AR" isn't the "Fox Sports MX" guide; a name or guide without a region goes either way
+    const region = getNameRegion(name);
+    const regionAgrees = entry => !region || !entry.region || entry.region === region;
+
+    const exact = (byKey.get(key) || []).filter(regionAgrees);
+    if (exact.length > 0) {
+      return (exact.find(entry => entry.region === region) || exact[0]).id;
+    }
+
+    const [best] = rankByName(name, entries.filter(regionAgrees), entry => entry.names, { threshold: 0.9, limit: 1 });
+    return best ? best.item.id : null;
+  } catch (error) {
+    console.error('Error matching channel to guide:', error);
+    return null;
+  }
+}
+
+/**
+ * Get programmes for a channel
+ * @param {string} tvgId - Channel tvg-id
+ * @returns {Promise<Array>} Programmes sorted by start time
+ */
+export async function getProgrammes(tvgId) {
+  if (!(await hasGuide(tvgId))) return [];
+  const programmes = await get(programmesKey(tvgId));
+  return Array.isArray(programmes) ? programmes : [];
+}
+
+/**
+ * Get the current and next programme for a channel
+ * @param {string} tvgId - Channel tvg-id
+ * @param {number} at - Point in time (defaults to now)
+ * @param {number} shiftHours - Playlist tvg-shift applied to guide times
+ * @returns {Promise<Object>} { now, next } - either may be null
+ */
+export async function getNowNext(tvgId, at = Date.now(), shiftHours = 0) {
+  let programmes = await getProgrammes(tvgId);
+
+  if (shiftHours) {
+    const shift = shiftHours * 60 * 60 * 1000;
+    programmes = programmes.map(p => ({ ...p, start: p.start + shift, stop: p.stop + shift }));
+  }
+
+  const nowIndex = programmes.findIndex(p => p.start <= at && p.stop > at);
+  const now = nowIndex >= 0 ? programmes[nowIndex] : null;
+  const next = nowIndex >= 0
+    ? programmes[nowIndex + 1] || null
+    : programmes.find(p => p.start > at) || null;
+
+  return { now, next };
+}
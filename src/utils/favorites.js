@@ -1,4 +1,5 @@
-import { get, set } from './idbStorage';
+import { getDatabase, getRecord, getAllRecords, putRecords, deleteRecords, clearRecords, transactionDone, STORES } from './idbStorage';
+import { relinkChannels } from './channelIdentity';
 
 /**
  * Toggle favorite status of a channel
@@ -10,43 +11,23 @@ export const toggleFavorite = async (channel) => {
     console.error('Invalid channel object for toggling favorite', channel);
     return null;
   }
-  
+
   try {
-    const favorites = await get('favorites') || [];
-    
-    // Make sure favorites is an array
-    if (!Array.isArray(favorites)) {
-      console.warn('Favorites is not an array, resetting it');
-      await set('favorites', []);
-      return toggleFavorite(channel); // Try again with empty array
-    }
-    
-    const isCurrentlyFavorite = favorites.some(fav => fav.id === channel.id);
-    
-    let updatedFavorites;
-    
+    const isCurrentlyFavorite = await isFavorite(channel.id);
+
     if (isCurrentlyFavorite) {
       // Remove from favorites
-      updatedFavorites = favorites.filter(fav => fav.id !== channel.id);
+      await deleteRecords(STORES.favorites, channel.id);
       console.log(`Removed ${channel.name || channel.id} from favorites`);
     } else {
       // Add to favorites with timestamp
-      const favoriteChannel = {
+      await putRecords(STORES.favorites, {
         ...channel,
         addedToFavoritesAt: new Date().toISOString()
-      };
-      updatedFavorites = [...favorites, favoriteChannel];
+      });
       console.log(`Added ${channel.name || channel.id} to favorites`);
     }
-    
-    // Update storage
-    const success = await set('favorites', updatedFavorites);
-    
-    if (!success) {
-      console.error('Failed to update favorites in storage');
-      return null;
-    }
-    
+
     return !isCurrentlyFavorite; // Return new favorite status
   } catch (err) {
     console.error('Error toggling favorite:', err);
@@ -61,17 +42,9 @@ export const toggleFavorite = async (channel) => {
  */
 export const isFavorite = async (channelId) => {
   if (!channelId) return false;
-  
+
   try {
-    const favorites = await get('favorites') || [];
-    
-    // Make sure favorites is an array
-    if (!Array.isArray(favorites)) {
-      console.warn('Favorites is not an array');
-      return false;
-    }
-    
-    return favorites.some(fav => fav.id === channelId);
+    return (await getRecord(STORES.favorites, channelId)) !== undefined;
   } catch (err) {
     console.error('Error checking favorite status:', err);
     return false;
@@ -80,26 +53,43 @@ export const isFavorite = async (channelId) => {
 
 /**
  * Get all favorites
- * @returns {Promise<Array>} Array of favorite channels
+ * @returns {Promise<Array>} Array of favorite channels, in the order they were added
  */
 export const getFavorites = async () => {
   try {
-    const favorites = await get('favorites');
-    
-    // Make sure favorites is an array
-    if (!Array.isArray(favorites)) {
-      console.warn('Favorites is not an array, resetting');
-      await set('favorites', []);
-      return [];
-    }
-    
-    return favorites;
+    return await getAllRecords(STORES.favorites, { index: 'addedToFavoritesAt' });
   } catch (err) {
     console.error('Error getting favorites:', err);
     return [];
   }
 };
 
+/**
+ * Update the stored copy of a favorite channel, keeping its ID and when it was added
+ * @param {Object} channel The channel with updated details
+ * @returns {Promise<boolean>} False if the channel isn't a favorite or on error
+ */
+export const updateFavorite = async (channel) => {
+  if (!channel?.id) return false;
+
+  try {
+    const favorite = await getRecord(STORES.favorites, channel.id);
+    if (!favorite) return false;
+
+    await putRecords(STORES.favorites, {
+      ...favorite,
+      ...channel,
+      id: favorite.id,
+      name: favorite.name || channel.name,
+      addedToFavoritesAt: favorite.addedToFavoritesAt
+    });
+    return true;
+  } catch (err) {
+    console.error('Error updating favorite:', err);
+    return false;
+  }
+};
+
 /**
  * Remove a channel from favorites
  * @param {string} channelId The ID of the channel to remove
@@ -107,25 +97,15 @@ export const getFavorites = async () => {
  */
 export const removeFavorite = async (channelId) => {
   if (!channelId) return false;
-  
+
   try {
-    const favorites = await get('favorites') || [];
-    
-    // Make sure favorites is an array
-    if (!Array.isArray(favorites)) {
-      console.warn('Favorites is not an array, resetting');
-      await set('favorites', []);
+    if (!(await isFavorite(channelId))) {
+      // Nothing to remove
       return false;
     }
-    
-    const updatedFavorites = favorites.filter(fav => fav.id !== channelId);
-    
-    if (updatedFavorites.length === favorites.length) {
-      // Nothing changed
-      return false;
-    }
-    
-    return await set('favorites', updatedFavorites);
+
+    await deleteRecords(STORES.favorites, channelId);
+    return true;
   } catch (err) {
     console.error('Error removing favorite:', err);
     return false;
@@ -138,9 +118,65 @@ export const removeFavorite = async (channelId) => {
  */
 export const clearFavorites = async () => {
   try {
-    return await set('favorites', []);
+    await clearRecords(STORES.favorites);
+    return true;
   } catch (err) {
     console.error('Error clearing favorites:', err);
     return false;
   }
 };
+
+/**
+ * Add favorites from a backup
+ * @param {Array} favorites Favorite channels
+ * @param {Object} options { replace: clear the current favorites first }
+ * @returns {Promise<number>} Number of favorites added
+ */
+export const restoreFavorites = async (favorites, options = {}) => {
+  if (options.replace) {
+    await clearRecords(STORES.favorites);
+  }
+
+  // When merging, favorites that are already here keep the date they were added
+  const current = new Set((await getFavorites()).map(favorite => favorite.id));
+  const added = favorites.filter(favorite => !current.has(favorite.id));
+
+  await putRecords(STORES.favorites, added);
+  return added.length;
+};
+
+/**
+ * Point a playlist's favorites at its re-parsed channels, so they survive a refresh
+ * that changed channel IDs or stream URLs
+ * @param {string} playlistId The refreshed playlist's ID
+ * @param {Array} channels The playlist's channels after the refresh
+ * @returns {Promise<number>} Number of favorites updated
+ */
+export const relinkFavorites = async (playlistId, channels) => {
+  try {
+    const favorites = (await getFavorites()).filter(favorite => favorite.playlistId === playlistId);
+    const links = relinkChannels(favorites, channels);
+    if (links.length === 0) return 0;
+
+    const db = await getDatabase();
+    const transaction = db.transaction(STORES.favorites, 'readwrite');
+    const store = transaction.objectStore(STORES.favorites);
+    const done = transactionDone(transaction);
+
+    links.forEach(({ saved, channel, key }) => {
+      if (key !== saved.id) store.delete(saved.id);
+      store.put({
+        ...saved,
+        ...channel,
+        id: key,
+        addedToFavoritesAt: saved.addedToFavoritesAt
+      });
+    });
+
+    await done;
+    return links.length;
+  } catch (err) {
+    console.error('Error relinking favorites:', err);
+    return 0;
+  }
+};
@@ -0,0 +1,106 @@
+import Hls from 'hls.js';
+import { applyProxyTemplate, recordProxyAttempt, DIRECT } from './proxySettings';
+import { createXhrSetup } from './streamHeaders';
+
+/**
+ * Build an hls.js loader class that sends every manifest, key and segment request through a CORS proxy.
+ * hls.js only sees the original URLs: they are swapped for the proxied URL just for the request
+ * and put back before the callbacks run, so relative segment URLs still resolve against the stream.
+ * @param {string} template - Proxy URL template, see applyProxyTemplate
+ * @returns {Function} Loader class for the hls.js `loader` option
+ */
+export function createProxyLoader(template) {
+  const BaseLoader = Hls.DefaultConfig.loader;
+  const proxyOrigin = new URL(applyProxyTemplate(template, '')).origin;
+
+  return class ProxyLoader extends BaseLoader {
+    load(context, config, callbacks) {
+      const originalUrl = context.url;
+      if (!/^https?:\/\//i.test(originalUrl) || originalUrl.startsWith(proxyOrigin)) {
+        super.load(context, config, callbacks);
+        return;
+      }
+
+      const restore = (response) => {
+        context.url = originalUrl;
+        if (response && typeof response.url === 'string') response.url = originalUrl;
+      };
+
+      context.url = applyProxyTemplate(template, originalUrl);
+      super.load(context, config, {
+        ...callbacks,
+        onSuccess: (response, stats, loaderContext, networkDetails) => {
+          restore(response);
+          callbacks.onSuccess(response, stats, loaderContext, networkDetails);
+        },
+        onError: (error, loaderContext, networkDetails, stats) => {
+          restore();
+          callbacks.onError(error, loaderContext, networkDetails, stats);
+        },
+        onTimeout: (stats, loaderContext, networkDetails) => {
+          restore();
+          callbacks.onTimeout(stats, loaderContext, networkDetails);
+        },
+        ...(callbacks.onAbort ? {
+          onAbort: (stats, loaderContext, networkDetails) => {
+            restore();
+            callbacks.onAbort(stats, loaderContext, networkDetails);
+          }
+        } : {})
+      });
+    }
+  };
+}
+
+/**
+ * Get the proxy a stream is being tried through
+ * @param {Object} attempt - { chain, index } - chain from getProxyChain({ purpose: 'stream' })
+ * @returns {Object} Chain entry
+ */
+export function getStreamProxy(attempt) {
+  return attempt?.chain?.[attempt.index] || DIRECT;
+}
+
+/**
+ * Build the hls.js config for a stream tried through a proxy
+ * @param {Object} baseConfig - hls.js config to start from
+ * @param {Object} proxy - Chain entry, see getStreamProxy
+ * @param {Object} httpOptions - The channel's #EXTVLCOPT / #KODIPROP headers, if any
+ * @returns {Object} hls.js config
+ */
+export function createStreamConfig(baseConfig, proxy, httpOptions = null) {
+  const config = { ...baseConfig };
+  if (httpOptions) {
+    config.xhrSetup = createXhrSetup(httpOptions, 30000);
+  }
+  if (proxy.template) {
+    config.loader = createProxyLoader(proxy.template);
+  }
+  return config;
+}
+
+/**
+ * Check whether an hls.js error looks like the stream refusing the page (CORS),
+ * which another proxy in the chain may get around
+ * @param {Object} data - hls.js ERROR event data
+ * @returns {boolean} True if the next proxy is worth a try
+ */
+export function isProxyRetryError(data) {
+  return data.response?.code === 0 ||
+    (data.response && data.response.text && data.response.text.includes('CORS')) ||
+    (data.error && (data.error.message || '').includes('CORS')) ||
+    (data.type === Hls.ErrorTypes.NETWORK_ERROR && data.details === Hls.ErrorDetails.MANIFEST_LOAD_ERROR);
+}
+
+/**
+ * Record that a stream failed through its proxy and move on to the next one in the chain
+ * @param {Object} attempt - { chain, index }
+ * @param {string} streamUrl - Stream URL
+ * @param {string} error - What went wrong
+ * @returns {Object|null} The next { chain, index }, or null when the chain is used up
+ */
+export function nextStreamProxy(attempt, streamUrl, error) {
+  recordProxyAttempt({ kind: 'stream', url: streamUrl, proxy: getStreamProxy(attempt), ok: false, error });
+  if (attempt.index + 1 >= attempt.chain.length) return null;
+  return { chain: attempt.chain, index: attempt.index + 1 };
+}
@@ -1,7 +1,198 @@
-import { get as idbGet, set as idbSet, del, keys, clear, createStore } from 'idb-keyval';
+import { get as idbGet, set as idbSet, del, keys, clear } from 'idb-keyval';
+import { MIGRATIONS } from './migrations';
+import { notifyStorageChange, subscribeStorageChanges } from './storageSync';
 
-// Custom store with increased performance
-const store = createStore('iptv-db', 'iptv-store');
+/**
+ * The app database
+ * Version 1 had a single key/value store, and every channel of every playlist lived under
+ * one 'channels' key. Version 2 keeps that store for settings and caches and adds object
+ * stores for playlists, channels, favorites and watch history, so callers can query them
+ * through indexes and cursors instead of loading and rewriting everything at once.
+ *
+ * The shape of the stored data has its own schema version, kept under SCHEMA_VERSION_KEY.
+ * When the database opens, the migrations in migrations.js newer than that version run
+ * in order, after a backup of everything they could touch.
+ */
+const DB_NAME = 'iptv-db';
+const DB_VERSION = 2;
+
+export const STORES = {
+  keyval: 'iptv-store',
+  playlists: 'playlists',
+  channels: 'channels',
+  favorites: 'favorites',
+  history: 'history'
+};
+
+// Object stores holding records, as opposed to the key/value store
+const RECORD_STORES = Object.values(STORES).filter(name => name !== STORES.keyval);
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const MIGRATION_STATUS_KEY = 'migrationStatus';
+const MIGRATION_BACKUP_KEY = 'migrationBackup';
+// Caches that rebuild themselves are left out of the backup
+const BACKUP_SKIPPED_KEYS = [/^epg_programmes_/, /^category_.+_data$/, /^migrationBackup$/];
+
+let databasePromise = null;
+
+function upgradeDatabase(db) {
+  if (!db.objectStoreNames.contains(STORES.keyval)) {
+    db.createObjectStore(STORES.keyval);
+  }
+  if (!db.objectStoreNames.contains(STORES.playlists)) {
+    db.createObjectStore(STORES.playlists, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(STORES.channels)) {
+    const channels = db.createObjectStore(STORES.channels, { keyPath: 'id' });
+    // Includes the position so a playlist's channels come back in playlist order
+    channels.createIndex('playlistId', ['playlistId', 'position']);
+    channels.createIndex('group', 'group');
+    channels.createIndex('tvgId', 'tvgId');
+    channels.createIndex('name', 'name');
+    channels.createIndex('url', 'url');
+  }
+  if (!db.objectStoreNames.contains(STORES.favorites)) {
+    const favorites = db.createObjectStore(STORES.favorites, { keyPath: 'id' });
+    favorites.createIndex('addedToFavoritesAt', 'addedToFavoritesAt');
+  }
+  if (!db.objectStoreNames.contains(STORES.history)) {
+    const history = db.createObjectStore(STORES.history, { keyPath: 'channelId' });
+    history.createIndex('timestamp', 'timestamp');
+  }
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => upgradeDatabase(request.result);
+    request.onblocked = () => console.warn('Database upgrade is waiting for other tabs of the app to close');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      // A newer version of the app is upgrading the database in another tab - step aside
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+  });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<any>} The request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * Committed writes are announced to listeners in this and other tabs (see storageSync.js).
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves on commit, rejects if it fails or is aborted
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      if (transaction.mode === 'readwrite') {
+        Array.from(transaction.objectStoreNames).forEach(name => notifyStorageChange(name));
+      }
+      resolve();
+    };
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open the database and bring the stored data up to the current schema version
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase()
+      .then(db => runMigrations(db)
+        .catch(err => console.error('Failed to migrate stored data:', err))
+        .then(() => db))
+      .catch(err => {
+        databasePromise = null;
+        throw err;
+      });
+  }
+  return databasePromise;
+}
+
+// idb-keyval store function backed by the shared connection
+const store = (txMode, callback) => getDatabase()
+  .then(db => callback(db.transaction(STORES.keyval, txMode).objectStore(STORES.keyval)));
+
+async function objectStore(storeName, mode = 'readonly') {
+  const db = await getDatabase();
+  return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+/**
+ * Get a record from one of the object stores
+ * @param {string} storeName - One of STORES
+ * @param {any} key - Primary key
+ * @returns {Promise<Object|undefined>} The record, or undefined if there is none
+ */
+export async function getRecord(storeName, key) {
+  return promisifyRequest((await objectStore(storeName)).get(key));
+}
+
+/**
+ * Get all records of an object store, or those matching an index query
+ * @param {string} storeName - One of STORES
+ * @param {Object} options - { index, query } - index name and key or key range
+ * @returns {Promise<Array>} Records, in key (or index) order
+ */
+export async function getAllRecords(storeName, options = {}) {
+  const source = await objectStore(storeName);
+  const target = options.index ? source.index(options.index) : source;
+  return promisifyRequest(target.getAll(options.query ?? null));
+}
+
+/**
+ * Add or replace records in an object store, in one transaction
+ * @param {string} storeName - One of STORES
+ * @param {Object|Array<Object>} records - Record or records; the key is taken from the record
+ * @returns {Promise<void>}
+ */
+export async function putRecords(storeName, records) {
+  const target = await objectStore(storeName, 'readwrite');
+  (Array.isArray(records) ? records : [records]).forEach(record => target.put(record));
+  return transactionDone(target.transaction);
+}
+
+/**
+ * Delete records from an object store
+ * @param {string} storeName - One of STORES
+ * @param {any} query - Primary key or key range
+ * @returns {Promise<void>}
+ */
+export async function deleteRecords(storeName, query) {
+  const target = await objectStore(storeName, 'readwrite');
+  target.delete(query);
+  return transactionDone(target.transaction);
+}
+
+/**
+ * Delete every record in an object store
+ * @param {string} storeName - One of STORES
+ * @returns {Promise<void>}
+ */
+export async function clearRecords(storeName) {
+  const target = await objectStore(storeName, 'readwrite');
+  target.clear();
+  return transactionDone(target.transaction);
+}
 
 // Create a singleton for LZString loading to avoid multiple imports
 let lzStringPromise;
@@ -15,6 +206,203 @@ const getLZString = () => {
   return lzStringPromise;
 };
 
+function decompressValue(key, value, lzString) {
+  // Handle compressed values (strings starting with special marker)
+  if (typeof value === 'string' && value.startsWith('CMPR:')) {
+    try {
+      return lzString
+        ? JSON.parse(lzString.decompressFromUTF16(value.slice(5)))
+        : JSON.parse(value.slice(5));
+    } catch (e) {
+      console.warn(`Decompression failed for key ${key}:`, e);
+      return value; // Fallback to raw value
+    }
+  }
+  return value;
+}
+
+/**
+ * Undo the compression set() applies to large values
+ * @param {string} key - Key the value was stored under, for logging
+ * @param {any} value - Stored value
+ * @returns {Promise<any>} The original value
+ */
+async function decodeValue(key, value) {
+  if (typeof value === 'string' && value.startsWith('CMPR:')) {
+    return decompressValue(key, value, await getLZString());
+  }
+  return value;
+}
+
+function isBackedUpKey(key) {
+  return !BACKUP_SKIPPED_KEYS.some(pattern => pattern.test(String(key)));
+}
+
+/**
+ * Copy everything a migration could change into the key/value store, replacing the last backup
+ * @param {IDBDatabase} db - The open database
+ * @param {number} schemaVersion - Schema version of the data being backed up
+ * @returns {Promise<string|null>} When the backup was taken, or null if there was nothing to back up
+ */
+async function takeMigrationBackup(db, schemaVersion) {
+  const transaction = db.transaction(Object.values(STORES), 'readonly');
+  const keyval = transaction.objectStore(STORES.keyval);
+
+  const keyvalKeys = (await promisifyRequest(keyval.getAllKeys())).filter(isBackedUpKey);
+  const [keyvalValues, ...records] = await Promise.all([
+    Promise.all(keyvalKeys.map(key => promisifyRequest(keyval.get(key)))),
+    ...RECORD_STORES.map(name => promisifyRequest(transaction.objectStore(name).getAll()))
+  ]);
+
+  if (keyvalKeys.length === 0 && records.every(list => list.length === 0)) {
+    return null;
+  }
+
+  const backup = {
+    takenAt: new Date().toISOString(),
+    schemaVersion,
+    keyval: keyvalKeys.map((key, i) => [key, keyvalValues[i]]),
+    stores: Object.fromEntries(RECORD_STORES.map((name, i) => [name, records[i]]))
+  };
+
+  const write = db.transaction(STORES.keyval, 'readwrite');
+  write.objectStore(STORES.keyval).put(backup, MIGRATION_BACKUP_KEY);
+  await transactionDone(write);
+  return backup.takenAt;
+}
+
+function createMigrationContext(transaction, lzString) {
+  const keyval = transaction.objectStore(STORES.keyval);
+  return {
+    stores: STORES,
+    store: name => transaction.objectStore(name),
+    getAll: name => promisifyRequest(transaction.objectStore(name).getAll()),
+    getValue: async key => decompressValue(key, await promisifyRequest(keyval.get(key)), lzString),
+    setValue: (key, value) => keyval.put(value, key),
+    deleteValue: key => keyval.delete(key)
+  };
+}
+
+/**
+ * Run one migration and record its version, in a single transaction
+ * @returns {Promise<boolean>} False if another tab had already run it
+ */
+async function applyMigration(db, migration, lzString) {
+  const transaction = db.transaction(Object.values(STORES), 'readwrite');
+  const done = transactionDone(transaction);
+  const keyval = transaction.objectStore(STORES.keyval);
+
+  try {
+    const currentVersion = (await promisifyRequest(keyval.get(SCHEMA_VERSION_KEY))) || 0;
+    if (currentVersion >= migration.version) {
+      await done;
+      return false;
+    }
+
+    await migration.migrate(createMigrationContext(transaction, lzString));
+    keyval.put(migration.version, SCHEMA_VERSION_KEY);
+  } catch (err) {
+    done.catch(() => {});
+    try {
+      transaction.abort();
+    } catch (abortError) {
+      // Already finished - the migration awaited something other than a request
+    }
+    throw err;
+  }
+
+  await done;
+  return true;
+}
+
+/**
+ * Run the migrations newer than the stored schema version, in order
+ * A backup is taken first. The first failing migration stops the run: its changes are
+ * rolled back, the failure is recorded for getMigrationStatus, and it is tried again
+ * the next time the app starts.
+ * @param {IDBDatabase} db - The open database
+ */
+async function runMigrations(db) {
+  const readStore = db.transaction(STORES.keyval, 'readonly').objectStore(STORES.keyval);
+  const [startVersion, previousStatus] = await Promise.all([
+    promisifyRequest(readStore.get(SCHEMA_VERSION_KEY)),
+    promisifyRequest(readStore.get(MIGRATION_STATUS_KEY))
+  ]);
+  const pending = MIGRATIONS.filter(migration => migration.version > (startVersion || 0));
+  if (pending.length === 0) return;
+
+  const status = {
+    schemaVersion: startVersion || 0,
+    failed: null,
+    backupTakenAt: previousStatus?.backupTakenAt || null,
+    updatedAt: null
+  };
+
+  try {
+    status.backupTakenAt = (await takeMigrationBackup(db, status.schemaVersion)) || status.backupTakenAt;
+    const lzString = await getLZString();
+
+    for (const migration of pending) {
+      try {
+        if (await applyMigration(db, migration, lzString)) {
+          console.log(`Stored data migrated to version ${migration.version}: ${migration.description}`);
+        }
+        status.schemaVersion = migration.version;
+      } catch (err) {
+        console.error(`Migration to version ${migration.version} failed:`, err);
+        status.failed = {
+          version: migration.version,
+          description: migration.description,
+          error: err?.message || String(err),
+          at: new Date().toISOString()
+        };
+        break;
+      }
+    }
+  } catch (err) {
+    // Without a backup nothing is changed
+    console.error('Backup before migration failed:', err);
+    status.failed = {
+      version: pending[0].version,
+      description: 'Back up stored data before migrating',
+      error: err?.message || String(err),
+      at: new Date().toISOString()
+    };
+  }
+
+  status.updatedAt = new Date().toISOString();
+  const write = db.transaction(STORES.keyval, 'readwrite');
+  write.objectStore(STORES.keyval).put(status, MIGRATION_STATUS_KEY);
+  await transactionDone(write);
+}
+
+/**
+ * Get the outcome of the last migration run
+ * @returns {Promise<Object|null>} { schemaVersion, failed: { version, description, error, at } | null,
+ *   backupTakenAt, updatedAt }, or null if no migration has run yet
+ */
+export async function getMigrationStatus() {
+  try {
+    return (await idbGet(MIGRATION_STATUS_KEY, store)) || null;
+  } catch (err) {
+    console.error('Error reading migration status:', err);
+    return null;
+  }
+}
+
+/**
+ * Get the backup taken before the last migration run
+ * @returns {Promise<Object|null>} { takenAt, schemaVersion, keyval: [[key, value]], stores: { name: records } }
+ */
+export async function getMigrationBackup() {
+  try {
+    return (await idbGet(MIGRATION_BACKUP_KEY, store)) || null;
+  } catch (err) {
+    console.error('Error reading migration backup:', err);
+    return null;
+  }
+}
+
 // Cache frequently accessed items in memory
 const cache = new Map();
 const CACHE_TTL = 120000; // 2 minutes
@@ -38,19 +426,7 @@ export async function get(key, skipCache = false) {
     const value = await idbGet(key, store);
     if (value === undefined) return undefined;
 
-    // Handle compressed values (strings starting with special marker)
-    let result = value;
-    if (typeof value === 'string' && value.startsWith('CMPR:')) {
-      const lzString = await getLZString();
-      try {
-        result = lzString
-          ? JSON.parse(lzString.decompressFromUTF16(value.slice(5)))
-          : JSON.parse(value.slice(5));
-      } catch (e) {
-        console.warn(`Decompression failed for key ${key}:`, e);
-        result = value; // Fallback to raw value
-      }
-    }
+    const result = await decodeValue(key, value);
 
     // Cache the result if it's not too large
     if (typeof result !== 'string' || result.length < 500000) {
@@ -93,6 +469,7 @@ export async function set(key, value, useCompression = false) {
     }
 
     await idbSet(key, storableValue, store);
+    notifyStorageChange(STORES.keyval, key);
 
     // Update cache with reasonable size limit
     if (typeof valueStr !== 'string' || valueStr.length < 500000) {
@@ -107,6 +484,46 @@ export async function set(key, value, useCompression = false) {
   }
 }
 
+/**
+ * Change a value with the read and the write in one transaction, so writers in this and
+ * other tabs can't overwrite each other's changes
+ * @param {string} key - The key to change
+ * @param {Function} updater - Gets the current value (undefined if there is none) and returns
+ *   the new one, or undefined to leave it as it is. Runs inside the transaction, so it can't be async.
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function update(key, updater) {
+  try {
+    // Loaded first - awaiting anything but a request inside the transaction commits it early
+    const lzString = await getLZString();
+    const db = await getDatabase();
+    const transaction = db.transaction(STORES.keyval, 'readwrite');
+    const keyval = transaction.objectStore(STORES.keyval);
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = transaction.onabort = () => reject(transaction.error);
+    });
+
+    const value = updater(decompressValue(key, await promisifyRequest(keyval.get(key)), lzString));
+    if (value === undefined) {
+      await committed;
+      return true;
+    }
+
+    // Compressed the way set() compresses large values
+    const valueStr = JSON.stringify(value);
+    keyval.put(valueStr.length > 10000 && lzString ? 'CMPR:' + lzString.compressToUTF16(valueStr) : value, key);
+    await committed;
+
+    cache.delete(key);
+    notifyStorageChange(STORES.keyval, key);
+    return true;
+  } catch (err) {
+    console.error(`IndexedDB update error for key ${key}:`, err);
+    return false;
+  }
+}
+
 /**
  * Remove a value from IndexedDB
  * @param {string} key - The key to remove
@@ -116,6 +533,7 @@ export async function remove(key) {
   try {
     await del(key, store);
     cache.delete(key);
+    notifyStorageChange(STORES.keyval, key);
     return true;
   } catch (err) {
     console.error(`IndexedDB delete error for key ${key}:`, err);
@@ -144,6 +562,7 @@ export async function clearAll() {
   try {
     await clear(store);
     cache.clear();
+    notifyStorageChange(STORES.keyval);
     return true;
   } catch (err) {
     console.error('IndexedDB clear error:', err);
@@ -227,6 +646,16 @@ export async function getBatch(keyArray) {
   return result;
 }
 
+// Another tab wrote to the key/value store - drop what we cached so the next get reads it
+subscribeStorageChanges(change => {
+  if (!change.remote || change.store !== STORES.keyval) return;
+  if (change.key === null) {
+    cache.clear();
+  } else {
+    cache.delete(change.key);
+  }
+});
+
 /**
  * Clear expired cache entries
  */
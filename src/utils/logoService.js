@@ -1,4 +1,5 @@
 import * as apiClient from './apiClient';
+import { buildProxyChain, getProxiedUrl, recordProxyAttempt } from './proxySettings';
 
 /**
  * Generate a color based on a channel name
@@ -164,3 +165,38 @@ export function formatLogoUrl(url) {
     return '';
   }
 }
+
+// Logos currently being retried through a proxy: img -> { url, proxy }
+const proxiedLogos = new WeakMap();
+
+/**
+ * Retry a logo that failed to load through the first enabled CORS proxy.
+ * Call it first in an <img> onError handler and only show the fallback if it returns false.
+ * @param {HTMLImageElement} img - The image that failed
+ * @returns {boolean} True if the logo is being retried
+ */
+export function retryLogoThroughProxy(img) {
+  if (!img) return false;
+
+  const retry = proxiedLogos.get(img);
+  if (retry) {
+    proxiedLogos.delete(img);
+    recordProxyAttempt({ kind: 'logo', url: retry.url, proxy: retry.proxy, ok: false, error: 'Image failed to load' });
+    return false;
+  }
+
+  const url = img.currentSrc || img.src;
+  const proxy = buildProxyChain({ purpose: 'logo' }).find(entry => entry.template);
+  if (!proxy || !/^https?:\/\//i.test(url) || img.dataset.proxyTried) return false;
+
+  recordProxyAttempt({ kind: 'logo', url, ok: false, error: 'Image failed to load' });
+  proxiedLogos.set(img, { url, proxy });
+  // Only ever retry an image once, even if it is re-rendered
+  img.dataset.proxyTried = proxy.id;
+  img.addEventListener('load', () => {
+    proxiedLogos.delete(img);
+    recordProxyAttempt({ kind: 'logo', url, proxy, ok: true });
+  }, { once: true });
+  img.src = getProxiedUrl(url, proxy);
+  return true;
+}
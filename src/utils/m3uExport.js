@@ -0,0 +1,95 @@
+import { serializeM3U8 } from './simpleParser';
+import { getXtreamUrlResolver } from './xtream';
+import { saveFile } from './download';
+
+/**
+ * Export channel collections (playlists, favorites, history, categories) as M3U files
+ * Xtream URLs are stored without the password; downloads put it back so the file plays
+ * in other players.
+ */
+
+const keepUrl = url => url;
+
+/**
+ * Convert a channel from anywhere in the app back into a manifest segment
+ * Playlist channels keep their original attributes and options; channels from
+ * the API, favorites or history get attributes rebuilt from their fields.
+ * @param {Object} channel - Channel object
+ * @param {Function} resolveUrl - Maps stored stream and catch-up URLs to the URLs written
+ * @returns {Object|null} Segment or null if the channel has no stream URL
+ */
+export function channelToSegment(channel, resolveUrl = keepUrl) {
+  if (!channel) return null;
+
+  // Favorites and history use the stream URL as the ID
+  const uri = channel.url || (/^[a-z][a-z0-9+.-]*:\/\//i.test(channel.id || '') ? channel.id : null);
+  if (!uri) return null;
+
+  const derived = {
+    'tvg-id': channel.tvgId || channel.channelId || '',
+    'tvg-name': channel.tvgName || '',
+    'tvg-logo': channel.tvgLogo || channel.logo || '',
+    'group-title': channel.group || (Array.isArray(channel.categories) ? channel.categories[0] : '') || '',
+    'tvg-shift': channel.tvgShift || '',
+    catchup: channel.catchup || '',
+    'catchup-source': channel.catchupSource || '',
+    'catchup-days': channel.catchupDays || ''
+  };
+
+  // Original attributes win; derived values only fill the gaps
+  const attributes = { ...derived };
+  Object.entries(channel.attributes || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') attributes[key] = value;
+  });
+  if (attributes['catchup-source']) {
+    attributes['catchup-source'] = resolveUrl(attributes['catchup-source']);
+  }
+
+  // Channels that didn't come from an M3U (API, favorites, history) only have the resolved headers
+  const vlcOptions = { ...(channel.vlcOptions || {}) };
+  const hasPlaylistOptions = Object.keys(vlcOptions).length > 0 || Object.keys(channel.kodiProps || {}).length > 0;
+  if (!hasPlaylistOptions) {
+    const referrer = channel.httpOptions?.referrer || channel.httpReferrer;
+    const userAgent = channel.httpOptions?.userAgent || channel.userAgent;
+    if (referrer) vlcOptions['http-referrer'] = referrer;
+    if (userAgent) vlcOptions['http-user-agent'] = userAgent;
+  }
+
+  return {
+    uri: resolveUrl(uri),
+    title: channel.name || channel.tvgName || uri,
+    duration: -1,
+    attributes,
+    vlcOptions,
+    kodiProps: { ...(channel.kodiProps || {}) }
+  };
+}
+
+/**
+ * Serialize channels to M3U text
+ * @param {Array} channels - Channels to export
+ * @param {Object} header - Attributes for the #EXTM3U line (e.g. url-tvg)
+ * @param {Function} resolveUrl - Maps stored URLs to the URLs written, see channelToSegment
+ * @returns {string} M3U8 text
+ */
+export function channelsToM3U(channels, header = {}, resolveUrl = keepUrl) {
+  const segments = (channels || []).map(channel => channelToSegment(channel, resolveUrl)).filter(Boolean);
+  const resolvedHeader = Object.fromEntries(Object.entries(header || {}).map(([key, value]) => [key, resolveUrl(value)]));
+  return serializeM3U8({ header: resolvedHeader, segments });
+}
+
+/**
+ * Download channels as an .m3u file
+ * @param {Array} channels - Channels to export
+ * @param {string} name - File name without extension
+ * @param {Object} header - Attributes for the #EXTM3U line
+ * @returns {Promise<number>} Number of channels written
+ */
+export async function downloadM3U(channels, name = 'playlist', header = {}) {
+  const content = channelsToM3U(channels, header, await getXtreamUrlResolver());
+  const count = (content.match(/^#EXTINF:/gm) || []).length;
+
+  saveFile(content, `${String(name).replace(/[\\/:*?"<>|]+/g, '_').trim() || 'playlist'}.m3u`, 'audio/x-mpegurl');
+
+  return count;
+}
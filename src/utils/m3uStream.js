@@ -0,0 +1,131 @@
+import { parseOptionLine } from './streamHeaders';
+
+/**
+ * Line-by-line M3U parsing
+ * Has no DOM or storage dependencies so it can run inside a Web Worker and
+ * parse a playlist while it is still downloading.
+ */
+
+// Lines that are a stream URL even without an #EXTINF before them
+const BARE_URL_PATTERN = /^(https?|rtmp|rtsp|udp):\/\//i;
+
+/**
+ * Parse attributes from the #EXTM3U header line
+ * Values may be quoted or bare (e.g. url-tvg=http://example.com/epg.xml)
+ * @param {string} line - The #EXTM3U line
+ * @returns {Object} Attribute map with lowercase keys
+ */
+export function parseHeaderAttributes(line) {
+  const attributes = {};
+  const attrMatches = [...line.matchAll(/([a-zA-Z0-9-_]+)=(?:"([^"]*)"|([^\s"]+))/g)];
+  for (const match of attrMatches) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3];
+  }
+  return attributes;
+}
+
+/**
+ * Parse an #EXTINF line
+ * @param {string} line - The #EXTINF line
+ * @returns {Object} { duration, title, attributes }
+ */
+export function parseExtInf(line) {
+  const durationMatch = line.match(/#EXTINF:(-?\d+(\.\d+)?)/);
+
+  // The title is everything after the comma that follows the attributes,
+  // so commas inside attribute values don't cut it short
+  const infoMatch = line.match(/^#EXTINF:\s*-?\d*(?:\.\d+)?(?:\s+[a-zA-Z0-9-_]+="[^"]*")*\s*,(.*)$/);
+  const commaIndex = line.indexOf(',');
+
+  const attributes = {};
+  for (const match of line.matchAll(/([a-zA-Z0-9-_]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+
+  return {
+    duration: durationMatch ? parseFloat(durationMatch[1]) : 0,
+    title: infoMatch
+      ? infoMatch[1].trim()
+      : (commaIndex !== -1 ? line.substring(commaIndex + 1).trim() : ''),
+    attributes
+  };
+}
+
+/**
+ * Create an incremental M3U parser
+ * Feed it one line at a time; it returns a segment each time a stream URL completes one.
+ * Bare stream URLs without an #EXTINF are accepted too, titled from a preceding comment.
+ * @returns {Object} { header, push(line) => segment|null, count() }
+ */
+export function createM3ULineParser() {
+  const header = {};
+  let currentSegment = null;
+  let previousComment = null;
+  let segmentCount = 0;
+  // Options that appear before their #EXTINF line are held until the segment starts
+  let pendingVlcOptions = {};
+  let pendingKodiProps = {};
+
+  const takePendingOptions = () => {
+    const options = { vlcOptions: pendingVlcOptions, kodiProps: pendingKodiProps };
+    pendingVlcOptions = {};
+    pendingKodiProps = {};
+    return options;
+  };
+
+  const push = (rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return null;
+
+    if (line.startsWith('#EXTM3U')) {
+      // Playlist-wide attributes such as url-tvg, tvg-shift and catchup
+      Object.assign(header, parseHeaderAttributes(line));
+      return null;
+    }
+
+    if (line.startsWith('#EXTVLCOPT:') || line.startsWith('#KODIPROP:')) {
+      const option = parseOptionLine(line);
+      if (!option) return null;
+
+      const isVlc = line.startsWith('#EXTVLCOPT:');
+      if (currentSegment) {
+        currentSegment[isVlc ? 'vlcOptions' : 'kodiProps'][option[0]] = option[1];
+      } else if (isVlc) {
+        pendingVlcOptions[option[0]] = option[1];
+      } else {
+        pendingKodiProps[option[0]] = option[1];
+      }
+      return null;
+    }
+
+    if (line.startsWith('#EXTINF:')) {
+      currentSegment = { ...parseExtInf(line), ...takePendingOptions() };
+      return null;
+    }
+
+    if (line.startsWith('#')) {
+      previousComment = line.startsWith('#EXT') ? null : line.substring(1).trim();
+      return null;
+    }
+
+    let segment = null;
+    if (currentSegment) {
+      segment = { ...currentSegment, uri: line };
+      currentSegment = null;
+    } else if (BARE_URL_PATTERN.test(line)) {
+      segment = {
+        uri: line,
+        title: previousComment || `Channel ${segmentCount + 1}`,
+        duration: 0,
+        attributes: {},
+        ...takePendingOptions()
+      };
+    }
+
+    previousComment = null;
+    if (segment) segmentCount++;
+    return segment;
+  };
+
+  return { header, push, count: () => segmentCount };
+}
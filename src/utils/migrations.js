@@ -0,0 +1,92 @@
+/**
+ * Data migrations, run in order by runMigrations in idbStorage.js
+ * Each one upgrades stored data to its version and runs in a single transaction together
+ * with the schema version update, so it either completes or leaves the data untouched.
+ * A migration gets a context from idbStorage.js:
+ *   stores                 - the object store names (STORES)
+ *   store(name)            - an object store in the migration's transaction
+ *   getAll(name)           - Promise of all records in an object store
+ *   getValue(key)          - Promise of a key/value store entry, decompressed
+ *   setValue(key, value)   - write a key/value store entry
+ *   deleteValue(key)       - delete a key/value store entry
+ * Only IndexedDB requests may be awaited inside migrate - awaiting anything else lets
+ * the transaction commit early. Never change a migration once released; add a new one.
+ */
+
+// Keys that held the data now kept in the playlists, channels, favorites and history stores
+const LEGACY_KEYS = ['playlists', 'channels', 'rawPlaylists', 'favorites', 'watchHistory'];
+
+async function moveKeysIntoObjectStores(context) {
+  const { stores } = context;
+  const [playlists, channels, rawPlaylists, favorites, watchHistory] = await Promise.all(
+    LEGACY_KEYS.map(key => context.getValue(key))
+  );
+
+  (Array.isArray(playlists) ? playlists : [])
+    .filter(playlist => playlist?.id)
+    .forEach(playlist => context.store(stores.playlists).put(playlist));
+
+  Object.entries(channels && typeof channels === 'object' ? channels : {}).forEach(([playlistId, list]) => {
+    (Array.isArray(list) ? list : [])
+      .filter(channel => channel?.id)
+      .forEach((channel, position) => {
+        context.store(stores.channels).put({ ...channel, playlistId, position });
+      });
+  });
+
+  Object.entries(rawPlaylists && typeof rawPlaylists === 'object' ? rawPlaylists : {}).forEach(([playlistId, manifest]) => {
+    context.setValue(`rawPlaylist_${playlistId}`, manifest);
+  });
+
+  // Favorites were kept in the order they were added; older ones have no date to order by
+  const validFavorites = (Array.isArray(favorites) ? favorites : []).filter(favorite => favorite?.id);
+  const firstAdded = Date.now() - validFavorites.length;
+  validFavorites.forEach((favorite, i) => {
+    context.store(stores.favorites).put({
+      ...favorite,
+      addedToFavoritesAt: favorite.addedToFavoritesAt || new Date(firstAdded + i).toISOString()
+    });
+  });
+
+  // History is newest first; write oldest first so the newest entry for a channel wins
+  (Array.isArray(watchHistory) ? watchHistory : [])
+    .filter(item => item?.channel?.id && item.timestamp)
+    .reverse()
+    .forEach(item => context.store(stores.history).put({ ...item, channelId: item.channel.id }));
+
+  LEGACY_KEYS.forEach(key => context.deleteValue(key));
+}
+
+async function mergeRecentlyPlayedIntoHistory(context) {
+  const { stores } = context;
+  const recentlyPlayed = await context.getValue('recentlyPlayed');
+  if (recentlyPlayed === undefined) return;
+
+  const history = await context.getAll(stores.history);
+  const watchedAt = new Map(history.map(item => [item.channelId, item.timestamp]));
+
+  (Array.isArray(recentlyPlayed) ? recentlyPlayed : []).forEach(({ playedAt, ...channel }) => {
+    // The player keys history by stream URL, the playlist page kept playlist channel IDs
+    const channelId = channel.url || channel.id;
+    const timestamp = Date.parse(playedAt) || 0;
+    if (!channelId || !timestamp || (watchedAt.get(channelId) || 0) >= timestamp) return;
+
+    context.store(stores.history).put({ channelId, timestamp, channel: { ...channel, id: channelId } });
+    watchedAt.set(channelId, timestamp);
+  });
+
+  context.deleteValue('recentlyPlayed');
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move playlists, channels, favorites and watch history into their own object stores',
+    migrate: moveKeysIntoObjectStores
+  },
+  {
+    version: 2,
+    description: 'Merge the playlist page\'s recently played list into the watch history',
+    migrate: mergeRecentlyPlayedIntoHistory
+  }
+];
@@ -0,0 +1,257 @@
+/**
+ * Channel name matching
+ * Playlists, the iptv-org list and guides all spell channel names their own way:
+ * "TELEMUNDO HD", "US: Telemundo", "Telemundo (1080p)", "Россия 1" for "Rossiya 1".
+ * foldText() brings text to lowercase Latin without accents, and getNameKey() also drops
+ * quality tags, and region tags before or after the name, so those all come out the same.
+ * nameSimilarity() allows for typos on top. Pure functions - shared by search, duplicate detection and guide matching.
+ * Channel IDs don't use this (see channelIdentity.js), so changing it doesn't move them.
+ */
+
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  // Ukrainian, Belarusian and South Slavic letters
+  і: 'i', ї: 'yi', є: 'ye', ґ: 'g', ў: 'u', ђ: 'dj', ј: 'j', љ: 'lj', њ: 'nj', ћ: 'c', џ: 'dz',
+  ѕ: 'dz', ќ: 'k', ѓ: 'g'
+};
+
+const GREEK = {
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l',
+  μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f',
+  χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+// Arabic doesn't write short vowels - see getSkeleton for how names are still matched
+const ARABIC = {
+  'ا': 'a', 'ى': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd',
+  'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z',
+  'ع': '', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h',
+  'ة': 'a', 'و': 'w', 'ي': 'y', 'ء': '', 'ـ': '',
+  '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9'
+};
+
+const TRANSLITERATION = { ...CYRILLIC, ...GREEK, ...ARABIC };
+const NON_LATIN = /[Ͱ-ϿЀ-ӿ؀-ۿ]/;
+
+// Words that describe the picture, not the channel
+const QUALITY_TAGS = new Set([
+  'hd', 'fhd', 'uhd', 'sd', 'hq', 'lq', '4k', '8k', 'hdr', 'hevc', 'h264', 'h265', 'x264', 'x265'
+]);
+const QUALITY_PATTERN = /^(\d{3,4}[pi]|\d{2,3}fps)$/;
+
+// Country and region codes that playlists tack on to names. Several are ordinary words
+// too ("in", "it", "at"), so they only count as tags before or after the name.
+const REGION_TAGS = new Set([
+  'us', 'usa', 'uk', 'gb', 'ca', 'au', 'nz', 'ie', 'fr', 'de', 'es', 'it', 'pt', 'br', 'mx', 'ar',
+  'co', 'cl', 'pe', 've', 'ec', 'uy', 'py', 'bo', 'latam', 'lat', 'ru', 'ua', 'by', 'tr', 'pl',
+  'nl', 'be', 'ch', 'at', 'se', 'dk', 'fi', 'gr', 'ro', 'bg', 'rs', 'hr', 'ba', 'si', 'hu', 'cz',
+  'sk', 'il', 'ae', 'sa', 'eg', 'ma', 'dz', 'tn', 'iq', 'ir', 'pk', 'in', 'jp', 'kr', 'cn', 'hk',
+  'tw', 'ph', 'th', 'vn', 'za', 'ng', 'ke', 'int', 'eu', 'arab'
+]);
+// Codes written more than one way
+const REGION_ALIASES = { gb: 'uk', usa: 'us', lat: 'latam' };
+
+/**
+ * Bring text to lowercase Latin - accents dropped, Cyrillic, Greek and Arabic transliterated
+ * @param {string} text - Text
+ * @returns {string} Folded text, punctuation and spacing kept
+ */
+export function foldText(text) {
+  let folded = String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase();
+
+  if (NON_LATIN.test(folded)) {
+    folded = Array.from(folded, char => TRANSLITERATION[char] ?? char).join('');
+  }
+  return folded;
+}
+
+/**
+ * Bring a region code to the spelling names are compared with ("GB" -> "uk")
+ * @param {string} code - Region code
+ * @returns {string} Lowercase code
+ */
+export function normalizeRegion(code) {
+  const lower = String(code || '').toLowerCase();
+  return REGION_ALIASES[lower] || lower;
+}
+
+// Split a name into its words and the region tag it carries, if any
+function parseName(name) {
+  let region = null;
+  const text = String(name ?? '')
+    // "(1080p)", "[Geo-blocked]", "{FHD}"
+    .replace(/[([{][^)\]}]*[)\]}]/g, ' ')
+    // "US: ", "|UK| ", "FR - " at the start
+    .replace(/^\s*\|?\s*([A-Za-z]{2,3})\s*(:|\||\s-\s)\s*/, (prefix, tag) => {
+      if (REGION_TAGS.has(tag.toLowerCase())) region = normalizeRegion(tag);
+      return ' ';
+    });
+
+  const words = foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const kept = words.filter(word => !QUALITY_TAGS.has(word) && !QUALITY_PATTERN.test(word));
+  // "Fox Sports AR", "Telemundo US HD" - region words at the end
+  while (kept.length > 1 && REGION_TAGS.has(kept[kept.length - 1])) {
+    region = normalizeRegion(kept.pop());
+  }
+  return kept.length > 0 ? { words: kept, region } : { words, region: null };
+}
+
+/**
+ * Split a channel name into the words that identify the channel
+ * Bracketed notes, quality words and region tags ("US:", "|UK|" in front, "AR" at the end)
+ * are left out. A name made of nothing but those keeps its words, so it still has a key.
+ * @param {string} name - Channel name
+ * @returns {Array<string>} Words
+ */
+export function getNameTokens(name) {
+  return parseName(name).words;
+}
+
+/**
+ * Get the region a channel name is tagged with - "us" for "US: CNN" and "CNN US"
+ * @param {string} name - Channel name
+ * @returns {string|null} Lowercase region code, or null if the name has no region tag
+ */
+export function getNameRegion(name) {
+  return parseName(name).region;
+}
+
+/**
+ * Get the key a channel name is matched on - the same for "TELEMUNDO HD" and "Telemundo"
+ * @param {string} name - Channel name
+ * @param {Object} options - { withRegion: keep the region, so "Fox Sports AR" and
+ *   "Fox Sports MX" differ while "US: CNN" and "CNN US" still match }
+ * @returns {string} Key, empty if the name has no letters or digits
+ */
+export function getNameKey(name, options = {}) {
+  const { words, region } = parseName(name);
+  const key = words.join('');
+  return options.withRegion && region && key ? `${key}.${region}` : key;
+}
+
+/**
+ * Get the numbers in a channel name - "Sky Sports 1" and "Sky Sports 2" are different channels
+ * however alike the rest is
+ * @param {string} name - Channel name
+ * @returns {string} The numbers, space separated; empty if there are none
+ */
+export function getNameNumbers(name) {
+  return (getNameKey(name).match(/\d+/g) || []).join(' ');
+}
+
+// Consonants only - transliterated Arabic has no short vowels, so compare without any
+function getSkeleton(key) {
+  return key.replace(/[aeiouy]/g, '');
+}
+
+/**
+ * Count the edits (insert, delete, change, swap two neighbours) between two strings
+ * Stops counting past a limit, since only small distances are of interest.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Distance above which the exact count doesn't matter
+ * @returns {number} Distance, or limit + 1 if it's more than the limit
+ */
+export function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Typos allowed in a word of some length - none in short words, where they change the meaning
+ * @param {number} length - Word length
+ * @returns {number} Edits allowed
+ */
+export function allowedTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+function keySimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  const distance = editDistance(a, b, Math.floor(longest / 2));
+  return Math.max(0, 1 - distance / longest);
+}
+
+function compareKeys(keyA, keyB, nonLatin) {
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const similarity = keySimilarity(keyA, keyB);
+  // Possibly written without vowels (Arabic) - compare consonants, trusting it a bit less
+  const unvowelled = nonLatin ? keySimilarity(getSkeleton(keyA), getSkeleton(keyB)) * 0.9 : 0;
+  return Math.max(similarity, unvowelled);
+}
+
+/**
+ * How alike two channel names are, after folding and dropping tags
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for the same channel name, down to 0
+ */
+export function nameSimilarity(a, b) {
+  return compareKeys(getNameKey(a), getNameKey(b), NON_LATIN.test(`${a}${b}`));
+}
+
+/**
+ * Rank candidates by how well one of their names matches a name
+ * A name with other numbers never matches, since typo-sized differences there are other channels.
+ * @param {string} name - Name to look for
+ * @param {Array} candidates - Things to rank
+ * @param {Function} getNames - Returns a candidate's names (a string or an array)
+ * @param {Object} options - { threshold: least similarity kept (default 0.8), limit }
+ * @returns {Array<Object>} { item, score } - best first
+ */
+export function rankByName(name, candidates, getNames, options = {}) {
+  const { threshold = 0.8, limit = Infinity } = options;
+  const key = getNameKey(name);
+  if (!key) return [];
+  const nonLatinName = NON_LATIN.test(name);
+  const numbers = getNameNumbers(name);
+
+  const ranked = [];
+  candidates.forEach(item => {
+    const names = [].concat(getNames(item) || []);
+    let best = 0;
+    for (const candidateName of names) {
+      const candidateKey = getNameKey(candidateName);
+      if (getNameNumbers(candidateName) !== numbers) continue;
+      const nonLatin = nonLatinName || NON_LATIN.test(candidateName);
+      // Lengths too far apart can't reach the threshold - unless vowels may be missing
+      const lengthGap = Math.abs(candidateKey.length - key.length);
+      if (!nonLatin && lengthGap > Math.max(candidateKey.length, key.length) * (1 - threshold)) continue;
+
+      best = Math.max(best, compareKeys(key, candidateKey, nonLatin));
+      if (best === 1) break;
+    }
+    if (best >= threshold) ranked.push({ item, score: best });
+  });
+
+  return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -4,6 +4,8 @@
 
 // Constants
 const PIP_STATE_KEY = 'iptv_pip_state';
+// Bump when the saved shape changes, and teach upgradePipState to read the old one
+const PIP_STATE_VERSION = 1;
 const PIP_EXPIRY_TIME = 30 * 60 * 1000; // 30 minutes
 const DEBUG_PIP = true;
 
@@ -33,6 +35,7 @@ export const savePipState = (channel, streamUrl, options = {}) => {
       logo: channel.logo || null,
       group: channel.group || null,
       channelId: channel.channelId || channel.id || null,
+      httpOptions: channel.httpOptions || null,
       // Only include what we need and ensure no circular structures
     };
     
@@ -52,7 +55,7 @@ export const savePipState = (channel, streamUrl, options = {}) => {
       streamUrl,
       options: sanitizedOptions,
       timestamp: Date.now(),
-      version: '1.0' // Add version for potential future compatibility
+      version: PIP_STATE_VERSION
     };
     
     const stateJson = JSON.stringify(state);
@@ -89,6 +92,21 @@ const isValidPipState = (state) => {
   return hasChannel && hasName && hasStreamUrl && hasTimestamp;
 };
 
+/**
+ * Bring a saved PiP state up to the current version
+ * @param {Object} state - Parsed PiP state
+ * @returns {Object|null} The upgraded state, or null if it comes from an unknown version
+ */
+const upgradePipState = (state) => {
+  // The first saved states carried the version as the string '1.0'
+  const version = state?.version === '1.0' ? 1 : state?.version;
+  if (version !== PIP_STATE_VERSION) {
+    debugLog('Unknown PiP state version:', state?.version);
+    return null;
+  }
+  return { ...state, version };
+};
+
 /**
  * Load PiP state from sessionStorage
  * @returns {Object|null} The PiP state or null if not found/expired
@@ -101,7 +119,7 @@ export const loadPipState = () => {
       return null;
     }
     
-    const state = JSON.parse(stateJson);
+    const state = upgradePipState(JSON.parse(stateJson));
     
     // Validate the state
     if (!isValidPipState(state)) {
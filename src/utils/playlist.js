@@ -1,6 +1,23 @@
-import { get, set } from './idbStorage';
+import { get, set, update, remove, getRecord, getAllRecords, putRecords, deleteRecords, STORES } from './idbStorage';
+import { replacePlaylistChannels, getPlaylistChannels, deletePlaylistChannels, getChannelsByGroup, getChannelByUrl, iterateChannels } from './channelDb';
 import { parseM3U8, extractChannels as extractChannelsBasic, fetchPlaylist as fetchAndParsePlaylist } from './simpleParser';
 import { getChannelColor, getChannelInitials, formatLogoUrl } from './logoService';
+import { parsePlaylistHeader, segmentToChannel, manifestFromChannels } from './channelFactory';
+import { createChannelIdFactory } from './channelIdentity';
+import { parsePlaylistInWorker, supportsPlaylistWorker, isAbortError } from './playlistWorker';
+import { getPlaylistBaseUrl, resolveHeaderUrls, resolveSegmentUrls } from './urlResolver';
+import { getProxyChain, getProxiedUrl, getPlaylistProxyId, recordProxyAttempt, DIRECT_PROXY_ID } from './proxySettings';
+import { diffChannels, recordPlaylistDiff, clearPlaylistDiffs } from './playlistDiff';
+import { syncPlaylistEpgSources, refreshEpg } from './epg';
+import { fetchXtreamManifest, getXtreamPlaylistId, normalizeServerUrl } from './xtream';
+import { relinkFavorites } from './favorites';
+import { relinkWatchHistory } from './watchHistory';
+import { buildSearchIndex } from './searchIndex';
+import { foldText, getNameKey } from './nameMatching';
+import { DEFAULT_REFRESH_INTERVAL } from './refreshScheduler';
+
+// Streams that failed to play or failed a health scan, by URL
+export const INVALID_STREAMS_KEY = 'invalid_streams';
 
 /**
  * Fetch a playlist from URL
@@ -21,6 +38,8 @@ export async function fetchPlaylist(url) {
         title: segment.title,
         attributes: segment.attributes || {},
         duration: segment.duration,
+        vlcOptions: segment.vlcOptions || {},
+        kodiProps: segment.kodiProps || {},
       })) || [],
       headers: manifest?.header || {},
     };
@@ -34,100 +53,502 @@ export async function fetchPlaylist(url) {
  * Save a playlist to storage
  * @param {string} url - URL of the playlist
  * @param {string} name - Name of the playlist
- * @param {boolean} useProxy - Whether to use a CORS proxy
+ * @param {boolean} useProxy - Whether to try the default CORS proxy before a direct request
+ * @param {Object} options - { proxyOverride, onProgress, signal } - see loadPlaylistContent
  * @returns {Promise<Object>} Saved playlist object
  */
-export async function savePlaylist(url, name, useProxy = false) {
+export async function savePlaylist(url, name, useProxy = false, options = {}) {
   try {
     console.log(`Saving playlist: ${name} (${url}) with proxy: ${useProxy}`);
     
     const urlHash = btoa(url).replace(/[=+/]/g, '').substring(0, 16);
     const stableId = `playlist_${urlHash}`;
 
-    const playlists = (await get('playlists')) || [];
+    const playlists = await getPlaylists();
     if (playlists.some(p => p.url === url)) {
       throw new Error('Playlist already exists');
     }
 
+    // Fetch the content first so a failed or cancelled import leaves nothing behind
+    const { manifest, channels, proxyId } = await loadPlaylistContent(url, stableId, {
+      ...options,
+      preferredProxyId: getPlaylistProxyId({ useProxy })
+    });
+    console.log(`Loaded ${channels.length} channels from playlist`);
+
+    // Store the #EXTM3U header attributes with the playlist record
+    const headerInfo = parsePlaylistHeader(manifest.header);
     const newPlaylist = { 
       id: stableId, 
       url, 
       name, 
       addedAt: new Date().toISOString(),
-      useProxy 
+      refreshInterval: DEFAULT_REFRESH_INTERVAL,
+      useProxy: proxyId !== DIRECT_PROXY_ID,
+      proxyId,
+      proxyOverride: options.proxyOverride || null,
+      header: manifest.header,
+      epgUrls: headerInfo.epgUrls,
+      epgOverride: null,
+      channelCount: channels.length
     };
-    
-    // Save the playlist info first
-    await set('playlists', [...playlists, newPlaylist]);
-    console.log(`Playlist metadata saved with ID: ${stableId}`);
 
-    // Now fetch the content (with proxy if needed)
+    await storePlaylistContent(stableId, manifest, channels);
+    await putRecords(STORES.playlists, newPlaylist);
+    console.log(`Playlist saved with ID: ${stableId}`);
+
+    await registerPlaylistEpg(newPlaylist);
+
+    return newPlaylist;
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error('Failed to save playlist:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save an uploaded M3U file as a local playlist
+ * @param {File} file - The playlist file
+ * @param {string} name - Name of the playlist
+ * @param {Object} options - { onProgress, signal } - see parsePlaylistInWorker
+ * @returns {Promise<Object>} Saved playlist object
+ */
+export async function importPlaylistFile(file, name, options = {}) {
+  try {
+    if (!file) {
+      throw new Error('No file selected');
+    }
+    if (file.size === 0) {
+      throw new Error('File is empty');
+    }
+
+    // Generate unique identifiers for this playlist
+    const pseudoUrl = `file://${file.name}_${Date.now()}`;
+    const playlistId = generateStablePlaylistId(pseudoUrl);
+
     let manifest;
+    let channels;
+    if (supportsPlaylistWorker()) {
+      const result = await parsePlaylistInWorker({ file }, { ...options, playlistId });
+      channels = result.channels;
+      manifest = manifestFromChannels(result.header, channels);
+    } else {
+      manifest = parseM3U8(await file.text());
+      channels = processChannelsFromManifest(manifest, playlistId);
+    }
+
+    if (channels.length === 0) {
+      throw new Error('No channels found in the file. Check format and try again.');
+    }
+
+    const headerInfo = parsePlaylistHeader(manifest.header);
+    const newPlaylist = {
+      id: playlistId,
+      url: pseudoUrl,
+      name: name || 'Local Playlist',
+      addedAt: new Date().toISOString(),
+      isLocal: true,
+      fileSize: file.size,
+      fileName: file.name,
+      header: manifest.header || {},
+      epgUrls: headerInfo.epgUrls,
+      epgOverride: null,
+      channelCount: channels.length
+    };
+
+    await storePlaylistContent(playlistId, manifest, channels);
+    await putRecords(STORES.playlists, newPlaylist);
+
+    await registerPlaylistEpg(newPlaylist);
+
+    return newPlaylist;
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error('Failed to import playlist file:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download and parse an M3U playlist, going down the proxy chain until one way works.
+ * Parsing runs in the playlist worker when the browser supports it, and relative
+ * URLs in the playlist are resolved against the playlist URL.
+ * @param {string} url - Playlist URL
+ * @param {string} playlistId - Playlist ID the channels belong to
+ * @param {Object} options - { proxyOverride, preferredProxyId, onProgress, signal } - see getProxyChain
+ * @returns {Promise<Object>} { manifest, channels, proxyId } - proxyId is the chain entry that worked
+ */
+async function loadPlaylistContent(url, playlistId, options = {}) {
+  const { proxyOverride = null, preferredProxyId = null, onProgress, signal } = options;
+  const chain = await getProxyChain({ purpose: 'playlist', override: proxyOverride, preferredId: preferredProxyId });
+  // Relative entries are relative to where the playlist lives, not to the proxy
+  const baseUrl = getPlaylistBaseUrl(url);
+
+  if (supportsPlaylistWorker()) {
+    const urls = chain.map(proxy => getProxiedUrl(url, proxy));
+    const result = await parsePlaylistInWorker({ urls }, {
+      playlistId,
+      baseUrl,
+      onProgress,
+      signal,
+      onAttempt: ({ sourceIndex, ok, error }) => {
+        recordProxyAttempt({ kind: 'playlist', url, proxy: chain[sourceIndex], ok, error });
+      }
+    });
+    return {
+      manifest: manifestFromChannels(result.header, result.channels),
+      channels: result.channels,
+      proxyId: chain[result.sourceIndex].id
+    };
+  }
+
+  let lastError = null;
+  for (const proxy of chain) {
+    if (signal?.aborted) {
+      throw new DOMException('Playlist import cancelled', 'AbortError');
+    }
+
     try {
-      const fetchUrl = useProxy ? `https://corsproxy.io/?${encodeURIComponent(url)}` : url;
-      console.log(`Fetching playlist content from: ${fetchUrl}`);
-      manifest = await fetchAndParsePlaylist(fetchUrl);
-      
-      if (!manifest || !manifest.segments || manifest.segments.length === 0) {
-        console.error('Failed to get segments from playlist, will try alternative method');
+      const manifest = await fetchAndParsePlaylist(getProxiedUrl(url, proxy));
+      if (!manifest?.segments?.length) {
         throw new Error('No channels found in playlist');
       }
+      recordProxyAttempt({ kind: 'playlist', url, proxy, ok: true });
+
+      return {
+        manifest: { header: resolveHeaderUrls(manifest.header, baseUrl), segments: manifest.segments },
+        channels: processChannelsFromManifest(manifest, playlistId, baseUrl),
+        proxyId: proxy.id
+      };
     } catch (fetchError) {
-      console.error('Error fetching playlist:', fetchError);
-      // Try with CORS proxy as fallback if not already using it
-      if (!useProxy) {
-        const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(url)}`;
-        console.log(`Retrying with CORS proxy: ${proxyUrl}`);
-        manifest = await fetchAndParsePlaylist(proxyUrl);
-        
-        // Update the playlist to indicate it needs proxy
-        const updatedPlaylists = playlists.map(p => 
-          p.id === stableId ? { ...p, useProxy: true } : p
-        );
-        await set('playlists', [...updatedPlaylists, newPlaylist]);
-      }
-      
-      if (!manifest || !manifest.segments || manifest.segments.length === 0) {
-        throw new Error('Failed to fetch playlist content, even with proxy');
+      console.error(`Error fetching playlist (${proxy.name}):`, fetchError);
+      recordProxyAttempt({ kind: 'playlist', url, proxy, ok: false, error: fetchError });
+      lastError = fetchError;
+    }
+  }
+
+  throw lastError || new Error('Failed to fetch playlist content');
+}
+
+/**
+ * Get the storage key of a playlist's raw manifest
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} Storage key
+ */
+export function getRawPlaylistKey(playlistId) {
+  return `rawPlaylist_${playlistId}`;
+}
+
+/**
+ * Get the storage key of a playlist's stream health scan results
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} Storage key
+ */
+export function getStreamHealthKey(playlistId) {
+  return `streamHealth_${playlistId}`;
+}
+
+/**
+ * Get the storage key of an Xtream playlist's cached series episodes
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} Storage key
+ */
+export function getEpisodeCacheKey(playlistId) {
+  return `xtreamEpisodes_${playlistId}`;
+}
+
+/**
+ * Get the storage key of a playlist's search index
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} Storage key
+ */
+export function getSearchIndexKey(playlistId) {
+  return `searchIndex_${playlistId}`;
+}
+
+/**
+ * Store a playlist's channels along with the raw manifest
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} manifest - Parsed manifest
+ * @param {Array} channels - Channels to store; built from the manifest if omitted
+ * @returns {Promise<Array>} The stored channels
+ */
+async function storePlaylistContent(playlistId, manifest, channels = processChannelsFromManifest(manifest, playlistId)) {
+  if (channels.length === 0) {
+    console.error('No channels extracted from playlist');
+  }
+  
+  await replacePlaylistChannels(playlistId, channels);
+  await set(getSearchIndexKey(playlistId), buildSearchIndex(channels));
+  
+  // Save raw playlist data for reference
+  await set(getRawPlaylistKey(playlistId), manifest);
+  
+  console.log(`Saved ${channels.length} channels for playlist ${playlistId}`);
+  return channels;
+}
+
+/**
+ * Load an Xtream Codes account, going down the proxy chain if the server blocks us
+ * Series episodes loaded before are reused from the playlist's episode cache, and the
+ * cache is updated with the ones loaded now.
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} xtream - { server, username, password, includeVod, includeSeries }
+ * @param {Function} onProgress - Optional progress callback
+ * @param {Object} proxyOptions - { override, preferredId } - see getProxyChain
+ * @returns {Promise<Object>} { manifest, proxyId }
+ */
+async function fetchXtreamWithFallback(playlistId, xtream, onProgress, proxyOptions = {}) {
+  const options = {
+    includeVod: xtream.includeVod !== false,
+    includeSeries: xtream.includeSeries !== false,
+    onProgress,
+    episodeCache: (await get(getEpisodeCacheKey(playlistId))) || {}
+  };
+  const chain = await getProxyChain({ purpose: 'playlist', ...proxyOptions, credentials: true });
+  const apiUrl = `${normalizeServerUrl(xtream.server)}/player_api.php`;
+
+  let lastError = null;
+  for (const proxy of chain) {
+    try {
+      const manifest = await fetchXtreamManifest({ ...xtream, proxy }, options);
+      recordProxyAttempt({ kind: 'xtream', url: apiUrl, proxy, ok: true });
+      // The cache is kept under its own key rather than in the raw manifest
+      const { episodeCache, ...account } = manifest.xtream;
+      await set(getEpisodeCacheKey(playlistId), episodeCache);
+      return { manifest: { ...manifest, xtream: account }, proxyId: proxy.id };
+    } catch (error) {
+      recordProxyAttempt({ kind: 'xtream', url: apiUrl, proxy, ok: false, error });
+      // fetch only throws TypeError for network/CORS failures - don't retry bad logins
+      if (!(error instanceof TypeError)) {
+        throw error;
       }
+      console.log(`Xtream server not reachable (${proxy.name}), trying the next proxy`);
+      lastError = error;
     }
-    
-    console.log(`Extracted ${manifest.segments?.length || 0} segments from playlist`);
+  }
 
-    // Process and save channels
-    const channels = processChannelsFromManifest(manifest, stableId);
-    
-    if (channels.length === 0) {
-      console.error('No channels extracted from playlist');
-    } else {
-      console.log(`Processed ${channels.length} channels from playlist`);
+  if (lastError && !chain.some(proxy => proxy.template)) {
+    throw new Error('Xtream server not reachable. Start the local stream proxy, or allow public proxies for Xtream accounts in the proxy settings.');
+  }
+  throw lastError || new Error('Xtream server not reachable');
+}
+
+/**
+ * Save an Xtream Codes account as a playlist
+ * @param {Object} credentials - { server, username, password }
+ * @param {string} name - Name of the playlist
+ * @param {Object} options - { includeVod, includeSeries, onProgress }
+ * @returns {Promise<Object>} Saved playlist object
+ */
+export async function saveXtreamPlaylist(credentials, name, options = {}) {
+  try {
+    const server = normalizeServerUrl(credentials.server);
+    const username = String(credentials.username || '').trim();
+    const playlistId = getXtreamPlaylistId({ server, username });
+
+    if (await getPlaylist(playlistId)) {
+      throw new Error('This Xtream account has already been added');
     }
-    
-    const allChannels = (await get('channels')) || {};
-    allChannels[stableId] = channels;
-    await set('channels', allChannels);
-    
-    // Save raw playlist data for reference
-    const rawPlaylists = (await get('rawPlaylists')) || {};
-    rawPlaylists[stableId] = manifest;
-    await set('rawPlaylists', rawPlaylists);
-    
-    console.log(`Saved ${channels.length} channels for playlist ${stableId}`);
+
+    const xtream = {
+      server,
+      username,
+      password: credentials.password,
+      includeVod: options.includeVod !== false,
+      includeSeries: options.includeSeries !== false
+    };
+
+    console.log(`Saving Xtream playlist: ${name} (${server}, user ${username})`);
+    const { manifest, proxyId } = await fetchXtreamWithFallback(playlistId, xtream, options.onProgress);
+
+    if (!manifest.segments.length) {
+      throw new Error('The Xtream account has no channels');
+    }
+
+    const channels = await storePlaylistContent(playlistId, manifest);
+    const headerInfo = parsePlaylistHeader(manifest.header);
+
+    const newPlaylist = {
+      id: playlistId,
+      url: server,
+      name: name || `${new URL(server).hostname} (${username})`,
+      type: 'xtream',
+      addedAt: new Date().toISOString(),
+      refreshInterval: DEFAULT_REFRESH_INTERVAL,
+      useProxy: proxyId !== DIRECT_PROXY_ID,
+      proxyId,
+      proxyOverride: null,
+      xtream,
+      accountInfo: manifest.xtream?.userInfo || null,
+      header: manifest.header,
+      epgUrls: headerInfo.epgUrls,
+      epgOverride: null,
+      channelCount: channels.length
+    };
+
+    await putRecords(STORES.playlists, newPlaylist);
+
+    await registerPlaylistEpg(newPlaylist);
 
     return newPlaylist;
   } catch (error) {
-    console.error('Failed to save playlist:', error);
+    console.error('Failed to save Xtream playlist:', error);
     throw error;
   }
 }
 
+/**
+ * Get the guide URLs in effect for a playlist - the user's override if set,
+ * otherwise the ones declared in its header
+ * @param {Object} playlist - Playlist record
+ * @returns {Array<string>} Guide URLs
+ */
+export function getPlaylistEpgUrls(playlist) {
+  if (!playlist) return [];
+  return Array.isArray(playlist.epgOverride) ? playlist.epgOverride : (playlist.epgUrls || []);
+}
+
+/**
+ * Register a playlist's guide URLs as EPG sources and download any new ones in the background
+ * @param {Object} playlist - Playlist record
+ */
+async function registerPlaylistEpg(playlist) {
+  if (!playlist) return;
+
+  const added = await syncPlaylistEpgSources(playlist.id, getPlaylistEpgUrls(playlist), playlist.name);
+  if (added.length > 0) {
+    refreshEpg().catch(err => console.error('Failed to load playlist EPG:', err));
+  }
+}
+
+/**
+ * Override the guide URLs for a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {Array<string>|null} urls - Guide URLs, or null to go back to the playlist header
+ * @returns {Promise<Object>} Updated playlist record
+ */
+export async function setPlaylistEpgOverride(playlistId, urls) {
+  const invalid = (urls || []).filter(url => !/^https?:\/\//i.test(url));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid guide URL: ${invalid[0]}`);
+  }
+
+  const updatedPlaylist = await updatePlaylist(playlistId, { epgOverride: urls ? [...new Set(urls)] : null });
+  await registerPlaylistEpg(updatedPlaylist);
+
+  return updatedPlaylist;
+}
+
+/**
+ * Set how often the background scheduler refreshes a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} interval - 'hourly', 'daily', 'weekly' or 'manual'
+ * @returns {Promise<Object>} Updated playlist
+ */
+export async function setPlaylistRefreshInterval(playlistId, interval) {
+  if (!['hourly', 'daily', 'weekly', 'manual'].includes(interval)) {
+    throw new Error(`Unknown refresh interval: ${interval}`);
+  }
+
+  return updatePlaylist(playlistId, { refreshInterval: interval });
+}
+
+/**
+ * Choose how a playlist and its streams go through the CORS proxies
+ * @param {string} playlistId - Playlist ID
+ * @param {string|null} override - null for the normal proxy chain, 'direct', or a proxy ID
+ * @returns {Promise<Object>} Updated playlist
+ */
+export async function setPlaylistProxyOverride(playlistId, override) {
+  return updatePlaylist(playlistId, { proxyOverride: override || null });
+}
+
+/**
+ * Get the IDs of the channels the user removed from a playlist
+ * Removals are kept on the playlist record rather than in the source, so they survive refreshes.
+ * @param {Object} playlist - Playlist record
+ * @returns {Array<string>} Channel IDs
+ */
+export function getRemovedChannelIds(playlist) {
+  return Array.isArray(playlist?.removedChannelIds) ? playlist.removedChannelIds : [];
+}
+
+/**
+ * Leave out the channels the user removed from a playlist
+ * @param {Object} playlist - Playlist record
+ * @param {Array} channels - The playlist's channels
+ * @returns {Array} Channels still shown
+ */
+export function filterRemovedChannels(playlist, channels) {
+  const removed = new Set(getRemovedChannelIds(playlist));
+  return removed.size === 0 ? channels : channels.filter(channel => !removed.has(channel.id));
+}
+
+/**
+ * Hide channels of a playlist without touching its source
+ * @param {string} playlistId - Playlist ID
+ * @param {Array<string>} channelIds - IDs of the channels to remove
+ * @returns {Promise<Object>} Updated playlist
+ */
+export async function removePlaylistChannels(playlistId, channelIds) {
+  const playlist = await getPlaylist(playlistId);
+  return updatePlaylist(playlistId, {
+    removedChannelIds: [...new Set([...getRemovedChannelIds(playlist), ...channelIds])]
+  });
+}
+
+/**
+ * Bring back every channel removed from a playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Object>} Updated playlist
+ */
+export async function restoreRemovedChannels(playlistId) {
+  return updatePlaylist(playlistId, { removedChannelIds: [] });
+}
+
 /**
  * Get all saved playlists
- * @returns {Promise<Array>} List of saved playlists
+ * @returns {Promise<Array>} List of saved playlists, oldest first
  */
 export async function getPlaylists() {
-  const playlists = await get('playlists') || [];
-  return playlists;
+  try {
+    const playlists = await getAllRecords(STORES.playlists);
+    return playlists.sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || ''));
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Object|null>} Playlist record or null
+ */
+export async function getPlaylist(playlistId) {
+  if (!playlistId) return null;
+  return (await getRecord(STORES.playlists, playlistId)) || null;
+}
+
+/**
+ * Change fields of a saved playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object>} Updated playlist record
+ */
+async function updatePlaylist(playlistId, changes) {
+  const playlist = await getPlaylist(playlistId);
+  if (!playlist) {
+    throw new Error('Playlist not found');
+  }
+
+  const updatedPlaylist = { ...playlist, ...changes };
+  await putRecords(STORES.playlists, updatedPlaylist);
+  return updatedPlaylist;
 }
 
 /**
@@ -137,13 +558,17 @@ export async function getPlaylists() {
  */
 export async function removePlaylist(id) {
   try {
-    const playlists = await getPlaylists();
-    await set('playlists', playlists.filter(p => p.id !== id));
+    await deleteRecords(STORES.playlists, id);
     
     // Clean up associated data
-    const allChannels = await get('channels') || {};
-    delete allChannels[id];
-    await set('channels', allChannels);
+    await deletePlaylistChannels(id);
+    await remove(getRawPlaylistKey(id));
+    await remove(getStreamHealthKey(id));
+    await remove(getSearchIndexKey(id));
+    await remove(getEpisodeCacheKey(id));
+    
+    await syncPlaylistEpgSources(id, []);
+    await clearPlaylistDiffs(id);
     
     return true;
   } catch (error) {
@@ -152,6 +577,24 @@ export async function removePlaylist(id) {
   }
 }
 
+/**
+ * Store a playlist and its channels from a backup, replacing any playlist with the same ID
+ * The raw manifest isn't part of backups; it's stored again on the next refresh.
+ * @param {Object} playlist - Playlist record
+ * @param {Array} channels - The playlist's channels
+ * @returns {Promise<Object>} The stored playlist record
+ */
+export async function restorePlaylist(playlist, channels = []) {
+  const restoredPlaylist = { ...playlist, channelCount: channels.length };
+
+  await replacePlaylistChannels(playlist.id, channels);
+  await set(getSearchIndexKey(playlist.id), buildSearchIndex(channels));
+  await putRecords(STORES.playlists, restoredPlaylist);
+  await registerPlaylistEpg(restoredPlaylist);
+
+  return restoredPlaylist;
+}
+
 /**
  * Get channel metadata 
  * @param {string} channelId - Channel ID or URL
@@ -187,6 +630,7 @@ export function getChannelMetadata(channelId) {
  * @returns {string} Formatted URL
  */
 export { formatLogoUrl } from './simpleParser';
+export { parsePlaylistHeader, getChannelHeaderOptions } from './channelFactory';
 
 /**
  * Get a suitable logo URL from a stream/channel object
@@ -226,17 +670,44 @@ export function getLogoFromStream(stream) {
   return null;
 }
 
+// Refreshes under way, playlistId -> promise, so the scheduler and the user never run two at once
+const refreshesInFlight = new Map();
+
+/**
+ * Check whether a playlist is being refreshed right now
+ * @param {string} playlistId - Playlist ID
+ * @returns {boolean} True while a refresh runs
+ */
+export function isPlaylistRefreshing(playlistId) {
+  return refreshesInFlight.has(playlistId);
+}
+
 /**
  * Refresh a playlist by fetching the latest version and updating the channels
+ * If the playlist is already being refreshed, the running refresh is shared instead of
+ * starting a second one - its options are the ones that apply.
  * @param {string} playlistId - ID of the playlist to refresh
- * @returns {Promise<Object>} Updated playlist details
+ * @param {Object} options - { onProgress, signal } - see loadPlaylistContent
+ * @returns {Promise<Object>} Updated playlist details, channels and the diff report
  */
-export async function refreshPlaylist(playlistId) {
+export function refreshPlaylist(playlistId, options = {}) {
+  if (refreshesInFlight.has(playlistId)) {
+    console.log(`Playlist ${playlistId} is already refreshing - waiting for that refresh`);
+    return refreshesInFlight.get(playlistId);
+  }
+
+  const refresh = runPlaylistRefresh(playlistId, options).finally(() => {
+    refreshesInFlight.delete(playlistId);
+  });
+  refreshesInFlight.set(playlistId, refresh);
+  return refresh;
+}
+
+async function runPlaylistRefresh(playlistId, options) {
   try {
     console.log(`Starting refresh for playlist: ${playlistId}`);
     // Get the playlist info
-    const playlists = await get('playlists') || [];
-    const playlist = playlists.find(p => p.id === playlistId);
+    const playlist = await getPlaylist(playlistId);
     
     if (!playlist) {
       console.error(`Playlist not found with ID: ${playlistId}`);
@@ -246,68 +717,49 @@ export async function refreshPlaylist(playlistId) {
     console.log(`Fetching playlist from URL: ${playlist.url}`);
     // Fetch the updated playlist content with better error handling
     let manifest;
-    try {
-      manifest = await fetchAndParsePlaylist(playlist.url);
-      if (!manifest || !manifest.segments) {
-        throw new Error('Received empty or invalid playlist content');
-      }
-    } catch (fetchError) {
-      console.error(`Error fetching playlist content: ${fetchError.message}`);
-      // Try with a CORS proxy if direct fetch fails
-      console.log('Attempting fetch with CORS proxy...');
-      const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(playlist.url)}`;
-      manifest = await fetchAndParsePlaylist(proxyUrl);
-      
-      if (!manifest || !manifest.segments) {
-        throw new Error(`Failed to fetch playlist content, even with proxy: ${fetchError.message}`);
-      }
+    let updatedChannels;
+    let proxyId;
+    const proxyOptions = { override: playlist.proxyOverride || null, preferredId: getPlaylistProxyId(playlist) };
+    if (playlist.type === 'xtream') {
+      ({ manifest, proxyId } = await fetchXtreamWithFallback(playlistId, playlist.xtream, undefined, proxyOptions));
+      updatedChannels = processChannelsFromManifest(manifest, playlistId);
+    } else {
+      ({ manifest, channels: updatedChannels, proxyId } = await loadPlaylistContent(playlist.url, playlistId, {
+        ...options,
+        proxyOverride: proxyOptions.override,
+        preferredProxyId: proxyOptions.preferredId
+      }));
     }
     
-    console.log(`Extracted ${manifest.segments?.length || 0} segments from playlist`);
-    
-    // Extract channels from the updated manifest
-    const updatedChannels = processChannelsFromManifest(manifest, playlistId);
     console.log(`Processed ${updatedChannels.length} channels from playlist`);
     
-    // Save the updated channels
-    const allChannels = await get('channels') || {};
-    allChannels[playlistId] = updatedChannels;
-    await set('channels', allChannels);
+    // Compare with what we had before so the user can see what changed
+    const previousChannels = await getPlaylistChannels(playlistId);
+    const diff = await recordPlaylistDiff(playlistId, diffChannels(previousChannels, updatedChannels), updatedChannels.length);
+    console.log(`Refresh changes for ${playlistId}:`, diff.counts);
     
-    // Make an explicit commit to ensure IndexedDB has saved our changes
-    // This might help in cases where the channel data is large
-    try {
-      // Verify the data was written
-      const verifyChannels = await get('channels');
-      const verifyCount = (verifyChannels[playlistId] || []).length;
-      console.log(`Verified channels saved to IndexedDB: ${verifyCount}`);
-      
-      if (verifyCount !== updatedChannels.length) {
-        console.warn(`Channel count mismatch! Expected ${updatedChannels.length}, got ${verifyCount}`);
-      }
-    } catch (verifyErr) {
-      console.error('Failed to verify channel storage:', verifyErr);
-    }
+    // Save the updated channels and raw playlist data
+    await storePlaylistContent(playlistId, manifest, updatedChannels);
     
-    // Save raw playlist data for future reference
-    const rawPlaylists = await get('rawPlaylists') || {};
-    rawPlaylists[playlistId] = manifest;
-    await set('rawPlaylists', rawPlaylists);
+    // Move favorites and history over to the re-parsed channels, in case IDs or URLs changed
+    const relinked = {
+      favorites: await relinkFavorites(playlistId, updatedChannels),
+      history: await relinkWatchHistory(playlistId, updatedChannels)
+    };
+    console.log(`Relinked ${relinked.favorites} favorites and ${relinked.history} history entries`);
     
-    // Update playlist metadata
-    const updatedPlaylists = playlists.map(p => {
-      if (p.id === playlistId) {
-        return {
-          ...p,
-          lastRefreshed: new Date().toISOString(),
-          channelCount: updatedChannels.length
-        };
-      }
-      return p;
+    // Update playlist metadata - re-read the record, since it may have changed while we were downloading
+    const headerInfo = parsePlaylistHeader(manifest.header);
+    const updatedPlaylist = await updatePlaylist(playlistId, {
+      lastRefreshed: new Date().toISOString(),
+      channelCount: updatedChannels.length,
+      useProxy: proxyId !== DIRECT_PROXY_ID,
+      proxyId,
+      header: manifest.header || {},
+      epgUrls: headerInfo.epgUrls,
+      ...(manifest.xtream ? { accountInfo: manifest.xtream.userInfo } : {})
     });
-    
-    // Save updated playlists
-    await set('playlists', updatedPlaylists);
+    await registerPlaylistEpg(updatedPlaylist);
     
     console.log(`Refresh complete for ${playlistId}, saved ${updatedChannels.length} channels`);
     
@@ -318,7 +770,8 @@ export async function refreshPlaylist(playlistId) {
       url: playlist.url,
       lastRefreshed: new Date().toISOString(),
       channelCount: updatedChannels.length,
-      channels: updatedChannels // Return the channels directly in the result
+      channels: updatedChannels, // Return the channels directly in the result
+      diff
     };
   } catch (error) {
     console.error('Error refreshing playlist:', error);
@@ -333,7 +786,7 @@ export async function refreshPlaylist(playlistId) {
  */
 export const findPlaylistByPartialId = async (partialId) => {
   try {
-    const playlists = await get('playlists') || [];
+    const playlists = await getPlaylists();
     
     if (!partialId || playlists.length === 0) {
       return null;
@@ -439,64 +892,69 @@ export async function getComprehensiveChannelLogo(channel) {
 
 /**
  * Get all channels from all playlists
+ * Channels are read with a cursor and only the matching ones are kept, so filtered
+ * queries don't load every stored channel at once.
  * @param {Object} options - Optional filtering options
+ *   { group, category, search, filter, deduplicate, sortBy, limit } - group is matched
+ *   through the group index, filter is a predicate run on each channel
  * @returns {Promise<Array>} All channels flattened into a single array
  */
 export async function getAllChannels(options = {}) {
   try {
-    // Get all channels from storage
-    const allChannelsObj = await get('channels') || {};
-    
-    // Flatten channels into a single array
-    let channels = Object.values(allChannelsObj).flat();
-    
-    // Apply filters if provided
-    if (options.category) {
-      channels = channels.filter(channel => 
-        channel.categories && 
-        channel.categories.some(cat => 
-          cat.toLowerCase() === options.category.toLowerCase()
-        )
-      );
-    }
-    
+    const categoryLower = options.category?.toLowerCase();
+    const searchFolded = options.search ? foldText(options.search) : null;
+    const limit = options.limit || Infinity;
+    const seenNames = new Set();
+    const removedIds = new Set((await getPlaylists()).flatMap(getRemovedChannelIds));
+
+    const matches = (channel) => {
+      if (removedIds.has(channel.id)) {
+        return false;
+      }
+
+      if (categoryLower && !(
+        Array.isArray(channel.categories) &&
+        channel.categories.some(cat => typeof cat === 'string' && cat.toLowerCase() === categoryLower)
+      )) {
+        return false;
+      }
+
+      if (searchFolded && !(channel.name && foldText(channel.name).includes(searchFolded))) {
+        return false;
+      }
+
+      if (options.filter && !options.filter(channel)) {
+        return false;
+      }
+
+      // Deduplicate channels if requested - "CNN HD" and "US: CNN US" are the same channel,
+      // "Fox Sports AR" and "Fox Sports MX" aren't
+      if (options.deduplicate) {
+        const nameKey = getNameKey(channel.name, { withRegion: true }) || channel.name;
+        if (seenNames.has(nameKey)) return false;
+        seenNames.add(nameKey);
+      }
+
+      return true;
+    };
+
+    let channels;
     if (options.group) {
-      channels = channels.filter(channel => 
-        channel.group && channel.group.toLowerCase() === options.group.toLowerCase()
-      );
-    }
-    
-    if (options.search) {
-      const searchLower = options.search.toLowerCase();
-      channels = channels.filter(channel => 
-        channel.name && channel.name.toLowerCase().includes(searchLower)
-      );
-    }
-    
-    // Deduplicate channels if requested
-    if (options.deduplicate) {
-      const uniqueMap = new Map();
-      channels.forEach(channel => {
-        // Use channel name as key for deduplication
-        if (!uniqueMap.has(channel.name)) {
-          uniqueMap.set(channel.name, channel);
-        }
-      });
-      channels = Array.from(uniqueMap.values());
+      channels = (await getChannelsByGroup(options.group)).filter(matches).slice(0, limit);
+    } else {
+      channels = [];
+      // The name index already hands the channels over in name order
+      await iterateChannels(channel => {
+        if (matches(channel)) channels.push(channel);
+        return channels.length < limit;
+      }, options.sortBy === 'name' ? { index: 'name' } : {});
     }
     
     // Sort channels if requested
-    if (options.sortBy) {
-      channels.sort((a, b) => {
-        switch (options.sortBy) {
-          case 'name':
-            return (a.name || '').localeCompare(b.name || '');
-          case 'group':
-            return (a.group || '').localeCompare(b.group || '');
-          default:
-            return 0;
-        }
-      });
+    if (options.sortBy === 'group') {
+      channels.sort((a, b) => (a.group || '').localeCompare(b.group || ''));
+    } else if (options.sortBy === 'name' && options.group) {
+      channels.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
     }
     
     return channels;
@@ -528,13 +986,11 @@ export async function getCategories() {
     }
     
     // If API call failed or returned empty, extract from local channels
-    const channels = await getAllChannels();
-    
     // Create a map to store unique categories with count
     const categoryMap = new Map();
     
-    // Process each channel
-    channels.forEach(channel => {
+    // Process each channel with a cursor rather than loading them all
+    await iterateChannels(channel => {
       // Check for categories array
       if (channel.categories && Array.isArray(channel.categories)) {
         channel.categories.forEach(category => {
@@ -582,56 +1038,140 @@ export async function getCategories() {
  * @returns {Promise<boolean>} Success status
  */
 export async function markStreamAsInvalid(streamUrl, reason = 'Unknown error') {
-  try {
-    if (!streamUrl) return false;
-    
-    // Get the current invalid streams list or create a new one
-    const invalidStreams = await get('invalid_streams') || {};
-    
-    // Add or update the stream in the invalid list with timestamp and reason
-    invalidStreams[streamUrl] = {
-      timestamp: Date.now(),
-      reason: reason,
-      attempts: (invalidStreams[streamUrl]?.attempts || 0) + 1
-    };
+  if (!streamUrl) return false;
+  return markStreamsAsInvalid({ [streamUrl]: reason });
+}
+
+// The registry is written by the player, scans and rechecks, in any tab - every change
+// reads and writes it in one transaction (see update in idbStorage.js) so none is lost
+const asRegistry = value => (value && typeof value === 'object' ? value : {});
+
+/**
+ * Mark several stream URLs as invalid in one write
+ * @param {Object} reasons - Map of stream URL to the reason it is invalid
+ * @returns {Promise<boolean>} Success status
+ */
+export async function markStreamsAsInvalid(reasons) {
+  const saved = await update(INVALID_STREAMS_KEY, stored => {
+    const invalidStreams = asRegistry(stored);
     
-    // Save the updated list
-    await set('invalid_streams', invalidStreams);
+    // Add or update each stream in the invalid list with timestamp and reason
+    Object.entries(reasons).forEach(([streamUrl, reason]) => {
+      invalidStreams[streamUrl] = {
+        timestamp: Date.now(),
+        reason: reason,
+        attempts: (invalidStreams[streamUrl]?.attempts || 0) + 1
+      };
+    });
+    return invalidStreams;
+  });
+  
+  // A health scan marks thousands at once - one line for the lot
+  if (saved) {
+    console.log(`Marked ${Object.keys(reasons).length} stream(s) as invalid`);
+  }
+  return saved;
+}
+
+/**
+ * Get the streams marked as invalid
+ * @returns {Promise<Object>} Map of stream URL to { timestamp, reason, attempts }
+ */
+export async function getInvalidStreams() {
+  return asRegistry(await get(INVALID_STREAMS_KEY));
+}
+
+/**
+ * Forget that streams were invalid - after they worked again, or when the user clears them
+ * @param {Array<string>|null} streamUrls - Stream URLs, or null for all of them
+ * @returns {Promise<number>} Number of records removed
+ */
+export async function clearInvalidStreams(streamUrls = null) {
+  let cleared = 0;
+  const saved = await update(INVALID_STREAMS_KEY, stored => {
+    const invalidStreams = asRegistry(stored);
+    const urls = (streamUrls || Object.keys(invalidStreams)).filter(url => url in invalidStreams);
+    // Streams that play fine are cleared all the time - don't write when nothing changes
+    if (urls.length === 0) return undefined;
     
-    console.log(`Marked stream as invalid: ${streamUrl} - ${reason}`);
-    return true;
+    urls.forEach(url => delete invalidStreams[url]);
+    cleared = urls.length;
+    return invalidStreams;
+  });
+  return saved ? cleared : 0;
+}
+
+/**
+ * Store invalid stream records from a backup
+ * @param {Object} records - Map of stream URL to { timestamp, reason, attempts }
+ * @param {Object} options - { replace: drop the current records first }
+ * @returns {Promise<number>} Number of records added or updated
+ */
+export async function restoreInvalidStreams(records, options = {}) {
+  let restored = 0;
+  await update(INVALID_STREAMS_KEY, stored => {
+    const invalidStreams = options.replace ? {} : asRegistry(stored);
+    restored = 0;
+
+    Object.entries(records).forEach(([streamUrl, record]) => {
+      // When merging, the most recent failure of a stream wins
+      if ((invalidStreams[streamUrl]?.timestamp || 0) >= record.timestamp) return;
+      invalidStreams[streamUrl] = record;
+      restored++;
+    });
+    return invalidStreams;
+  });
+  return restored;
+}
+
+/**
+ * Find a stored playlist channel by its stream URL
+ * @param {string} streamUrl - The stream URL to look up
+ * @returns {Promise<Object|null>} The first matching channel or null
+ */
+export async function findChannelByUrl(streamUrl) {
+  if (!streamUrl) return null;
+
+  try {
+    return await getChannelByUrl(streamUrl);
   } catch (error) {
-    console.error('Error marking stream as invalid:', error);
-    return false;
+    console.error('Error finding channel by URL:', error);
+    return null;
   }
 }
 
 /**
- * Helper function to generate unique channel IDs
- * @param {string} url - Channel URL
- * @param {number} index - Channel index in playlist
- * @param {string} playlistId - Parent playlist ID
- * @returns {string} Unique channel ID
+ * Find the channel before or after a stream in its playlist, for channel up and down
+ * Removed channels and channels without a stream are skipped; the ends wrap around.
+ * @param {string} streamUrl - Stream URL of the current channel
+ * @param {number} step - 1 for the next channel, -1 for the previous one
+ * @returns {Promise<Object|null>} Channel, or null if the stream isn't in a playlist
  */
-function generateUniqueChannelId(url, index, playlistId) {
-  // Extract the last part of the URL path
-  const pathPart = url.split('/').pop() || `channel_${index}`;
-  
-  // Create a simple hash from the full URL
-  let hash = 0;
-  for (let i = 0; i < url.length; i++) {
-    const char = url.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+export async function findAdjacentChannel(streamUrl, step = 1) {
+  const current = await findChannelByUrl(streamUrl);
+  if (!current) return null;
+
+  try {
+    const playlist = await getPlaylist(current.playlistId);
+    const channels = filterRemovedChannels(playlist, await getPlaylistChannels(current.playlistId))
+      .filter(channel => channel.url);
+    const index = channels.findIndex(channel => channel.id === current.id);
+    if (index < 0 || channels.length < 2) return null;
+    return channels[(index + step + channels.length) % channels.length];
+  } catch (error) {
+    console.error('Error finding adjacent channel:', error);
+    return null;
   }
-  hash = Math.abs(hash % 10000);
-  
-  // Combine all parts to create a unique ID
-  return `${playlistId}_${pathPart.replace(/[^a-zA-Z0-9]/g, '_')}_${index}_${hash}`;
 }
 
-// Update the extractChannels function to be more resilient
-function processChannelsFromManifest(manifest, playlistId) {
+/**
+ * Turn a parsed manifest into channel objects
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} playlistId - Playlist ID the channels belong to
+ * @param {string} baseUrl - Optional URL to resolve relative stream and logo URLs against
+ * @returns {Array} Channel objects
+ */
+function processChannelsFromManifest(manifest, playlistId, baseUrl = null) {
   console.log('Extracting channels for playlist:', playlistId);
   
   if (!manifest) {
@@ -657,27 +1197,13 @@ function processChannelsFromManifest(manifest, playlistId) {
   
   console.log(`Found ${validSegments.length} valid segments with URIs`);
   
+  const headerInfo = parsePlaylistHeader(resolveHeaderUrls(manifest.header, baseUrl));
+  const channelIds = createChannelIdFactory(playlistId);
+  
   return validSegments
     .map((segment, index) => {
       try {
-        const channelId = generateUniqueChannelId(segment.uri, index, playlistId);
-        
-        // Create the channel object
-        return {
-          id: channelId,
-          name: segment.title || 'Unnamed Channel',
-          url: segment.uri,
-          group: segment.attributes?.['group-title'] || 'Uncategorized',
-          playlistId: playlistId,
-          attributes: segment.attributes || {},
-          // Add other properties from the segment as needed
-          tvgId: segment.attributes?.['tvg-id'],
-          tvgName: segment.attributes?.['tvg-name'],
-          tvgLogo: segment.attributes?.['tvg-logo'],
-          categories: segment.attributes?.['tvg-category'] 
-            ? segment.attributes['tvg-category'].split(',').map(cat => cat.trim())
-            : []
-        };
+        return segmentToChannel(resolveSegmentUrls(segment, baseUrl), channelIds, playlistId, headerInfo);
       } catch (err) {
         console.error(`Error processing segment ${index}:`, err, segment);
         return null;
@@ -0,0 +1,136 @@
+import { get, update } from './idbStorage';
+import { matchChannels, CHANNEL_MATCH_KEYS } from './channelIdentity';
+
+/**
+ * Compare a playlist's channels before and after a refresh and keep the
+ * last few reports per playlist
+ */
+
+const STORAGE_KEY = 'playlistDiffs';
+// Reports kept per playlist
+const MAX_DIFFS = 5;
+// Channels listed per change type in a stored report; the counts are always complete
+const MAX_LISTED = 200;
+
+/**
+ * Small summary of a channel for storing in a report
+ */
+function summarize(channel) {
+  return { name: channel.name, url: channel.url, group: channel.group || '' };
+}
+
+/**
+ * Work out what changed between two versions of a playlist.
+ * Channels are matched on tvg-id first, then stream URL, then normalised name,
+ * so a renamed channel or one that moved to a new URL isn't reported as removed and added.
+ * @param {Array} previousChannels - Channels before the refresh
+ * @param {Array} nextChannels - Channels after the refresh
+ * @returns {Object} { added, removed, renamed, urlChanged, unchanged }
+ */
+export function diffChannels(previousChannels = [], nextChannels = []) {
+  const { pairs, ...remaining } = matchChannels(previousChannels, nextChannels, [
+    CHANNEL_MATCH_KEYS.tvgIdAndName,
+    CHANNEL_MATCH_KEYS.tvgId,
+    CHANNEL_MATCH_KEYS.url,
+    CHANNEL_MATCH_KEYS.name,
+    CHANNEL_MATCH_KEYS.nameKey
+  ]);
+
+  const renamed = [];
+  const urlChanged = [];
+  let unchanged = 0;
+
+  pairs.forEach(([before, after]) => {
+    const nameChanged = before.name !== after.name;
+    const streamChanged = before.url !== after.url;
+
+    if (nameChanged) renamed.push({ from: before.name, to: after.name, url: after.url });
+    if (streamChanged) urlChanged.push({ name: after.name, from: before.url, to: after.url });
+    if (!nameChanged && !streamChanged) unchanged++;
+  });
+
+  return {
+    added: remaining.next.map(summarize),
+    removed: remaining.previous.map(summarize),
+    renamed,
+    urlChanged,
+    unchanged
+  };
+}
+
+/**
+ * Check whether a diff contains any changes
+ * @param {Object} diff - Result of diffChannels or a stored report
+ * @returns {boolean} True if anything was added, removed, renamed or moved
+ */
+export function hasChanges(diff) {
+  if (!diff) return false;
+  const counts = diff.counts || {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    renamed: diff.renamed.length,
+    urlChanged: diff.urlChanged.length
+  };
+  return counts.added + counts.removed + counts.renamed + counts.urlChanged > 0;
+}
+
+/**
+ * Store a refresh report for a playlist, keeping the most recent few
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} diff - Result of diffChannels
+ * @param {number} total - Channel count after the refresh
+ * @returns {Promise<Object>} The stored report
+ */
+export async function recordPlaylistDiff(playlistId, diff, total) {
+  const report = {
+    at: new Date().toISOString(),
+    total,
+    counts: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      renamed: diff.renamed.length,
+      urlChanged: diff.urlChanged.length,
+      unchanged: diff.unchanged
+    },
+    added: diff.added.slice(0, MAX_LISTED),
+    removed: diff.removed.slice(0, MAX_LISTED),
+    renamed: diff.renamed.slice(0, MAX_LISTED),
+    urlChanged: diff.urlChanged.slice(0, MAX_LISTED)
+  };
+
+  // In one transaction, so two refreshes finishing together both keep their report
+  await update(STORAGE_KEY, allDiffs => ({
+    ...(allDiffs || {}),
+    [playlistId]: [report, ...(allDiffs?.[playlistId] || [])].slice(0, MAX_DIFFS)
+  }));
+
+  return report;
+}
+
+/**
+ * Get the stored refresh reports for a playlist, newest first
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array>} Reports
+ */
+export async function getPlaylistDiffs(playlistId) {
+  try {
+    const allDiffs = (await get(STORAGE_KEY)) || {};
+    return allDiffs[playlistId] || [];
+  } catch (error) {
+    console.error('Error loading playlist diffs:', error);
+    return [];
+  }
+}
+
+/**
+ * Forget the refresh reports for a playlist
+ * @param {string} playlistId - Playlist ID
+ */
+export async function clearPlaylistDiffs(playlistId) {
+  await update(STORAGE_KEY, allDiffs => {
+    if (!allDiffs || !(playlistId in allDiffs)) return undefined;
+    const remaining = { ...allDiffs };
+    delete remaining[playlistId];
+    return remaining;
+  });
+}
@@ -0,0 +1,89 @@
+/**
+ * Main-thread side of the playlist parser worker
+ */
+
+/**
+ * Check whether this browser can stream-parse playlists in a worker
+ * @returns {boolean} True if Worker and TextDecoderStream are available
+ */
+export function supportsPlaylistWorker() {
+  return typeof Worker !== 'undefined' && typeof TextDecoderStream !== 'undefined';
+}
+
+/**
+ * Check whether an error came from a cancelled import
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the import was cancelled
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Download or read a playlist and parse it in the worker
+ * @param {Object} source - { urls } to try in order, or { file }
+ * @param {Object} options - { playlistId, baseUrl, onProgress, onAttempt, signal, batchSize }
+ *   onProgress receives { receivedBytes, totalBytes, channelCount };
+ *   onAttempt receives { sourceIndex, ok, error } for each URL tried;
+ *   aborting the signal terminates the worker and rejects with an AbortError
+ * @returns {Promise<Object>} { header, channels, sourceIndex }
+ */
+export function parsePlaylistInWorker(source, options = {}) {
+  const { playlistId, baseUrl = null, onProgress, onAttempt, signal, batchSize } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Playlist import cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/playlistParser.worker.js', import.meta.url), { type: 'module' });
+    const channels = [];
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    function handleAbort() {
+      finish();
+      reject(new DOMException('Playlist import cancelled', 'AbortError'));
+    }
+
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      switch (message.type) {
+        case 'progress':
+          onProgress?.({
+            receivedBytes: message.receivedBytes,
+            totalBytes: message.totalBytes,
+            channelCount: message.channelCount
+          });
+          break;
+        case 'attempt':
+          onAttempt?.({ sourceIndex: message.sourceIndex, ok: message.ok, error: message.error });
+          break;
+        case 'batch':
+          for (const channel of message.channels) channels.push(channel);
+          break;
+        case 'done':
+          finish();
+          resolve({ header: message.header || {}, channels, sourceIndex: message.sourceIndex });
+          break;
+        case 'error':
+          finish();
+          reject(new Error(message.message));
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Playlist parser crashed'));
+    };
+
+    worker.postMessage({ type: 'parse', ...source, playlistId, baseUrl, batchSize });
+  });
+}
@@ -0,0 +1,320 @@
+import { get, set, STORES } from './idbStorage';
+import { subscribeStorageChanges } from './storageSync';
+import {
+  detectCompanionProxy,
+  getDetectedCompanionProxy,
+  buildCompanionTemplate,
+  needsCompanionProxy,
+  DEFAULT_COMPANION_URL,
+  COMPANION_PROXY_ID
+} from './companionProxy';
+
+/**
+ * CORS proxy settings
+ * Requests go direct first and then through each enabled proxy in turn. A proxy is a
+ * URL template where {url} is replaced by the encoded target URL and {rawUrl} by the
+ * target URL as it is, so self-hosted proxies of either style can be added.
+ * Playlists can override the chain with "direct only" or one specific proxy.
+ * When the local companion proxy is running it joins the chain straight after the direct
+ * request, or goes first for streams that need headers only it can send.
+ * Requests carrying an Xtream login skip the public proxies unless the user allows it,
+ * so the password doesn't go to a third party by default.
+ */
+
+const SETTINGS_KEY = 'proxySettings';
+const ATTEMPTS_KEY = 'proxyAttempts';
+// Attempts kept per kind, so a page full of broken logos doesn't push out playlist attempts
+const MAX_ATTEMPTS_PER_KIND = 50;
+const ATTEMPT_SAVE_DELAY = 2000;
+
+export const DIRECT_PROXY_ID = 'direct';
+
+export const DIRECT = { id: DIRECT_PROXY_ID, name: 'Direct', template: null };
+
+export const COMPANION_NAME = 'Local stream proxy';
+
+export const DEFAULT_PROXIES = [
+  { id: 'corsproxy', name: 'corsproxy.io', template: 'https://corsproxy.io/?{url}', enabled: true },
+  { id: 'allorigins', name: 'AllOrigins', template: 'https://api.allorigins.win/raw?url={url}', enabled: false }
+];
+
+// What each kind of request is called in the attempt log
+export const ATTEMPT_KINDS = {
+  playlist: 'Playlist',
+  xtream: 'Xtream API',
+  epg: 'Guide',
+  stream: 'Stream',
+  logo: 'Logo'
+};
+
+let settingsCache = null;
+let attempts = null;
+let attemptsLoading = null;
+let saveTimer = null;
+
+// Settings saved in another tab - reload them so the proxy chain matches
+subscribeStorageChanges(change => {
+  if (!change.remote || change.store !== STORES.keyval) return;
+  if (change.key === SETTINGS_KEY || change.key === null) {
+    settingsCache = null;
+    getProxySettings();
+  }
+});
+
+function normalizeSettings(stored) {
+  return {
+    proxies: Array.isArray(stored?.proxies) ? stored.proxies : DEFAULT_PROXIES.map(proxy => ({ ...proxy })),
+    useForStreams: stored?.useForStreams !== false,
+    useForLogos: stored?.useForLogos !== false,
+    useForCredentials: stored?.useForCredentials === true,
+    useCompanion: stored?.useCompanion !== false,
+    companionUrl: stored?.companionUrl || DEFAULT_COMPANION_URL
+  };
+}
+
+/**
+ * Check a proxy template and return an error message if it can't be used
+ * @param {string} template - Proxy URL template
+ * @returns {string|null} Error message, or null if the template is fine
+ */
+export function validateProxyTemplate(template) {
+  const value = String(template || '').trim();
+  if (!/^https?:\/\//i.test(value)) {
+    return 'Proxy URL must start with http:// or https://';
+  }
+  if (!value.includes('{url}') && !value.includes('{rawUrl}')) {
+    return 'Proxy URL must contain {url} or {rawUrl} where the target URL goes';
+  }
+  return null;
+}
+
+/**
+ * Put a URL into a proxy template
+ * @param {string} template - Proxy URL template
+ * @param {string} url - Target URL
+ * @returns {string} Proxied URL
+ */
+export function applyProxyTemplate(template, url) {
+  return template
+    .replace(/\{url\}/g, encodeURIComponent(url))
+    .replace(/\{rawUrl\}/g, url);
+}
+
+/**
+ * Get the URL to request for a chain entry
+ * @param {string} url - Target URL
+ * @param {Object} proxy - Entry from getProxyChain
+ * @returns {string} The URL itself for direct requests, otherwise the proxied URL
+ */
+export function getProxiedUrl(url, proxy) {
+  return proxy?.template ? applyProxyTemplate(proxy.template, url) : url;
+}
+
+/**
+ * Load the proxy settings
+ * @returns {Promise<Object>} { proxies: [{ id, name, template, enabled }], useForStreams, useForLogos, useForCredentials,
+ *   useCompanion, companionUrl }
+ */
+export async function getProxySettings() {
+  if (settingsCache) return settingsCache;
+  try {
+    settingsCache = normalizeSettings(await get(SETTINGS_KEY));
+  } catch (error) {
+    console.error('Error loading proxy settings:', error);
+    return normalizeSettings(null);
+  }
+  return settingsCache;
+}
+
+/**
+ * Get the proxy settings without waiting for storage, for code that can't be async
+ * Falls back to the defaults until getProxySettings has run once.
+ * @returns {Object} Proxy settings
+ */
+export function getLoadedProxySettings() {
+  return settingsCache || normalizeSettings(null);
+}
+
+/**
+ * Save the proxy settings
+ * @param {Object} settings - { proxies, useForStreams, useForLogos, useForCredentials, useCompanion, companionUrl }
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveProxySettings(settings) {
+  const companionUrl = String(settings.companionUrl || '').trim();
+  if (companionUrl && !/^https?:\/\//i.test(companionUrl)) {
+    throw new Error('Local stream proxy address must start with http:// or https://');
+  }
+
+  const proxies = (settings.proxies || []).map((proxy, index) => {
+    const template = String(proxy.template || '').trim();
+    const problem = validateProxyTemplate(template);
+    if (problem) {
+      throw new Error(`${proxy.name || `Proxy ${index + 1}`}: ${problem}`);
+    }
+    return {
+      id: proxy.id || `proxy_${Date.now().toString(36)}_${index}`,
+      name: String(proxy.name || '').trim() || new URL(template.replace(/\{(raw)?url\}/gi, '')).host,
+      template,
+      enabled: proxy.enabled !== false
+    };
+  });
+
+  const saved = normalizeSettings({ ...settings, proxies, companionUrl });
+  await set(SETTINGS_KEY, saved);
+  settingsCache = saved;
+  return saved;
+}
+
+/**
+ * Work out which ways to try a request, in order
+ * @param {Object} options - { purpose, override, preferredId, httpOptions, credentials }
+ *   purpose is 'playlist', 'epg', 'stream' or 'logo'; guides get the same chain as playlists,
+ *   streams and logos can have public proxies switched off.
+ *   credentials is true when the request carries an Xtream login - public proxies are left
+ *   out unless useForCredentials is on. A proxy the playlist is set to use is still used.
+ *   override is a playlist's proxyOverride: null for the normal chain, 'direct', or a proxy ID.
+ *   preferredId moves the way that worked last time to the front.
+ *   httpOptions are the channel's headers, sent through the companion proxy.
+ * @param {Object} settings - Proxy settings; the loaded ones if omitted
+ * @param {string|null} companionUrl - Base URL of the running companion proxy, if any
+ * @returns {Array<Object>} Chain entries { id, name, template } - template is null for direct
+ */
+export function buildProxyChain(options = {}, settings = getLoadedProxySettings(), companionUrl = getDetectedCompanionProxy()) {
+  const { purpose = 'playlist', override = null, preferredId = null, httpOptions = null, credentials = false } = options;
+
+  const companion = settings.useCompanion && companionUrl
+    ? { id: COMPANION_PROXY_ID, name: COMPANION_NAME, template: buildCompanionTemplate(companionUrl, httpOptions) }
+    : null;
+
+  if (override === DIRECT_PROXY_ID) return [DIRECT];
+  if (override === COMPANION_PROXY_ID && companion) return [companion];
+
+  const toEntry = ({ id, name, template }) => ({ id, name, template });
+  const forced = override && settings.proxies.find(proxy => proxy.id === override);
+  if (forced) return [toEntry(forced)];
+
+  const publicProxiesAllowed = !(purpose === 'stream' && !settings.useForStreams) &&
+    !(purpose === 'logo' && !settings.useForLogos) &&
+    !(credentials && !settings.useForCredentials);
+
+  const chain = [
+    DIRECT,
+    ...(companion ? [companion] : []),
+    ...(publicProxiesAllowed ? settings.proxies.filter(proxy => proxy.enabled).map(toEntry) : [])
+  ];
+
+  // A direct request can't carry the headers, so let the companion try first
+  const preferred = companion && needsCompanionProxy(httpOptions)
+    ? COMPANION_PROXY_ID
+    : preferredId;
+  const preferredIndex = chain.findIndex(entry => entry.id === preferred);
+  if (preferredIndex > 0) {
+    chain.unshift(...chain.splice(preferredIndex, 1));
+  }
+  return chain;
+}
+
+/**
+ * Load the settings, look for the companion proxy and build the proxy chain - see buildProxyChain
+ * @param {Object} options - { purpose, override, preferredId, httpOptions, credentials }
+ * @returns {Promise<Array<Object>>} Chain entries
+ */
+export async function getProxyChain(options = {}) {
+  const settings = await getProxySettings();
+  const companionUrl = settings.useCompanion ? await detectCompanionProxy(settings.companionUrl) : null;
+  return buildProxyChain(options, settings, companionUrl);
+}
+
+/**
+ * Get the chain entry a playlist record last loaded through
+ * Older records only have the useProxy flag, which meant corsproxy.io.
+ * @param {Object} playlist - Playlist record
+ * @returns {string|null} Proxy ID
+ */
+export function getPlaylistProxyId(playlist) {
+  if (!playlist) return null;
+  if (playlist.proxyId) return playlist.proxyId;
+  return playlist.useProxy ? DEFAULT_PROXIES[0].id : null;
+}
+
+function loadAttempts() {
+  if (!attemptsLoading) {
+    attemptsLoading = get(ATTEMPTS_KEY, true)
+      .then(stored => Array.isArray(stored) ? stored : [])
+      .catch(error => {
+        console.error('Error loading proxy attempts:', error);
+        return [];
+      })
+      .then(stored => {
+        attempts = stored;
+        return attempts;
+      });
+  }
+  return attemptsLoading.then(() => attempts);
+}
+
+function trimAttempts(list) {
+  const perKind = {};
+  return list.filter(attempt => {
+    perKind[attempt.kind] = (perKind[attempt.kind] || 0) + 1;
+    return perKind[attempt.kind] <= MAX_ATTEMPTS_PER_KIND;
+  });
+}
+
+function scheduleAttemptSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(async () => {
+    saveTimer = null;
+    try {
+      await set(ATTEMPTS_KEY, await loadAttempts());
+    } catch (error) {
+      console.error('Error saving proxy attempts:', error);
+    }
+  }, ATTEMPT_SAVE_DELAY);
+}
+
+/**
+ * Record how a request through the proxy chain went
+ * @param {Object} attempt - { kind, url, proxy, ok, error }
+ *   kind is one of ATTEMPT_KINDS, proxy is the chain entry used
+ */
+export function recordProxyAttempt({ kind, url, proxy = DIRECT, ok, error = null }) {
+  const entry = {
+    at: new Date().toISOString(),
+    kind,
+    url,
+    proxyId: proxy?.id || DIRECT_PROXY_ID,
+    proxyName: proxy?.name || DIRECT.name,
+    ok: !!ok,
+    error: error ? String(error.message || error) : null
+  };
+
+  loadAttempts()
+    .then(list => {
+      attempts = trimAttempts([entry, ...list]);
+      scheduleAttemptSave();
+    })
+    .catch(loadError => console.error('Error recording proxy attempt:', loadError));
+}
+
+/**
+ * Get recent proxy attempts, newest first
+ * @returns {Promise<Array>} Attempts
+ */
+export async function getProxyAttempts() {
+  return [...(await loadAttempts())].sort((a, b) => b.at.localeCompare(a.at));
+}
+
+/**
+ * Forget all recorded proxy attempts
+ */
+export async function clearProxyAttempts() {
+  attempts = [];
+  attemptsLoading = Promise.resolve(attempts);
+  try {
+    await set(ATTEMPTS_KEY, []);
+  } catch (error) {
+    console.error('Error clearing proxy attempts:', error);
+  }
+}
@@ -0,0 +1,212 @@
+import { get, update } from './idbStorage';
+import { getPlaylists, refreshPlaylist, isPlaylistRefreshing } from './playlist';
+
+/**
+ * Background playlist refresh while the app is open
+ * Each playlist has a refreshInterval; the scheduler refreshes due playlists one at a
+ * time and backs off after failures. New playlists start on DEFAULT_REFRESH_INTERVAL;
+ * playlists added before scheduling existed have none and stay manual until the user
+ * picks an interval. Attempt results live under their own storage key
+ * so they never race with writes to the playlist records.
+ */
+
+const STATUS_KEY = 'playlistRefreshStatus';
+const CHECK_INTERVAL = 60 * 1000;
+// Wait a little after startup so the first page can load undisturbed
+const STARTUP_DELAY = 15 * 1000;
+const FIRST_RETRY_DELAY = 15 * 60 * 1000;
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000;
+
+export const REFRESH_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  manual: null
+};
+
+// Given to playlists when they're added
+export const DEFAULT_REFRESH_INTERVAL = 'daily';
+
+const listeners = new Set();
+let refreshingId = null;
+let timerId = null;
+let running = false;
+
+/**
+ * Get a playlist's refresh interval name
+ * Local files can't be re-downloaded, so they are always manual. Playlists without an
+ * interval are manual too.
+ * @param {Object} playlist - Playlist record
+ * @returns {string} 'hourly', 'daily', 'weekly' or 'manual'
+ */
+export function getRefreshInterval(playlist) {
+  if (!playlist || playlist.isLocal) return 'manual';
+  return playlist.refreshInterval in REFRESH_INTERVALS ? playlist.refreshInterval : 'manual';
+}
+
+/**
+ * Get the stored refresh attempt results
+ * @returns {Promise<Object>} playlistId -> { lastAttemptAt, lastError, failures }
+ */
+export async function getRefreshStatus() {
+  try {
+    return (await get(STATUS_KEY, true)) || {};
+  } catch (error) {
+    console.error('Error loading refresh status:', error);
+    return {};
+  }
+}
+
+// Read-modify-write in one transaction, so a manual and a scheduled refresh can't drop each other's result
+async function recordAttempt(playlistId, error) {
+  await update(STATUS_KEY, allStatus => {
+    const previous = allStatus?.[playlistId] || {};
+    return {
+      ...(allStatus || {}),
+      [playlistId]: {
+        ...previous,
+        lastAttemptAt: new Date().toISOString(),
+        lastError: error ? error.message : null,
+        failures: error ? (previous.failures || 0) + 1 : 0
+      }
+    };
+  });
+}
+
+/**
+ * Work out when a playlist is next due and how it should be shown
+ * @param {Object} playlist - Playlist record
+ * @param {Object} status - Its entry from getRefreshStatus
+ * @param {number} now - Current time in ms
+ * @returns {Object} { state, dueAt, error } where state is 'refreshing', 'failed', 'stale', 'fresh' or 'manual'
+ */
+export function getPlaylistRefreshState(playlist, status = {}, now = Date.now()) {
+  if (playlist.id === refreshingId || isPlaylistRefreshing(playlist.id)) {
+    return { state: 'refreshing', dueAt: null, error: null };
+  }
+
+  const interval = REFRESH_INTERVALS[getRefreshInterval(playlist)];
+  const lastRefreshed = Date.parse(playlist.lastRefreshed || playlist.addedAt) || 0;
+  const lastAttempt = Date.parse(status.lastAttemptAt) || 0;
+
+  if (status.failures > 0 && lastAttempt > lastRefreshed) {
+    // Back off: 15 min, 30 min, 1 h ... up to a day, but never later than the normal schedule
+    const retryDelay = Math.min(FIRST_RETRY_DELAY * 2 ** (status.failures - 1), MAX_RETRY_DELAY, interval ?? Infinity);
+    return {
+      state: 'failed',
+      dueAt: interval ? lastAttempt + retryDelay : null,
+      error: status.lastError
+    };
+  }
+
+  if (!interval) {
+    return { state: 'manual', dueAt: null, error: null };
+  }
+
+  const dueAt = lastRefreshed + interval;
+  return { state: dueAt <= now ? 'stale' : 'fresh', dueAt, error: null };
+}
+
+/**
+ * Listen for refresh starts and finishes
+ * @param {Function} listener - Called with { playlistId, state, error }
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRefreshStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(event) {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Refresh status listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Refresh the most overdue playlist, if any is due
+ * @returns {Promise<boolean>} True if a playlist was refreshed (or attempted)
+ */
+export async function refreshNextDuePlaylist() {
+  if (refreshingId) return false;
+
+  const [playlists, allStatus] = await Promise.all([getPlaylists(), getRefreshStatus()]);
+  const now = Date.now();
+
+  const due = playlists
+    .map(playlist => ({ playlist, ...getPlaylistRefreshState(playlist, allStatus[playlist.id], now) }))
+    .filter(entry => entry.dueAt !== null && entry.dueAt <= now)
+    .sort((a, b) => a.dueAt - b.dueAt)[0];
+
+  if (!due) return false;
+
+  const { playlist } = due;
+  refreshingId = playlist.id;
+  notify({ playlistId: playlist.id, state: 'refreshing' });
+  console.log(`Scheduled refresh of playlist ${playlist.name} (${getRefreshInterval(playlist)})`);
+
+  let error = null;
+  try {
+    await refreshPlaylist(playlist.id);
+  } catch (refreshError) {
+    console.error(`Scheduled refresh of ${playlist.name} failed:`, refreshError);
+    error = refreshError;
+  }
+
+  try {
+    await recordAttempt(playlist.id, error);
+  } finally {
+    refreshingId = null;
+    notify({ playlistId: playlist.id, state: error ? 'failed' : 'fresh', error: error?.message });
+  }
+
+  return true;
+}
+
+/**
+ * Record a refresh the user started by hand, so a failure shows up and a success clears the back-off
+ * @param {string} playlistId - Playlist ID
+ * @param {Error|null} error - The error, or null on success
+ */
+export async function recordManualRefresh(playlistId, error = null) {
+  try {
+    await recordAttempt(playlistId, error);
+  } catch (storageError) {
+    console.error('Error saving refresh status:', storageError);
+  }
+  notify({ playlistId, state: error ? 'failed' : 'fresh', error: error?.message });
+}
+
+/**
+ * Start checking for due playlists every minute
+ * @returns {Function} Stops the scheduler
+ */
+export function startRefreshScheduler() {
+  if (running) return stopRefreshScheduler;
+  running = true;
+
+  const tick = async () => {
+    try {
+      await refreshNextDuePlaylist();
+    } catch (error) {
+      console.error('Refresh scheduler error:', error);
+    }
+    if (running) timerId = setTimeout(tick, CHECK_INTERVAL);
+  };
+
+  timerId = setTimeout(tick, STARTUP_DELAY);
+  return stopRefreshScheduler;
+}
+
+/**
+ * Stop the background refresh scheduler
+ */
+export function stopRefreshScheduler() {
+  running = false;
+  if (timerId) clearTimeout(timerId);
+  timerId = null;
+}
@@ -0,0 +1,166 @@
+import { get, set, STORES } from './idbStorage';
+import { subscribeStorageChanges } from './storageSync';
+import { getPlaylistChannels } from './channelDb';
+import { getPlaylists, getSearchIndexKey, getRemovedChannelIds } from './playlist';
+import { getFavorites } from './favorites';
+import { getWatchHistory } from './watchHistory';
+import { getChannels } from './apiClient';
+import { buildSearchIndex, searchIndex, matchText, SEARCH_INDEX_VERSION } from './searchIndex';
+
+/**
+ * Global search
+ * Searches the stored playlists, favorites, watch history and the iptv-org channel list
+ * in one go. Playlist channels are searched through the index stored with each playlist,
+ * which is rebuilt whenever the playlist is saved or refreshed; the iptv-org list is
+ * indexed once per session. Favorites and history are short enough to scan.
+ */
+
+// Results returned per section at most
+const DEFAULT_LIMIT = 50;
+
+// Loaded playlist indexes by playlist ID - { index, groups } promises
+const playlistIndexes = new Map();
+let iptvOrgIndex = null;
+
+const INDEX_KEY_PREFIX = getSearchIndexKey('');
+
+subscribeStorageChanges(change => {
+  if (change.store !== STORES.keyval) return;
+  if (change.key === null) {
+    playlistIndexes.clear();
+  } else if (change.key.startsWith(INDEX_KEY_PREFIX)) {
+    playlistIndexes.delete(change.key.slice(INDEX_KEY_PREFIX.length));
+  }
+});
+
+function countGroups(index) {
+  const groups = new Map();
+  index.docs.forEach(doc => {
+    if (doc.group) groups.set(doc.group, (groups.get(doc.group) || 0) + 1);
+  });
+  return groups;
+}
+
+async function loadPlaylistIndex(playlistId) {
+  let index = await get(getSearchIndexKey(playlistId));
+
+  // Playlists saved before search existed, or with an index from an older version
+  if (index?.version !== SEARCH_INDEX_VERSION) {
+    index = buildSearchIndex(await getPlaylistChannels(playlistId));
+    await set(getSearchIndexKey(playlistId), index);
+  }
+
+  return { index, groups: countGroups(index) };
+}
+
+function getPlaylistIndex(playlistId) {
+  if (!playlistIndexes.has(playlistId)) {
+    const loading = loadPlaylistIndex(playlistId).catch(error => {
+      playlistIndexes.delete(playlistId);
+      throw error;
+    });
+    playlistIndexes.set(playlistId, loading);
+  }
+  return playlistIndexes.get(playlistId);
+}
+
+function getIptvOrgIndex() {
+  if (!iptvOrgIndex) {
+    iptvOrgIndex = getChannels().then(channels => {
+      // Nothing to index (offline?) - try again next search
+      if (!channels?.length) iptvOrgIndex = null;
+      return buildSearchIndex((channels || []).map(channel => ({
+        id: channel.id,
+        name: channel.name,
+        group: channel.categories?.[0] || '',
+        tvgId: channel.id,
+        logo: channel.logo,
+        url: channel.url
+      })));
+    }).catch(error => {
+      iptvOrgIndex = null;
+      throw error;
+    });
+  }
+  return iptvOrgIndex;
+}
+
+async function searchPlaylists(query) {
+  const channels = [];
+  const groups = [];
+
+  for (const playlist of await getPlaylists()) {
+    try {
+      const { index, groups: groupCounts } = await getPlaylistIndex(playlist.id);
+      const removed = new Set(getRemovedChannelIds(playlist));
+
+      searchIndex(index, query).forEach(({ doc, score }) => {
+        if (removed.has(doc.id)) return;
+        channels.push({ ...doc, playlistId: playlist.id, playlistName: playlist.name, score });
+      });
+
+      groupCounts.forEach((count, group) => {
+        const score = matchText(group, query);
+        if (score > 0) {
+          groups.push({ group, count, playlistId: playlist.id, playlistName: playlist.name, score });
+        }
+      });
+    } catch (error) {
+      console.error(`Error searching playlist ${playlist.id}:`, error);
+    }
+  }
+
+  const byScore = (a, b) => b.score - a.score;
+  return {
+    channels: channels.sort((a, b) => byScore(a, b) || a.name.localeCompare(b.name)),
+    groups: groups.sort((a, b) => byScore(a, b) || b.count - a.count)
+  };
+}
+
+async function searchIptvOrg(query) {
+  try {
+    return searchIndex(await getIptvOrgIndex(), query).map(({ doc, score }) => ({ ...doc, score }));
+  } catch (error) {
+    console.error('Error searching iptv-org channels:', error);
+    return [];
+  }
+}
+
+function matchChannels(items, query, getChannel) {
+  return items
+    .map(item => {
+      const channel = getChannel(item);
+      return { item, score: matchText([channel?.name, channel?.group, channel?.tvgId], query) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+}
+
+/**
+ * Search everything at once
+ * Every word of the query has to match the start of a word in a channel's name, group
+ * or tvg-id - or, failing that, a word it's a typo away from.
+ * @param {string} query - Search text
+ * @param {Object} options - { limit: results per section }
+ * @returns {Promise<Object>} { channels, favorites, history, iptvOrg, groups, totals }
+ *   - channels are playlist channels with playlistId and playlistName, history items are
+ *   watch history entries, groups are { group, count, playlistId, playlistName }, and
+ *   totals has the number of matches in each section before the limit
+ */
+export async function searchAll(query, options = {}) {
+  const { limit = DEFAULT_LIMIT } = options;
+
+  const [playlistResults, iptvOrg, favorites, history] = await Promise.all([
+    searchPlaylists(query),
+    searchIptvOrg(query),
+    getFavorites().then(items => matchChannels(items, query, favorite => favorite)),
+    getWatchHistory().then(items => matchChannels(items, query, entry => entry.channel))
+  ]);
+
+  const sections = { ...playlistResults, iptvOrg, favorites, history };
+  return {
+    ...Object.fromEntries(Object.entries(sections).map(([name, items]) => [name, items.slice(0, limit)])),
+    totals: Object.fromEntries(Object.entries(sections).map(([name, items]) => [name, items.length]))
+  };
+}
@@ -0,0 +1,183 @@
+import { foldText, editDistance, allowedTypos } from './nameMatching';
+
+/**
+ * Token index for channel search
+ * Channel names, groups and tvg-ids are split into normalised words. The index keeps each
+ * word's channels in a sorted list, so a query word finds every word it is a prefix of
+ * with a binary search. A query word that starts no word at all is matched with typos.
+ * Indexes are plain data, so they can be stored and loaded as they are.
+ * Pure functions - nothing here touches storage.
+ */
+
+// Bump when the index layout or tokenizer changes - stored indexes are rebuilt
+export const SEARCH_INDEX_VERSION = 2;
+
+// Score for a query word matching a whole word, and for matching the start of one
+const EXACT_SCORE = 3;
+const PREFIX_SCORE = 1;
+// Score for a word matched with a typo
+const TYPO_SCORE = 0.5;
+// Extra score when the name starts with the whole query
+const NAME_START_SCORE = 4;
+
+/**
+ * Split text into normalised words - case, accents, script and punctuation don't count
+ * @param {string} text - Text
+ * @returns {Array<string>} Words, in order, repeats kept
+ */
+export function tokenize(text) {
+  return foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a word is a query word with a typo, or starts with one
+ * @param {string} token - Indexed word
+ * @param {string} word - Query word
+ * @returns {boolean} True if it's close enough
+ */
+function isTypoOf(token, word) {
+  const typos = allowedTypos(word.length);
+  if (typos === 0 || token.length < word.length - typos) return false;
+  return editDistance(word, token, typos) <= typos ||
+    editDistance(word, token.slice(0, word.length), typos) <= typos;
+}
+
+function channelTokens(channel) {
+  return new Set([
+    ...tokenize(channel.name),
+    ...tokenize(channel.group),
+    ...tokenize(channel.tvgId)
+  ]);
+}
+
+/**
+ * Build a search index over a list of channels
+ * @param {Array} channels - Channels with id, name, group, tvgId, logo and url
+ * @returns {Object} { version, docs, tokens } - docs are the indexed channels, cut down to
+ *   what a result needs; tokens is [word, [doc positions]] sorted by word
+ */
+export function buildSearchIndex(channels) {
+  const docs = [];
+  const postings = new Map();
+
+  channels.forEach(channel => {
+    const position = docs.length;
+    docs.push({
+      id: channel.id,
+      name: channel.name || '',
+      group: channel.group || '',
+      tvgId: channel.tvgId || null,
+      logo: channel.logo || null,
+      url: channel.url || null
+    });
+
+    channelTokens(channel).forEach(token => {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push(position);
+    });
+  });
+
+  const tokens = [...postings].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return { version: SEARCH_INDEX_VERSION, docs, tokens };
+}
+
+// First position in the sorted word list that isn't before the word
+function lowerBound(tokens, word) {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (tokens[middle][0] < word) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Find the channels in an index that match every query word
+ * A query word matches an indexed word it equals or starts, or failing that, one it is
+ * a typo or two away from (see allowedTypos).
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search text
+ * @returns {Array<Object>} { doc, score } - best matches first
+ */
+export function searchIndex(index, query) {
+  const words = [...new Set(tokenize(query))];
+  if (!index || words.length === 0) return [];
+
+  let scores = null;
+  for (const word of words) {
+    const wordScores = new Map();
+    const addScore = (positions, score) => positions.forEach(position => {
+      if ((wordScores.get(position) || 0) < score) wordScores.set(position, score);
+    });
+
+    for (let i = lowerBound(index.tokens, word); i < index.tokens.length; i++) {
+      const [token, positions] = index.tokens[i];
+      if (!token.startsWith(word)) break;
+      addScore(positions, token === word ? EXACT_SCORE : PREFIX_SCORE);
+    }
+
+    // Nothing starts with the word - look for it misspelt
+    if (wordScores.size === 0) {
+      index.tokens.forEach(([token, positions]) => {
+        if (isTypoOf(token, word)) addScore(positions, TYPO_SCORE);
+      });
+    }
+
+    // Every word has to match - keep only the channels that matched all words so far
+    if (scores) {
+      for (const [position, score] of scores) {
+        if (wordScores.has(position)) {
+          wordScores.set(position, wordScores.get(position) + score);
+        }
+      }
+      for (const position of wordScores.keys()) {
+        if (!scores.has(position)) wordScores.delete(position);
+      }
+    }
+    scores = wordScores;
+    if (scores.size === 0) return [];
+  }
+
+  const phrase = words.join(' ');
+  return [...scores]
+    .map(([position, score]) => {
+      const doc = index.docs[position];
+      const nameStart = tokenize(doc.name).join(' ').startsWith(phrase) ? NAME_START_SCORE : 0;
+      return { doc, score: score + nameStart };
+    })
+    .sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name));
+}
+
+/**
+ * Check whether some text matches every query word, the way searchIndex does
+ * For short lists that aren't worth indexing.
+ * @param {string|Array<string>} text - Text, or several texts to match across
+ * @param {string} query - Search text
+ * @returns {number} Score, 0 if it doesn't match
+ */
+export function matchText(text, query) {
+  const words = [...new Set(tokenize(query))];
+  if (words.length === 0) return 0;
+
+  const texts = Array.isArray(text) ? text : [text];
+  const tokens = texts.flatMap(tokenize);
+  let total = 0;
+  for (const word of words) {
+    const score = tokens.reduce((best, token) => {
+      if (token === word) return EXACT_SCORE;
+      if (token.startsWith(word)) return Math.max(best, PREFIX_SCORE);
+      return isTypoOf(token, word) ? Math.max(best, TYPO_SCORE) : best;
+    }, 0);
+    if (score === 0) return 0;
+    total += score;
+  }
+
+  return total + (tokenize(texts[0]).join(' ').startsWith(words.join(' ')) ? NAME_START_SCORE : 0);
+}
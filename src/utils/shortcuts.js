@@ -0,0 +1,284 @@
+import { get, set } from './idbStorage';
+
+/**
+ * Keyboard shortcuts
+ * Every shortcut is an action with default keys, which the user can rebind in Settings.
+ * Pages register handlers for the actions they support while they're shown, and one
+ * document-wide listener (see KeyboardShortcuts.jsx) runs the handler registered last for
+ * the action a key is bound to - so the "?" overlay can list what works on the page.
+ *
+ * Keys are written as combos: modifiers in the order Ctrl, Alt, Shift, Meta, then the key,
+ * e.g. "Ctrl+K", "Shift+N", "Space", "ArrowUp", "?". Letters are upper case; Shift is left
+ * out for symbols, since it's part of the character ("?" rather than "Shift+/").
+ */
+
+export const SHORTCUTS_KEY = 'keyboardShortcuts';
+
+// Where a shortcut works - general ones work on every page
+export const SHORTCUT_SCOPES = {
+  general: 'Everywhere',
+  player: 'Player',
+  browse: 'Country browser'
+};
+
+export const SHORTCUT_ACTIONS = {
+  search: { label: 'Search', scope: 'general', keys: ['/'] },
+  showShortcuts: { label: 'Show keyboard shortcuts', scope: 'general', keys: ['?'] },
+  playPause: { label: 'Play / pause', scope: 'player', keys: ['Space', 'K'] },
+  mute: { label: 'Mute / unmute', scope: 'player', keys: ['M'] },
+  volumeUp: { label: 'Volume up', scope: 'player', keys: ['ArrowUp'] },
+  volumeDown: { label: 'Volume down', scope: 'player', keys: ['ArrowDown'] },
+  fullscreen: { label: 'Fullscreen', scope: 'player', keys: ['F'] },
+  pictureInPicture: { label: 'Picture-in-picture', scope: 'player', keys: ['P'] },
+  quality: { label: 'Next quality level', scope: 'player', keys: ['Q'] },
+  nextChannel: { label: 'Next channel', scope: 'player', keys: ['N', 'PageDown'] },
+  previousChannel: { label: 'Previous channel', scope: 'player', keys: ['Shift+N', 'PageUp'] },
+  favorite: { label: 'Add to / remove from favorites', scope: 'player', keys: ['H'] },
+  nextItem: { label: 'Next in list', scope: 'browse', keys: ['ArrowDown', 'J'] },
+  previousItem: { label: 'Previous in list', scope: 'browse', keys: ['ArrowUp'] }
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'CapsLock', 'Fn', 'Dead']);
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down'
+};
+
+function normalizeKey(key) {
+  if (key === ' ' || key.toLowerCase() === 'space') return 'Space';
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Shift changes a symbol into another symbol, so it only counts for letters and named keys
+function countsShift(key) {
+  return key.length > 1 || /\p{L}/u.test(key);
+}
+
+/**
+ * Bring a combo to its standard spelling ("ctrl+k" -> "Ctrl+K")
+ * @param {string} combo - Combo
+ * @returns {string|null} Combo, or null if there's no key in it
+ */
+export function normalizeCombo(combo) {
+  const parts = String(combo || '').split('+');
+  // "Ctrl++" ends in two empty parts - the key is the plus sign
+  const last = parts.pop();
+  const key = last ? normalizeKey(last.trim()) : parts.length > 0 ? '+' : '';
+  if (!key) return null;
+
+  const modifiers = new Set(parts.map(part => part.trim().toLowerCase()).filter(Boolean));
+  return [
+    ...MODIFIERS.filter(modifier => modifiers.has(modifier.toLowerCase()) && (modifier !== 'Shift' || countsShift(key))),
+    key
+  ].join('+');
+}
+
+/**
+ * Get the combo a key press makes
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {string|null} Combo, or null for a modifier on its own
+ */
+export function eventToCombo(event) {
+  if (!event.key || MODIFIER_KEYS.has(event.key)) return null;
+  const key = normalizeKey(event.key);
+  return [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && countsShift(key) && 'Shift',
+    event.metaKey && 'Meta',
+    key
+  ].filter(Boolean).join('+');
+}
+
+/**
+ * Get a combo the way it's shown to the user
+ * @param {string} combo - Combo
+ * @returns {string} Label, e.g. "Shift+↑"
+ */
+export function formatCombo(combo) {
+  const key = combo.endsWith('+') ? '+' : combo.split('+').pop();
+  return `${combo.slice(0, combo.length - key.length)}${KEY_LABELS[key] || key}`;
+}
+
+/**
+ * Work out the keys of every action
+ * @param {Object} overrides - Stored bindings, action ID to combos, for the changed actions
+ * @returns {Object} Action ID to combos
+ */
+export function getShortcutBindings(overrides) {
+  return Object.fromEntries(Object.entries(SHORTCUT_ACTIONS).map(([id, action]) => {
+    const keys = Array.isArray(overrides?.[id]) ? overrides[id] : action.keys;
+    return [id, [...new Set(keys.map(normalizeCombo).filter(Boolean))]];
+  }));
+}
+
+function scopesOverlap(a, b) {
+  return a === b || a === 'general' || b === 'general';
+}
+
+/**
+ * Load the bindings the user changed
+ * @returns {Promise<Object>} Action ID to combos
+ */
+export async function getShortcutOverrides() {
+  try {
+    return (await get(SHORTCUTS_KEY)) || {};
+  } catch (error) {
+    console.error('Error loading keyboard shortcuts:', error);
+    return {};
+  }
+}
+
+// Store only the actions that differ from their defaults
+async function saveBindings(bindings) {
+  const overrides = Object.fromEntries(Object.entries(bindings).filter(([id, keys]) => {
+    const defaults = SHORTCUT_ACTIONS[id].keys;
+    return keys.length !== defaults.length || keys.some((key, index) => key !== defaults[index]);
+  }));
+  await set(SHORTCUTS_KEY, overrides);
+  return getShortcutBindings(overrides);
+}
+
+/**
+ * Bind a key to an action
+ * The key is taken away from actions it was bound to that work in the same place.
+ * @param {string} actionId - Action ID
+ * @param {string} combo - Combo to add
+ * @returns {Promise<Object>} { bindings, movedFrom } - movedFrom lists the actions that lost the key
+ */
+export async function bindShortcut(actionId, combo) {
+  const key = normalizeCombo(combo);
+  if (!SHORTCUT_ACTIONS[actionId] || !key) throw new Error('Unknown shortcut or key');
+
+  const bindings = getShortcutBindings(await getShortcutOverrides());
+  const { scope } = SHORTCUT_ACTIONS[actionId];
+  const movedFrom = [];
+
+  Object.entries(bindings).forEach(([id, keys]) => {
+    if (id === actionId || !keys.includes(key) || !scopesOverlap(scope, SHORTCUT_ACTIONS[id].scope)) return;
+    bindings[id] = keys.filter(existing => existing !== key);
+    movedFrom.push(id);
+  });
+  if (!bindings[actionId].includes(key)) bindings[actionId] = [...bindings[actionId], key];
+
+  return { bindings: await saveBindings(bindings), movedFrom };
+}
+
+/**
+ * Take a key away from an action
+ * @param {string} actionId - Action ID
+ * @param {string} combo - Combo to remove
+ * @returns {Promise<Object>} All bindings
+ */
+export async function unbindShortcut(actionId, combo) {
+  const bindings = getShortcutBindings(await getShortcutOverrides());
+  const key = normalizeCombo(combo);
+  bindings[actionId] = (bindings[actionId] || []).filter(existing => existing !== key);
+  return saveBindings(bindings);
+}
+
+/**
+ * Go back to the default keys
+ * @param {string} actionId - Action to reset; all of them if omitted
+ * @returns {Promise<Object>} All bindings
+ */
+export async function resetShortcuts(actionId = null) {
+  const bindings = getShortcutBindings(actionId ? await getShortcutOverrides() : {});
+  if (actionId) bindings[actionId] = getShortcutBindings({})[actionId];
+  return saveBindings(bindings);
+}
+
+/**
+ * Restore changed bindings from a backup
+ * @param {Object} overrides - Action ID to combos
+ * @param {Object} options - { replace: drop the current changes first; otherwise actions
+ *   already changed here keep their keys }
+ * @returns {Promise<number>} Number of actions restored
+ */
+export async function restoreShortcuts(overrides, options = {}) {
+  const current = options.replace ? {} : await getShortcutOverrides();
+  let restored = 0;
+
+  Object.entries(overrides).forEach(([id, keys]) => {
+    if (!SHORTCUT_ACTIONS[id] || !Array.isArray(keys) || current[id]) return;
+    current[id] = keys.filter(key => typeof key === 'string');
+    restored++;
+  });
+
+  await set(SHORTCUTS_KEY, current);
+  return restored;
+}
+
+// Handler sources registered by the pages shown, oldest first
+const registrations = [];
+
+/**
+ * Register handlers for shortcut actions while a page or component is shown
+ * @param {Function} getHandlers - Returns the current handlers, action ID to function(event)
+ * @returns {Function} Unregister
+ */
+export function registerShortcutHandlers(getHandlers) {
+  const registration = { getHandlers };
+  registrations.push(registration);
+  return () => {
+    const index = registrations.indexOf(registration);
+    if (index >= 0) registrations.splice(index, 1);
+  };
+}
+
+/**
+ * List the actions that have a handler right now
+ * @returns {Array<string>} Action IDs, in SHORTCUT_ACTIONS order
+ */
+export function getActiveShortcutActions() {
+  const active = new Set(registrations.flatMap(registration =>
+    Object.entries(registration.getHandlers() || {}).filter(([, handler]) => handler).map(([id]) => id)
+  ));
+  return Object.keys(SHORTCUT_ACTIONS).filter(id => active.has(id));
+}
+
+/**
+ * Check whether a key press goes to a text field rather than to shortcuts
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True while typing
+ */
+export function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  if (tag !== 'input') return false;
+  return !['button', 'checkbox', 'radio', 'range', 'reset', 'submit', 'color', 'file'].includes((target.type || '').toLowerCase());
+}
+
+/**
+ * Run the shortcut a key press is bound to, if a handler is registered for it
+ * @param {KeyboardEvent} event - keydown event
+ * @param {Object} bindings - From getShortcutBindings
+ * @returns {boolean} True if a shortcut ran
+ */
+export function handleShortcutEvent(event, bindings) {
+  if (event.defaultPrevented || isTypingTarget(event.target)) return false;
+  const combo = eventToCombo(event);
+  if (!combo) return false;
+
+  const actions = Object.keys(bindings).filter(id => bindings[id].includes(combo));
+  if (actions.length === 0) return false;
+
+  for (let i = registrations.length - 1; i >= 0; i--) {
+    const handlers = registrations[i].getHandlers() || {};
+    const actionId = actions.find(id => handlers[id]);
+    if (actionId) {
+      event.preventDefault();
+      handlers[actionId](event);
+      return true;
+    }
+  }
+  return false;
+}
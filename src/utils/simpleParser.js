@@ -1,4 +1,6 @@
 import * as apiClient from './apiClient';
+import { createM3ULineParser } from './m3uStream';
+import { createChannelIdFactory } from './channelIdentity';
 
 /**
  * Parse M3U8 content into a structured format
@@ -11,119 +13,31 @@ export function parseM3U8(content) {
     return { header: {}, segments: [] };
   }
 
-  // Trim content and log some info for debugging
-  content = content.trim();
-  console.log(`Parsing ${content.length} bytes, starts with: ${content.substring(0, 50)}...`);
-  
-  // Check if this looks like an M3U file by searching for key indicators
-  const hasExtM3u = content.includes('#EXTM3U');
-  const hasExtInf = content.includes('#EXTINF');
-  const hasHttpUrls = content.includes('http://') || content.includes('https://');
-  
-  console.log('Content indicators:', { hasExtM3u, hasExtInf, hasHttpUrls });
-  
-  const manifest = { header: {}, segments: [] };
-
   try {
-    // Normalize line endings - some files might use \r\n or just \r
-    content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    
-    // More flexible check - if it doesn't have #EXTM3U, add it for local files
-    if (!hasExtM3u && hasExtInf) {
-      console.log('Adding missing #EXTM3U header');
-      content = '#EXTM3U\n' + content;
+    // Same line parser the playlist worker streams through, fed the whole text at once
+    const parser = createM3ULineParser();
+    const segments = [];
+    for (const line of content.split(/\r\n|\n|\r/)) {
+      const segment = parser.push(line);
+      if (segment) segments.push(segment);
     }
-    
-    // Split into lines - this is crucial for correct parsing
-    const lines = content.split('\n');
-    console.log(`File contains ${lines.length} lines`);
-    
-    let currentSegment = null;
-    let hasExtInfFound = false;
-    
-    // First pass - try standard M3U8 parsing
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
 
-      if (line.startsWith('#EXTINF:')) {
-        hasExtInfFound = true;
-        currentSegment = { attributes: {} };
-        
-        // Try to extract duration
-        const durationMatch = line.match(/#EXTINF:(-?\d+(\.\d+)?)/);
-        currentSegment.duration = durationMatch ? parseFloat(durationMatch[1]) : 0;
+    const manifest = { header: parser.header, segments };
 
-        // Extract title (everything after comma)
-        const commaIndex = line.indexOf(',');
-        currentSegment.title = commaIndex !== -1 ? line.substring(commaIndex + 1).trim() : '';
-
-        // Extract attributes like tvg-id, tvg-logo, etc.
-        const attributes = {};
-        const attrMatches = [...line.matchAll(/([a-zA-Z0-9-_]+)="([^"]*)"/g)];
-        for (const match of attrMatches) {
-          attributes[match[1]] = match[2];
-        }
-        currentSegment.attributes = attributes;
-      } 
-      // If we have a current segment and this line is not a comment, it's the URL
-      else if (currentSegment && !line.startsWith('#')) {
-        currentSegment.uri = line;
-        manifest.segments.push(currentSegment);
-        currentSegment = null;
-      }
-    }
-
-    // If we couldn't find segments with #EXTINF tags, try a more lenient approach
-    if (!hasExtInfFound || manifest.segments.length === 0) {
-      console.log('No standard segments found, trying alternative parsing approaches');
-      
-      // Look for plain URLs
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        // Skip empty lines and comments (unless this is a channel name)
-        if (!line || (line.startsWith('#') && !line.startsWith('#EXTINF'))) {
-          continue;
-        }
-        
-        // If it's a URL, add it as a segment
-        if (line.match(/^https?:\/\//i) || line.match(/^rtmp:\/\//i) || 
-            line.match(/^rtsp:\/\//i) || line.match(/^udp:\/\//i)) {
-          
-          // Try to find a name in the previous line if it was a comment
-          let title = `Channel ${manifest.segments.length + 1}`;
-          if (i > 0 && lines[i-1].startsWith('#') && !lines[i-1].startsWith('#EXTINF')) {
-            title = lines[i-1].substring(1).trim();
-          }
-          
-          manifest.segments.push({
-            uri: line,
-            title: title,
-            attributes: {},
-            duration: 0
-          });
-        }
-      }
-    }
-    
     // If we still have no segments, make one last attempt to extract anything that looks like a URL
     if (manifest.segments.length === 0) {
-      console.log('Still no segments found, looking for any URLs in content');
+      console.log('No playlist entries found, looking for any URLs in content');
       const urlRegex = /(https?:\/\/[^\s\n\r]+)/g;
-      const matches = content.match(urlRegex);
-      
-      if (matches && matches.length > 0) {
-        console.log(`Found ${matches.length} URLs`);
-        matches.forEach((url, index) => {
-          manifest.segments.push({
-            uri: url,
-            title: `Channel ${index + 1}`,
-            attributes: {},
-            duration: 0
-          });
+      const matches = content.match(urlRegex) || [];
+
+      matches.forEach((url, index) => {
+        manifest.segments.push({
+          uri: url,
+          title: `Channel ${index + 1}`,
+          attributes: {},
+          duration: 0
         });
-      }
+      });
     }
     
     console.log(`Parsing complete: found ${manifest.segments.length} segments`);
@@ -134,6 +48,54 @@ export function parseM3U8(content) {
   }
 }
 
+/**
+ * Make a value safe to write inside a quoted M3U attribute
+ * M3U has no escaping, so double quotes and line breaks are replaced
+ */
+function cleanAttributeValue(value) {
+  return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Format attributes as key="value" pairs
+ */
+function formatAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([key, value]) => key && value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}="${cleanAttributeValue(value)}"`)
+    .join(' ');
+}
+
+/**
+ * Serialize a manifest back into M3U8 text - the inverse of parseM3U8
+ * @param {Object} manifest - { header, segments } as produced by parseM3U8
+ * @returns {string} M3U8 playlist text
+ */
+export function serializeM3U8(manifest) {
+  const headerAttributes = formatAttributes(manifest?.header);
+  const lines = [headerAttributes ? `#EXTM3U ${headerAttributes}` : '#EXTM3U'];
+
+  (manifest?.segments || []).forEach(segment => {
+    if (!segment?.uri) return;
+
+    const duration = Number.isFinite(segment.duration) && segment.duration !== 0 ? segment.duration : -1;
+    const attributes = formatAttributes(segment.attributes);
+    const title = String(segment.title || '').replace(/[\r\n]+/g, ' ').trim();
+    lines.push(`#EXTINF:${duration}${attributes ? ` ${attributes}` : ''},${title}`);
+
+    Object.entries(segment.kodiProps || {}).forEach(([key, value]) => {
+      lines.push(`#KODIPROP:${key}=${value}`);
+    });
+    Object.entries(segment.vlcOptions || {}).forEach(([key, value]) => {
+      lines.push(`#EXTVLCOPT:${key}=${value}`);
+    });
+
+    lines.push(segment.uri);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
 /**
  * Extract channels from parsed manifest
  * @param {Object} manifest - Parsed manifest
@@ -145,10 +107,13 @@ export function extractChannels(manifest, playlistId = null) {
     return [];
   }
   
+  const channelIds = createChannelIdFactory(playlistId || 'channel');
+  
   return manifest.segments.map((segment, index) => {
+    const name = segment.title || `Channel ${index + 1}`;
     const channel = {
-      id: `channel_${index}`,
-      name: segment.title || `Channel ${index + 1}`,
+      id: channelIds({ tvgId: segment.attributes?.['tvg-id'], name, url: segment.uri }),
+      name,
       url: segment.uri,
       duration: segment.duration,
       attributes: segment.attributes || {}
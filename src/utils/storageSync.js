@@ -0,0 +1,78 @@
+/**
+ * Change notifications for stored data, within this tab and across tabs
+ * Every write through idbStorage.js announces which store (and, for the key/value
+ * store, which key) changed. Other tabs of the app hear about it over a BroadcastChannel
+ * so they can drop cached values and reload what they show.
+ */
+
+const CHANNEL_NAME = 'iptv-storage-changes';
+
+const listeners = new Set();
+let channel = null;
+
+function dispatch(change) {
+  listeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Storage change listener failed:', error);
+    }
+  });
+}
+
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = event => dispatch({ ...event.data, remote: true });
+  }
+  return channel;
+}
+
+/**
+ * Announce that stored data changed
+ * @param {string} store - Object store name (one of STORES in idbStorage.js)
+ * @param {string} key - For the key/value store, the key that changed; omit when all keys did
+ */
+export function notifyStorageChange(store, key = null) {
+  const change = { store, key };
+  dispatch({ ...change, remote: false });
+
+  try {
+    getChannel()?.postMessage(change);
+  } catch (error) {
+    console.error('Failed to broadcast storage change:', error);
+  }
+}
+
+/**
+ * Listen for changes to stored data
+ * @param {Function} listener - Called with { store, key, remote } - remote is true for changes made in another tab
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeStorageChanges(listener) {
+  // Start listening to other tabs as soon as anyone is interested
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Listen for changes to some object stores, coalescing bursts of writes into one call
+ * @param {Array<string>} stores - Object store names to watch
+ * @param {Function} listener - Called with no arguments after the stores changed
+ * @param {number} delay - Milliseconds to wait for more changes before calling
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeStores(stores, listener, delay = 100) {
+  let timer = null;
+  const unsubscribe = subscribeStorageChanges(change => {
+    if (!stores.includes(change.store)) return;
+    clearTimeout(timer);
+    timer = setTimeout(listener, delay);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Per-channel HTTP options taken from #EXTVLCOPT / #KODIPROP playlist lines
+ * and helpers to apply them to hls.js requests
+ */
+
+// Headers the browser will never let a script set on an XHR/fetch request
+// (https://fetch.spec.whatwg.org/#forbidden-request-header). User-Agent is
+// allowed by the spec but Chromium still refuses it, so treat it as forbidden.
+const FORBIDDEN_HEADERS = new Set([
+  'accept-charset',
+  'accept-encoding',
+  'access-control-request-headers',
+  'access-control-request-method',
+  'connection',
+  'content-length',
+  'cookie',
+  'cookie2',
+  'date',
+  'dnt',
+  'expect',
+  'host',
+  'keep-alive',
+  'origin',
+  'referer',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'user-agent',
+  'via'
+]);
+
+// VLC option name -> HTTP header name
+const VLC_HEADER_OPTIONS = {
+  'http-referrer': 'Referer',
+  'http-referer': 'Referer',
+  'http-user-agent': 'User-Agent',
+  'http-origin': 'Origin',
+  'http-cookie': 'Cookie'
+};
+
+/**
+ * Parse a "#EXTVLCOPT:key=value" or "#KODIPROP:key=value" line
+ * @param {string} line - Raw playlist line
+ * @returns {Array|null} [key, value] pair or null if the line is malformed
+ */
+export function parseOptionLine(line) {
+  const colonIndex = line.indexOf(':');
+  if (colonIndex === -1) return null;
+
+  const option = line.substring(colonIndex + 1).trim();
+  const equalsIndex = option.indexOf('=');
+  if (equalsIndex <= 0) return null;
+
+  return [
+    option.substring(0, equalsIndex).trim().toLowerCase(),
+    option.substring(equalsIndex + 1).trim()
+  ];
+}
+
+/**
+ * Parse a Kodi "stream_headers" value (Header=Value&Header2=Value2)
+ * @param {string} value - Encoded header string
+ * @returns {Object} Header map
+ */
+function parseKodiHeaders(value) {
+  const headers = {};
+  if (!value) return headers;
+
+  value.split('&').forEach(pair => {
+    const equalsIndex = pair.indexOf('=');
+    if (equalsIndex <= 0) return;
+
+    const name = pair.substring(0, equalsIndex).trim();
+    let headerValue = pair.substring(equalsIndex + 1).trim();
+    try {
+      headerValue = decodeURIComponent(headerValue);
+    } catch (e) {
+      // Keep the raw value if it isn't URI-encoded
+    }
+    if (name) headers[name] = headerValue;
+  });
+
+  return headers;
+}
+
+/**
+ * Build the HTTP options for a channel from its VLC options and Kodi properties
+ * @param {Object} vlcOptions - Options from #EXTVLCOPT lines
+ * @param {Object} kodiProps - Properties from #KODIPROP lines
+ * @returns {Object|null} { referrer, userAgent, headers } or null if there are none
+ */
+export function extractHttpOptions(vlcOptions = {}, kodiProps = {}) {
+  const headers = {};
+
+  Object.entries(vlcOptions || {}).forEach(([key, value]) => {
+    const headerName = VLC_HEADER_OPTIONS[key];
+    if (headerName && value) {
+      headers[headerName] = value;
+    }
+  });
+
+  // Kodi inputstream.adaptive headers apply to both manifest and segment requests
+  const kodiHeaders = {
+    ...parseKodiHeaders(kodiProps?.['inputstream.adaptive.stream_headers']),
+    ...parseKodiHeaders(kodiProps?.['inputstream.adaptive.manifest_headers'])
+  };
+  Object.entries(kodiHeaders).forEach(([name, value]) => {
+    // VLC options take precedence over Kodi properties
+    const existing = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    if (!existing) headers[name] = value;
+  });
+
+  if (Object.keys(headers).length === 0) return null;
+
+  const findHeader = (name) => {
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name);
+    return key ? headers[key] : null;
+  };
+
+  return {
+    referrer: findHeader('referer'),
+    userAgent: findHeader('user-agent'),
+    headers
+  };
+}
+
+/**
+ * Check whether the browser allows a script to set a request header
+ * @param {string} name - Header name
+ * @returns {boolean} True if the header can be set
+ */
+export function isHeaderAllowed(name) {
+  const lower = String(name).toLowerCase();
+  if (FORBIDDEN_HEADERS.has(lower)) return false;
+  if (lower.startsWith('proxy-') || lower.startsWith('sec-')) return false;
+  return true;
+}
+
+/**
+ * Split a channel's headers into the ones we can send and the ones the browser refuses
+ * @param {Object} httpOptions - Channel HTTP options
+ * @returns {Object} { allowed, refused } where allowed is a header map and refused a list of names
+ */
+export function partitionHeaders(httpOptions) {
+  const allowed = {};
+  const refused = [];
+
+  Object.entries(httpOptions?.headers || {}).forEach(([name, value]) => {
+    if (isHeaderAllowed(name)) {
+      allowed[name] = value;
+    } else {
+      refused.push(name);
+    }
+  });
+
+  return { allowed, refused };
+}
+
+/**
+ * Build a warning for headers the browser will not send for a channel
+ * @param {Object} httpOptions - Channel HTTP options
+ * @param {string} channelName - Channel name for the message
+ * @returns {string|null} Warning text or null if all headers can be applied
+ */
+export function getRefusedHeadersWarning(httpOptions, channelName = 'This channel') {
+  const { refused } = partitionHeaders(httpOptions);
+  if (refused.length === 0) return null;
+
+  return `${channelName} requests ${refused.join(', ')} ` +
+    `${refused.length === 1 ? 'header' : 'headers'}, which the browser does not allow. ` +
+    'The stream may refuse playback without them - run the local stream proxy (npm run proxy) to send them.';
+}
+
+/**
+ * Create an hls.js xhrSetup function that applies the channel's allowed headers
+ * hls.js calls xhrSetup before opening the request, and headers can only be set on an
+ * open one, so the request is opened here; hls.js doesn't open it again.
+ * @param {Object} httpOptions - Channel HTTP options
+ * @param {number} timeout - XHR timeout in milliseconds
+ * @returns {Function} xhrSetup(xhr, url)
+ */
+export function createXhrSetup(httpOptions, timeout = 30000) {
+  const { allowed } = partitionHeaders(httpOptions);
+
+  return function(xhr, url) {
+    if (xhr.readyState === 0) {
+      xhr.open('GET', url, true);
+    }
+    xhr.timeout = timeout;
+
+    // The request is open now, so a failure here is the browser refusing the header
+    Object.entries(allowed).forEach(([name, value]) => {
+      try {
+        xhr.setRequestHeader(name, value);
+      } catch (e) {
+        console.warn(`Could not set ${name} header:`, e);
+      }
+    });
+  };
+}
@@ -0,0 +1,410 @@
+import { get, set } from './idbStorage';
+import { getProxyChain, buildProxyChain, getProxiedUrl, applyProxyTemplate } from './proxySettings';
+import { partitionHeaders } from './streamHeaders';
+import { getPlaylist, getStreamHealthKey, markStreamsAsInvalid, clearInvalidStreams } from './playlist';
+import { getPlaylistChannels } from './channelDb';
+import { resolveXtreamUrl, hasXtreamPassword } from './xtream';
+
+/**
+ * Stream health scanning
+ * Probes the streams of a playlist a few at a time: the manifest is downloaded and,
+ * for HLS, the first segment of the first variant too, since plenty of servers hand out
+ * a manifest for streams that are long gone. Results are stored per playlist, keyed by
+ * stream URL, so PlaylistView can badge channels as online, offline or not yet checked.
+ */
+
+export const HEALTH_STATUS = {
+  online: 'online',
+  offline: 'offline',
+  unknown: 'unknown'
+};
+
+// Why a probe failed
+export const HEALTH_ERRORS = {
+  timeout: 'Timed out',
+  network: 'Network or CORS error',
+  http: 'HTTP error',
+  invalid: 'Not a playable stream',
+  segment: 'Segment unavailable',
+  unsupported: 'Protocol not supported by the browser'
+};
+
+const PROBE_TIMEOUT = 10000;
+const DEFAULT_CONCURRENCY = 6;
+// Enough of a manifest to find the first variant or segment
+const MANIFEST_BYTES = 256 * 1024;
+// A segment that answers with data is good enough - no need to download all of it
+const SEGMENT_BYTES = 16 * 1024;
+const SAVE_EVERY = 20;
+
+class ProbeError extends Error {
+  constructor(errorClass, message, httpStatus = null) {
+    super(message);
+    this.errorClass = errorClass;
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Read the start of a response body and stop the download
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Bytes to read at most
+ * @returns {Promise<Uint8Array>} The bytes read
+ */
+async function readStart(response, maxBytes) {
+  if (!response.body?.getReader) {
+    return new Uint8Array(await response.arrayBuffer()).subarray(0, maxBytes);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    while (length < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  const bytes = new Uint8Array(Math.min(length, maxBytes));
+  let offset = 0;
+  for (const chunk of chunks) {
+    if (offset >= bytes.length) break;
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+// The local proxy rewrites manifest URIs to point back at itself - those go as they are,
+// like createProxyLoader does, since it refuses to proxy its own address
+function requestUrlFor(url, proxy) {
+  if (!proxy?.template) return url;
+  const proxyOrigin = new URL(applyProxyTemplate(proxy.template, '')).origin;
+  return url.startsWith(proxyOrigin) ? url : getProxiedUrl(url, proxy);
+}
+
+/**
+ * Fetch the start of a URL through one proxy chain entry
+ * @returns {Promise<Object>} { bytes, url } - url is where relative entries resolve against
+ */
+async function fetchStart(url, proxy, headers, maxBytes, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timeoutId = setTimeout(abort, PROBE_TIMEOUT);
+  signal?.addEventListener('abort', abort);
+
+  try {
+    const response = await fetch(requestUrlFor(url, proxy), { headers, signal: controller.signal });
+    if (!response.ok) {
+      throw new ProbeError('http', `Server returned ${response.status} ${response.statusText}`.trim(), response.status);
+    }
+    const bytes = await readStart(response, maxBytes);
+    // A proxy's response URL is the proxy's, so only direct requests can follow redirects
+    return { bytes, url: proxy.template ? url : (response.url || url) };
+  } catch (error) {
+    if (error instanceof ProbeError) throw error;
+    if (signal?.aborted) throw error;
+    if (error.name === 'AbortError') {
+      throw new ProbeError('timeout', `No answer within ${PROBE_TIMEOUT / 1000} seconds`);
+    }
+    throw new ProbeError('network', error.message || 'Request failed');
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Pick the URI lines and stream-inf attributes out of an HLS playlist
+ * @param {string} text - Playlist text
+ * @returns {Object} { variants: [{ uri, width, height }], segments: [uri] }
+ */
+function parseHlsPlaylist(text) {
+  const variants = [];
+  const segments = [];
+  let streamInf = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXT-X-STREAM-INF')) {
+      const resolution = line.match(/RESOLUTION=(\d+)x(\d+)/i);
+      streamInf = resolution ? { width: Number(resolution[1]), height: Number(resolution[2]) } : {};
+    } else if (!line.startsWith('#')) {
+      if (streamInf) {
+        variants.push({ uri: line, ...streamInf });
+        streamInf = null;
+      } else {
+        segments.push(line);
+      }
+    }
+  });
+
+  return { variants, segments };
+}
+
+function decode(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Probe a stream through one proxy chain entry
+ * @returns {Promise<Object>} { resolution }
+ */
+async function probeThrough(url, proxy, headers, signal) {
+  const manifest = await fetchStart(url, proxy, headers, MANIFEST_BYTES, signal);
+  const text = decode(manifest.bytes).replace(/^\uFEFF/, '').trimStart();
+
+  // Not HLS - a progressive stream that answers with data is playing
+  if (!text.startsWith('#EXTM3U')) {
+    if (manifest.bytes.length === 0) {
+      throw new ProbeError('invalid', 'The server returned an empty response');
+    }
+    return { resolution: null };
+  }
+
+  let playlist = parseHlsPlaylist(text);
+  let playlistUrl = manifest.url;
+  let resolution = null;
+
+  if (playlist.variants.length > 0) {
+    const best = playlist.variants.reduce((a, b) => ((b.height || 0) > (a.height || 0) ? b : a));
+    resolution = best.height ? `${best.width}x${best.height}` : null;
+
+    const variantUrl = new URL(playlist.variants[0].uri, playlistUrl).href;
+    const variant = await fetchStart(variantUrl, proxy, headers, MANIFEST_BYTES, signal);
+    playlist = parseHlsPlaylist(decode(variant.bytes));
+    playlistUrl = variant.url;
+  }
+
+  if (playlist.segments.length === 0) {
+    throw new ProbeError('invalid', 'The playlist lists no segments');
+  }
+
+  try {
+    const segment = await fetchStart(new URL(playlist.segments[0], playlistUrl).href, proxy, headers, SEGMENT_BYTES, signal);
+    if (segment.bytes.length === 0) {
+      throw new ProbeError('segment', 'The first segment is empty');
+    }
+  } catch (error) {
+    if (!(error instanceof ProbeError)) throw error;
+    throw new ProbeError('segment', `First segment failed: ${error.message}`, error.httpStatus);
+  }
+
+  return { resolution };
+}
+
+/**
+ * Probe one stream: download its manifest and first segment, going down the proxy chain
+ * @param {Object} channel - Channel with url and httpOptions
+ * @param {Object} options - { override, signal } - override is the playlist's proxyOverride
+ * @returns {Promise<Object>} { status, latency, resolution, errorClass, httpStatus, error, checkedAt }
+ */
+export async function probeStream(channel, options = {}) {
+  const { override = null, signal } = options;
+  const checkedAt = new Date().toISOString();
+
+  if (!/^https?:\/\//i.test(channel.url || '')) {
+    return {
+      status: HEALTH_STATUS.unknown,
+      latency: null,
+      resolution: null,
+      errorClass: 'unsupported',
+      httpStatus: null,
+      error: HEALTH_ERRORS.unsupported,
+      checkedAt
+    };
+  }
+
+  const httpOptions = channel.httpOptions || null;
+  const chain = buildProxyChain({ purpose: 'stream', override, httpOptions, credentials: hasXtreamPassword(channel.url) });
+  const { allowed } = partitionHeaders(httpOptions);
+  const requestUrl = await resolveXtreamUrl(channel.url);
+
+  let lastError = null;
+  for (const proxy of chain) {
+    const started = Date.now();
+    try {
+      const { resolution } = await probeThrough(requestUrl, proxy, allowed, signal);
+      return {
+        status: HEALTH_STATUS.online,
+        latency: Date.now() - started,
+        resolution,
+        errorClass: null,
+        httpStatus: null,
+        error: null,
+        checkedAt,
+        proxyId: proxy.id
+      };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // A stream that answered but is broken stays broken through a proxy; a blocked request might not
+      if (lastError === null || lastError.errorClass === 'network' || lastError.errorClass === 'timeout') {
+        lastError = error;
+      }
+    }
+  }
+
+  return {
+    status: HEALTH_STATUS.offline,
+    latency: null,
+    resolution: null,
+    errorClass: lastError?.errorClass || 'network',
+    httpStatus: lastError?.httpStatus || null,
+    error: lastError?.message || 'Stream not reachable',
+    checkedAt
+  };
+}
+
+/**
+ * Get the stored scan results of a playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Object>} Map of stream URL to probe result
+ */
+export async function getStreamHealth(playlistId) {
+  const health = await get(getStreamHealthKey(playlistId));
+  return health && typeof health === 'object' ? health : {};
+}
+
+/**
+ * Get the health status of a channel from scan results
+ * @param {Object} health - Map of stream URL to probe result
+ * @param {Object} channel - Channel
+ * @returns {string} One of HEALTH_STATUS
+ */
+export function getChannelHealthStatus(health, channel) {
+  return health?.[channel.url]?.status || HEALTH_STATUS.unknown;
+}
+
+/**
+ * Fold the invalid streams registry into scan results
+ * A stream that failed to play, or failed a recheck, after the last scan counts as offline.
+ * @param {Object} health - Map of stream URL to probe result
+ * @param {Object} invalidStreams - Map of stream URL to { timestamp, reason, attempts }
+ * @returns {Object} Map of stream URL to probe result - marked ones have markedInvalid set
+ */
+export function mergeInvalidStreams(health, invalidStreams) {
+  const merged = { ...health };
+  for (const [url, record] of Object.entries(invalidStreams || {})) {
+    // checkedAt is an ISO date, the registry's timestamp is in ms
+    if ((Date.parse(merged[url]?.checkedAt) || 0) >= (record.timestamp || 0)) continue;
+    merged[url] = {
+      status: HEALTH_STATUS.offline,
+      latency: null,
+      resolution: merged[url]?.resolution || null,
+      errorClass: null,
+      httpStatus: null,
+      error: record.reason || 'Marked invalid',
+      checkedAt: new Date(record.timestamp).toISOString(),
+      markedInvalid: true
+    };
+  }
+  return merged;
+}
+
+/**
+ * Probe streams a few at a time
+ * @param {Array<Object>} entries - { channel, override } - override is the proxyOverride of the channel's playlist
+ * @param {Object} options - { concurrency, signal, onResult }
+ *   onResult is called with (channel, result) as each probe finishes
+ * @returns {Promise<void>} Resolves when every stream was probed or the scan was cancelled
+ */
+export async function probeStreams(entries, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, signal, onResult } = options;
+  if (entries.length === 0) return;
+
+  // Load the proxy settings and look for the companion once, not once per stream
+  await getProxyChain({ purpose: 'stream' });
+
+  let next = 0;
+  const worker = async () => {
+    while (next < entries.length && !signal?.aborted) {
+      const { channel, override = null } = entries[next++];
+      try {
+        const result = await probeStream(channel, { override, signal });
+        onResult?.(channel, result);
+      } catch (error) {
+        if (signal?.aborted) return;
+        console.error(`Error probing ${channel.url}:`, error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, entries.length)) }, worker));
+}
+
+/**
+ * Probe every stream of a playlist, a few at a time
+ * Results are saved as they come in. Offline streams are marked invalid, and streams that
+ * were marked invalid but answered are cleared.
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} options - { concurrency, onProgress, signal }
+ *   onProgress is called with { done, total, online, offline, unknown } after each probe
+ * @returns {Promise<Object>} { total, online, offline, unknown, cancelled }
+ */
+export async function scanPlaylist(playlistId, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, onProgress, signal } = options;
+
+  const playlist = await getPlaylist(playlistId);
+  if (!playlist) {
+    throw new Error('Playlist not found');
+  }
+
+  const channels = await getPlaylistChannels(playlistId);
+  // Channels sharing a stream only need one probe
+  const byUrl = new Map();
+  channels.forEach(channel => {
+    if (channel.url && !byUrl.has(channel.url)) byUrl.set(channel.url, channel);
+  });
+  const override = playlist.proxyOverride || null;
+  const entries = [...byUrl.values()].map(channel => ({ channel, override }));
+
+  const health = await getStreamHealth(playlistId);
+  const counts = { done: 0, total: entries.length, online: 0, offline: 0, unknown: 0 };
+  const dead = {};
+  const alive = [];
+  let unsaved = 0;
+  let saving = Promise.resolve();
+
+  const save = () => {
+    unsaved = 0;
+    const snapshot = { ...health };
+    saving = saving
+      .then(() => set(getStreamHealthKey(playlistId), snapshot))
+      .catch(error => console.error('Error saving stream health:', error));
+    return saving;
+  };
+
+  await probeStreams(entries, {
+    concurrency,
+    signal,
+    onResult: (channel, result) => {
+      health[channel.url] = result;
+      counts.done++;
+      counts[result.status]++;
+      if (result.status === HEALTH_STATUS.offline) {
+        dead[channel.url] = `Health scan: ${result.error}`;
+      } else if (result.status === HEALTH_STATUS.online) {
+        alive.push(channel.url);
+      }
+      if (++unsaved >= SAVE_EVERY) save();
+      onProgress?.({ ...counts });
+    }
+  });
+
+  await save();
+  if (Object.keys(dead).length > 0) {
+    await markStreamsAsInvalid(dead);
+  }
+  await clearInvalidStreams(alive);
+
+  const { total, online, offline, unknown } = counts;
+  return { total, online, offline, unknown, cancelled: !!signal?.aborted };
+}
@@ -0,0 +1,140 @@
+import {
+  getInvalidStreams, markStreamsAsInvalid, clearInvalidStreams, findChannelByUrl, getPlaylist
+} from './playlist';
+import { probeStreams, HEALTH_STATUS } from './streamHealth';
+
+/**
+ * Re-validation of streams marked invalid
+ * A stream that failed is rechecked after a while, since servers come back. Each failure
+ * in a row doubles the wait, so streams that are gone for good stop costing requests.
+ * A recheck that answers clears the record; one that fails counts as another attempt.
+ */
+
+const CHECK_INTERVAL = 10 * 60 * 1000;
+// Wait a while after startup, after the playlist refresh scheduler has had its go
+const STARTUP_DELAY = 60 * 1000;
+const FIRST_RECHECK_DELAY = 6 * 60 * 60 * 1000;
+const MAX_RECHECK_DELAY = 7 * 24 * 60 * 60 * 1000;
+// Streams rechecked per scheduler run, so a long list is worked through gradually
+const BATCH_SIZE = 10;
+const RECHECK_CONCURRENCY = 3;
+
+let timerId = null;
+let running = false;
+let rechecking = false;
+
+/**
+ * Work out when an invalid stream is due to be rechecked
+ * 6 hours after the first failure, then 12, 24 ... up to a week
+ * @param {Object} record - { timestamp, reason, attempts } from getInvalidStreams
+ * @returns {number} Time in ms
+ */
+export function getRecheckAt(record) {
+  const attempts = Math.max(1, record?.attempts || 1);
+  return (record?.timestamp || 0) + Math.min(FIRST_RECHECK_DELAY * 2 ** (attempts - 1), MAX_RECHECK_DELAY);
+}
+
+/**
+ * Get the invalid streams that are due for a recheck, longest overdue first
+ * @param {Object} invalidStreams - Map of stream URL to record
+ * @param {number} now - Current time in ms
+ * @returns {Array<string>} Stream URLs
+ */
+export function getDueStreams(invalidStreams, now = Date.now()) {
+  return Object.entries(invalidStreams)
+    .filter(([, record]) => getRecheckAt(record) <= now)
+    .sort(([, a], [, b]) => getRecheckAt(a) - getRecheckAt(b))
+    .map(([url]) => url);
+}
+
+/**
+ * Probe streams marked invalid, clearing those that answer
+ * @param {Array<string>} streamUrls - Stream URLs
+ * @param {Object} options - { signal, onProgress } - onProgress is called with { done, total }
+ * @returns {Promise<Object>} { online, offline } - counts
+ */
+export async function retestStreams(streamUrls, options = {}) {
+  const { signal, onProgress } = options;
+
+  // Use the playlist entry, when there is one, for the stream's headers and proxy override
+  const entries = [];
+  for (const url of streamUrls) {
+    const channel = await findChannelByUrl(url);
+    const playlist = channel ? await getPlaylist(channel.playlistId) : null;
+    entries.push({ channel: channel || { url }, override: playlist?.proxyOverride || null });
+  }
+
+  const alive = [];
+  const dead = {};
+  let done = 0;
+  await probeStreams(entries, {
+    concurrency: RECHECK_CONCURRENCY,
+    signal,
+    onResult: (channel, result) => {
+      if (result.status === HEALTH_STATUS.online) {
+        alive.push(channel.url);
+      } else {
+        // Streams that can't be checked back off like dead ones, rather than coming up every run
+        dead[channel.url] = `Recheck: ${result.error}`;
+      }
+      onProgress?.({ done: ++done, total: entries.length });
+    }
+  });
+
+  await clearInvalidStreams(alive);
+  if (Object.keys(dead).length > 0) {
+    await markStreamsAsInvalid(dead);
+  }
+
+  return { online: alive.length, offline: Object.keys(dead).length };
+}
+
+/**
+ * Recheck the invalid streams that are due, a batch at a time
+ * @returns {Promise<Object|null>} { online, offline }, or null if nothing was due
+ */
+export async function revalidateDueStreams() {
+  if (rechecking) return null;
+  // Taken before the first await, so two ticks can't both start a run
+  rechecking = true;
+
+  try {
+    const due = getDueStreams(await getInvalidStreams()).slice(0, BATCH_SIZE);
+    if (due.length === 0) return null;
+
+    console.log(`Rechecking ${due.length} invalid streams`);
+    return await retestStreams(due);
+  } finally {
+    rechecking = false;
+  }
+}
+
+/**
+ * Start rechecking due invalid streams every few minutes
+ * @returns {Function} Stops the scheduler
+ */
+export function startRevalidationScheduler() {
+  if (running) return stopRevalidationScheduler;
+  running = true;
+
+  const tick = async () => {
+    try {
+      await revalidateDueStreams();
+    } catch (error) {
+      console.error('Stream revalidation error:', error);
+    }
+    if (running) timerId = setTimeout(tick, CHECK_INTERVAL);
+  };
+
+  timerId = setTimeout(tick, STARTUP_DELAY);
+  return stopRevalidationScheduler;
+}
+
+/**
+ * Stop the background revalidation scheduler
+ */
+export function stopRevalidationScheduler() {
+  running = false;
+  if (timerId) clearTimeout(timerId);
+  timerId = null;
+}
@@ -0,0 +1,132 @@
+/**
+ * Resolve relative stream, logo and guide URLs in a playlist against the playlist's own URL
+ * Has no DOM dependencies so the playlist parser worker can use it too.
+ */
+
+// Anything with a scheme (http:, rtmp:, udp:, data: ...) is already absolute
+const ABSOLUTE_URL = /^[a-z][a-z0-9+.-]*:/i;
+
+// "example.com/logo.png" - a host without a scheme, which formatLogoUrl already handles
+const SCHEMELESS_HOST = /^(?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?\//i;
+
+// Channel attributes that hold a URL
+const URL_ATTRIBUTES = ['tvg-logo', 'tvg-url'];
+
+// #EXTM3U attributes that hold comma-separated URLs
+const HEADER_URL_ATTRIBUTES = ['url-tvg', 'x-tvg-url'];
+
+/**
+ * Get the original URL out of a CORS proxy URL
+ * Understands ?url=<url>, ?<encoded url> (corsproxy.io) and /<url> (cors-anywhere)
+ * @param {string} url - Possibly proxied URL
+ * @returns {string} The proxied URL, or the input if it isn't a proxy URL
+ */
+export function stripProxyUrl(url) {
+  try {
+    const parsed = new URL(url);
+
+    const param = parsed.searchParams.get('url');
+    if (param && /^https?:\/\//i.test(param)) return param;
+
+    const query = decodeURIComponent(parsed.search.substring(1));
+    if (/^https?:\/\//i.test(query)) return query;
+
+    const path = url.substring(parsed.origin.length + 1);
+    if (/^https?:\/\//i.test(path)) return path;
+  } catch (error) {
+    // Not a URL we can take apart - use it as it is
+  }
+  return url;
+}
+
+/**
+ * Get the URL relative playlist entries should be resolved against
+ * @param {string} playlistUrl - URL the playlist was loaded from
+ * @returns {string|null} http(s) base URL, or null for local files
+ */
+export function getPlaylistBaseUrl(playlistUrl) {
+  if (!playlistUrl) return null;
+  const url = stripProxyUrl(playlistUrl);
+  return /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * Resolve a possibly relative URL against a base URL
+ * Catch-up placeholders such as {utc} are kept out of URL parsing so they aren't percent-encoded.
+ * @param {string} value - URL as written in the playlist
+ * @param {string} baseUrl - Base URL from getPlaylistBaseUrl
+ * @returns {string} Absolute URL, or the value unchanged if it can't or needn't be resolved
+ */
+export function resolveUrl(value, baseUrl) {
+  if (!value || !baseUrl || typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if (!trimmed || ABSOLUTE_URL.test(trimmed) || SCHEMELESS_HOST.test(trimmed)) return value;
+
+  const placeholderIndex = trimmed.search(/\$?\{/);
+  if (placeholderIndex === 0) return value;
+
+  const path = placeholderIndex === -1 ? trimmed : trimmed.substring(0, placeholderIndex);
+  const rest = placeholderIndex === -1 ? '' : trimmed.substring(placeholderIndex);
+
+  try {
+    return new URL(path, baseUrl).href + rest;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Check whether catchup-source is a URL template rather than a query suffix
+ * It's a full template for "default"; for "append" it's added to the end of the stream URL.
+ */
+function isCatchupPath(attributes) {
+  const source = attributes['catchup-source'];
+  const catchup = String(attributes.catchup || '').toLowerCase();
+  return !!source && (catchup === 'default' || !catchup) && !/^[?&]/.test(source.trim());
+}
+
+/**
+ * Resolve the stream URI and URL-type attributes of a segment
+ * @param {Object} segment - Parsed segment
+ * @param {string} baseUrl - Base URL from getPlaylistBaseUrl
+ * @returns {Object} Segment with absolute URLs
+ */
+export function resolveSegmentUrls(segment, baseUrl) {
+  if (!baseUrl || !segment) return segment;
+
+  const attributes = { ...(segment.attributes || {}) };
+  URL_ATTRIBUTES.forEach(key => {
+    if (attributes[key]) attributes[key] = resolveUrl(attributes[key], baseUrl);
+  });
+
+  if (isCatchupPath(attributes)) {
+    attributes['catchup-source'] = resolveUrl(attributes['catchup-source'], baseUrl);
+  }
+
+  return { ...segment, uri: resolveUrl(segment.uri, baseUrl), attributes };
+}
+
+/**
+ * Resolve the guide URLs and catch-up template in the #EXTM3U header attributes
+ * @param {Object} header - Header attributes
+ * @param {string} baseUrl - Base URL from getPlaylistBaseUrl
+ * @returns {Object} Header with absolute guide URLs
+ */
+export function resolveHeaderUrls(header, baseUrl) {
+  if (!baseUrl || !header) return header || {};
+
+  const resolved = { ...header };
+  HEADER_URL_ATTRIBUTES.forEach(key => {
+    if (!resolved[key]) return;
+    resolved[key] = resolved[key]
+      .split(',')
+      .map(url => resolveUrl(url.trim(), baseUrl))
+      .join(',');
+  });
+
+  if (isCatchupPath(resolved)) {
+    resolved['catchup-source'] = resolveUrl(resolved['catchup-source'], baseUrl);
+  }
+  return resolved;
+}
@@ -0,0 +1,177 @@
+import { getDatabase, getRecord, getAllRecords, putRecords, deleteRecords, clearRecords, promisifyRequest, transactionDone, STORES } from './idbStorage';
+import { relinkChannels } from './channelIdentity';
+
+/**
+ * Watch history
+ * One entry per channel - { channelId, timestamp, channel } - so playing a channel
+ * again moves it to the top instead of adding a second entry.
+ */
+
+// Entries kept; older ones are dropped when a channel is added
+const MAX_HISTORY_ITEMS = 100;
+
+/**
+ * Delete the oldest entries past the limit, within the caller's transaction
+ * @param {IDBObjectStore} store - The history store in a readwrite transaction
+ */
+function trimHistory(store) {
+  // Walk from newest to oldest and delete everything past the limit
+  let kept = 0;
+  const cursorRequest = store.index('timestamp').openCursor(null, 'prev');
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    if (++kept > MAX_HISTORY_ITEMS) cursor.delete();
+    cursor.continue();
+  };
+}
+
+/**
+ * Get the watch history, most recently watched first
+ * @param {number} limit - Optional maximum number of entries
+ * @returns {Promise<Array>} Entries { channelId, timestamp, channel }
+ */
+export async function getWatchHistory(limit = Infinity) {
+  try {
+    const history = await getAllRecords(STORES.history, { index: 'timestamp' });
+    return history.reverse().slice(0, limit);
+  } catch (error) {
+    console.error('Error loading watch history:', error);
+    return [];
+  }
+}
+
+/**
+ * Record that a channel was watched, dropping the oldest entries past the limit
+ * @param {Object} channel - Channel object; its id keys the entry
+ * @returns {Promise<boolean>} Success status
+ */
+export async function addToWatchHistory(channel) {
+  if (!channel?.id) return false;
+
+  try {
+    const db = await getDatabase();
+    const transaction = db.transaction(STORES.history, 'readwrite');
+    const store = transaction.objectStore(STORES.history);
+    const done = transactionDone(transaction);
+
+    store.put({ channelId: channel.id, timestamp: Date.now(), channel });
+    trimHistory(store);
+
+    await done;
+    return true;
+  } catch (error) {
+    console.error('Error updating watch history:', error);
+    return false;
+  }
+}
+
+/**
+ * Replace the channel details stored with a history entry, keeping when it was watched
+ * @param {Object} channel - Channel with updated details
+ * @returns {Promise<boolean>} False if the channel isn't in the history or on error
+ */
+export async function updateWatchHistoryChannel(channel) {
+  if (!channel?.id) return false;
+
+  try {
+    const entry = await getRecord(STORES.history, channel.id);
+    if (!entry) return false;
+
+    await putRecords(STORES.history, { ...entry, channel });
+    return true;
+  } catch (error) {
+    console.error('Error updating watch history entry:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a channel from the watch history
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removeFromWatchHistory(channelId) {
+  try {
+    await deleteRecords(STORES.history, channelId);
+    return true;
+  } catch (error) {
+    console.error('Error removing watch history entry:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove every watch history entry
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearWatchHistory() {
+  try {
+    await clearRecords(STORES.history);
+    return true;
+  } catch (error) {
+    console.error('Error clearing watch history:', error);
+    return false;
+  }
+}
+
+/**
+ * Add watch history entries from a backup
+ * @param {Array} entries - Entries { channelId, timestamp, channel }
+ * @param {Object} options - { replace: clear the current history first }
+ * @returns {Promise<number>} Number of entries added or updated
+ */
+export async function restoreWatchHistory(entries, options = {}) {
+  const db = await getDatabase();
+  const transaction = db.transaction(STORES.history, 'readwrite');
+  const store = transaction.objectStore(STORES.history);
+  const done = transactionDone(transaction);
+
+  if (options.replace) {
+    store.clear();
+  }
+
+  // When merging, the most recent viewing of a channel wins
+  const current = options.replace ? [] : await promisifyRequest(store.getAll());
+  const watchedAt = new Map(current.map(entry => [entry.channelId, entry.timestamp]));
+  const restored = entries.filter(entry => (watchedAt.get(entry.channelId) || 0) < entry.timestamp);
+
+  restored.forEach(entry => store.put(entry));
+  trimHistory(store);
+
+  await done;
+  return restored.length;
+}
+
+/**
+ * Point a playlist's history entries at its re-parsed channels, so they survive a refresh
+ * that changed channel IDs or stream URLs
+ * @param {string} playlistId - The refreshed playlist's ID
+ * @param {Array} channels - The playlist's channels after the refresh
+ * @returns {Promise<number>} Number of entries updated
+ */
+export async function relinkWatchHistory(playlistId, channels) {
+  try {
+    const entries = (await getWatchHistory()).filter(entry => entry.channel?.playlistId === playlistId);
+    const links = relinkChannels(entries.map(entry => entry.channel), channels);
+    if (links.length === 0) return 0;
+
+    const entryOf = new Map(entries.map(entry => [entry.channel, entry]));
+    const db = await getDatabase();
+    const transaction = db.transaction(STORES.history, 'readwrite');
+    const store = transaction.objectStore(STORES.history);
+    const done = transactionDone(transaction);
+
+    links.forEach(({ saved, channel, key }) => {
+      const entry = entryOf.get(saved);
+      if (key !== entry.channelId) store.delete(entry.channelId);
+      store.put({ channelId: key, timestamp: entry.timestamp, channel: { ...saved, ...channel, id: key } });
+    });
+
+    await done;
+    return links.length;
+  } catch (error) {
+    console.error('Error relinking watch history:', error);
+    return 0;
+  }
+}
@@ -0,0 +1,415 @@
+import { getAllRecords, STORES } from './idbStorage';
+import { getProxiedUrl } from './proxySettings';
+
+/**
+ * Xtream Codes API client
+ * Talks to a provider's player_api.php and turns live streams, VOD and series
+ * into the same manifest shape parseM3U8 produces, so they flow through
+ * processChannelsFromManifest like any M3U playlist.
+ * The password only lives in the playlist record's xtream field: stream and guide URLs
+ * are stored with PASSWORD_PLACEHOLDER in its place, and resolveXtreamUrl puts it back
+ * just before a request, so exports, diffs and logs don't carry it.
+ */
+
+const REQUEST_TIMEOUT = 30000;
+const SERIES_INFO_CONCURRENCY = 4;
+
+export const PASSWORD_PLACEHOLDER = '{password}';
+
+/**
+ * Normalise the server URL the user typed into protocol://host[:port]
+ * @param {string} server - Server URL, with or without protocol or player_api.php
+ * @returns {string} Base URL without a trailing slash
+ */
+export function normalizeServerUrl(server) {
+  let value = String(server || '').trim();
+  if (!value) {
+    throw new Error('Server URL is required');
+  }
+  if (!/^https?:\/\//i.test(value)) {
+    value = `http://${value}`;
+  }
+
+  const url = new URL(value);
+  // Some providers hand out the full player_api.php or get.php link
+  const path = url.pathname.replace(/\/(player_api|get)\.php$/i, '').replace(/\/+$/, '');
+  return `${url.protocol}//${url.host}${path}`;
+}
+
+/**
+ * Build a stable playlist ID for an Xtream account
+ * @param {Object} credentials - { server, username }
+ * @returns {string} Playlist ID
+ */
+export function getXtreamPlaylistId({ server, username }) {
+  const key = `${normalizeServerUrl(server)}|${username}`;
+  let hash = 5381;
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) + hash + key.charCodeAt(i)) >>> 0;
+  }
+  return `playlist_xt_${hash.toString(36)}`;
+}
+
+/**
+ * Call player_api.php
+ * @param {Object} credentials - { server, username, password, proxy } - proxy is an entry from getProxyChain
+ * @param {string} action - API action, or empty for the account info
+ * @param {Object} params - Extra query parameters
+ * @returns {Promise<any>} Parsed JSON response
+ */
+async function callApi({ server, username, password, proxy = null }, action = '', params = {}) {
+  const query = new URLSearchParams({ username, password, ...params });
+  if (action) query.set('action', action);
+
+  const apiUrl = `${normalizeServerUrl(server)}/player_api.php?${query.toString()}`;
+  const fetchUrl = getProxiedUrl(apiUrl, proxy);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(fetchUrl, {
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status} ${response.statusText}`);
+    }
+
+    const text = await response.text();
+    // Providers return an empty body for actions they don't support
+    return text.trim() ? JSON.parse(text) : null;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request to the Xtream server timed out');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Call an optional action, treating failures as "not available"
+ */
+async function callOptional(credentials, action, params) {
+  try {
+    const result = await callApi(credentials, action, params);
+    return Array.isArray(result) ? result : [];
+  } catch (error) {
+    console.warn(`Xtream action ${action} not available:`, error);
+    return [];
+  }
+}
+
+/**
+ * Log in and return the account and server info
+ * @param {Object} credentials - { server, username, password, proxy }
+ * @returns {Promise<Object>} { userInfo, serverInfo }
+ */
+export async function authenticate(credentials) {
+  if (!credentials?.username || !credentials?.password) {
+    throw new Error('Username and password are required');
+  }
+
+  const result = await callApi(credentials);
+  const userInfo = result?.user_info;
+
+  if (!userInfo || Number(userInfo.auth) !== 1) {
+    throw new Error('Login failed - check the server URL, username and password');
+  }
+  if (userInfo.status && userInfo.status !== 'Active') {
+    throw new Error(`Account is ${userInfo.status}`);
+  }
+
+  return { userInfo, serverInfo: result.server_info || {} };
+}
+
+/**
+ * Pick the live stream format the browser can play
+ * @param {Object} userInfo - user_info from the login response
+ * @returns {string} 'm3u8' or 'ts'
+ */
+function getLiveFormat(userInfo) {
+  const formats = userInfo?.allowed_output_formats;
+  if (Array.isArray(formats) && formats.length > 0 && !formats.includes('m3u8')) {
+    return formats.includes('ts') ? 'ts' : formats[0];
+  }
+  return 'm3u8';
+}
+
+/**
+ * Build a map of category_id -> category_name
+ */
+function categoryMap(categories) {
+  return new Map(categories.map(category => [String(category.category_id), category.category_name]));
+}
+
+/**
+ * Run async tasks with a concurrency limit
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Fetch everything the account offers and return it as an M3U-style manifest
+ * Episodes are only listed per series, so they're kept in a cache between loads: a series
+ * is only asked for again when it's new or the server says it changed.
+ * @param {Object} credentials - { server, username, password, proxy }
+ * @param {Object} options - { includeVod, includeSeries, onProgress, episodeCache } -
+ *   episodeCache is the one returned by the previous load of the account
+ * @returns {Promise<Object>} { header, segments, xtream: { userInfo, counts, episodeCache } }
+ *   - episodeCache is series_id to { modified, episodes }
+ */
+export async function fetchXtreamManifest(credentials, options = {}) {
+  const { includeVod = true, includeSeries = true, onProgress = () => {}, episodeCache = {} } = options;
+  const base = normalizeServerUrl(credentials.server);
+  const user = encodeURIComponent(credentials.username);
+  const pass = PASSWORD_PLACEHOLDER;
+
+  onProgress('Logging in...');
+  const { userInfo } = await authenticate(credentials);
+  const liveFormat = getLiveFormat(userInfo);
+
+  const segments = [];
+
+  // Live TV
+  onProgress('Loading live channels...');
+  const [liveCategories, liveStreams] = await Promise.all([
+    callOptional(credentials, 'get_live_categories'),
+    callApi(credentials, 'get_live_streams')
+  ]);
+  const liveGroups = categoryMap(liveCategories);
+
+  (Array.isArray(liveStreams) ? liveStreams : []).forEach(stream => {
+    const attributes = {
+      'tvg-id': stream.epg_channel_id || '',
+      'tvg-name': stream.name,
+      'tvg-logo': stream.stream_icon || '',
+      'group-title': liveGroups.get(String(stream.category_id)) || 'Uncategorized',
+      'xtream-type': 'live',
+      'xtream-id': String(stream.stream_id)
+    };
+
+    // Providers with an archive expose it through the timeshift endpoint
+    if (Number(stream.tv_archive) === 1) {
+      attributes.catchup = 'default';
+      attributes['catchup-source'] =
+        `${base}/timeshift/${user}/${pass}/{duration:60}/{utc:Y-m-d:H-M}/${stream.stream_id}.${liveFormat}`;
+      if (stream.tv_archive_duration) {
+        attributes['catchup-days'] = String(stream.tv_archive_duration);
+      }
+    }
+
+    segments.push({
+      uri: `${base}/live/${user}/${pass}/${stream.stream_id}.${liveFormat}`,
+      title: stream.name,
+      duration: -1,
+      attributes,
+      vlcOptions: {},
+      kodiProps: {}
+    });
+  });
+  const liveCount = segments.length;
+
+  // Movies
+  if (includeVod) {
+    onProgress('Loading movies...');
+    const [vodCategories, vodStreams] = await Promise.all([
+      callOptional(credentials, 'get_vod_categories'),
+      callOptional(credentials, 'get_vod_streams')
+    ]);
+    const vodGroups = categoryMap(vodCategories);
+
+    vodStreams.forEach(stream => {
+      segments.push({
+        uri: `${base}/movie/${user}/${pass}/${stream.stream_id}.${stream.container_extension || 'mp4'}`,
+        title: stream.name,
+        duration: -1,
+        attributes: {
+          'tvg-name': stream.name,
+          'tvg-logo': stream.stream_icon || '',
+          'group-title': `Movies: ${vodGroups.get(String(stream.category_id)) || 'Uncategorized'}`,
+          'xtream-type': 'movie',
+          'xtream-id': String(stream.stream_id)
+        },
+        vlcOptions: {},
+        kodiProps: {}
+      });
+    });
+  }
+  const vodCount = segments.length - liveCount;
+
+  // Series - episodes are only listed per series, so this takes one request per new or changed show
+  const seriesEpisodes = {};
+  if (includeSeries) {
+    onProgress('Loading series...');
+    const [seriesCategories, seriesList] = await Promise.all([
+      callOptional(credentials, 'get_series_categories'),
+      callOptional(credentials, 'get_series')
+    ]);
+    const seriesGroups = categoryMap(seriesCategories);
+
+    // Servers without last_modified never report a change, so their cached episodes are kept
+    const modifiedOf = series => String(series.last_modified || '');
+    const cache = { ...episodeCache };
+    const changed = seriesList.filter(series => {
+      const cached = episodeCache[series.series_id];
+      return !cached || cached.modified !== modifiedOf(series);
+    });
+    if (changed.length < seriesList.length) {
+      console.log(`Reusing cached episodes for ${seriesList.length - changed.length} series`);
+    }
+
+    const fetched = await mapWithConcurrency(changed, SERIES_INFO_CONCURRENCY, async (series, index) => {
+      if (index % 25 === 0) {
+        onProgress(`Loading series ${index + 1} of ${changed.length}...`);
+      }
+      try {
+        const info = await callApi(credentials, 'get_series_info', { series_id: series.series_id });
+        return Object.values(info?.episodes || {}).flat();
+      } catch (error) {
+        console.warn(`Failed to load episodes for series ${series.series_id}:`, error);
+        return null;
+      }
+    });
+    changed.forEach((series, index) => {
+      // A failed series keeps what we had, and is asked for again next time
+      if (fetched[index]) {
+        cache[series.series_id] = { modified: modifiedOf(series), episodes: fetched[index] };
+      }
+    });
+
+    seriesList.forEach(series => {
+      const group = `Series: ${seriesGroups.get(String(series.category_id)) || 'Uncategorized'}`;
+      const cached = cache[series.series_id];
+      if (!cached) return;
+      seriesEpisodes[series.series_id] = cached;
+
+      cached.episodes.forEach(episode => {
+        const label = `S${String(episode.season || 0).padStart(2, '0')}E${String(episode.episode_num || 0).padStart(2, '0')}`;
+        segments.push({
+          uri: `${base}/series/${user}/${pass}/${episode.id}.${episode.container_extension || 'mp4'}`,
+          title: `${series.name} ${label}${episode.title && !episode.title.includes(series.name) ? ` - ${episode.title}` : ''}`,
+          duration: -1,
+          attributes: {
+            'tvg-name': series.name,
+            'tvg-logo': episode.info?.movie_image || series.cover || '',
+            'group-title': group,
+            'xtream-type': 'series',
+            'xtream-id': String(episode.id),
+            'xtream-series-id': String(series.series_id)
+          },
+          vlcOptions: {},
+          kodiProps: {}
+        });
+      });
+    });
+  }
+
+  const counts = {
+    live: liveCount,
+    movies: vodCount,
+    episodes: segments.length - liveCount - vodCount
+  };
+  console.log('Loaded Xtream account:', counts);
+
+  return {
+    // Xtream servers publish their guide at xmltv.php
+    header: { 'url-tvg': `${base}/xmltv.php?username=${user}&password=${pass}` },
+    segments,
+    xtream: {
+      userInfo: {
+        status: userInfo.status,
+        expDate: userInfo.exp_date ? new Date(Number(userInfo.exp_date) * 1000).toISOString() : null,
+        maxConnections: userInfo.max_connections
+      },
+      counts,
+      // Only the series still listed, so removed shows drop out of the cache
+      episodeCache: seriesEpisodes
+    }
+  };
+}
+
+/**
+ * Put the password back into a stored URL of an Xtream account
+ * Only URLs on the account's own server, for its own user, get it.
+ * @param {string} url - Stored stream, catch-up or guide URL
+ * @param {Object} xtream - The playlist's { server, username, password }
+ * @returns {string|null} URL to request, or null if it isn't one of the account's URLs
+ */
+export function fillXtreamPassword(url, xtream) {
+  if (!xtream?.server || !xtream.password || !url.startsWith(`${xtream.server}/`)) return null;
+
+  const user = encodeURIComponent(xtream.username);
+  const pass = encodeURIComponent(xtream.password);
+  const inPath = `/${user}/${PASSWORD_PLACEHOLDER}/`;
+  const inQuery = `username=${user}&password=${PASSWORD_PLACEHOLDER}`;
+
+  if (url.includes(inPath)) return url.replace(inPath, `/${user}/${pass}/`);
+  if (url.includes(inQuery)) return url.replace(inQuery, `username=${user}&password=${pass}`);
+  return null;
+}
+
+/**
+ * Check whether a stored URL gets an Xtream password filled in before it's requested
+ * @param {string} url - Stored URL
+ * @returns {boolean} True if the request carries the account's login
+ */
+export function hasXtreamPassword(url) {
+  return typeof url === 'string' && url.includes(PASSWORD_PLACEHOLDER);
+}
+
+/**
+ * Load the Xtream accounts once and get a function that fills in their passwords
+ * For filling many URLs in one go, e.g. when exporting.
+ * @returns {Promise<Function>} (url) => the URL with the password, or the URL itself if it needs
+ *   none or no account matches
+ */
+export async function getXtreamUrlResolver() {
+  let accounts = [];
+  try {
+    accounts = (await getAllRecords(STORES.playlists))
+      .filter(playlist => playlist.type === 'xtream')
+      .map(playlist => playlist.xtream);
+  } catch (error) {
+    console.error('Error looking up Xtream credentials:', error);
+  }
+
+  return (url) => {
+    if (typeof url !== 'string' || !url.includes(PASSWORD_PLACEHOLDER)) return url;
+    for (const xtream of accounts) {
+      const filled = fillXtreamPassword(url, xtream);
+      if (filled) return filled;
+    }
+    return url;
+  };
+}
+
+/**
+ * Get the URL to request for a stored URL, filling in an Xtream account's password
+ * @param {string} url - Stored URL
+ * @returns {Promise<string>} The URL with the password, or the URL itself if it needs none
+ */
+export async function resolveXtreamUrl(url) {
+  if (typeof url !== 'string' || !url.includes(PASSWORD_PLACEHOLDER)) return url;
+
+  const resolved = (await getXtreamUrlResolver())(url);
+  if (resolved === url) {
+    console.warn('No Xtream account found for a stream URL - has the playlist been removed?');
+  }
+  return resolved;
+}
@@ -0,0 +1,202 @@
+/**
+ * Playlist parser worker
+ * Downloads (or reads) an M3U playlist as a stream and parses it line by line,
+ * posting channels back in batches so huge playlists never block the UI.
+ *
+ * In:  { type: 'parse', urls: [...] | file: File, playlistId, baseUrl, batchSize }
+ *      baseUrl is what relative stream and logo URLs are resolved against
+ * Out: { type: 'progress', receivedBytes, totalBytes, channelCount }
+ *      { type: 'batch', channels }
+ *      { type: 'attempt', sourceIndex, ok, error } once per URL tried
+ *      { type: 'done', header, channelCount, sourceIndex }
+ *      { type: 'error', message }
+ */
+import { createM3ULineParser } from '../utils/m3uStream';
+import { parsePlaylistHeader, segmentToChannel } from '../utils/channelFactory';
+import { createChannelIdFactory } from '../utils/channelIdentity';
+import { resolveHeaderUrls, resolveSegmentUrls } from '../utils/urlResolver';
+
+const DEFAULT_BATCH_SIZE = 2000;
+const PROGRESS_INTERVAL = 250;
+const REQUEST_TIMEOUT = 30000;
+// How much of the start of the body to look at when deciding if it's a playlist at all
+const SNIFF_LENGTH = 4096;
+
+// Channels posted for the source currently being parsed
+let postedChannels = 0;
+
+/**
+ * Turn a failed response into a readable message
+ */
+function describeHttpError(response) {
+  switch (response.status) {
+    case 404:
+      return 'Playlist not found (404). Please verify the URL is correct.';
+    case 403:
+      return 'Access forbidden (403). This playlist may require authorization.';
+    case 429:
+      return 'Too many requests (429). Please try again later.';
+    default:
+      return `Server returned ${response.status} ${response.statusText}`;
+  }
+}
+
+/**
+ * Reject content that clearly isn't a playlist before parsing all of it
+ */
+function checkLooksLikePlaylist(text) {
+  if (text.includes('#EXT') || /^\s*(https?|rtmp|rtsp|udp):\/\//im.test(text)) return;
+
+  if (text.includes('<html') || text.includes('<!DOCTYPE')) {
+    throw new Error('URL returned an HTML page instead of an M3U8 playlist. Try using the raw file URL.');
+  }
+  if (text.includes('<?xml')) {
+    throw new Error('URL returned XML data instead of an M3U8 playlist.');
+  }
+  throw new Error('Response is not a valid M3U8 playlist');
+}
+
+/**
+ * Open a URL and return its body stream and size
+ */
+async function openUrl(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { 'Accept': 'application/vnd.apple.mpegurl, application/x-mpegurl, */*' }
+    });
+    if (!response.ok) {
+      throw new Error(describeHttpError(response));
+    }
+    return {
+      stream: response.body || new Blob([await response.text()]).stream(),
+      totalBytes: Number(response.headers.get('Content-Length')) || 0
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. The server might be unresponsive.');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Parse one body stream, posting batches and progress as it goes
+ */
+async function parseStream({ stream, totalBytes }, { playlistId, baseUrl, batchSize }) {
+  const parser = createM3ULineParser();
+  const channelIds = createChannelIdFactory(playlistId);
+  let headerInfo = null;
+  let batch = [];
+  let receivedBytes = 0;
+  let sniffed = '';
+  let remainder = '';
+  let lastProgressAt = 0;
+
+  const reportProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgressAt < PROGRESS_INTERVAL) return;
+    lastProgressAt = now;
+    self.postMessage({
+      type: 'progress',
+      receivedBytes,
+      totalBytes: Math.max(totalBytes, receivedBytes),
+      channelCount: parser.count()
+    });
+  };
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    postedChannels += batch.length;
+    self.postMessage({ type: 'batch', channels: batch });
+    batch = [];
+  };
+
+  const handleLine = (line) => {
+    const segment = parser.push(line);
+    if (!segment) return;
+
+    // The #EXTM3U line comes first, so the header is complete by the first channel
+    headerInfo = headerInfo || parsePlaylistHeader(resolveHeaderUrls(parser.header, baseUrl));
+    batch.push(segmentToChannel(resolveSegmentUrls(segment, baseUrl), channelIds, playlistId, headerInfo));
+    if (batch.length >= batchSize) flush();
+  };
+
+  // Count bytes before decoding so progress matches Content-Length
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      receivedBytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  });
+  const reader = stream.pipeThrough(counter).pipeThrough(new TextDecoderStream()).getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    if (sniffed.length < SNIFF_LENGTH) {
+      sniffed += value.substring(0, SNIFF_LENGTH);
+      if (sniffed.length >= SNIFF_LENGTH) checkLooksLikePlaylist(sniffed);
+    }
+
+    const lines = (remainder + value).split(/\r\n|\n|\r/);
+    // The last piece may be an incomplete line - keep it for the next chunk
+    remainder = lines.pop();
+    lines.forEach(handleLine);
+
+    reportProgress();
+  }
+
+  if (sniffed.length < SNIFF_LENGTH) checkLooksLikePlaylist(sniffed);
+  handleLine(remainder);
+  flush();
+  reportProgress(true);
+
+  if (parser.count() === 0) {
+    throw new Error('No channels found in playlist');
+  }
+
+  return { header: resolveHeaderUrls(parser.header, baseUrl), channelCount: parser.count() };
+}
+
+self.onmessage = async (event) => {
+  const { type, urls = [], file, playlistId, baseUrl = null, batchSize = DEFAULT_BATCH_SIZE } = event.data || {};
+  if (type !== 'parse') return;
+
+  const options = { playlistId, baseUrl, batchSize };
+
+  try {
+    if (file) {
+      const result = await parseStream({ stream: file.stream(), totalBytes: file.size }, options);
+      self.postMessage({ type: 'done', ...result, sourceIndex: 0 });
+      return;
+    }
+
+    let lastError = null;
+    for (let i = 0; i < urls.length; i++) {
+      postedChannels = 0;
+      try {
+        const source = await openUrl(urls[i]);
+        const result = await parseStream(source, options);
+        self.postMessage({ type: 'attempt', sourceIndex: i, ok: true, error: null });
+        self.postMessage({ type: 'done', ...result, sourceIndex: i });
+        return;
+      } catch (error) {
+        lastError = error;
+        console.error(`Error loading playlist from ${urls[i]}:`, error);
+        self.postMessage({ type: 'attempt', sourceIndex: i, ok: false, error: error.message || 'Failed to load playlist' });
+        // Channels already posted can't be taken back, so only fall back before the first batch
+        if (postedChannels > 0) break;
+      }
+    }
+    throw lastError || new Error('No playlist source given');
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'Failed to load playlist' });
+  }
+};